@@ -7,6 +7,7 @@
 require('dotenv').config();
 const vapiClient = require('../src/services/vapi-client');
 const emergencyConfig = require('../src/config/emergency-assistant');
+const generateToolFiles = require('./generate-tool-files');
 
 async function deployEmergencyAssistant() {
   console.log('============================================');
@@ -14,13 +15,17 @@ async function deployEmergencyAssistant() {
   console.log('============================================');
 
   try {
+    // Refresh tools/*.json from the same definitions as the assistant tools
+    generateToolFiles();
+
     // Check for existing assistant
     const existingId = process.env.VAPI_EMERGENCY_ASSISTANT_ID;
     
     // Prepare config with server URL
     const config = {
       ...emergencyConfig,
-      serverUrl: process.env.WEBHOOK_BASE_URL + '/webhook/vapi'
+      serverUrl: process.env.WEBHOOK_BASE_URL + '/webhook/vapi',
+      serverUrlSecret: process.env.VAPI_SERVER_SECRET
     };
 
     let assistant;
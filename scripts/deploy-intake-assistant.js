@@ -7,6 +7,7 @@
 require('dotenv').config();
 const vapiClient = require('../src/services/vapi-client');
 const intakeConfig = require('../src/config/intake-assistant');
+const generateToolFiles = require('./generate-tool-files');
 
 async function deployIntakeAssistant() {
   console.log('============================================');
@@ -14,13 +15,17 @@ async function deployIntakeAssistant() {
   console.log('============================================');
 
   try {
+    // Refresh tools/*.json from the same definitions as the assistant tools
+    generateToolFiles();
+
     // Check for existing assistant
     const existingId = process.env.VAPI_INTAKE_ASSISTANT_ID;
     
     // Prepare config with server URL
     const config = {
       ...intakeConfig,
-      serverUrl: process.env.WEBHOOK_BASE_URL + '/webhook/vapi'
+      serverUrl: process.env.WEBHOOK_BASE_URL + '/webhook/vapi',
+      serverUrlSecret: process.env.VAPI_SERVER_SECRET
     };
 
     let assistant;
@@ -0,0 +1,37 @@
+/**
+ * Generate tools/*.json from the tool registry
+ *
+ * The JSON files are templates for adding tools in the VAPI dashboard.
+ * They are generated from src/config/tools.js - do not edit them by hand.
+ *
+ * Run: npm run generate:tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+const toolRegistry = require('../src/services/tool-registry');
+
+const TOOLS_DIR = path.join(__dirname, '..', 'tools');
+
+function generateToolFiles() {
+  const written = [];
+
+  for (const tool of toolRegistry.list()) {
+    const filePath = path.join(TOOLS_DIR, `TOOL_${tool.name}.json`);
+    const json = JSON.stringify(toolRegistry.buildToolJson(tool.name), null, 2) + '\n';
+    fs.writeFileSync(filePath, json);
+    written.push(path.relative(process.cwd(), filePath));
+  }
+
+  console.log(`Generated ${written.length} tool files:`);
+  written.forEach(file => console.log(`  - ${file}`));
+
+  return written;
+}
+
+// Run if called directly
+if (require.main === module) {
+  generateToolFiles();
+}
+
+module.exports = generateToolFiles;
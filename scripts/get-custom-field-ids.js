@@ -73,6 +73,14 @@ async function getCustomFields() {
       'last_call_time',
       'next_call_scheduled',
       'call_end_reason',
+      'call_outcome',
+      'voicemail_left',
+      'appointment_id',
+      'assigned_adviser',
+      'call_window_start',
+      'call_window_end',
+      'avoid_friday_prayer',
+      'observes_ramadan',
       'asylum_nationality',
       'current_residence',
       'uk_entry_date',
@@ -146,6 +154,21 @@ async function getCustomFields() {
       'call_end': 'GHL_FIELD_ENDED_REASON',
       'callend': 'GHL_FIELD_ENDED_REASON',
       'end_reason': 'GHL_FIELD_ENDED_REASON',
+      'call_outcome': 'GHL_FIELD_CALL_OUTCOME',
+      'calloutcome': 'GHL_FIELD_CALL_OUTCOME',
+      'appointment_id': 'GHL_FIELD_APPOINTMENT_ID',
+      'appointmentid': 'GHL_FIELD_APPOINTMENT_ID',
+      'assigned_adviser': 'GHL_FIELD_ASSIGNED_ADVISER',
+      'assignedadviser': 'GHL_FIELD_ASSIGNED_ADVISER',
+      'call_window_start': 'GHL_FIELD_CALL_WINDOW_START',
+      'callwindowstart': 'GHL_FIELD_CALL_WINDOW_START',
+      'call_window_end': 'GHL_FIELD_CALL_WINDOW_END',
+      'callwindowend': 'GHL_FIELD_CALL_WINDOW_END',
+      'friday_prayer': 'GHL_FIELD_AVOID_FRIDAY_PRAYER',
+      'fridayprayer': 'GHL_FIELD_AVOID_FRIDAY_PRAYER',
+      'ramadan': 'GHL_FIELD_OBSERVES_RAMADAN',
+      'voicemail_left': 'GHL_FIELD_VOICEMAIL_LEFT',
+      'voicemailleft': 'GHL_FIELD_VOICEMAIL_LEFT',
       'asylum_nationality': 'GHL_FIELD_NATIONALITY',
       'asylumnationality': 'GHL_FIELD_NATIONALITY',
       'current_residence': 'GHL_FIELD_CURRENT_COUNTRY',
@@ -0,0 +1,96 @@
+/**
+ * Test Harness
+ *
+ * Shared scaffolding for the offline test scripts (scripts/test-*.js):
+ * - check(): prints and counts a passed/failed check
+ * - run(): banner, throwaway DATA_DIR, optional mock GHL API, summary and
+ *   exit code
+ *
+ * Usage:
+ *   const { check, run } = require('./helpers/test-harness');
+ *
+ *   run('OFFLINE FLOW TEST - Mock GHL API', { dataDir: 'offline', ghl: true }, async ({ mock }) => {
+ *     const ghlClient = require('../src/services/ghl-client'); // load after run() sets the env
+ *     check('Contact created', ...);
+ *   });
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GHLMockServer = require('../mocks/ghl-mock-server');
+
+const results = { passed: 0, failed: 0 };
+
+/**
+ * Record one check
+ * @param {string} label - What was checked
+ * @param {*} condition - Truthy when the check passed
+ * @param {*} details - Printed when it failed
+ */
+function check(label, condition, details) {
+  if (condition) {
+    results.passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    results.failed++;
+    console.log(`  ❌ ${label}`, details !== undefined ? details : '');
+  }
+}
+
+function banner(line) {
+  console.log('============================================');
+  console.log(`  ${line}`);
+  console.log('============================================');
+}
+
+/**
+ * Run a test script and exit with its result
+ * The env is set before the tests run, so services must be required inside
+ * the tests function (they read the env when loaded).
+ * @param {string} title - Banner title
+ * @param {Object} options - { dataDir: temp dir prefix (asylumlaw-<dataDir>-), ghl: start the mock GHL API, env: extra env vars }
+ * @param {Function} tests - async ({ mock, dataDir }) => void
+ */
+async function run(title, options, tests) {
+  const { dataDir: prefix, ghl = false, env = {} } = options;
+
+  banner(title);
+  console.log('');
+
+  const mock = ghl ? new GHLMockServer() : null;
+  const dataDir = prefix ? fs.mkdtempSync(path.join(os.tmpdir(), `asylumlaw-${prefix}-`)) : null;
+  let crashed = false;
+
+  try {
+    const baseUrl = mock ? await mock.start() : null;
+
+    Object.assign(process.env, env);
+    if (mock) {
+      Object.assign(process.env, {
+        GHL_API_BASE_URL: baseUrl,
+        GHL_API_KEY: 'mock-api-key',
+        GHL_LOCATION_ID: 'mock-location',
+        GHL_CALENDAR_ID: 'mock-calendar'
+      });
+    }
+    if (dataDir) {
+      Object.assign(process.env, { DATA_DIR: dataDir, IDEMPOTENCY_STORE: 'memory' });
+    }
+
+    await tests({ mock, dataDir });
+  } catch (error) {
+    console.error(error);
+    crashed = true;
+  } finally {
+    if (mock) await mock.stop();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  if (crashed) process.exit(1);
+
+  banner(`${results.passed} passed, ${results.failed} failed`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+module.exports = { check, run, results };
@@ -0,0 +1,328 @@
+/**
+ * Mock GHL (LeadConnector) API Server
+ *
+ * In-memory stand-in for services.leadconnectorhq.com so the intake →
+ * booking → confirmation flow can run offline. Covers the endpoints used by
+ * GHLClient and EmailClient:
+ * - contacts (create, get, update, search), custom fields, tags, tasks, notes
+ * - calendar free-slots and appointments
+ * - conversations/messages
+ *
+ * Failure injection (see mock-server.js) lets tests make any endpoint return
+ * an error or respond slowly.
+ *
+ * Standalone: npm run mock:ghl  (then set GHL_API_BASE_URL=http://localhost:4010)
+ * In scripts:
+ *   const mock = new GHLMockServer();
+ *   process.env.GHL_API_BASE_URL = await mock.start();
+ */
+
+const { DateTime } = require('luxon');
+const MockServer = require('./mock-server');
+
+const DEFAULT_CALENDAR = {
+  timezone: 'Europe/London',
+  startHour: 9,
+  endHour: 17,
+  slotMinutes: 30,
+  workingDays: [1, 2, 3, 4, 5] // Luxon weekdays: 1 = Monday
+};
+
+class GHLMockServer extends MockServer {
+  /**
+   * @param {Object} options - Mock options (see MockServer)
+   * @param {Object} options.calendar - Working hours used to generate free slots
+   */
+  constructor(options = {}) {
+    super({ name: 'GHLMock', ...options });
+    this.calendar = { ...DEFAULT_CALENDAR, ...options.calendar };
+  }
+
+  resetState() {
+    this.state = {
+      contacts: new Map(),
+      appointments: new Map(),
+      tasks: [],
+      notes: [],
+      messages: [],
+      workflows: []
+    };
+  }
+
+  // ============================================
+  // STATE HELPERS
+  // ============================================
+
+  /**
+   * Add a contact directly
+   * @param {Object} contact - Contact fields (id optional)
+   * @returns {Object} Stored contact
+   */
+  seedContact(contact) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: contact.id || this.generateId(),
+      locationId: contact.locationId || process.env.GHL_LOCATION_ID || 'mock-location',
+      firstName: contact.firstName || '',
+      lastName: contact.lastName || '',
+      email: contact.email || null,
+      phone: contact.phone || null,
+      timezone: contact.timezone || null,
+      tags: contact.tags || [],
+      customFields: contact.customFields || [],
+      dateAdded: now,
+      dateUpdated: now
+    };
+    this.state.contacts.set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Add an appointment directly
+   * @param {Object} appointment - Appointment fields (id optional)
+   * @returns {Object} Stored appointment
+   */
+  seedAppointment(appointment) {
+    const stored = {
+      id: appointment.id || this.generateId(),
+      calendarId: appointment.calendarId || process.env.GHL_CALENDAR_ID || 'mock-calendar',
+      appointmentStatus: 'confirmed',
+      dateAdded: new Date().toISOString(),
+      ...appointment
+    };
+    this.state.appointments.set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Get a contact
+   * @param {string} contactId - Contact ID
+   * @returns {Object|undefined} Contact
+   */
+  getContact(contactId) {
+    return this.state.contacts.get(contactId);
+  }
+
+  /**
+   * Get a custom field value from a stored contact
+   * @param {string} contactId - Contact ID
+   * @param {string} fieldId - GHL custom field ID
+   * @returns {*} Field value
+   */
+  getCustomField(contactId, fieldId) {
+    return this.getContact(contactId)?.customFields.find(field => field.id === fieldId)?.value;
+  }
+
+  /**
+   * Appointments for a contact
+   * @param {string} contactId - Contact ID
+   * @returns {Array<Object>} Appointments
+   */
+  getAppointmentsForContact(contactId) {
+    return [...this.state.appointments.values()].filter(appointment => appointment.contactId === contactId);
+  }
+
+  // ============================================
+  // ROUTES
+  // ============================================
+
+  registerRoutes(app) {
+    // Contacts
+    app.post('/contacts/', (req, res) => res.status(201).json({ contact: this.seedContact(req.body) }));
+    app.get('/contacts/', (req, res) => res.json(this.searchContacts(req.query.query)));
+    app.get('/contacts/:contactId', (req, res) => this.withContact(req, res, contact => res.json({ contact })));
+    app.put('/contacts/:contactId', (req, res) => this.withContact(req, res, contact => {
+      res.json({ succeded: true, contact: this.updateContact(contact, req.body) });
+    }));
+    app.post('/contacts/:contactId/tags', (req, res) => this.withContact(req, res, contact => {
+      contact.tags = [...new Set([...contact.tags, ...(req.body.tags || [])])];
+      res.status(201).json({ tags: contact.tags });
+    }));
+    app.post('/contacts/:contactId/tasks', (req, res) => this.withContact(req, res, contact => {
+      const task = { id: this.generateId(), contactId: contact.id, ...req.body };
+      this.state.tasks.push(task);
+      res.status(201).json(task);
+    }));
+    app.post('/contacts/:contactId/notes', (req, res) => this.withContact(req, res, contact => {
+      const note = { id: this.generateId(), contactId: contact.id, body: req.body.body, dateAdded: new Date().toISOString() };
+      this.state.notes.push(note);
+      res.status(201).json({ note });
+    }));
+    app.get('/contacts/:contactId/appointments', (req, res) => this.withContact(req, res, contact => {
+      res.json({ events: this.getAppointmentsForContact(contact.id) });
+    }));
+    app.post('/contacts/:contactId/workflow/:workflowId', (req, res) => this.withContact(req, res, contact => {
+      this.state.workflows.push({ contactId: contact.id, workflowId: req.params.workflowId });
+      res.json({ succeded: true });
+    }));
+
+    // Calendars
+    app.get('/calendars/:calendarId/free-slots', (req, res) => {
+      res.json(this.getFreeSlots(req.params.calendarId, req.query));
+    });
+    app.post('/calendars/events/appointments', (req, res) => this.createAppointment(req, res));
+    app.get('/calendars/events/appointments/:appointmentId', (req, res) => this.withAppointment(req, res, appointment => {
+      res.json(appointment);
+    }));
+    app.put('/calendars/events/appointments/:appointmentId', (req, res) => this.withAppointment(req, res, appointment => {
+      Object.assign(appointment, req.body, { id: appointment.id });
+      res.json(appointment);
+    }));
+
+    // Conversations
+    app.post('/conversations/messages', (req, res) => {
+      const message = { id: this.generateId(), conversationId: this.generateId(), ...req.body, dateAdded: new Date().toISOString() };
+      this.state.messages.push(message);
+      res.status(201).json({ id: message.id, messageId: message.id, conversationId: message.conversationId });
+    });
+
+    // Locations (GHLClient.testConnection)
+    app.get('/locations/', (req, res) => res.json({ locations: [{ id: process.env.GHL_LOCATION_ID || 'mock-location' }] }));
+  }
+
+  // ============================================
+  // HANDLERS
+  // ============================================
+
+  searchContacts(query = '') {
+    const normalized = String(query).replace(/[^\d+@a-z]/gi, '').toLowerCase();
+    const contacts = [...this.state.contacts.values()].filter(contact => {
+      const phone = (contact.phone || '').replace(/[^\d+]/g, '');
+      return normalized && (phone === normalized || (contact.email || '').toLowerCase() === normalized);
+    });
+    return { contacts, total: contacts.length };
+  }
+
+  updateContact(contact, updates) {
+    const { customFields, tags, ...fields } = updates;
+
+    Object.assign(contact, fields, { id: contact.id, dateUpdated: new Date().toISOString() });
+
+    // PUT replaces tags when given
+    if (tags) contact.tags = [...tags];
+
+    // Custom fields are merged by ID
+    for (const field of customFields || []) {
+      const existing = contact.customFields.find(candidate => candidate.id === field.id);
+      if (existing) {
+        existing.value = field.value;
+      } else {
+        contact.customFields.push({ id: field.id, value: field.value });
+      }
+    }
+
+    return contact;
+  }
+
+  createAppointment(req, res) {
+    const { contactId, startTime, endTime, calendarId } = req.body;
+
+    if (!contactId || !startTime || !this.state.contacts.has(contactId)) {
+      return this.sendError(res, 422, 'contactId and startTime are required');
+    }
+
+    const start = DateTime.fromISO(startTime);
+    const end = endTime ? DateTime.fromISO(endTime) : start.plus({ minutes: this.calendar.slotMinutes });
+    if (!start.isValid || !end.isValid) {
+      return this.sendError(res, 422, 'Invalid startTime or endTime');
+    }
+
+    if (this.isBooked(calendarId, start, end)) {
+      return this.sendError(res, 400, 'The slot you have selected is no longer available.');
+    }
+
+    const appointment = this.seedAppointment({ ...req.body, startTime, endTime: end.toISO() });
+    res.status(201).json(appointment);
+  }
+
+  /**
+   * Free slots in the same shape GHL returns: { "YYYY-MM-DD": { slots: [ISO, ...] } }
+   * Slots are generated from the mock working hours minus booked appointments
+   */
+  getFreeSlots(calendarId, query) {
+    const timezone = query.timezone || this.calendar.timezone;
+    const startDate = DateTime.fromMillis(Number(query.startDate)).setZone(this.calendar.timezone);
+    const endDate = DateTime.fromMillis(Number(query.endDate)).setZone(this.calendar.timezone);
+    const result = {};
+
+    if (!startDate.isValid || !endDate.isValid) {
+      return { traceId: this.generateId() };
+    }
+
+    let day = startDate.startOf('day');
+    while (day <= endDate) {
+      if (this.calendar.workingDays.includes(day.weekday)) {
+        let slot = day.set({ hour: this.calendar.startHour });
+        const close = day.set({ hour: this.calendar.endHour });
+
+        while (slot < close) {
+          const slotEnd = slot.plus({ minutes: this.calendar.slotMinutes });
+          const inRange = slot >= startDate && slot <= endDate;
+
+          if (inRange && slot > DateTime.now() && !this.isBooked(calendarId, slot, slotEnd)) {
+            const local = slot.setZone(timezone);
+            const key = local.toISODate();
+            result[key] = result[key] || { slots: [] };
+            result[key].slots.push(local.toISO({ suppressMilliseconds: true }));
+          }
+          slot = slotEnd;
+        }
+      }
+      day = day.plus({ days: 1 });
+    }
+
+    return { ...result, traceId: this.generateId() };
+  }
+
+  isBooked(calendarId, start, end) {
+    return [...this.state.appointments.values()].some(appointment => {
+      if (appointment.appointmentStatus === 'cancelled') return false;
+      if (calendarId && appointment.calendarId && appointment.calendarId !== calendarId) return false;
+
+      const bookedStart = DateTime.fromISO(appointment.startTime);
+      const bookedEnd = DateTime.fromISO(appointment.endTime);
+      return start < bookedEnd && end > bookedStart;
+    });
+  }
+
+  withContact(req, res, fn) {
+    const contact = this.state.contacts.get(req.params.contactId);
+    if (!contact) return this.sendError(res, 400, 'Contact not found');
+    return fn(contact);
+  }
+
+  withAppointment(req, res, fn) {
+    const appointment = this.state.appointments.get(req.params.appointmentId);
+    if (!appointment) return this.sendError(res, 404, 'Appointment not found');
+    return fn(appointment);
+  }
+
+  serializeState() {
+    return {
+      contacts: [...this.state.contacts.values()],
+      appointments: [...this.state.appointments.values()],
+      tasks: this.state.tasks,
+      notes: this.state.notes,
+      messages: this.state.messages,
+      workflows: this.state.workflows
+    };
+  }
+
+  generateId() {
+    return super.generateId().replace(/-/g, '').slice(0, 20);
+  }
+}
+
+// Run standalone if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.GHL_MOCK_PORT || '4010');
+  const mock = new GHLMockServer({ log: true });
+
+  mock.start(port).then(baseUrl => {
+    console.log(`[GHLMock] Listening on ${baseUrl}`);
+    console.log(`[GHLMock] Point the server at it with GHL_API_BASE_URL=${baseUrl}`);
+    console.log('[GHLMock] Inspect state: GET /__mock/state, reset: POST /__mock/reset');
+  });
+}
+
+module.exports = GHLMockServer;
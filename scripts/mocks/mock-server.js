@@ -0,0 +1,242 @@
+/**
+ * Mock API Server Base
+ *
+ * Shared plumbing for the in-memory API stand-ins in scripts/mocks:
+ * - start/stop on any port (0 picks a free port)
+ * - request log and auth check
+ * - failure injection (error status and/or delay for matching requests)
+ * - /__mock/state, /__mock/reset and /__mock/failures control endpoints
+ *
+ * Subclasses implement resetState(), registerRoutes(app) and serializeState().
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+class MockServer {
+  /**
+   * @param {Object} options - Mock options
+   * @param {string} options.name - Name used in logs
+   * @param {boolean} options.requireAuth - Reject requests without credentials (default true)
+   * @param {boolean} options.log - Log every request (default false)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'Mock';
+    this.requireAuth = options.requireAuth !== false;
+    this.log = options.log || false;
+    this.server = null;
+    this.reset();
+    this.app = this.buildApp();
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free port)
+   * @returns {Promise<string>} Base URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        resolve(this.getBaseUrl());
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string|null} e.g. http://127.0.0.1:4010
+   */
+  getBaseUrl() {
+    if (!this.server) return null;
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Clear all state, the request log and failure rules
+   */
+  reset() {
+    this.requests = [];
+    this.failures = [];
+    this.resetState();
+  }
+
+  /**
+   * Requests received, optionally filtered
+   * @param {string} method - HTTP method
+   * @param {string|RegExp} path - Path prefix or pattern
+   * @returns {Array<Object>} [{ method, path, body, time }]
+   */
+  getRequests(method, path) {
+    return this.requests.filter(request =>
+      (!method || request.method === method.toUpperCase()) && this.matchesPath(path, request.path)
+    );
+  }
+
+  // ============================================
+  // FAILURE INJECTION
+  // ============================================
+
+  /**
+   * Make matching requests fail or respond slowly
+   * @param {Object} rule - Failure rule
+   * @param {string} rule.method - HTTP method (any if omitted)
+   * @param {string|RegExp} rule.path - Path prefix or pattern (any if omitted)
+   * @param {number} rule.status - Response status (default 500)
+   * @param {Object} rule.body - Response body
+   * @param {number} rule.times - How many requests to fail (default 1, Infinity for all)
+   * @param {number} rule.delayMs - Delay before responding (status 0 = delay only)
+   * @returns {Object} Stored rule
+   */
+  injectFailure(rule = {}) {
+    const stored = {
+      id: this.generateId(),
+      method: rule.method?.toUpperCase(),
+      path: rule.path,
+      status: rule.status ?? 500,
+      body: rule.body,
+      times: rule.times ?? 1,
+      delayMs: rule.delayMs || 0,
+      hits: 0
+    };
+    this.failures.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove all failure rules
+   */
+  clearFailures() {
+    this.failures = [];
+  }
+
+  /**
+   * Find the failure rule for a request (and count the hit)
+   * @param {Object} req - Express request
+   * @returns {Object|null} Rule
+   */
+  matchFailure(req) {
+    const rule = this.failures.find(candidate =>
+      candidate.hits < candidate.times &&
+      (!candidate.method || candidate.method === req.method) &&
+      this.matchesPath(candidate.path, req.path)
+    );
+
+    if (rule) rule.hits += 1;
+    return rule || null;
+  }
+
+  matchesPath(pattern, path) {
+    if (!pattern) return true;
+    return pattern instanceof RegExp ? pattern.test(path) : path.startsWith(pattern);
+  }
+
+  // ============================================
+  // EXPRESS APP
+  // ============================================
+
+  buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Mock control endpoints (for standalone use)
+    app.get('/__mock/state', (req, res) => res.json({
+      ...this.serializeState(),
+      failures: this.failures,
+      requestCount: this.requests.length
+    }));
+    app.post('/__mock/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+    app.post('/__mock/failures', (req, res) => {
+      const { pathRegex, ...rule } = req.body;
+      res.json(this.injectFailure({ ...rule, path: pathRegex ? new RegExp(pathRegex) : rule.path }));
+    });
+    app.delete('/__mock/failures', (req, res) => {
+      this.clearFailures();
+      res.json({ success: true });
+    });
+
+    app.use((req, res, next) => this.handleMiddleware(req, res, next));
+
+    this.registerRoutes(app);
+
+    app.use((req, res) => this.sendError(res, 404, `Cannot ${req.method} ${req.path}`));
+
+    return app;
+  }
+
+  /**
+   * Request logging, auth and failure injection
+   */
+  async handleMiddleware(req, res, next) {
+    this.requests.push({ method: req.method, path: req.path, body: req.body, time: new Date().toISOString() });
+    if (this.log) console.log(`[${this.name}] ${req.method} ${req.originalUrl}`);
+
+    if (this.requireAuth && !this.isAuthorized(req)) {
+      return this.sendError(res, 401, 'Unauthorized');
+    }
+
+    const failure = this.matchFailure(req);
+    if (failure?.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+    }
+    if (failure?.status) {
+      if (failure.body) return res.status(failure.status).json(failure.body);
+      return this.sendError(res, failure.status, 'Injected failure');
+    }
+
+    next();
+  }
+
+  /**
+   * Whether a request carries credentials (Bearer token by default)
+   * @param {Object} req - Express request
+   * @returns {boolean} True if authorized
+   */
+  isAuthorized(req) {
+    return /^Bearer \S+/.test(req.headers.authorization || '');
+  }
+
+  sendError(res, statusCode, message) {
+    res.status(statusCode).json({ statusCode, message });
+  }
+
+  generateId() {
+    return uuidv4();
+  }
+
+  // ============================================
+  // SUBCLASS HOOKS
+  // ============================================
+
+  resetState() {
+    this.state = {};
+  }
+
+  registerRoutes() {}
+
+  serializeState() {
+    return this.state;
+  }
+}
+
+module.exports = MockServer;
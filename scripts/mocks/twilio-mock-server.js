@@ -0,0 +1,90 @@
+/**
+ * Mock Twilio API Server
+ *
+ * In-memory stand-in for api.twilio.com's Messages endpoint used by SMSClient.
+ * Messages are recorded, never sent.
+ *
+ * Standalone: npm run mock:twilio  (then set TWILIO_API_BASE_URL=http://localhost:4030)
+ */
+
+const MockServer = require('./mock-server');
+
+class TwilioMockServer extends MockServer {
+  constructor(options = {}) {
+    super({ name: 'TwilioMock', ...options });
+  }
+
+  resetState() {
+    this.state = {
+      messages: []
+    };
+  }
+
+  /**
+   * Messages sent to a number (all messages if omitted)
+   * @param {string} to - Recipient phone number
+   * @returns {Array<Object>} Messages
+   */
+  getMessages(to) {
+    return this.state.messages.filter(message => !to || message.to === to);
+  }
+
+  // ============================================
+  // ROUTES
+  // ============================================
+
+  registerRoutes(app) {
+    app.post('/2010-04-01/Accounts/:accountSid/Messages.json', (req, res) => {
+      const { To, From, Body, MessagingServiceSid } = req.body;
+
+      if (!To || (!From && !MessagingServiceSid)) {
+        return this.sendError(res, 400, "A 'To' and 'From' phone number is required.");
+      }
+
+      const now = new Date().toUTCString();
+      const message = {
+        sid: `SM${this.generateId().replace(/-/g, '')}`,
+        account_sid: req.params.accountSid,
+        to: To,
+        from: From || null,
+        messaging_service_sid: MessagingServiceSid || null,
+        body: Body,
+        status: 'queued',
+        direction: 'outbound-api',
+        num_segments: '1',
+        date_created: now,
+        date_updated: now
+      };
+      this.state.messages.push(message);
+      res.status(201).json(message);
+    });
+  }
+
+  /**
+   * Twilio uses HTTP Basic auth (Account SID + Auth Token)
+   */
+  isAuthorized(req) {
+    return /^Basic \S+/.test(req.headers.authorization || '');
+  }
+
+  sendError(res, statusCode, message) {
+    res.status(statusCode).json({ code: 20000 + statusCode, message, status: statusCode });
+  }
+
+  serializeState() {
+    return { messages: this.state.messages };
+  }
+}
+
+// Run standalone if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.TWILIO_MOCK_PORT || '4030');
+  const mock = new TwilioMockServer({ log: true });
+
+  mock.start(port).then(baseUrl => {
+    console.log(`[TwilioMock] Listening on ${baseUrl}`);
+    console.log(`[TwilioMock] Point the server at it with TWILIO_API_BASE_URL=${baseUrl}`);
+  });
+}
+
+module.exports = TwilioMockServer;
@@ -0,0 +1,135 @@
+/**
+ * Mock VAPI API Server
+ *
+ * In-memory stand-in for api.vapi.ai covering the endpoints used by VapiClient:
+ * - /call/phone (outbound calls are recorded, never dialed)
+ * - /call/:id
+ * - /assistant
+ * - /phone-number
+ *
+ * Standalone: npm run mock:vapi  (then set VAPI_API_BASE_URL=http://localhost:4020)
+ */
+
+const { STATUS_CODES } = require('http');
+const MockServer = require('./mock-server');
+
+class VapiMockServer extends MockServer {
+  constructor(options = {}) {
+    super({ name: 'VapiMock', ...options });
+  }
+
+  resetState() {
+    this.state = {
+      calls: new Map(),
+      assistants: new Map(),
+      phoneNumbers: new Map()
+    };
+  }
+
+  /**
+   * Outbound calls placed so far, oldest first
+   * @returns {Array<Object>} Calls
+   */
+  getCalls() {
+    return [...this.state.calls.values()];
+  }
+
+  /**
+   * Most recent outbound call
+   * @returns {Object|undefined} Call
+   */
+  getLastCall() {
+    return this.getCalls().pop();
+  }
+
+  // ============================================
+  // ROUTES
+  // ============================================
+
+  registerRoutes(app) {
+    // Calls
+    app.post('/call/phone', (req, res) => {
+      const { assistantId, phoneNumberId, customer } = req.body;
+
+      if (!customer?.number) {
+        return this.sendError(res, 400, 'customer.number is required');
+      }
+      if (!assistantId && !req.body.assistant) {
+        return this.sendError(res, 400, 'assistantId or assistant is required');
+      }
+
+      const now = new Date().toISOString();
+      const call = {
+        id: this.generateId(),
+        orgId: 'mock-org',
+        type: 'outboundPhoneCall',
+        status: 'queued',
+        ...req.body,
+        assistantId,
+        phoneNumberId,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.state.calls.set(call.id, call);
+      res.status(201).json(call);
+    });
+    app.get('/call/:callId', (req, res) => this.withRecord(this.state.calls, req.params.callId, res, call => res.json(call)));
+    app.post('/call/:callId/end', (req, res) => this.withRecord(this.state.calls, req.params.callId, res, call => {
+      call.status = 'ended';
+      res.json(call);
+    }));
+
+    // Assistants and phone numbers share the same CRUD shape
+    this.registerCrud(app, '/assistant', 'assistants');
+    this.registerCrud(app, '/phone-number', 'phoneNumbers');
+  }
+
+  registerCrud(app, basePath, stateKey) {
+    // State is replaced on reset, so look the collection up per request
+    const collection = () => this.state[stateKey];
+
+    app.post(basePath, (req, res) => {
+      const now = new Date().toISOString();
+      const record = { id: this.generateId(), orgId: 'mock-org', ...req.body, createdAt: now, updatedAt: now };
+      collection().set(record.id, record);
+      res.status(201).json(record);
+    });
+    app.get(basePath, (req, res) => res.json([...collection().values()]));
+    app.get(`${basePath}/:id`, (req, res) => this.withRecord(collection(), req.params.id, res, record => res.json(record)));
+    app.patch(`${basePath}/:id`, (req, res) => this.withRecord(collection(), req.params.id, res, record => {
+      Object.assign(record, req.body, { id: record.id, updatedAt: new Date().toISOString() });
+      res.json(record);
+    }));
+  }
+
+  withRecord(collection, id, res, fn) {
+    const record = collection.get(id);
+    if (!record) return this.sendError(res, 404, 'Not Found');
+    return fn(record);
+  }
+
+  sendError(res, statusCode, message) {
+    res.status(statusCode).json({ statusCode, message, error: STATUS_CODES[statusCode] });
+  }
+
+  serializeState() {
+    return {
+      calls: this.getCalls(),
+      assistants: [...this.state.assistants.values()],
+      phoneNumbers: [...this.state.phoneNumbers.values()]
+    };
+  }
+}
+
+// Run standalone if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.VAPI_MOCK_PORT || '4020');
+  const mock = new VapiMockServer({ log: true });
+
+  mock.start(port).then(baseUrl => {
+    console.log(`[VapiMock] Listening on ${baseUrl}`);
+    console.log(`[VapiMock] Point the server at it with VAPI_API_BASE_URL=${baseUrl}`);
+  });
+}
+
+module.exports = VapiMockServer;
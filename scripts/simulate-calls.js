@@ -0,0 +1,236 @@
+/**
+ * Call Simulation Test
+ *
+ * Runs the scripted intake, emergency and confirmation scenarios
+ * (scripts/simulator/scenarios.js) end to end, fully offline:
+ * - our server runs in-process
+ * - GHL, VAPI and Twilio are replaced by the mocks in scripts/mocks
+ * - CallSimulator sends the webhooks VAPI would send during each call
+ *
+ * Run: npm run test:calls
+ * Options: --scenario "<name substring>"  run matching scenarios only
+ *          --verbose                       show server logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GHLMockServer = require('./mocks/ghl-mock-server');
+const VapiMockServer = require('./mocks/vapi-mock-server');
+const TwilioMockServer = require('./mocks/twilio-mock-server');
+const CallSimulator = require('./simulator/call-simulator');
+const scenarios = require('./simulator/scenarios');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const scenarioFilter = args.includes('--scenario') ? args[args.indexOf('--scenario') + 1] : null;
+
+// Mock IDs so results don't depend on the local .env
+const IDS = {
+  intake: 'sim-intake-assistant',
+  emergency: 'sim-emergency-assistant',
+  confirmation: 'sim-confirmation-assistant'
+};
+
+const FIELDS = {
+  nationality: 'sim_nationality',
+  triageStatus: 'sim_triage',
+  confirmationStatus: 'sim_confirmation_status',
+  callAttempts: 'sim_call_attempts',
+  callOutcome: 'sim_call_outcome',
+  appointmentId: 'sim_appointment_id',
+  assignedAdviser: 'sim_assigned_adviser',
+  interpreterLanguage: 'sim_interpreter_language',
+  emergencyFlag: 'sim_emergency_flag',
+  emergencyType: 'sim_emergency_type',
+  callWindowStart: 'sim_call_window_start',
+  callWindowEnd: 'sim_call_window_end',
+  voicemailLeft: 'sim_voicemail_left'
+};
+
+// Adviser calendars (src/config/advisers.js) - everything else books into sim-calendar
+const CALENDARS = {
+  default: 'sim-calendar',
+  detention: 'sim-calendar-detention',
+  dariPashto: 'sim-calendar-dari-pashto'
+};
+
+const SECRETS = {
+  vapi: 'sim-vapi-secret',
+  webhook: 'sim-webhook-secret',
+  admin: 'sim-admin-token'
+};
+
+/**
+ * Point every client at the mocks - must run before the server is loaded
+ */
+function configureEnvironment(urls, dataDir) {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DATA_DIR: dataDir,
+    IDEMPOTENCY_STORE: 'memory',
+
+    GHL_API_BASE_URL: urls.ghl,
+    GHL_API_KEY: 'sim-ghl-key',
+    GHL_LOCATION_ID: 'sim-location',
+    GHL_CALENDAR_ID: CALENDARS.default,
+    GHL_CALENDAR_ID_DETENTION: CALENDARS.detention,
+    GHL_CALENDAR_ID_DARI_PASHTO: CALENDARS.dariPashto,
+    GHL_FIELD_NATIONALITY: FIELDS.nationality,
+    GHL_FIELD_TRIAGE_STATUS: FIELDS.triageStatus,
+    GHL_FIELD_CONFIRMATION_STATUS: FIELDS.confirmationStatus,
+    GHL_FIELD_CALL_ATTEMPTS: FIELDS.callAttempts,
+    GHL_FIELD_CALL_OUTCOME: FIELDS.callOutcome,
+    GHL_FIELD_APPOINTMENT_ID: FIELDS.appointmentId,
+    GHL_FIELD_ASSIGNED_ADVISER: FIELDS.assignedAdviser,
+    GHL_FIELD_INTERPRETER_LANGUAGE: FIELDS.interpreterLanguage,
+    GHL_FIELD_EMERGENCY_FLAG: FIELDS.emergencyFlag,
+    GHL_FIELD_EMERGENCY_TYPE: FIELDS.emergencyType,
+    GHL_FIELD_CALL_WINDOW_START: FIELDS.callWindowStart,
+    GHL_FIELD_CALL_WINDOW_END: FIELDS.callWindowEnd,
+    GHL_FIELD_VOICEMAIL_LEFT: FIELDS.voicemailLeft,
+
+    VAPI_API_BASE_URL: urls.vapi,
+    VAPI_API_KEY: 'sim-vapi-key',
+    VAPI_SERVER_SECRET: SECRETS.vapi,
+    VAPI_INTAKE_ASSISTANT_ID: IDS.intake,
+    VAPI_EMERGENCY_ASSISTANT_ID: IDS.emergency,
+    VAPI_CONFIRMATION_ASSISTANT_ID: IDS.confirmation,
+    VAPI_OUTBOUND_PHONE_ID: 'sim-outbound-phone',
+    VAPI_CONFIRMATION_PHONE_ID: 'sim-confirmation-phone',
+
+    TWILIO_API_BASE_URL: urls.twilio,
+    TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+    TWILIO_AUTH_TOKEN: 'sim-twilio-token',
+    TWILIO_PHONE_NUMBER: '+441234567890',
+
+    COMPANY_NAME: 'AsylumLaw',
+    COMPANY_PHONE: '020 3006 9533',
+    BOOKING_LINK: 'https://sim.example/book',
+
+    WEBHOOK_SECRET: SECRETS.webhook,
+    ADMIN_API_TOKEN: SECRETS.admin
+  });
+}
+
+/**
+ * Silence server logs unless --verbose
+ */
+function quietLogs() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  if (!verbose) {
+    console.log = console.warn = console.error = () => {};
+  }
+  return () => Object.assign(console, original);
+}
+
+async function runScenario(scenario, ctx) {
+  const restoreLogs = quietLogs();
+  let checks;
+
+  try {
+    await scenario.setup?.(ctx);
+    ctx.call = await scenario.start(ctx);
+    ctx.conversation = await ctx.simulator.runConversation(ctx.call, scenario.script(ctx));
+    checks = await scenario.verify(ctx);
+  } finally {
+    restoreLogs();
+  }
+
+  return checks;
+}
+
+async function main() {
+  console.log('============================================');
+  console.log('  CALL SIMULATION - Offline End-to-End');
+  console.log('============================================');
+
+  const ghl = new GHLMockServer();
+  const vapi = new VapiMockServer();
+  const twilio = new TwilioMockServer();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asylumlaw-sim-'));
+
+  const urls = {
+    ghl: await ghl.start(),
+    vapi: await vapi.start(),
+    twilio: await twilio.start()
+  };
+  configureEnvironment(urls, dataDir);
+
+  const restoreLogs = quietLogs();
+  const app = require('../server');
+  const callScheduler = require('../src/services/call-scheduler');
+  const callHistory = require('../src/services/call-history');
+  const slotHolds = require('../src/services/slot-holds');
+  restoreLogs();
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const simulator = new CallSimulator({ serverUrl, vapiSecret: SECRETS.vapi });
+  const totals = { passed: 0, failed: 0 };
+
+  try {
+    const selected = scenarios.filter(scenario =>
+      !scenarioFilter || scenario.name.toLowerCase().includes(scenarioFilter.toLowerCase())
+    );
+
+    for (const scenario of selected) {
+      console.log(`\n🧪 ${scenario.name}`);
+
+      const ctx = {
+        ghl,
+        vapi,
+        twilio,
+        simulator,
+        ids: IDS,
+        fields: FIELDS,
+        calendars: CALENDARS,
+        scheduler: callScheduler,
+        history: callHistory,
+        holds: slotHolds,
+        admin: (urlPath, { method = 'get', body } = {}) => simulator.client
+          .request({ url: urlPath, method, data: body, headers: { Authorization: `Bearer ${SECRETS.admin}` } })
+          .then(response => response.data),
+        ghlWebhook: (urlPath, body) => simulator.client
+          .post(urlPath, body, { headers: { 'x-webhook-secret': SECRETS.webhook } })
+          .then(response => response.data)
+      };
+
+      let checks;
+      try {
+        checks = await runScenario(scenario, ctx);
+      } catch (error) {
+        checks = [['Scenario ran without errors', false, error.message]];
+      }
+
+      for (const [label, passed, details] of checks) {
+        if (passed) {
+          totals.passed++;
+          console.log(`  ✅ ${label}`);
+        } else {
+          totals.failed++;
+          console.log(`  ❌ ${label}`);
+          if (details !== undefined) console.log('     ', JSON.stringify(details));
+        }
+      }
+    }
+  } finally {
+    server.close();
+    await Promise.all([ghl.stop(), vapi.stop(), twilio.stop()]);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n============================================');
+  console.log(`  ${totals.passed} passed, ${totals.failed} failed`);
+  console.log('============================================');
+
+  process.exit(totals.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
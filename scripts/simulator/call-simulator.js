@@ -0,0 +1,187 @@
+/**
+ * Call Simulator
+ *
+ * Drives a scripted conversation against our server by sending the same
+ * webhooks VAPI sends during a real call:
+ * - assistant-request (inbound calls)
+ * - function-call (one per scripted tool call)
+ * - end-of-call-report
+ *
+ * The transcript and tool-call messages are built from the script, so the
+ * end-of-call report looks like VAPI's (messages, transcript, summary, timings).
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+// Simulated time between conversation turns
+const TURN_SECONDS = 8;
+
+class CallSimulator {
+  /**
+   * @param {Object} options - Simulator options
+   * @param {string} options.serverUrl - Base URL of our server
+   * @param {string} options.vapiSecret - Sent as x-vapi-secret (VAPI_SERVER_SECRET)
+   */
+  constructor(options) {
+    this.client = axios.create({
+      baseURL: options.serverUrl,
+      headers: { 'x-vapi-secret': options.vapiSecret || '' },
+      // Let scenarios assert on error responses
+      validateStatus: () => true
+    });
+  }
+
+  /**
+   * Start an inbound call - asks our server which assistant to use
+   * @param {Object} options - { customerNumber, phoneNumberId }
+   * @returns {Promise<Object>} VAPI call object
+   */
+  async startInboundCall(options) {
+    const call = {
+      id: uuidv4(),
+      type: 'inboundPhoneCall',
+      status: 'ringing',
+      phoneNumberId: options.phoneNumberId || 'sim-inbound-phone',
+      customer: { number: options.customerNumber },
+      createdAt: new Date().toISOString()
+    };
+
+    const response = await this.client.post('/webhook/vapi', {
+      message: { type: 'assistant-request', call }
+    });
+
+    if (response.status !== 200 || !response.data.assistantId) {
+      throw new Error(`assistant-request failed (${response.status}): ${JSON.stringify(response.data)}`);
+    }
+
+    return {
+      ...call,
+      status: 'in-progress',
+      assistantId: response.data.assistantId,
+      assistantOverrides: response.data.assistantOverrides,
+      metadata: response.data.assistantOverrides?.metadata || {}
+    };
+  }
+
+  /**
+   * Answer an outbound call our server placed through the VAPI API
+   * @param {Object} vapiCall - Call as created via POST /call/phone
+   * @returns {Object} VAPI call object
+   */
+  answerOutboundCall(vapiCall) {
+    return {
+      ...vapiCall,
+      type: 'outboundPhoneCall',
+      status: 'in-progress',
+      metadata: vapiCall.metadata || {}
+    };
+  }
+
+  /**
+   * Run a scripted conversation and end the call
+   * @param {Object} call - VAPI call object
+   * @param {Object} script - Conversation script
+   * @param {Array<Object>} script.turns - { assistant } | { user } | { tool, args }
+   *   args may be a function of the results so far: (results) => ({ ... })
+   * @param {string} script.endedReason - VAPI ended reason
+   * @param {string} script.summary - Call summary
+   * @returns {Promise<Object>} { results, toolCalls, messages, transcript, endOfCall }
+   */
+  async runConversation(call, script) {
+    const startedAt = Date.now();
+    const messages = [];
+    const toolCalls = [];
+    const results = {};
+    let seconds = 0;
+
+    for (const turn of script.turns || []) {
+      seconds += TURN_SECONDS;
+      const time = startedAt + seconds * 1000;
+
+      if (turn.assistant) {
+        messages.push({ role: 'bot', message: turn.assistant, time, secondsFromStart: seconds });
+      } else if (turn.user) {
+        messages.push({ role: 'user', message: turn.user, time, secondsFromStart: seconds });
+      } else if (turn.tool) {
+        const parameters = typeof turn.args === 'function' ? turn.args(results) : (turn.args || {});
+        const toolCallId = `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`;
+
+        const result = await this.sendFunctionCall(call, turn.tool, parameters, toolCallId);
+        results[turn.tool] = result;
+        toolCalls.push({ name: turn.tool, toolCallId, parameters, result });
+
+        messages.push({
+          role: 'tool_calls',
+          time,
+          secondsFromStart: seconds,
+          toolCalls: [{ id: toolCallId, type: 'function', function: { name: turn.tool, arguments: JSON.stringify(parameters) } }]
+        });
+        messages.push({
+          role: 'tool_call_result',
+          time: time + 500,
+          secondsFromStart: seconds + 0.5,
+          toolCallId,
+          name: turn.tool,
+          result: JSON.stringify(result)
+        });
+      }
+    }
+
+    const endedAt = startedAt + (seconds + TURN_SECONDS) * 1000;
+    const transcript = messages
+      .filter(message => message.role === 'bot' || message.role === 'user')
+      .map(message => `${message.role === 'bot' ? 'AI' : 'User'}: ${message.message}`)
+      .join('\n');
+
+    const endOfCall = await this.sendEndOfCall(call, {
+      endedReason: script.endedReason,
+      summary: script.summary,
+      transcript,
+      messages,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString()
+    });
+
+    return { results, toolCalls, messages, transcript, endOfCall };
+  }
+
+  /**
+   * Send a function-call message, as VAPI does when the model calls a tool
+   * @returns {Promise<Object>} Tool result returned by our server
+   */
+  async sendFunctionCall(call, name, parameters, toolCallId) {
+    const response = await this.client.post('/webhook/vapi', {
+      message: {
+        type: 'function-call',
+        functionCall: { id: toolCallId, name, parameters },
+        call
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Send the end-of-call-report message
+   * @returns {Promise<Object>} Our server's end-of-call result
+   */
+  async sendEndOfCall(call, report) {
+    const response = await this.client.post('/webhook/vapi/end-of-call', {
+      message: {
+        type: 'end-of-call-report',
+        call: { ...call, status: 'ended', endedReason: report.endedReason },
+        durationSeconds: Math.round((new Date(report.endedAt) - new Date(report.startedAt)) / 1000),
+        artifact: {
+          transcript: report.transcript,
+          messages: report.messages
+        },
+        ...report
+      }
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = CallSimulator;
@@ -0,0 +1,1007 @@
+/**
+ * Scripted Call Scenarios
+ *
+ * Each scenario:
+ * - setup(ctx):   seed the mock GHL API
+ * - start(ctx):   start the call (inbound assistant-request, or an outbound call our server placed)
+ * - script(ctx):  conversation turns, ended reason and summary
+ * - verify(ctx):  [[label, passed, details?], ...] checked after the end-of-call report
+ *
+ * ctx gives access to the mocks (ghl, vapi, twilio), the simulator, the mock
+ * field/assistant IDs, our server's call scheduler, call history and slot
+ * holds, and helpers for its admin and GHL webhook endpoints.
+ */
+
+const { DateTime } = require('luxon');
+
+/**
+ * Next working day in London (mock calendar slots are Mon-Fri)
+ */
+function nextWorkingDay() {
+  let day = DateTime.now().setZone('Europe/London').plus({ days: 1 });
+  while (day.weekday > 5) day = day.plus({ days: 1 });
+  return day;
+}
+
+/**
+ * Seed a contact with an appointment on the next working day (London time)
+ */
+function seedAppointmentFor(ctx, contact, hour) {
+  ctx.contact = ctx.ghl.seedContact(contact);
+  const start = nextWorkingDay().set({ hour, minute: 0, second: 0, millisecond: 0 });
+  ctx.appointment = ctx.ghl.seedAppointment({
+    contactId: ctx.contact.id,
+    startTime: start.toISO(),
+    endTime: start.plus({ minutes: 30 }).toISO(),
+    title: 'Initial Consultation - Asylum Case'
+  });
+  ctx.contact.customFields.push({ id: ctx.fields.appointmentId, value: ctx.appointment.id });
+}
+
+/**
+ * GHL workflow triggers the confirmation call; our server places it via VAPI
+ * (pass an event ID to trigger it again - repeated deliveries are ignored)
+ */
+async function triggerConfirmation(ctx, eventId) {
+  ctx.trigger = await ctx.ghlWebhook('/webhook/ghl/trigger-confirmation', {
+    event_id: eventId,
+    contact_id: ctx.contact.id,
+    appointment_id: ctx.appointment.id,
+    customer_name: `${ctx.contact.firstName} ${ctx.contact.lastName}`,
+    customer_phone: ctx.contact.phone,
+    appointment_time: ctx.appointment.startTime
+  });
+  return ctx.simulator.answerOutboundCall(ctx.vapi.getLastCall());
+}
+
+/**
+ * Intake turns booking the next working day at 14:30 - the confirmation call
+ * an hour before is always within calling hours and still to come
+ */
+function bookingTurns() {
+  const date = nextWorkingDay().toISODate();
+  return [
+    { assistant: 'Hello, thank you for calling AsylumLaw. Which day suits you?' },
+    { user: 'Tomorrow at half past two.' },
+    { tool: 'book_appointment', args: { date, time: '14:30' } },
+    { assistant: 'You are booked in. We will call you before to confirm. Goodbye.' }
+  ];
+}
+
+/**
+ * Reschedule turns: check the day after the appointment, take its first slot
+ */
+function rescheduleTurns() {
+  const date = nextWorkingDay().plus({ days: 1 });
+  const newDate = (date.weekday > 5 ? date.plus({ days: 8 - date.weekday }) : date).toISODate();
+  return [
+    { assistant: 'Hello, I am calling to confirm your consultation.' },
+    { user: 'Can we move it to the next day?' },
+    { tool: 'check_calendar_availability', args: { date: newDate } },
+    { assistant: 'I have a few times available. Would the first one work?' },
+    { user: 'Yes.' },
+    { tool: 'reschedule_appointment', args: (results) => ({ date: newDate, time: results.check_calendar_availability.availableSlots[0], reason: 'Clashes with work' }) }
+  ];
+}
+
+module.exports = [
+  {
+    name: 'Intake - private client books a consultation',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Ahmad', lastName: 'Hassan', phone: '+447700900101' });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => {
+      const date = nextWorkingDay().toISODate();
+      return {
+        turns: [
+          { assistant: 'Hello, thank you for calling AsylumLaw. Am I speaking with Ahmad?' },
+          { user: 'Yes. I am from Syria and I need help with my asylum claim.' },
+          { tool: 'update_contact', args: { firstName: 'Ahmad', lastName: 'Hassan', nationality: 'Syria', asylumReason: 'Political persecution', triageStatus: 'private-candidate' } },
+          { assistant: 'Thank you. Which day suits you for a consultation?' },
+          { user: 'Tomorrow if possible.' },
+          { tool: 'check_calendar_availability', args: { date } },
+          { assistant: 'I have a few times available. Would the first one work?' },
+          { user: 'Yes please.' },
+          { tool: 'book_appointment', args: (results) => ({ date, time: results.check_calendar_availability.availableSlots[0] }) },
+          { assistant: 'You are booked in. Goodbye.' }
+        ],
+        endedReason: 'customer-ended-call',
+        summary: 'Private client from Syria booked an initial consultation.'
+      };
+    },
+    verify: async (ctx) => {
+      const appointments = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const variables = ctx.call.assistantOverrides?.variableValues || {};
+      const now = DateTime.now().setZone('Europe/London');
+      const history = await ctx.admin(`/admin/contacts/${ctx.contact.id}/calls`);
+
+      // A call from before the retention period is removed
+      ctx.history.store.set('sim-old-call', { callId: 'sim-old-call', contactId: ctx.contact.id, endedAt: now.minus({ days: 91 }).toISO(), toolCalls: [] });
+      ctx.history.index(ctx.history.get('sim-old-call'));
+      ctx.history.prune({ force: true });
+      const afterPrune = ctx.history.getForContact(ctx.contact.id);
+
+      return [
+        ['Intake assistant selected', ctx.call.assistantId === ctx.ids.intake, ctx.call.assistantId],
+        ['Caller\'s date and time passed to the assistant', variables.today === now.toISODate() && variables.weekday === now.toFormat('cccc') && variables.timezone === 'Europe/London' && /^\d{2}:\d{2}$/.test(variables.localTime), variables],
+        ['Nationality saved', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.nationality) === 'Syria'],
+        ['Appointment booked', appointments.length === 1 && appointments[0].appointmentStatus === 'confirmed', appointments],
+        ['Booked into the consultation team calendar', appointments[0]?.calendarId === ctx.calendars.default, appointments[0]?.calendarId],
+        ['Outcome completed', ctx.conversation.endOfCall.outcome === 'completed', ctx.conversation.endOfCall],
+        ['No retry scheduled', pending.count === 0, pending],
+        ['Call note posted', ctx.ghl.state.notes.some(note => note.contactId === ctx.contact.id)],
+        ['Call history kept, linked to the contact by ID only', history.count === 1 && Boolean(history.calls[0].transcript) && !('customerPhone' in history.calls[0]) && !('customerName' in history.calls[0]), history.calls],
+        ['Calls older than the retention period removed', afterPrune.length === 1 && !ctx.history.get('sim-old-call'), afterPrune.map(record => record.callId)]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - booking stands when the contact fields cannot be updated',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Dawit', lastName: 'Bekele', phone: '+447700900127' });
+    },
+    start: async (ctx) => {
+      const call = await ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone });
+      ctx.ghl.injectFailure({ method: 'PUT', path: `/contacts/${ctx.contact.id}`, status: 500 });
+      return call;
+    },
+    script: () => {
+      const date = nextWorkingDay().plus({ weeks: 1 }).toISODate();
+      return {
+        turns: [
+          { assistant: 'Hello, thank you for calling AsylumLaw. Which day suits you?' },
+          { user: 'Next week if possible.' },
+          { tool: 'check_calendar_availability', args: { date } },
+          { assistant: 'I have a few times available. Would the first one work?' },
+          { user: 'Yes please.' },
+          { tool: 'book_appointment', args: (results) => ({ date, time: results.check_calendar_availability.availableSlots[0] }) },
+          { assistant: 'You are booked in. Goodbye.' }
+        ],
+        endedReason: 'customer-ended-call',
+        summary: 'Caller booked a consultation for next week.'
+      };
+    },
+    verify: (ctx) => {
+      const result = ctx.conversation.results.book_appointment;
+      const booked = ctx.ghl.state.appointments.get(result?.appointmentId);
+      const confirmations = ctx.scheduler.list({ contactId: ctx.contact.id, type: 'confirmation', status: 'pending' });
+      return [
+        ['Booking reported as done', result?.success === true, result],
+        ['Appointment booked', booked?.appointmentStatus === 'confirmed', booked],
+        ['Confirmation call still scheduled', confirmations.length === 1 && confirmations[0].call.metadata.appointment_id === result?.appointmentId, confirmations]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - slots offered to another live caller are held',
+    setup: async (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Karim', lastName: 'Nazari', phone: '+447700900109' });
+      ctx.date = nextWorkingDay().toISODate();
+
+      // Another caller is on the line and has just been offered times
+      const other = ctx.ghl.seedContact({ firstName: 'Soraya', lastName: 'Khan', phone: '+447700900110' });
+      ctx.otherCall = await ctx.simulator.startInboundCall({ customerNumber: other.phone });
+      ctx.otherOffer = await ctx.simulator.sendFunctionCall(ctx.otherCall, 'check_calendar_availability', { date: ctx.date }, 'call_other_offer');
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: (ctx) => ({
+      turns: [
+        { assistant: 'Hello, thank you for calling AsylumLaw. Which day suits you?' },
+        { user: 'Tomorrow morning.' },
+        { tool: 'check_calendar_availability', args: { date: ctx.date } },
+        { user: 'Can I have the first time in the morning?' },
+        { tool: 'book_appointment', args: { date: ctx.date, time: ctx.otherOffer.availableSlots[0] } },
+        { assistant: 'Sorry, that time was just taken. The next one is free.' },
+        { tool: 'book_appointment', args: (results) => ({ date: ctx.date, time: results.book_appointment.availableSlots[0] }) },
+        { assistant: 'You are booked in. Goodbye.' }
+      ],
+      endedReason: 'customer-ended-call',
+      summary: 'Caller booked after their first choice was taken.'
+    }),
+    verify: async (ctx) => {
+      const [offer, taken, booked] = ctx.conversation.toolCalls.map(toolCall => toolCall.result);
+      const otherTimes = ctx.otherOffer.availableSlots;
+
+      // The other caller asks about the next day too - its first offer makes room
+      const nextDate = nextWorkingDay().plus({ days: 1 });
+      const otherNext = await ctx.simulator.sendFunctionCall(ctx.otherCall, 'check_calendar_availability', {
+        date: (nextDate.weekday > 5 ? nextDate.plus({ days: 8 - nextDate.weekday }) : nextDate).toISODate()
+      }, 'call_other_next');
+      const otherHolds = ctx.holds.getHolds(ctx.otherCall.id);
+
+      // Ending the other call releases its holds
+      await ctx.simulator.sendEndOfCall(ctx.otherCall, { endedReason: 'customer-ended-call', startedAt: new Date().toISOString(), endedAt: new Date().toISOString() });
+      const afterRelease = await ctx.simulator.sendFunctionCall(ctx.call, 'check_calendar_availability', { date: ctx.date }, 'call_after_release');
+
+      return [
+        ['Only held slots offered', otherTimes.length === ctx.holds.maxHeldPerCall && offer.availableSlots.length <= ctx.holds.maxHeldPerCall, { other: otherTimes, offered: offer.availableSlots }],
+        ['Held slots not offered to this caller', !offer.availableSlots.some(time => otherTimes.includes(time)), { offered: offer.availableSlots, held: otherTimes }],
+        ['Earlier holds count towards the per-call limit', otherNext.slotsCount > 0 && otherHolds.length === ctx.holds.maxHeldPerCall, otherHolds.length],
+        ['Held slot reported as just taken', taken.success === false && taken.slotTaken === true && taken.availableSlots.length > 0, taken],
+        ['Booked an alternative', booked.success === true && !otherTimes.includes(booked.time), booked],
+        ['Held slots offered again once the other call ended', otherTimes.every(time => afterRelease.availableSlots.includes(time)), afterRelease.availableSlots]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - caller who wants "after 3pm" offered the next days with late slots',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Samir', lastName: 'Haddad', phone: '+447700900113' });
+      // The first working day is fully booked from 15:00
+      const three = nextWorkingDay().set({ hour: 15, minute: 0, second: 0, millisecond: 0 });
+      ctx.ghl.seedAppointment({ contactId: 'other', calendarId: ctx.calendars.default, startTime: three.toISO(), endTime: three.plus({ hours: 2 }).toISO() });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: [
+        { user: 'Any day is fine, but it has to be after 3pm.' },
+        { tool: 'find_next_available_slots', args: { fromDate: nextWorkingDay().toISODate(), earliestTime: '15:00', limit: 3 } },
+        { tool: 'book_appointment', args: (results) => {
+          const [first] = results.find_next_available_slots.options;
+          return { date: first.date, time: first.time };
+        } }
+      ],
+      endedReason: 'customer-ended-call',
+      summary: 'Caller booked the first slot after 3pm.'
+    }),
+    verify: (ctx) => {
+      const found = ctx.conversation.results.find_next_available_slots;
+      const options = found.options || [];
+      const fullDay = nextWorkingDay().toISODate();
+      const [appointment] = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      return [
+        ['Three options returned', options.length === 3, found],
+        ['All options at or after 15:00', options.every(option => option.time >= '15:00'), options],
+        ['Fully booked afternoon skipped', options.every(option => option.date !== fullDay), options],
+        ['No weekend options', options.every(option => DateTime.fromISO(option.date).weekday <= 5), options],
+        ['Options in chronological order', options.every((option, i) => i === 0 || option.startTime > options[i - 1].startTime), options],
+        ['Options ready to read out', options.every(option => / at \d{1,2}(:\d{2})?pm$/.test(option.spoken)) && found.message.includes(options[0]?.spoken), found.message],
+        ['First option booked', appointment && DateTime.fromISO(appointment.startTime).equals(DateTime.fromISO(options[0]?.startTime)), appointment]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - Dari speaker booked with the Dari/Pashto adviser',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Farid',
+        lastName: 'Sultani',
+        phone: '+447700900111',
+        customFields: [{ id: ctx.fields.interpreterLanguage, value: 'Dari' }]
+      });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => {
+      const date = nextWorkingDay().toISODate();
+      return {
+        turns: [
+          { assistant: 'Hello, thank you for calling AsylumLaw. Which day suits you?' },
+          { user: 'Tomorrow.' },
+          { tool: 'check_calendar_availability', args: { date } },
+          { tool: 'book_appointment', args: (results) => ({ date, time: results.check_calendar_availability.availableSlots[0] }) },
+          { assistant: 'You are booked in with our Dari-speaking adviser. Goodbye.' }
+        ],
+        endedReason: 'customer-ended-call',
+        summary: 'Dari-speaking caller booked a consultation.'
+      };
+    },
+    verify: (ctx) => {
+      const [appointment] = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      const offered = ctx.conversation.results.check_calendar_availability.slots;
+      return [
+        ['Only the Dari/Pashto calendar offered', offered.length > 0 && offered.every(slot => slot.calendarId === ctx.calendars.dariPashto), offered.slice(0, 2)],
+        ['Booked into the Dari/Pashto calendar', appointment?.calendarId === ctx.calendars.dariPashto, appointment],
+        ['Adviser recorded on the contact', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.assignedAdviser) === 'Dari/Pashto Adviser']
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - detained Dari speaker routed to the detention specialist first',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Nasir',
+        lastName: 'Wardak',
+        phone: '+447700900112',
+        customFields: [
+          { id: ctx.fields.interpreterLanguage, value: 'Dari' },
+          { id: ctx.fields.emergencyType, value: 'detained' }
+        ]
+      });
+      // The detention specialist is busy at 09:00 - the Dari adviser isn't consulted for specialist cases
+      const nine = nextWorkingDay().set({ hour: 9, minute: 0, second: 0, millisecond: 0 });
+      ctx.ghl.seedAppointment({ contactId: 'other', calendarId: ctx.calendars.detention, startTime: nine.toISO(), endTime: nine.plus({ minutes: 30 }).toISO() });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => {
+      const date = nextWorkingDay().toISODate();
+      return {
+        turns: [
+          { tool: 'check_calendar_availability', args: { date } },
+          { tool: 'book_appointment', args: (results) => ({ date, time: results.check_calendar_availability.availableSlots[0] }) }
+        ],
+        endedReason: 'customer-ended-call',
+        summary: 'Detained caller booked with the detention specialist.'
+      };
+    },
+    verify: (ctx) => {
+      const [appointment] = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      const offered = ctx.conversation.results.check_calendar_availability;
+      return [
+        ['Specialist calendar only', offered.slots.every(slot => slot.calendarId === ctx.calendars.detention), offered.slots.slice(0, 2)],
+        ['Busy specialist time not offered', !offered.availableSlots.includes('09:00'), offered.availableSlots.slice(0, 3)],
+        ['Booked with the detention specialist', appointment?.calendarId === ctx.calendars.detention, appointment],
+        ['Adviser recorded on the contact', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.assignedAdviser) === 'Detention Specialist']
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - specialist fully booked, consultation team calendar offered instead',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Jawad',
+        lastName: 'Popal',
+        phone: '+447700900123',
+        customFields: [{ id: ctx.fields.emergencyType, value: 'detained' }]
+      });
+      // The detention specialist has no free time all day (a week out, away from the other bookings)
+      const nine = nextWorkingDay().plus({ weeks: 1 }).set({ hour: 9, minute: 0, second: 0, millisecond: 0 });
+      ctx.ghl.seedAppointment({ contactId: 'other', calendarId: ctx.calendars.detention, startTime: nine.toISO(), endTime: nine.set({ hour: 17 }).toISO() });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => {
+      const date = nextWorkingDay().plus({ weeks: 1 }).toISODate();
+      return {
+        turns: [
+          { tool: 'check_calendar_availability', args: { date } },
+          { tool: 'book_appointment', args: (results) => ({ date, time: results.check_calendar_availability.availableSlots[0] }) }
+        ],
+        endedReason: 'customer-ended-call',
+        summary: 'Detained caller booked with the consultation team.'
+      };
+    },
+    verify: (ctx) => {
+      const [appointment] = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      const offered = ctx.conversation.results.check_calendar_availability;
+      return [
+        ['Consultation team slots offered', offered.slotsCount > 0 && offered.slots.every(slot => slot.calendarId === ctx.calendars.default), offered.slots.slice(0, 2)],
+        ['Booked into the consultation team calendar', appointment?.calendarId === ctx.calendars.default, appointment]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - caller hangs up mid-intake',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Mariam', lastName: 'Karimi', phone: '+447700900102' });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: [
+        { assistant: 'Hello, thank you for calling AsylumLaw. Am I speaking with Mariam?' },
+        { user: 'Yes, I am from Afghanistan.' },
+        { tool: 'update_contact', args: { firstName: 'Mariam', lastName: 'Karimi', nationality: 'Afghanistan' } },
+        { assistant: 'Thank you. When did you arrive in the UK?' },
+        { user: 'Sorry, I have to go.' }
+      ],
+      endedReason: 'customer-ended-call',
+      summary: 'Caller left before the intake was finished.'
+    }),
+    verify: async (ctx) => {
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending`);
+      return [
+        ['Outcome partial', ctx.conversation.endOfCall.outcome === 'partial', ctx.conversation.endOfCall],
+        ['Retry scheduled', ctx.conversation.endOfCall.retry === true && pending.count === 1, pending]
+      ];
+    }
+  },
+
+  {
+    name: 'Emergency - detained caller transferred to duty team',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Yusuf',
+        lastName: 'Ali',
+        phone: '+447700900103',
+        customFields: [{ id: ctx.fields.emergencyFlag, value: 'true' }]
+      });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: [
+        { assistant: 'You have reached the AsylumLaw emergency line. Are you safe right now?' },
+        { user: 'I have been detained at Harmondsworth.' },
+        { tool: 'update_contact', args: { emergencyFlag: true, emergencyType: 'detained', detentionCenter: 'Harmondsworth' } },
+        { tool: 'create_urgent_task', args: { title: 'Client detained at Harmondsworth', emergencyType: 'detained', details: 'Caller reports detention today' } },
+        { assistant: 'I am connecting you to our duty team now.' },
+        { tool: 'transfer_to_human', args: { reason: 'detained', urgency: 'immediate', details: 'Detained at Harmondsworth' } }
+      ],
+      endedReason: 'assistant-forwarded-call',
+      summary: 'Detained caller transferred to the duty team.'
+    }),
+    verify: async (ctx) => {
+      const tasks = ctx.ghl.state.tasks.filter(task => task.contactId === ctx.contact.id);
+      // The emergency assistant's update_contact requires the emergency type
+      const untyped = await ctx.simulator.sendFunctionCall(ctx.call, 'update_contact', { emergencyFlag: true }, 'call_update_without_type');
+      return [
+        ['Emergency assistant selected', ctx.call.assistantId === ctx.ids.emergency, ctx.call.assistantId],
+        ['Update without an emergency type rejected', untyped.success === false && untyped.invalidParameters?.includes('emergencyType'), untyped],
+        ['Emergency type saved', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.emergencyType) === 'detained'],
+        ['Urgent and transfer tasks created', tasks.length === 2, tasks.map(task => task.title)],
+        ['Transfer returned', ctx.conversation.results.transfer_to_human?.transfer === true, ctx.conversation.results.transfer_to_human],
+        ['Outcome completed', ctx.conversation.endOfCall.outcome === 'completed', ctx.conversation.endOfCall]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - customer confirms their appointment',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Leila', lastName: 'Ahmadi', phone: '+447700900104' }, 10),
+    start: triggerConfirmation,
+    script: () => ({
+      turns: [
+        { assistant: 'Hello Leila, I am calling to confirm your consultation.' },
+        { user: 'Yes, I will be there.' },
+        { tool: 'update_confirmation_status', args: { status: 'confirmed' } },
+        { assistant: 'Thank you, see you then. Goodbye.' }
+      ],
+      endedReason: 'assistant-ended-call',
+      summary: 'Customer confirmed their appointment.'
+    }),
+    verify: (ctx) => [
+      ['Confirmation call placed via VAPI', ctx.trigger.success && ctx.call.assistantId === ctx.ids.confirmation, ctx.trigger],
+      ['Call carries the appointment', ctx.call.metadata.appointment_id === ctx.appointment.id],
+      ['Today and the appointment time passed as variables', ctx.call.assistantOverrides?.variableValues?.today === DateTime.now().setZone('Europe/London').toISODate() && Boolean(ctx.call.assistantOverrides.variableValues.appointmentTime), ctx.call.assistantOverrides],
+      ['Appointment time ready to read out', ctx.call.assistantOverrides?.variableValues?.appointmentTime?.endsWith("at ten o'clock"), ctx.call.assistantOverrides?.variableValues],
+      ['Status confirmed in GHL', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.confirmationStatus) === 'confirmed'],
+      ['Outcome completed', ctx.conversation.endOfCall.outcome === 'completed', ctx.conversation.endOfCall]
+    ]
+  },
+
+  {
+    name: 'Confirmation - customer confirms, then hangs up - no retry',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Zahra', lastName: 'Hosseini', phone: '+447700900125' }, 11),
+    start: triggerConfirmation,
+    script: () => ({
+      turns: [
+        { assistant: 'Hello Zahra, I am calling to confirm your consultation.' },
+        { user: 'Yes, I will be there. Thank you.' },
+        { tool: 'update_confirmation_status', args: { status: 'confirmed' } }
+      ],
+      endedReason: 'customer-ended-call',
+      summary: 'Customer confirmed their appointment and hung up.'
+    }),
+    verify: async (ctx) => {
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const history = await ctx.admin(`/admin/contacts/${ctx.contact.id}/calls`);
+      return [
+        ['Call marked as a confirmation call', ctx.call.metadata.type === 'confirmation', ctx.call.metadata],
+        ['Outcome completed', ctx.conversation.endOfCall.outcome === 'completed', ctx.conversation.endOfCall],
+        ['No retry scheduled', pending.count === 0, pending],
+        ['Call history records a confirmation call', history.count === 1 && history.calls[0].assistantType === 'confirmation', history.calls]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - GHL-triggered call not answered, retried under the confirmation policy',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Nasrin', lastName: 'Karimi', phone: '+447700900126' }, 12),
+    start: triggerConfirmation,
+    script: () => ({ turns: [], endedReason: 'customer-did-not-answer' }),
+    verify: async (ctx) => {
+      const { endOfCall } = ctx.conversation;
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const retry = pending.jobs[0];
+      return [
+        ['Retried under the confirmation policy', endOfCall.retry && endOfCall.policy === 'confirmation', endOfCall],
+        ['Retry placed with the confirmation assistant', pending.count === 1 && retry.call.assistantId === ctx.ids.confirmation && retry.call.metadata.type === 'confirmation', retry]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - customer cancels their appointment',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Omar', lastName: 'Saleh', phone: '+447700900105' }, 14),
+    start: triggerConfirmation,
+    script: () => ({
+      turns: [
+        { assistant: 'Hello Omar, I am calling to confirm your consultation.' },
+        { user: 'I cannot make it, please cancel.' },
+        { tool: 'cancel_appointment', args: { reason: 'Customer unavailable' } },
+        { tool: 'update_confirmation_status', args: { status: 'cancelled' } },
+        { assistant: 'That is cancelled. Goodbye.' }
+      ],
+      endedReason: 'assistant-ended-call',
+      summary: 'Customer cancelled their appointment.'
+    }),
+    verify: (ctx) => [
+      ['Appointment cancelled in GHL', ctx.ghl.state.appointments.get(ctx.appointment.id).appointmentStatus === 'cancelled'],
+      ['Status cancelled in GHL', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.confirmationStatus) === 'cancelled'],
+      ['Outcome completed', ctx.conversation.endOfCall.outcome === 'completed', ctx.conversation.endOfCall]
+    ]
+  },
+
+  {
+    name: 'Confirmation - customer reschedules their appointment',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Hamid', lastName: 'Rahimi', phone: '+447700900107' }, 11),
+    start: triggerConfirmation,
+    script: () => ({
+      turns: [...rescheduleTurns(), { assistant: 'All done, you will get a text. Goodbye.' }],
+      endedReason: 'assistant-ended-call',
+      summary: 'Customer moved their consultation to the next day.'
+    }),
+    verify: async (ctx) => {
+      const result = ctx.conversation.results.reschedule_appointment;
+      const booked = ctx.ghl.state.appointments.get(result?.appointmentId);
+      const local = booked && DateTime.fromISO(booked.startTime).setZone('Europe/London');
+      const newTime = local && `${local.toFormat('cccc d LLLL')} at ${local.toFormat(local.minute ? 'h:mm' : 'h')}${local.hour < 12 ? 'am' : 'pm'}`;
+
+      // VAPI delivers the availability check again - the booked time is no longer offered
+      const check = ctx.conversation.toolCalls.find(toolCall => toolCall.name === 'check_calendar_availability');
+      const recheck = await ctx.simulator.sendFunctionCall(ctx.call, check.name, check.parameters, check.toolCallId);
+      const bookedSlot = ctx.conversation.results.check_calendar_availability.availableSlots[0];
+
+      return [
+        ['Reschedule succeeded', result?.success === true, result],
+        ['New appointment booked', booked?.appointmentStatus === 'confirmed' && booked.startTime !== ctx.appointment.startTime, booked],
+        ['Old appointment cancelled', ctx.ghl.state.appointments.get(ctx.appointment.id).appointmentStatus === 'cancelled'],
+        ['Stored appointment ID updated', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.appointmentId) === result?.appointmentId],
+        ['Status reschedule in GHL', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.confirmationStatus) === 'reschedule'],
+        ['New time sent by SMS', ctx.twilio.getMessages(ctx.contact.phone).some(sms => Boolean(newTime) && sms.body.includes(newTime)), ctx.twilio.getMessages(ctx.contact.phone)],
+        ['Repeated availability check shows current slots', Array.isArray(recheck.availableSlots) && !recheck.availableSlots.includes(bookedSlot), recheck.availableSlots],
+        ['Outcome completed', ctx.conversation.endOfCall.outcome === 'completed', ctx.conversation.endOfCall]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - reschedule rolled back when the old appointment cannot be cancelled',
+    setup: (ctx) => {
+      seedAppointmentFor(ctx, { firstName: 'Zahra', lastName: 'Hosseini', phone: '+447700900108' }, 15);
+      ctx.ghl.injectFailure({ method: 'PUT', path: `/calendars/events/appointments/${ctx.appointment.id}`, status: 500 });
+    },
+    start: triggerConfirmation,
+    script: () => ({
+      turns: [...rescheduleTurns(), { assistant: 'Your original time is still booked. Goodbye.' }],
+      endedReason: 'assistant-ended-call',
+      summary: 'Reschedule failed; original appointment kept.'
+    }),
+    verify: async (ctx) => {
+      const result = ctx.conversation.results.reschedule_appointment;
+      const appointments = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      const active = appointments.filter(appointment => appointment.appointmentStatus !== 'cancelled');
+      const checks = [
+        ['Reschedule reported as failed', result?.success === false, result],
+        ['Only the original appointment is active', active.length === 1 && active[0].id === ctx.appointment.id, appointments],
+        ['Stored appointment ID unchanged', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.appointmentId) === ctx.appointment.id],
+        ['No SMS sent', ctx.twilio.getMessages(ctx.contact.phone).length === 0, ctx.twilio.getMessages(ctx.contact.phone)]
+      ];
+
+      // VAPI retries the tool call once GHL has recovered - the failure was not cached
+      const reschedule = ctx.conversation.toolCalls.find(toolCall => toolCall.name === 'reschedule_appointment');
+      const retried = await ctx.simulator.sendFunctionCall(ctx.call, reschedule.name, reschedule.parameters, reschedule.toolCallId);
+      return [...checks, ['Retried tool call runs again and succeeds', retried.success === true, retried]];
+    }
+  },
+
+  {
+    name: 'Confirmation - reschedule when the appointment is gone from GHL',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Omid', lastName: 'Karimi', phone: '+447700900121' }, 11),
+    start: async (ctx) => {
+      const call = await triggerConfirmation(ctx);
+      ctx.ghl.injectFailure({ method: 'GET', path: `/calendars/events/appointments/${ctx.appointment.id}`, status: 404 });
+      return call;
+    },
+    script: () => ({
+      turns: [...rescheduleTurns(), { assistant: 'I could not find your appointment. Please call us on 020 3006 9533. Goodbye.' }],
+      endedReason: 'assistant-ended-call',
+      summary: 'Appointment could not be found to reschedule.'
+    }),
+    verify: (ctx) => {
+      const result = ctx.conversation.results.reschedule_appointment;
+      const appointments = ctx.ghl.getAppointmentsForContact(ctx.contact.id);
+      return [
+        ['Tool result the assistant can speak', result?.success === false && /could not find the appointment/i.test(result.error), result],
+        ['Nothing new booked', appointments.length === 1, appointments]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - reschedule stands when the contact fields cannot be updated',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Leila', lastName: 'Ahmadi', phone: '+447700900122' }, 11),
+    start: async (ctx) => {
+      const call = await triggerConfirmation(ctx);
+      ctx.ghl.injectFailure({ method: 'PUT', path: `/contacts/${ctx.contact.id}`, status: 500 });
+      return call;
+    },
+    script: () => ({
+      turns: [...rescheduleTurns(), { assistant: 'All done, you will get a text. Goodbye.' }],
+      endedReason: 'assistant-ended-call',
+      summary: 'Customer moved their consultation to the next day.'
+    }),
+    verify: (ctx) => {
+      const result = ctx.conversation.results.reschedule_appointment;
+      const booked = ctx.ghl.state.appointments.get(result?.appointmentId);
+      return [
+        ['Reschedule reported as done', result?.success === true, result],
+        ['New appointment booked', booked?.appointmentStatus === 'confirmed', booked],
+        ['Old appointment cancelled', ctx.ghl.state.appointments.get(ctx.appointment.id).appointmentStatus === 'cancelled']
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - call scheduled when an appointment is booked, removed when cancelled',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Nadia', lastName: 'Rostami', phone: '+447700900114' });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: bookingTurns(),
+      endedReason: 'customer-ended-call',
+      summary: 'Caller booked a consultation.'
+    }),
+    verify: async (ctx) => {
+      const booking = ctx.conversation.results.book_appointment;
+      const expectedCallAt = nextWorkingDay().set({ hour: 13, minute: 30, second: 0, millisecond: 0 }).toMillis();
+      const { confirmations } = await ctx.admin(`/admin/confirmations?contactId=${ctx.contact.id}`);
+      const [confirmation] = confirmations;
+
+      // The GHL workflow fires for the same appointment
+      const callsBefore = ctx.vapi.getCalls().length;
+      const trigger = await ctx.ghlWebhook('/webhook/ghl/trigger-confirmation', {
+        contact_id: ctx.contact.id,
+        appointment_id: booking.appointmentId,
+        customer_phone: ctx.contact.phone,
+        appointment_time: confirmation?.appointmentTime
+      });
+
+      await ctx.simulator.sendFunctionCall(ctx.call, 'cancel_appointment', { reason: 'Found another adviser' }, 'call_cancel_booking');
+      const afterCancel = await ctx.admin(`/admin/confirmations?contactId=${ctx.contact.id}`);
+
+      return [
+        ['Booking reports when the confirmation call is', booking.success && new Date(booking.confirmationCallAt).getTime() === expectedCallAt, booking],
+        ['Confirmation call listed an hour before the appointment', confirmations.length === 1 && confirmation.appointmentId === booking.appointmentId && new Date(confirmation.callAt).getTime() === expectedCallAt, confirmations],
+        ['GHL trigger skipped for an appointment the server confirms', trigger.skipped === true && ctx.vapi.getCalls().length === callsBefore, trigger],
+        ['Cancelling the appointment removes the confirmation call', afterCancel.count === 0, afterCancel]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - reminder SMS when the call cannot be placed before the appointment',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Farid', lastName: 'Sultani', phone: '+447700900115' });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: bookingTurns(),
+      endedReason: 'customer-ended-call',
+      summary: 'Caller booked a consultation.'
+    }),
+    verify: async (ctx) => {
+      // Server was down until after the appointment started
+      const [job] = ctx.scheduler.list({ contactId: ctx.contact.id, type: 'confirmation', status: 'pending' });
+      const past = new Date(Date.now() - 60 * 1000).toISOString();
+      ctx.scheduler.store.update(job.id, { runAt: past, notAfter: past });
+      const callsBefore = ctx.vapi.getCalls().length;
+      await ctx.scheduler.runDueJobs();
+
+      const failed = ctx.scheduler.get(job.id);
+      const messages = ctx.twilio.getMessages(ctx.contact.phone);
+
+      // The GHL workflow fires late for the same appointment - the customer already has the reminder
+      const trigger = await ctx.ghlWebhook('/webhook/ghl/trigger-confirmation', {
+        contact_id: ctx.contact.id,
+        appointment_id: job.details.appointmentId,
+        customer_phone: ctx.contact.phone,
+        appointment_time: job.details.appointmentTime
+      });
+
+      return [
+        ['Missed confirmation call not placed', failed.status === 'failed' && ctx.vapi.getCalls().length === callsBefore, failed],
+        ['Reminder SMS sent instead', messages.length === 1 && messages[0].body.includes('Reminder:') && failed.fallback?.smsSent === true, messages],
+        ['GHL trigger skipped after the reminder SMS', trigger.skipped === true && ctx.vapi.getCalls().length === callsBefore, trigger]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - scheduled call not answered - reminder SMS, no retry',
+    setup: async (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Maryam', lastName: 'Jafari', phone: '+447700900116' });
+      const booking = await ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone });
+      const date = nextWorkingDay().toISODate();
+      const { availableSlots } = await ctx.simulator.sendFunctionCall(booking, 'check_calendar_availability', { date, timeOfDay: 'afternoon' }, 'call_check_for_confirmation');
+      ctx.booking = await ctx.simulator.sendFunctionCall(booking, 'book_appointment', { date, time: availableSlots[0] }, 'call_book_for_confirmation');
+      [ctx.job] = ctx.scheduler.list({ contactId: ctx.contact.id, type: 'confirmation', status: 'pending' });
+    },
+    // The scheduled confirmation call our server dialed - nobody picks up
+    start: (ctx) => ctx.simulator.answerOutboundCall({
+      id: `sim-${ctx.job.id}`,
+      assistantId: ctx.job.call.assistantId,
+      customer: { number: ctx.job.call.customerNumber, name: ctx.job.call.customerName },
+      metadata: ctx.job.call.metadata
+    }),
+    script: () => ({ turns: [], endedReason: 'customer-did-not-answer' }),
+    verify: async (ctx) => {
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const messages = ctx.twilio.getMessages(ctx.contact.phone);
+      return [
+        ['Confirmation call is for the booked appointment', ctx.call.assistantId === ctx.ids.confirmation && ctx.call.metadata.appointment_id === ctx.booking.appointmentId, ctx.call],
+        ['Reminder SMS sent', messages.some(sms => sms.body.includes('Reminder:')), messages],
+        ['No retry scheduled', pending.count === 0, pending],
+        ['Status no_answer in GHL', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.confirmationStatus) === 'no_answer']
+      ];
+    }
+  },
+
+  {
+    name: 'No answer on the final attempt - SMS fallback',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Amina',
+        lastName: 'Noor',
+        phone: '+447700900106',
+        customFields: [{ id: ctx.fields.callAttempts, value: '3' }]
+      });
+      const call = { assistantId: ctx.ids.intake, customerNumber: ctx.contact.phone, metadata: { contact_id: ctx.contact.id } };
+      ctx.confirmationJob = ctx.scheduler.schedule({ type: 'confirmation', contactId: ctx.contact.id, runAt: Date.now() + 24 * 60 * 60 * 1000, call });
+      // Already due, still queued behind other jobs when the call ends
+      ctx.retryJob = ctx.scheduler.schedule({ type: 'retry', contactId: ctx.contact.id, runAt: Date.now() - 60 * 1000, call });
+    },
+    // The third retry our server dialed - nobody picks up
+    start: (ctx) => ctx.simulator.answerOutboundCall({
+      id: `sim-${ctx.contact.id}`,
+      assistantId: ctx.ids.intake,
+      customer: { number: ctx.contact.phone, name: 'Amina Noor' },
+      metadata: { contact_id: ctx.contact.id, customerPhone: ctx.contact.phone, customerName: 'Amina Noor', type: 'intake' }
+    }),
+    script: () => ({ turns: [], endedReason: 'customer-did-not-answer' }),
+    verify: async (ctx) => {
+      const contact = ctx.ghl.getContact(ctx.contact.id);
+
+      const callsBefore = ctx.vapi.getCalls().length;
+      await ctx.scheduler.runJob(ctx.retryJob.id);
+
+      // A crash while dialing leaves the job 'running' - it must not be dialed again
+      const interrupted = ctx.scheduler.schedule({ type: 'initial', contactId: ctx.contact.id, runAt: Date.now() - 60 * 1000, call: ctx.retryJob.call });
+      ctx.scheduler.store.update(interrupted.id, { status: 'running' });
+      ctx.scheduler.recoverInterrupted();
+      await ctx.scheduler.runJob(interrupted.id);
+
+      return [
+        ['Outcome failed, max attempts reached', ctx.conversation.endOfCall.outcome === 'failed' && ctx.conversation.endOfCall.maxAttemptsReached, ctx.conversation.endOfCall],
+        ['Fallback SMS sent', ctx.twilio.getMessages(ctx.contact.phone).length === 1, ctx.twilio.getMessages()],
+        ['SMS counts the calls made', ctx.twilio.getMessages(ctx.contact.phone)[0]?.body.includes('tried calling you 3 times'), ctx.twilio.getMessages(ctx.contact.phone)],
+        ['Tagged unreachable', contact.tags.includes('unreachable'), contact.tags],
+        ['Follow-up task created', ctx.ghl.state.tasks.some(task => task.contactId === ctx.contact.id)],
+        ['SMS and task reported as done', ctx.conversation.endOfCall.smsSent === true && ctx.conversation.endOfCall.taskCreated === true, ctx.conversation.endOfCall],
+        ['Confirmation call kept', ctx.scheduler.get(ctx.confirmationJob.id).status === 'pending', ctx.scheduler.get(ctx.confirmationJob.id)],
+        ['Cancelled retry not dialed', ctx.scheduler.get(ctx.retryJob.id).status === 'cancelled' && ctx.vapi.getCalls().length === callsBefore, ctx.scheduler.get(ctx.retryJob.id)],
+        ['Interrupted job left for review', ctx.scheduler.get(interrupted.id).status === 'needs_review' && ctx.vapi.getCalls().length === callsBefore, ctx.scheduler.get(interrupted.id)]
+      ];
+    }
+  },
+
+  {
+    name: 'No answer on the final attempt - fallback SMS fails',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Soheila',
+        lastName: 'Rahimi',
+        phone: '+447700900124',
+        customFields: [{ id: ctx.fields.callAttempts, value: '3' }]
+      });
+      ctx.twilio.injectFailure({ method: 'POST', path: '/2010-04-01/Accounts/', status: 500, times: 5 });
+    },
+    start: (ctx) => ctx.simulator.answerOutboundCall({
+      id: `sim-${ctx.contact.id}`,
+      assistantId: ctx.ids.intake,
+      customer: { number: ctx.contact.phone, name: 'Soheila Rahimi' },
+      metadata: { contact_id: ctx.contact.id, customerPhone: ctx.contact.phone, customerName: 'Soheila Rahimi', type: 'intake' }
+    }),
+    script: () => ({ turns: [], endedReason: 'customer-did-not-answer' }),
+    verify: (ctx) => {
+      const { endOfCall } = ctx.conversation;
+      ctx.twilio.clearFailures();
+      return [
+        ['Max attempts reached', endOfCall.maxAttemptsReached === true, endOfCall],
+        ['SMS failure reported', endOfCall.smsSent === false && ctx.twilio.getMessages(ctx.contact.phone).length === 0, endOfCall],
+        ['Task still created', endOfCall.taskCreated === true && ctx.ghl.state.tasks.some(task => task.contactId === ctx.contact.id), endOfCall]
+      ];
+    }
+  },
+
+  {
+    name: 'Confirmation - one voicemail a day, followed by an SMS',
+    setup: (ctx) => seedAppointmentFor(ctx, { firstName: 'Nasrin', lastName: 'Hosseini', phone: '+447700900120' }, 12),
+    start: triggerConfirmation,
+    // The assistant reaches voicemail, leaves a message and marks the call no_answer
+    script: () => ({
+      turns: [
+        { assistant: 'Hello Nasrin, I am calling to confirm your consultation.' },
+        { user: 'Hi, you have reached Nasrin. Please leave a message after the tone.' },
+        { assistant: 'Hello, this is Sarah from AsylumLaw. Please call us back at 020 3006 9533 if you need to reschedule. Thank you!' },
+        { tool: 'update_confirmation_status', args: { status: 'no_answer' } }
+      ],
+      endedReason: 'assistant-ended-call'
+    }),
+    verify: async (ctx) => {
+      const first = ctx.conversation.endOfCall;
+      const firstMessages = ctx.twilio.getMessages(ctx.contact.phone);
+      const firstVoicemailLeft = ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.voicemailLeft);
+
+      // The workflow tries again the same day - the assistant checks if anyone is there, then leaves no message
+      ctx.secondCall = await triggerConfirmation(ctx, 'second-attempt');
+      const second = await ctx.simulator.runConversation(ctx.secondCall, {
+        turns: [
+          { assistant: 'Hello Nasrin, I am calling to confirm your consultation.' },
+          { assistant: 'Hello, can you hear me?' },
+          { user: 'Hi, you have reached Nasrin. Please leave a message after the tone.' },
+          { tool: 'update_confirmation_status', args: { status: 'no_answer' } }
+        ],
+        endedReason: 'assistant-ended-call'
+      });
+      const history = await ctx.admin(`/admin/contacts/${ctx.contact.id}/calls`);
+
+      return [
+        ['Voicemail counted as a failed call, not completed', first.outcome === 'failed' && first.retry === true, first],
+        ['Message recorded as left', first.voicemail?.detected && first.voicemail.messageLeft && firstVoicemailLeft === 'true', first.voicemail],
+        ['First call allowed to leave a voicemail', ctx.call.assistantOverrides?.variableValues?.leaveVoicemail === 'yes', ctx.call.assistantOverrides?.variableValues],
+        ['Follow-up SMS with our number and booking link', firstMessages.length === 1 && firstMessages[0].body.includes('left you a voicemail') && firstMessages[0].body.includes('020 3006 9533') && firstMessages[0].body.includes('https://sim.example/book'), firstMessages],
+        ['Second call told not to leave another', ctx.secondCall.assistantOverrides?.variableValues?.leaveVoicemail === 'no', ctx.secondCall.assistantOverrides?.variableValues],
+        ['Second voicemail recorded without a message', second.endOfCall.voicemail?.detected && !second.endOfCall.voicemail.messageLeft && ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.voicemailLeft) === 'false', second.endOfCall.voicemail],
+        ['No second SMS the same day', ctx.twilio.getMessages(ctx.contact.phone).length === 1 && second.endOfCall.voicemail?.smsSent === false, ctx.twilio.getMessages(ctx.contact.phone)],
+        ['Voicemail kept in the call history', history.calls?.filter(call => call.voicemail?.detected).length === 2, history]
+      ];
+    }
+  },
+
+  {
+    name: 'Campaign lead - voicemail retried under the paid-campaign policy',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Hamid',
+        lastName: 'Sultani',
+        phone: '+447700900119',
+        customFields: [{ id: ctx.fields.callAttempts, value: '1' }]
+      });
+    },
+    // The initial call our server dialed for a Facebook lead - it goes to voicemail
+    start: (ctx) => ctx.simulator.answerOutboundCall({
+      id: `sim-${ctx.contact.id}`,
+      assistantId: ctx.ids.intake,
+      customer: { number: ctx.contact.phone, name: 'Hamid Sultani' },
+      metadata: { contact_id: ctx.contact.id, customerPhone: ctx.contact.phone, customerName: 'Hamid Sultani', lead_source: 'Facebook', type: 'intake' }
+    }),
+    script: () => ({ turns: [], endedReason: 'voicemail' }),
+    verify: async (ctx) => {
+      const { endOfCall } = ctx.conversation;
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const minutesAway = pending.jobs[0] && (new Date(pending.jobs[0].runAt) - Date.now()) / 60000;
+      const dryRun = await ctx.admin('/admin/retry-policies/dry-run?leadSource=Facebook&endedReason=voicemail&timezone=Europe/London');
+      return [
+        ['Retried under the campaign policy', endOfCall.retry && endOfCall.policy === 'paid-campaign' && endOfCall.maxAttempts === 4, endOfCall],
+        ['Backoff delay of about 3 hours (±15%)', pending.count === 1 && minutesAway >= 150, pending.jobs[0]?.runAt],
+        ['Dry run shows the same policy', dryRun.policy === 'paid-campaign' && dryRun.attempts.length === 3 && dryRun.retryReason === 'voicemail', dryRun]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - retry after a hang-up skips an office closure',
+    setup: async (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Yonas', lastName: 'Tesfaye', phone: '+447700900117' });
+      // Closed from today through the next working day
+      ctx.closure = await ctx.admin('/admin/closures', {
+        method: 'post',
+        body: { from: DateTime.now().setZone('Europe/London').toISODate(), to: nextWorkingDay().toISODate(), name: 'Office move' }
+      });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: [
+        { assistant: 'Hello, thank you for calling AsylumLaw. Am I speaking with Yonas?' },
+        { user: 'Yes, I am from Eritrea.' },
+        { tool: 'update_contact', args: { firstName: 'Yonas', lastName: 'Tesfaye', nationality: 'Eritrea' } },
+        { assistant: 'Thank you. When did you arrive in the UK?' },
+        { user: 'Sorry, I have to go.' }
+      ],
+      endedReason: 'customer-ended-call',
+      summary: 'Caller left before the intake was finished.'
+    }),
+    verify: async (ctx) => {
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const holidays = await ctx.admin(`/admin/holidays?from=${ctx.closure.from}&to=${ctx.closure.to}`);
+      const retryDay = pending.jobs[0] && DateTime.fromISO(pending.jobs[0].runAt).setZone('Europe/London').toISODate();
+      const removed = await ctx.admin(`/admin/closures/${ctx.closure.id}`, { method: 'delete' });
+      const { closures } = await ctx.admin('/admin/closures');
+      return [
+        ['Closure added', ctx.closure.id && ctx.closure.to === nextWorkingDay().toISODate(), ctx.closure],
+        ['Closure listed as days off', holidays.holidays.some(day => day.type === 'closure' && day.name === 'Office move'), holidays],
+        ['Retry scheduled after the closure', pending.count === 1 && retryDay > ctx.closure.to, pending.jobs[0]?.runAt],
+        ['Closure removed', removed.success && !closures.some(closure => closure.id === ctx.closure.id), closures]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - retry kept to the caller\'s preferred call times',
+    setup: (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({ firstName: 'Farid', lastName: 'Rahimi', phone: '+447700900118' });
+    },
+    start: (ctx) => ctx.simulator.startInboundCall({ customerNumber: ctx.contact.phone }),
+    script: () => ({
+      turns: [
+        { assistant: 'Hello, thank you for calling AsylumLaw. Am I speaking with Farid?' },
+        { user: 'Yes. I work until five, please only call me between 5pm and 6pm.' },
+        { tool: 'update_contact', args: { firstName: 'Farid', lastName: 'Rahimi', nationality: 'Afghanistan', callWindowStart: '5pm', callWindowEnd: '6pm' } },
+        { assistant: 'Of course, we will only call you between 5 and 6pm. When did you arrive in the UK?' },
+        { user: 'Sorry, I have to go back to work.' }
+      ],
+      endedReason: 'customer-ended-call',
+      summary: 'Caller asked to be called between 5pm and 6pm and left before the intake was finished.'
+    }),
+    verify: async (ctx) => {
+      const pending = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending&type=retry`);
+      const job = pending.jobs[0];
+      const retryTime = job && DateTime.fromISO(job.runAt).setZone('Europe/London').toFormat('HH:mm');
+      return [
+        ['Call window saved', ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.callWindowStart) === '17:00' &&
+          ctx.ghl.getCustomField(ctx.contact.id, ctx.fields.callWindowEnd) === '18:00'],
+        ['Retry between 5pm and 6pm', pending.count === 1 && retryTime >= '17:00' && retryTime < '18:00', job?.runAt],
+        ['Window kept on the job for the re-check', job?.callWindow?.start === '17:00' && job?.callWindow?.end === '18:00', job?.callWindow]
+      ];
+    }
+  },
+
+  {
+    name: 'Intake - client in Sydney flagged for a manual call, never scheduled',
+    setup: async (ctx) => {
+      ctx.contact = ctx.ghl.seedContact({
+        firstName: 'Mariam',
+        lastName: 'Haidari',
+        phone: '+61291234567',
+        customFields: [{ id: ctx.fields.callWindowStart, value: '09:00' }, { id: ctx.fields.callWindowEnd, value: '17:00' }]
+      });
+      // GHL asks for the initial call - 09:00-17:00 in Sydney never meets London office hours
+      ctx.trigger = await ctx.ghlWebhook('/webhook/ghl/trigger-call', {
+        contact_id: ctx.contact.id,
+        customer_name: 'Mariam Haidari',
+        customer_phone: ctx.contact.phone,
+        timezone: 'Australia/Sydney',
+        call_window_start: '09:00',
+        call_window_end: '17:00'
+      });
+    },
+    // A call placed before her timezone was known - nobody picks up
+    start: (ctx) => ctx.simulator.answerOutboundCall({
+      id: `sim-${ctx.contact.id}`,
+      assistantId: ctx.ids.intake,
+      customer: { number: ctx.contact.phone, name: 'Mariam Haidari' },
+      metadata: { contact_id: ctx.contact.id, customerPhone: ctx.contact.phone, customerName: 'Mariam Haidari', timezone: 'Australia/Sydney', type: 'intake' }
+    }),
+    script: () => ({ turns: [], endedReason: 'customer-did-not-answer' }),
+    verify: async (ctx) => {
+      const { endOfCall } = ctx.conversation;
+      const scheduled = await ctx.admin(`/admin/scheduled-calls?contactId=${ctx.contact.id}&status=pending`);
+      const tasks = ctx.ghl.state.tasks.filter(task => task.contactId === ctx.contact.id);
+      return [
+        ['Initial call not scheduled, flagged instead', ctx.trigger.manualCall === true && ctx.trigger.taskCreated === true, ctx.trigger],
+        ['No retry after the unanswered call', endOfCall.retry === false && endOfCall.noCallingHours === true, endOfCall],
+        ['No call scheduled', scheduled.count === 0, scheduled],
+        ['Manual call tasks created', tasks.length === 2 && tasks.every(task => task.title.includes('Manual call needed')), tasks],
+        ['Tagged for manual follow-up', ctx.ghl.state.contacts.get(ctx.contact.id).tags.includes('needs-manual-followup')]
+      ];
+    }
+  }
+];
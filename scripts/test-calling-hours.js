@@ -0,0 +1,156 @@
+/**
+ * Calling Hours Test
+ *
+ * Checks that nobody is called on bank holidays, office closures or (when
+ * enabled) public holidays in the client's country, and only when both the
+ * office and the client are available (no network):
+ * - Part 1: UK bank holidays in isWithinCallingHours / getNextValidCallingTime
+ * - Part 2: closures from the config file and added at runtime
+ * - Part 3: holidays in the client's country (CLIENT_COUNTRY_HOLIDAYS=true)
+ * - Part 4: office hours in London and the client's window in their timezone
+ *
+ * Run: npm run test:hours
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { check, run } = require('./helpers/test-harness');
+
+// Local wall-clock time → Date
+function at(local, timezone = 'Europe/London') {
+  return DateTime.fromISO(local, { zone: timezone }).toJSDate();
+}
+
+function local(date, timezone = 'Europe/London') {
+  return DateTime.fromJSDate(date).setZone(timezone).toFormat("yyyy-MM-dd'T'HH:mm");
+}
+
+// [label, from (London), expected next calling time (London)]
+const NEXT_CALLING_TIMES = [
+  ['Thursday evening before Easter → Tuesday', '2026-04-02T20:00', '2026-04-07T09:00'],
+  ['Friday before the Spring bank holiday → Tuesday', '2026-05-22T19:30', '2026-05-26T09:00'],
+  ['Christmas Eve evening → after Boxing Day substitute', '2026-12-24T19:30', '2026-12-29T09:00'],
+  ['Ordinary Thursday evening → Friday', '2026-10-22T20:00', '2026-10-23T09:00']
+];
+
+function testBankHolidays(callingHoursValidator, holidayCalendar) {
+  console.log('🧪 Part 1: UK bank holidays');
+
+  check('Good Friday is not a calling day', !callingHoursValidator.isWithinCallingHours(at('2026-04-03T11:00'), 'Europe/London'));
+  check('Easter Monday is not a business day', !callingHoursValidator.isBusinessDay('2026-04-06'));
+  check('Holiday named', holidayCalendar.getHoliday('2026-12-28')?.name === 'Boxing Day (substitute day)', holidayCalendar.getHoliday('2026-12-28'));
+
+  for (const [label, from, expected] of NEXT_CALLING_TIMES) {
+    const next = callingHoursValidator.getNextValidCallingTime(at(from), 'Europe/London');
+    check(label, local(next) === expected, local(next));
+  }
+
+  const before = callingHoursValidator.getPreviousValidCallingTime(at('2026-04-06T10:00'), 'Europe/London', 30);
+  check('Latest time before Easter Monday is Thursday before closing', local(before) === '2026-04-02T18:30', local(before));
+  console.log('');
+}
+
+function testClosures(callingHoursValidator, holidayCalendar) {
+  console.log('🧪 Part 2: Office closures');
+
+  check('Closure from the config file applies', holidayCalendar.getHoliday('2026-11-13')?.type === 'closure', holidayCalendar.getHoliday('2026-11-13'));
+  check('Invalid closure in the config file ignored', holidayCalendar.listClosures().length === 1, holidayCalendar.listClosures());
+
+  const closure = holidayCalendar.addClosure({ from: '2026-12-29', to: '2026-12-31', name: 'Christmas closure' });
+  const next = callingHoursValidator.getNextValidCallingTime(at('2026-12-24T19:30'), 'Europe/London');
+  check('Closure added', closure.id && closure.source === 'admin' && holidayCalendar.getHoliday('2026-12-30')?.name === 'Christmas closure', closure);
+  check('Calls wait until after the closure and New Year', local(next) === '2027-01-04T09:00', local(next));
+
+  const days = holidayCalendar.list('2026-12-24', '2027-01-04').map(day => day.date);
+  check('Days off listed', days.join() === '2026-12-25,2026-12-28,2026-12-29,2026-12-30,2026-12-31,2027-01-01', days);
+
+  let error = null;
+  try {
+    holidayCalendar.addClosure({ from: '2026-12-31', to: '2026-12-29' });
+  } catch (e) {
+    error = e.message;
+  }
+  check('Closure ending before it starts rejected', Boolean(error), error);
+
+  check('Closure removed', holidayCalendar.removeClosure(closure.id) && !holidayCalendar.getHoliday('2026-12-30'));
+  console.log('');
+}
+
+function testCountryHolidays(callingHoursValidator, holidayCalendar) {
+  console.log('🧪 Part 3: Holidays in the client\'s country');
+
+  check('Eid al-Adha in Kabul is not a calling day', !callingHoursValidator.isWithinCallingHours(at('2026-05-27T11:00', 'Asia/Kabul'), 'Asia/Kabul'));
+  check('Same day in London is', callingHoursValidator.isWithinCallingHours(at('2026-05-27T11:00'), 'Europe/London'));
+  check('Country found from the timezone', holidayCalendar.getHoliday('2026-05-27', 'Asia/Kabul')?.country === 'AF');
+  console.log('');
+}
+
+// [label, client timezone, from (client's time), client preferences, expected next calling time (client's time)]
+const CLIENT_WINDOWS = [
+  ['Kabul evening → after the office opens in London', 'Asia/Kabul', '2026-11-02T20:30', {}, '2026-11-03T13:30'],
+  ['Los Angeles after 11:00 → next morning (office closes at 19:00 London)', 'America/Los_Angeles', '2026-11-02T11:30', {}, '2026-11-03T09:00'],
+  ['Client prefers 10:00-12:00 → 10:00', 'Europe/London', '2026-11-02T08:00', { start: '10:00', end: '12:00' }, '2026-11-02T10:00'],
+  ['After the preferred window → next day', 'Europe/London', '2026-11-02T12:30', { start: '10:00', end: '12:00' }, '2026-11-03T10:00'],
+  ['Friday prayers avoided → 14:00', 'Europe/London', '2026-11-06T12:30', { avoidFridayPrayer: true }, '2026-11-06T14:00'],
+  ['Ramadan afternoon in Kabul → next day', 'Asia/Kabul', '2027-02-15T16:30', { observesRamadan: true }, '2027-02-16T13:30']
+];
+
+function testClientWindows(callingHoursValidator) {
+  console.log('🧪 Part 4: Office hours and the client\'s window');
+
+  const monday = at('2026-11-02T16:30');
+  check('Office open at 16:30 London', callingHoursValidator.isOfficeOpen(monday));
+  check('But 21:00 in Kabul is not a calling time', !callingHoursValidator.isWithinCallingHours(monday, 'Asia/Kabul'));
+
+  for (const [label, timezone, from, client, expected] of CLIENT_WINDOWS) {
+    const next = callingHoursValidator.getNextValidCallingTime(at(from, timezone), timezone, client);
+    check(label, local(next, timezone) === expected, local(next, timezone));
+  }
+
+  const sydney = at('2026-11-02T10:00', 'Australia/Sydney');
+  check('No overlap with Sydney → no calling hours', !callingHoursValidator.hasCallingHours('Australia/Sydney', {}, sydney) && !callingHoursValidator.isWithinCallingHours(sydney, 'Australia/Sydney'));
+  check('No next or previous calling time for Sydney',
+    callingHoursValidator.getNextValidCallingTime(sydney, 'Australia/Sydney') === null && callingHoursValidator.getPreviousValidCallingTime(sydney, 'Australia/Sydney') === null);
+  check('An evening window in Sydney overlaps the London morning', callingHoursValidator.hasCallingHours('Australia/Sydney', { start: '18:00', end: '22:00' }, sydney));
+
+  check('Friday prayers only avoided when asked', callingHoursValidator.isWithinCallingHours(at('2026-11-06T12:30'), 'Europe/London'));
+  check('Ramadan hours only when asked', callingHoursValidator.isWithinCallingHours(at('2027-02-15T16:30', 'Asia/Kabul'), 'Asia/Kabul'));
+
+  const before = callingHoursValidator.getPreviousValidCallingTime(at('2026-11-03T09:30'), 'Europe/London', 30, { start: '10:00', end: '12:00' });
+  check('Latest time before Tuesday 09:30 is Monday 11:30', local(before) === '2026-11-02T11:30', local(before));
+
+  const window = callingHoursValidator.getClientWindow({ start: 'late', end: '08:00' });
+  check('Invalid preferences fall back to the defaults', window.start === '09:00' && window.end === '20:00', window);
+
+  const preferences = callingHoursValidator.getClientPreferences({
+    customFields: { callWindowStart: '18:00', callWindowEnd: '20:00', avoidFridayPrayer: 'true', observesRamadan: '' }
+  });
+  check('Preferences read from the contact', JSON.stringify(preferences) === JSON.stringify({ start: '18:00', end: '20:00', avoidFridayPrayer: true }), preferences);
+  console.log('');
+}
+
+run('CALLING HOURS TEST - holidays and closures', {
+  dataDir: 'hours',
+  env: {
+    CLIENT_COUNTRY_HOLIDAYS: 'true',
+    BUSINESS_HOURS_START: '09:00',
+    BUSINESS_HOURS_END: '19:00',
+    BUSINESS_DAYS: '1,2,3,4,5'
+  }
+}, async ({ dataDir }) => {
+  const closuresFile = path.join(dataDir, 'office-closures.json');
+  fs.writeFileSync(closuresFile, JSON.stringify([
+    { date: '2026-11-13', name: 'Staff training day' },
+    { from: '2026-11-20', to: 'soon', name: 'Not a date' }
+  ]));
+  process.env.CLOSURES_FILE = closuresFile;
+
+  const callingHoursValidator = require('../src/services/calling-hours-validator');
+  const holidayCalendar = require('../src/services/holiday-calendar');
+
+  testBankHolidays(callingHoursValidator, holidayCalendar);
+  testClosures(callingHoursValidator, holidayCalendar);
+  testCountryHolidays(callingHoursValidator, holidayCalendar);
+  testClientWindows(callingHoursValidator);
+});
@@ -0,0 +1,115 @@
+/**
+ * Date Resolution Test
+ *
+ * Checks that spoken dates and times sent by the assistants are resolved
+ * server-side in the caller's timezone, relative to the start of the call:
+ * - Part 1: phrase → date/time table against a fixed call start (no network)
+ * - Part 2: check_calendar_availability → book_appointment with spoken phrases against the mock GHL API
+ *
+ * Run: npm run test:dates
+ */
+
+const { DateTime } = require('luxon');
+const { check, run } = require('./helpers/test-harness');
+
+// Call started on Sunday 18 October 2026, 10:00 in London
+const LONDON = { timezone: 'Europe/London', reference: '2026-10-18T09:00:00Z' };
+// Same evening instant is already Monday in Kabul
+const KABUL = { timezone: 'Asia/Kabul', reference: '2026-10-18T21:00:00Z' };
+
+// [phrase, context, expected date (null = not understood), expected timeOfDay]
+const DATES = [
+  ['tomorrow', LONDON, '2026-10-19'],
+  ['tomorrow afternoon', LONDON, '2026-10-19', 'afternoon'],
+  ['this Friday', LONDON, '2026-10-23'],
+  ['Friday', LONDON, '2026-10-23'],
+  ['next Tuesday', LONDON, '2026-10-20'],
+  ['Sunday', LONDON, '2026-10-25'],
+  ['day after tomorrow', LONDON, '2026-10-20'],
+  ['in 3 days', LONDON, '2026-10-21'],
+  ['23rd October', LONDON, '2026-10-23'],
+  ['October 23', LONDON, '2026-10-23'],
+  ['Friday the 23rd', LONDON, '2026-10-23'],
+  ['Thursday the 23rd', LONDON, null],
+  ['2nd of January', LONDON, '2027-01-02'],
+  ['23/10', LONDON, '2026-10-23'],
+  ['2026-11-05', LONDON, '2026-11-05'],
+  ['2026-02-30', LONDON, null],
+  ['this afternoon', LONDON, '2026-10-18', 'afternoon'],
+  ['whenever', LONDON, null],
+  ['tomorrow', KABUL, '2026-10-20'],
+  ['today', KABUL, '2026-10-19']
+];
+
+const TIMES = [
+  ['2pm', '14:00'],
+  ['2:30 p.m.', '14:30'],
+  ['14:00', '14:00'],
+  ['09:30', '09:30'],
+  ['half past three', '15:30'],
+  ['half three', '15:30'],
+  ['quarter to four', '15:45'],
+  ['quarter past ten', '10:15'],
+  ['ten thirty', '10:30'],
+  ['3', '15:00'],
+  ["11 o'clock", '11:00'],
+  ['noon', '12:00'],
+  ['4 in the afternoon', '16:00'],
+  ['soon', null]
+];
+
+function testPhrases(dateResolver) {
+  console.log('🧪 Part 1: Phrases resolved against the call start');
+
+  for (const [phrase, context, expected, timeOfDay = null] of DATES) {
+    const resolved = dateResolver.resolveDate(phrase, context);
+    const zone = context === KABUL ? 'Kabul' : 'London';
+    check(
+      `"${phrase}" (${zone}) → ${expected || 'not understood'}${timeOfDay ? ` ${timeOfDay}` : ''}`,
+      expected ? resolved?.date === expected && resolved.timeOfDay === timeOfDay : resolved === null,
+      resolved
+    );
+  }
+
+  for (const [phrase, expected] of TIMES) {
+    const resolved = dateResolver.resolveTime(phrase);
+    check(`"${phrase}" → ${expected || 'not understood'}`, resolved === expected, resolved);
+  }
+  console.log('');
+}
+
+async function testTools(mock, vapiHandler) {
+  console.log('🧪 Part 2: Calendar tools called with spoken phrases');
+
+  // Next working day (mock slots are Mon-Fri), named the way a caller would
+  let day = DateTime.now().setZone('Europe/London').plus({ days: 1 });
+  while (day.weekday > 5) day = day.plus({ days: 1 });
+  const phrase = `this ${day.toFormat('cccc')} afternoon`;
+
+  const contact = mock.seedContact({ firstName: 'Leyla', lastName: 'Karimi', phone: '+447700900301' });
+  const metadata = { customerPhone: contact.phone, contact_id: contact.id, type: 'intake' };
+  const callStartedAt = new Date().toISOString();
+
+  const availability = await vapiHandler.executeFunction('check_calendar_availability', { date: phrase }, metadata, null, callStartedAt);
+  check(`"${phrase}" resolved to ${day.toISODate()}`, availability.date === day.toISODate(), availability.resolved);
+  check('Resolved date returned for read-back', availability.resolved?.date?.spoken === day.toFormat('cccc d LLLL'), availability.resolved);
+  check('Only afternoon slots offered', availability.slotsCount > 0 && availability.availableSlots.every(time => time >= '12:00' && time < '17:00'), availability.availableSlots);
+
+  const booking = await vapiHandler.executeFunction('book_appointment', { date: `this ${day.toFormat('cccc')}`, time: 'half past two' }, metadata, null, callStartedAt);
+  const appointment = mock.state.appointments.get(booking.appointmentId);
+  const bookedLocal = appointment && DateTime.fromISO(appointment.startTime).setZone('Europe/London');
+  check('Booked at 14:30 on the resolved day', booking.success && bookedLocal?.toFormat('yyyy-MM-dd HH:mm') === `${day.toISODate()} 14:30`, booking);
+  check('Resolved time returned', booking.resolved?.time?.value === '14:30', booking.resolved);
+
+  const unclear = await vapiHandler.executeFunction('check_calendar_availability', { date: 'sometime soon' }, metadata, null, callStartedAt);
+  check('Phrase that is not a date asks for the date again', unclear.success === false && unclear.invalidParameters?.includes('date'), unclear);
+  console.log('');
+}
+
+run('DATE RESOLUTION TEST - spoken dates and times', { dataDir: 'dates', ghl: true }, async ({ mock }) => {
+  const dateResolver = require('../src/services/date-resolver');
+  const vapiHandler = require('../src/webhooks/vapi-function-handler');
+
+  testPhrases(dateResolver);
+  await testTools(mock, vapiHandler);
+});
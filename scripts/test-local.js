@@ -173,6 +173,77 @@ async function runTests() {
   console.log('  ✅ Custom fields builder working');
   console.log('');
 
+  // Test 5: VAPI tool-calls message format (no API calls - unknown tool)
+  console.log('🧪 Test 5: VAPI tool-calls Response Shape');
+  const vapiHandler = require('../src/webhooks/vapi-function-handler');
+
+  const toolCallsResponse = await vapiHandler.handleFunctionCall({
+    message: {
+      type: 'tool-calls',
+      toolCallList: [
+        { id: 'tool-call-1', type: 'function', function: { name: 'local_test_tool', arguments: '{"date":"2024-12-20"}' } },
+        { id: 'tool-call-2', type: 'function', function: { name: 'local_test_tool', arguments: { date: '2024-12-21' } } }
+      ]
+    },
+    call: { id: 'test-call-123', metadata: {} }
+  });
+
+  const shapeOk = Array.isArray(toolCallsResponse.results) &&
+    toolCallsResponse.results.length === 2 &&
+    toolCallsResponse.results.every(r => r.toolCallId && typeof r.result === 'string');
+  console.log(`  ${shapeOk ? '✅' : '❌'} results[] keyed by toolCallId:`,
+    toolCallsResponse.results?.map(r => r.toolCallId).join(', '));
+  console.log('');
+
+  // Test 6: Call outcome classification
+  console.log('🧪 Test 6: Call Outcome Classification');
+  const callOutcomeClassifier = require('../src/services/call-outcome-classifier');
+
+  const outcomeScenarios = [
+    {
+      label: 'Hung up after booking',
+      endedReason: 'customer-ended-call',
+      durationSeconds: 240,
+      toolCalls: [{ name: 'book_appointment', result: '{"success":true}' }],
+      expected: 'completed'
+    },
+    { label: 'Hung up mid-intake', endedReason: 'customer-ended-call', durationSeconds: 90, toolCalls: [], expected: 'partial' },
+    { label: 'No answer', endedReason: 'customer-did-not-answer', durationSeconds: 0, toolCalls: [], expected: 'failed' }
+  ];
+
+  for (const scenario of outcomeScenarios) {
+    const { outcome } = callOutcomeClassifier.classify({ ...scenario, assistantType: 'intake' });
+    const status = outcome === scenario.expected ? '✅' : '❌';
+    console.log(`  ${status} ${scenario.label} → ${outcome}`);
+  }
+  console.log('');
+
+  // Test 7: GHL webhook verification
+  console.log('🧪 Test 7: GHL Webhook Verification');
+  process.env.WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'local-test-secret';
+  const webhookVerifier = require('../src/services/webhook-verifier');
+
+  const rawBody = Buffer.from('{"contact_id":"test-contact-456"}');
+  const request = (headers) => ({ rawBody, get: (name) => headers[name] });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signed = { 'x-webhook-signature': webhookVerifier.sign(timestamp, rawBody), 'x-webhook-timestamp': timestamp };
+  const sharedSecret = { 'x-webhook-secret': process.env.WEBHOOK_SECRET };
+
+  const verificationScenarios = [
+    { label: 'Shared secret', headers: sharedSecret, expected: true },
+    { label: 'Shared secret when signatures are required', headers: sharedSecret, options: { requireSignature: true }, expected: false },
+    { label: 'Shared secret when timestamps are required', headers: { ...sharedSecret, 'x-webhook-timestamp': timestamp }, options: { requireTimestamp: true }, expected: false },
+    { label: 'Signed request when signatures are required', headers: signed, options: { requireSignature: true }, expected: true },
+    { label: 'Same signed request replayed', headers: signed, expected: false }
+  ];
+
+  for (const { label, headers, options, expected } of verificationScenarios) {
+    const { valid, reason } = webhookVerifier.verifyGHLRequest(request(headers), options);
+    const status = valid === expected ? '✅' : '❌';
+    console.log(`  ${status} ${label} → ${valid ? 'accepted' : `rejected (${reason})`}`);
+  }
+  console.log('');
+
   // Summary
   console.log('============================================');
   console.log('  ALL LOCAL TESTS COMPLETED');
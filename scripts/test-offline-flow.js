@@ -0,0 +1,120 @@
+/**
+ * Offline Flow Test
+ *
+ * Runs the intake → booking → confirmation flow against the mock GHL API
+ * (scripts/mocks/ghl-mock-server.js) - no credentials or network needed.
+ *
+ * Run: npm run test:offline
+ */
+
+const { DateTime } = require('luxon');
+const { check, run } = require('./helpers/test-harness');
+
+// Mock custom field IDs so assertions don't depend on the local .env
+const FIELD_IDS = {
+  GHL_FIELD_NATIONALITY: 'mock_nationality',
+  GHL_FIELD_TRIAGE_STATUS: 'mock_triage',
+  GHL_FIELD_CONFIRMATION_STATUS: 'mock_confirmation_status',
+  GHL_FIELD_CALL_OUTCOME: 'mock_call_outcome'
+};
+
+/**
+ * Next working day in London (slots are generated Mon-Fri)
+ */
+function nextWorkingDay() {
+  let day = DateTime.now().setZone('Europe/London').plus({ days: 1 });
+  while (day.weekday > 5) day = day.plus({ days: 1 });
+  return day.toISODate();
+}
+
+run('OFFLINE FLOW TEST - Mock GHL API', { dataDir: 'offline', ghl: true, env: FIELD_IDS }, async ({ mock }) => {
+  const vapiHandler = require('../src/webhooks/vapi-function-handler');
+  const endOfCallHandler = require('../src/webhooks/end-of-call-handler');
+
+  let toolCallCount = 0;
+  const callTool = async (name, args, metadata) => {
+    toolCallCount++;
+    const response = await vapiHandler.handleFunctionCall({
+      message: {
+        type: 'tool-calls',
+        toolCallList: [{ id: `offline-tool-${toolCallCount}`, type: 'function', function: { name, arguments: args } }]
+      },
+      call: { id: 'offline-call-1', metadata }
+    });
+    return JSON.parse(response.results[0].result);
+  };
+
+  const customerPhone = '+447700900123';
+  const metadata = { customerPhone, timezone: 'Europe/London', type: 'intake' };
+  const date = nextWorkingDay();
+
+  // Step 1: Intake creates the contact
+  console.log('🧪 Step 1: Intake - update_contact');
+  const saved = await callTool('update_contact', {
+    firstName: 'Ahmad',
+    lastName: 'Hassan',
+    nationality: 'Syria',
+    triageStatus: 'private-candidate'
+  }, metadata);
+  const contact = mock.getContact(saved.contactId);
+  check('Contact created in GHL', saved.success && contact, saved);
+  check('Nationality saved as custom field', mock.getCustomField(saved.contactId, 'mock_nationality') === 'Syria');
+  check('Triage tag added', contact?.tags.includes('private-candidate'), contact?.tags);
+  metadata.contact_id = saved.contactId;
+  console.log('');
+
+  // Step 2: Availability
+  console.log(`🧪 Step 2: Availability - check_calendar_availability (${date})`);
+  const availability = await callTool('check_calendar_availability', { date }, metadata);
+  check('Slots returned', availability.success && availability.slotsCount > 0, availability);
+  console.log('');
+
+  // Step 3: Booking
+  console.log('🧪 Step 3: Booking - book_appointment');
+  const time = availability.availableSlots?.[0];
+  const booking = await callTool('book_appointment', { date, time }, metadata);
+  const appointment = mock.state.appointments.get(booking.appointmentId);
+  check('Appointment created', booking.success && appointment, booking);
+  check('Appointment is for the contact', appointment?.contactId === saved.contactId);
+  console.log('');
+
+  // Step 4: GHL outage while checking availability
+  console.log('🧪 Step 4: Failure injection - free-slots returns 500 once');
+  mock.injectFailure({ method: 'GET', path: '/calendars/', status: 500 });
+  const failed = await callTool('check_calendar_availability', { date }, metadata);
+  check('Tool reports the failure', failed.success === false, failed);
+  const recovered = await callTool('check_calendar_availability', { date }, metadata);
+  check('Next call succeeds', recovered.success === true, recovered);
+  console.log('');
+
+  // Step 5: Confirmation call
+  console.log('🧪 Step 5: Confirmation - update_confirmation_status');
+  const confirmationMetadata = { ...metadata, type: 'confirmation', appointment_id: booking.appointmentId };
+  const confirmed = await callTool('update_confirmation_status', { status: 'confirmed' }, confirmationMetadata);
+  check('Status updated', confirmed.success, confirmed);
+  check('confirmationStatus field is confirmed',
+    mock.getCustomField(saved.contactId, 'mock_confirmation_status') === 'confirmed');
+  console.log('');
+
+  // Step 6: Cancellation frees the slot
+  console.log('🧪 Step 6: Cancellation - cancel_appointment');
+  const cancelled = await callTool('cancel_appointment', { reason: 'Offline test' }, confirmationMetadata);
+  check('Appointment cancelled', cancelled.success && appointment?.appointmentStatus === 'cancelled', cancelled);
+  console.log('');
+
+  // Step 7: End of call
+  console.log('🧪 Step 7: End of call - completed intake');
+  const endOfCall = await endOfCallHandler.handleEndOfCall({
+    call: { id: 'offline-call-1', metadata },
+    endedReason: 'customer-ended-call',
+    summary: 'Intake completed and consultation booked.',
+    messages: [
+      { role: 'tool_calls', toolCalls: [{ id: 'booking', function: { name: 'book_appointment', arguments: JSON.stringify({ date, time }) } }] },
+      { role: 'tool_call_result', toolCallId: 'booking', result: JSON.stringify(booking) }
+    ]
+  });
+  check('Outcome is completed (no retry)', endOfCall.outcome === 'completed' && endOfCall.retry === false, endOfCall);
+  check('Call note posted to contact', mock.state.notes.some(note => note.contactId === saved.contactId));
+  check('call_outcome field set', mock.getCustomField(saved.contactId, 'mock_call_outcome') === 'completed');
+  console.log('');
+});
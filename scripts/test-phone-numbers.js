@@ -0,0 +1,91 @@
+/**
+ * Phone Number Test
+ *
+ * Checks that phone numbers from forms, GHL and the assistants are normalised
+ * to E.164 and that impossible numbers are rejected before dialing (no network):
+ * - Part 1: input (with optional country hint) → E.164 and number type
+ * - Part 2: timezone detection and SMS eligibility on the normalised number
+ * - Part 3: +1 numbers resolved to their country by area code
+ *
+ * Run: npm run test:phones
+ */
+
+const { check, run } = require('./helpers/test-harness');
+
+// [input, country hint, expected E.164 (null = rejected), expected type]
+const NUMBERS = [
+  ['07700 900123', null, '+447700900123', 'mobile'],
+  ['+44 (0)7700 900123', null, '+447700900123', 'mobile'],
+  ['447700900123', null, '+447700900123', 'mobile'],
+  ['020 7946 0958', null, '+442079460958', 'landline'],
+  ['00963 944 123 456', null, '+963944123456', 'mobile'],
+  ['0093 70 090 0202', null, '+93700900202', 'mobile'],
+  ['06 12 34 56 78', 'France', '+33612345678', 'mobile'],
+  ['01 23 45 67 89', 'FR', '+33123456789', 'landline'],
+  ['0944 123 456', 'Syria', '+963944123456', 'mobile'],
+  ['+1 (212) 555-0203', null, '+12125550203', 'unknown'],
+  ['011 44 7700 900123', 'United States', '+447700900123', 'mobile'],
+  ['+256 772 123456', 'Uganda', '+256772123456', 'unknown'],
+  ['07700 900123 ext 12', null, '+447700900123', 'mobile'],
+  ['06 12 34 56 78', null, null],          // French mobile read as a UK number
+  ['0772 123456', 'Uganda', null],         // no numbering plan - needs the country code
+  ['+4477009001', null, null],             // too short
+  ['+999 123 456 789', null, null],        // no such country code
+  ['+1 055 555 0100', null, null],         // area codes never start with 0
+  ['call me back', null, null],
+  ['', null, null]
+];
+
+// [+1 number, country hint, expected country]
+const NANP_NUMBERS = [
+  ['+1 (212) 555-0203', null, 'US'],
+  ['+1 416 555 0123', null, 'CA'],
+  ['+1 604 555 0199', null, 'CA'],
+  ['(514) 555-0142', 'United States', 'CA'],  // the area code wins over the hint
+  ['212 555 0100', 'Canada', 'US'],
+  ['+1 876 555 0123', null, 'JM'],
+  ['+1 809 555 0100', null, 'DO'],
+  ['+1 787 555 0100', null, 'PR'],
+  ['+1 441 555 0100', null, 'BM']
+];
+
+function testNumbers(phoneNumber) {
+  console.log('🧪 Part 1: Numbers normalised to E.164');
+
+  for (const [input, country, expected, type] of NUMBERS) {
+    const parsed = phoneNumber.parse(input, { country });
+    const label = `"${input}"${country ? ` (${country})` : ''} → ${expected ? `${expected} ${type}` : 'rejected'}`;
+    check(label, expected ? parsed.valid && parsed.e164 === expected && parsed.type === type : !parsed.valid && Boolean(parsed.error), parsed);
+  }
+  console.log('');
+}
+
+function testConsumers(phoneNumber, timezoneDetector) {
+  console.log('🧪 Part 2: Timezones and SMS on normalised numbers');
+
+  check('"00963..." detected as Damascus', timezoneDetector.detectTimezone('00963 944 123 456') === 'Asia/Damascus');
+  check('National UK number detected as London', timezoneDetector.detectTimezone('07700 900123') === 'Europe/London');
+  check('Mobile can receive SMS', phoneNumber.canReceiveSms('07700 900123'));
+  check('Landline cannot receive SMS', !phoneNumber.canReceiveSms('020 7946 0958'));
+  check('Country without a plan can receive SMS', phoneNumber.canReceiveSms('+256 772 123456'));
+  console.log('');
+}
+
+function testNanp(phoneNumber) {
+  console.log('🧪 Part 3: +1 numbers by area code');
+
+  for (const [input, country, expected] of NANP_NUMBERS) {
+    const parsed = phoneNumber.parse(input, { country });
+    check(`"${input}"${country ? ` (${country})` : ''} → ${expected}`, parsed.valid && parsed.country === expected, parsed);
+  }
+  console.log('');
+}
+
+run('PHONE NUMBER TEST - E.164 normalisation', {}, async () => {
+  const phoneNumber = require('../src/services/phone-number');
+  const timezoneDetector = require('../src/services/timezone-detector');
+
+  testNumbers(phoneNumber);
+  testConsumers(phoneNumber, timezoneDetector);
+  testNanp(phoneNumber);
+});
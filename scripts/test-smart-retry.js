@@ -0,0 +1,192 @@
+/**
+ * Smart Retry Test
+ *
+ * Checks the retry policies in src/config/retry-policies.js (no network):
+ * - Part 1: VAPI ended reasons → retry reasons
+ * - Part 2: policy chosen by assistant type and lead source
+ * - Part 3: delays, backoff, jitter and max attempts
+ * - Part 4: the per-day attempt cap
+ * - Part 5: dry runs
+ * - Part 6: policies from RETRY_POLICIES_FILE
+ *
+ * Run: npm run test:retry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { check, run } = require('./helpers/test-harness');
+
+// Local wall-clock time → Date
+function at(local, timezone = 'Europe/London') {
+  return DateTime.fromISO(local, { zone: timezone }).toJSDate();
+}
+
+function local(date, timezone = 'Europe/London') {
+  return DateTime.fromJSDate(new Date(date)).setZone(timezone).toFormat("yyyy-MM-dd'T'HH:mm");
+}
+
+// [VAPI ended reason, expected retry reason]
+const ENDED_REASONS = [
+  ['customer-did-not-answer', 'no-answer'],
+  ['voicemail', 'voicemail'],
+  ['twilio-failed-to-connect-call', 'connection-failed'],
+  ['call.start.error-get-transport', 'connection-failed'],
+  ['customer-busy', 'busy'],
+  ['customer-ended-call', 'hung-up'],
+  ['pipeline-error-openai-llm-failed', 'assistant-error'],
+  ['silence-timed-out', 'default'],
+  [undefined, 'default']
+];
+
+// [label, call, expected policy]
+const POLICY_CHOICES = [
+  ['Intake call with no lead source', { assistantType: 'intake' }, 'default'],
+  ['Intake call from a Facebook lead', { assistantType: 'intake', leadSource: 'Facebook' }, 'paid-campaign'],
+  ['Emergency follow-up', { assistantType: 'emergency', leadSource: 'Facebook' }, 'emergency'],
+  ['Confirmation call', { assistantType: 'confirmation' }, 'confirmation'],
+  ['Unknown assistant', { assistantType: 'survey' }, 'default']
+];
+
+function testEndedReasons(smartRetryCalculator) {
+  console.log('🧪 Part 1: Ended reasons');
+
+  for (const [endedReason, expected] of ENDED_REASONS) {
+    const reason = smartRetryCalculator.getRetryReason(endedReason);
+    check(`${endedReason || '(none)'} → ${expected}`, reason === expected, reason);
+  }
+  console.log('');
+}
+
+function testPolicyChoice(smartRetryCalculator) {
+  console.log('🧪 Part 2: Policy by assistant and lead source');
+
+  for (const [label, call, expected] of POLICY_CHOICES) {
+    const policy = smartRetryCalculator.getPolicy(call);
+    check(`${label} → ${expected}`, policy.name === expected, policy.name);
+  }
+
+  const invalid = smartRetryCalculator.getConfiguration().policies
+    .map(policy => [policy.name, smartRetryCalculator.validatePolicy(policy)])
+    .filter(([, error]) => error);
+  check('Bundled policies are valid', invalid.length === 0, invalid);
+  console.log('');
+}
+
+function testDelays(smartRetryCalculator) {
+  console.log('🧪 Part 3: Delays, backoff, jitter and max attempts');
+
+  // Monday 09:00 London - every delay below lands within calling hours
+  const now = at('2026-11-02T09:00');
+  const retry = (options) => smartRetryCalculator.calculateRetry({ timezone: 'Europe/London', now, random: () => 0.5, ...options });
+
+  const noAnswer = retry({ endedReason: 'customer-did-not-answer', currentAttempts: 0 });
+  check('No answer: first retry in 30 minutes', noAnswer.shouldRetry && noAnswer.originalDelayMinutes === 30 && local(noAnswer.nextCallTime) === '2026-11-02T09:30', noAnswer);
+
+  const hungUp = retry({ endedReason: 'customer-ended-call', currentAttempts: 2 });
+  check('Hung up: third retry after 24 hours', hungUp.originalDelayMinutes === 1440 && local(hungUp.nextCallTime) === '2026-11-03T09:00', hungUp);
+
+  const campaign = (currentAttempts) => retry({ endedReason: 'voicemail', currentAttempts, leadSource: 'facebook' }).originalDelayMinutes;
+  check('Campaign backoff: 60, 180, 540 minutes', [0, 1, 2].map(campaign).join() === '60,180,540', [0, 1, 2].map(campaign));
+  check('Backoff capped at its max', smartRetryCalculator.getDelayMinutes(smartRetryCalculator.getPolicy({ leadSource: 'facebook' }), 'voicemail', 6) === 1440);
+
+  const low = retry({ endedReason: 'voicemail', currentAttempts: 1, leadSource: 'facebook', random: () => 0 });
+  const high = retry({ endedReason: 'voicemail', currentAttempts: 1, leadSource: 'facebook', random: () => 0.999 });
+  check('Jitter spreads the delay by up to 15%', low.jitteredDelayMinutes === 153 && high.jitteredDelayMinutes === 207, [low.jitteredDelayMinutes, high.jitteredDelayMinutes]);
+  check('No jitter without jitterPercent', retry({ endedReason: 'customer-busy', random: () => 0 }).jitteredDelayMinutes === 60);
+
+  const last = retry({ endedReason: 'customer-did-not-answer', currentAttempts: 3 });
+  check('Default policy stops after 3 calls', !last.shouldRetry && last.maxAttempts === 3 && last.action === 'send_sms_fallback', last);
+
+  const emergency = retry({ endedReason: 'customer-did-not-answer', currentAttempts: 3, assistantType: 'emergency' });
+  check('Emergency policy keeps going after 3 calls', emergency.shouldRetry && emergency.maxAttempts === 5, emergency);
+
+  const sydney = retry({ endedReason: 'customer-did-not-answer', currentAttempts: 1, timezone: 'Australia/Sydney' });
+  check('No calling hours shared with Sydney: manual call instead', !sydney.shouldRetry && sydney.reason === 'no_calling_hours' && sydney.action === 'manual_call', sydney);
+  console.log('');
+}
+
+function testDailyCap(smartRetryCalculator) {
+  console.log('🧪 Part 4: Calls per day');
+
+  const now = at('2026-11-02T12:00');
+  const options = { endedReason: 'twilio-failed-to-connect-call', currentAttempts: 1, leadSource: 'facebook', timezone: 'Europe/London', now, random: () => 0.5 };
+
+  const second = smartRetryCalculator.calculateRetry({ ...options, callTimes: [now.toISOString()] });
+  check('Second call the same day allowed', local(second.nextCallTime) === '2026-11-02T13:00' && !second.deferredForDailyCap, second);
+
+  const third = smartRetryCalculator.calculateRetry({ ...options, callTimes: [at('2026-11-02T09:00').toISOString(), now.toISOString()] });
+  check('Third call moved to the next day', local(third.nextCallTime) === '2026-11-03T09:00' && third.deferredForDailyCap, third);
+
+  const uncapped = smartRetryCalculator.calculateRetry({ ...options, leadSource: undefined, callTimes: [at('2026-11-02T09:00').toISOString(), now.toISOString()] });
+  check('No cap in the default policy', local(uncapped.nextCallTime) === '2026-11-02T15:00' && !uncapped.deferredForDailyCap, uncapped);
+  console.log('');
+}
+
+function testDryRun(smartRetryCalculator) {
+  console.log('🧪 Part 5: Dry runs');
+
+  const schedule = smartRetryCalculator.dryRun({ from: at('2026-11-02T09:00').toISOString(), timezone: 'Europe/London' });
+  check('Default schedule: 2 retries, then SMS',
+    schedule.policy === 'default' && schedule.attempts.map(attempt => local(attempt.callAt)).join() === '2026-11-02T11:00,2026-11-02T15:00' && schedule.then === 'send_sms_fallback',
+    schedule.attempts);
+
+  const campaign = smartRetryCalculator.dryRun({ from: at('2026-11-02T09:00').toISOString(), timezone: 'Europe/London', leadSource: 'Facebook', endedReason: 'voicemail' });
+  check('Campaign schedule shows backoff and jitter',
+    campaign.policy === 'paid-campaign' && campaign.attempts.length === 3 && campaign.attempts[1].delayMinutes === 540 && campaign.attempts[1].jitterMinutes === 81,
+    campaign.attempts);
+  check('Evening retry moved to the next morning', campaign.attempts[1].adjustedForCallingHours && local(campaign.attempts[1].callAt) === '2026-11-03T09:00', campaign.attempts[1]);
+
+  const sydney = smartRetryCalculator.dryRun({ from: at('2026-11-02T09:00').toISOString(), timezone: 'Australia/Sydney' });
+  check('Sydney schedule: no retries, then a manual call', sydney.attempts.length === 0 && sydney.then === 'manual_call', sydney);
+
+  let error = null;
+  try {
+    smartRetryCalculator.dryRun({ from: 'next week' });
+  } catch (e) {
+    error = e.message;
+  }
+  check('Invalid start time rejected', Boolean(error), error);
+  console.log('');
+}
+
+function testPoliciesFile(smartRetryCalculator, dataDir) {
+  console.log('🧪 Part 6: Policies from RETRY_POLICIES_FILE');
+
+  const file = path.join(dataDir, 'retry-policies.json');
+  fs.writeFileSync(file, JSON.stringify({
+    policies: [
+      { name: 'no-reason', maxAttempts: 2, delays: { 'hold-music': [10], default: [10] } },
+      { name: 'patient', match: {}, maxAttempts: 6, maxPerDay: 1, delays: { default: { initial: 240, multiplier: 2 } } }
+    ]
+  }));
+
+  // As if the server had started with RETRY_POLICIES_FILE set
+  smartRetryCalculator.policiesFile = file;
+  smartRetryCalculator.policies = null;
+
+  const names = smartRetryCalculator.getConfiguration().policies.map(policy => policy.name);
+  check('Invalid policy in the file skipped', names.join() === 'patient', names);
+  check('File policy used', smartRetryCalculator.getPolicy({ assistantType: 'emergency' }).maxAttempts === 6);
+  console.log('');
+}
+
+run('SMART RETRY TEST - retry policies', {
+  dataDir: 'retry',
+  env: {
+    BUSINESS_HOURS_START: '09:00',
+    BUSINESS_HOURS_END: '19:00',
+    BUSINESS_DAYS: '1,2,3,4,5'
+  }
+}, async ({ dataDir }) => {
+  delete process.env.RETRY_POLICIES_FILE;
+
+  const smartRetryCalculator = require('../src/services/smart-retry-calculator');
+
+  testEndedReasons(smartRetryCalculator);
+  testPolicyChoice(smartRetryCalculator);
+  testDelays(smartRetryCalculator);
+  testDailyCap(smartRetryCalculator);
+  testDryRun(smartRetryCalculator);
+  testPoliciesFile(smartRetryCalculator, dataDir);
+});
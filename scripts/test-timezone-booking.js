@@ -0,0 +1,247 @@
+/**
+ * Timezone Booking Test
+ *
+ * Checks that callers in London, Kabul and New York are booked at the exact
+ * instant they were offered, including across DST changes:
+ * - Part 1: wall-clock → instant conversion on DST change days (no network)
+ * - Part 2: check_calendar_availability → book_appointment against the mock GHL API
+ * - Part 3: appointment times written and spoken in the caller's timezone, from any GHL time format (no network)
+ * - Part 4: timezone resolution by area code, and from the contact's saved timezone
+ * - Part 5: inbound callers with an appointment later today (GHL local times)
+ *
+ * Run: npm run test:timezones
+ */
+
+const { DateTime } = require('luxon');
+const { check, run } = require('./helpers/test-harness');
+
+const CALLERS = [
+  { label: 'London', phone: '+447700900201', timezone: 'Europe/London' },
+  { label: 'Kabul', phone: '+93700900202', timezone: 'Asia/Kabul' },
+  { label: 'New York', phone: '+12125550203', timezone: 'America/New_York' }
+];
+
+// [caller, date, local time, expected UTC instant (null = time does not exist)]
+const CONVERSIONS = [
+  ['London', '2026-03-28', '14:00', '2026-03-28T14:00:00Z'],   // GMT
+  ['London', '2026-03-29', '14:00', '2026-03-29T13:00:00Z'],   // BST starts
+  ['London', '2026-03-29', '01:30', null],                     // skipped by the clocks going forward
+  ['London', '2026-10-24', '14:00', '2026-10-24T13:00:00Z'],   // BST
+  ['London', '2026-10-25', '14:00', '2026-10-25T14:00:00Z'],   // GMT again
+  ['New York', '2026-03-07', '14:00', '2026-03-07T19:00:00Z'], // EST
+  ['New York', '2026-03-08', '14:00', '2026-03-08T18:00:00Z'], // EDT starts
+  ['New York', '2026-03-08', '02:30', null],                   // skipped by the clocks going forward
+  ['New York', '2026-11-01', '14:00', '2026-11-01T19:00:00Z'], // EST again
+  ['Kabul', '2026-03-29', '14:00', '2026-03-29T09:30:00Z'],    // +04:30, no DST
+  ['Kabul', '2026-10-25', '14:00', '2026-10-25T09:30:00Z']
+];
+
+// [startTime, caller, language, expected text, expected spoken]
+const APPOINTMENT_TIMES = [
+  ['2027-03-04T14:30:00Z', 'London', null, 'Thursday 4 March at 2:30pm', 'Thursday the 4th of March at half past two'],
+  ['2026-10-20T13:45:00+01:00', 'New York', null,
+    'Tuesday 20 October at 8:45am your time (1:45pm UK time)',
+    "Tuesday the 20th of October at quarter to nine your time, that's quarter to two UK time"],
+  ['2026-10-22T21:00:00Z', 'Kabul', 'Dari',
+    'Friday 23 October at 1:30am your time (Thursday 22 October at 10pm UK time)',
+    "Friday the 23rd of October at half past one in the morning your time, that's Thursday the 22nd of October at ten o'clock in the evening UK time"]
+];
+
+// [appointment_time as GHL sends it, expected text for a London caller (null = not readable, passed on as sent)]
+const GHL_TIMES = [
+  ['2026-11-27T14:00:00Z', 'Friday 27 November at 2pm'],
+  ['2026-11-27 14:00:00', 'Friday 27 November at 2pm'],
+  ['2026-10-22 14:00:00', 'Thursday 22 October at 2pm'],
+  ['2026-10-22T14:00:00', 'Thursday 22 October at 2pm'],
+  ['1792677600000', 'Thursday 22 October at 3pm'],
+  ['Friday, November 28, 2025 2:00 PM', 'Friday 28 November at 2pm'],
+  ['Friday, November 28, 2025 at 2:00 PM', 'Friday 28 November at 2pm'],
+  ['November 28, 2025 2:00 PM', 'Friday 28 November at 2pm'],
+  ['Thu Oct 22 2026 14:00:00 GMT+0100', 'Thursday 22 October at 2pm'],
+  ['after lunch on Friday', null],
+  ['', null]
+];
+
+// [phone, options, expected timezone, confidence, source]
+const RESOLUTIONS = [
+  ['+447700900123', {}, 'Europe/London', 'high', 'country'],
+  ['0093 70 090 0202', {}, 'Asia/Kabul', 'high', 'country'],
+  ['+1 (212) 555-0203', {}, 'America/New_York', 'medium', 'area-code'],
+  ['+1 312 555 0100', {}, 'America/Chicago', 'medium', 'area-code'],
+  ['+1 602 555 0100', {}, 'America/Phoenix', 'medium', 'area-code'],
+  ['+1 415 555 0100', {}, 'America/Los_Angeles', 'medium', 'area-code'],
+  ['+1 604 555 0100', {}, 'America/Vancouver', 'medium', 'area-code'],
+  ['+1 809 555 0100', {}, 'America/Santo_Domingo', 'high', 'country'],
+  ['+1 876 555 0100', {}, 'America/Jamaica', 'high', 'country'],
+  ['+7 495 123 4567', {}, 'Europe/Moscow', 'medium', 'area-code'],
+  ['+7 383 123 4567', {}, 'Asia/Novosibirsk', 'medium', 'area-code'],
+  ['+7 916 123 4567', {}, 'Europe/Moscow', 'low', 'country'],          // Russian mobile
+  ['+7 701 123 4567', {}, 'Asia/Almaty', 'high', 'country'],           // Kazakhstan
+  ['+61 8 9123 4567', {}, 'Australia/Perth', 'medium', 'area-code'],
+  ['+61 8 8912 3456', {}, 'Australia/Darwin', 'medium', 'area-code'],
+  ['+61 412 345 678', {}, 'Australia/Sydney', 'low', 'country'],       // Australian mobile
+  ['+55 92 99123 4567', {}, 'America/Manaus', 'medium', 'area-code'],
+  ['+52 664 123 4567', {}, 'America/Tijuana', 'medium', 'area-code'],
+  ['+62 361 123456', {}, 'Asia/Makassar', 'medium', 'area-code'],
+  ['+1 212 555 0203', { timezone: 'America/Chicago' }, 'America/Chicago', 'high', 'explicit'],
+  ['+1 212 555 0203', { contact: { timezone: 'America/Denver' } }, 'America/Denver', 'high', 'contact'],
+  ['+1 212 555 0203', { timezone: 'Mars/Olympus_Mons' }, 'America/New_York', 'medium', 'area-code'],
+  ['+999 123 456 789', {}, 'Europe/London', 'low', 'default'],
+  [null, {}, 'Europe/London', 'low', 'default']
+];
+
+function timezoneOf(label) {
+  return CALLERS.find(caller => caller.label === label).timezone;
+}
+
+/**
+ * Next working day in London (mock slots are generated Mon-Fri)
+ */
+function nextWorkingDay() {
+  let day = DateTime.now().setZone('Europe/London').plus({ days: 1 });
+  while (day.weekday > 5) day = day.plus({ days: 1 });
+  return day.toISODate();
+}
+
+function testConversions(ghlClient) {
+  console.log('🧪 Part 1: Local time → instant across DST changes');
+
+  for (const [label, date, time, expected] of CONVERSIONS) {
+    const local = ghlClient.toZonedDateTime(date, time, timezoneOf(label));
+    const instant = local ? local.toUTC().toISO({ suppressMilliseconds: true }) : null;
+    check(`${label} ${date} ${time} → ${expected || 'rejected'}`, instant === expected, instant);
+  }
+
+  // GHL slots in UTC on the day New York's clocks change, seen by a New York caller
+  const rawSlots = ['2026-03-08T13:00:00Z', '2026-03-08T14:00:00Z', '2026-03-09T05:00:00Z', '2026-03-08T13:00:00Z'];
+  const slots = ghlClient.toLocalSlots(rawSlots, '2026-03-08', 'America/New_York');
+  check('Slots shown in the caller\'s local time (EDT)', slots.map(slot => slot.time).join(',') === '09:00,10:00', slots);
+  check('Slots keep their exact instant', slots[0]?.startTime === '2026-03-08T13:00:00Z', slots);
+  check('Slots on another local date are dropped', !slots.some(slot => slot.startTime === '2026-03-09T05:00:00Z'));
+
+  const kabulSlots = ghlClient.toLocalSlots(['2026-03-29T09:00:00+01:00'], '2026-03-29', 'Asia/Kabul');
+  check('Offset slots converted for Kabul (08:00Z → 12:30)', kabulSlots[0]?.time === '12:30', kabulSlots);
+  console.log('');
+}
+
+async function testBookings(mock, vapiHandler) {
+  const date = nextWorkingDay();
+
+  for (const caller of CALLERS) {
+    console.log(`🧪 Part 2: ${caller.label} caller books ${date} (${caller.timezone})`);
+
+    const contact = mock.seedContact({ firstName: caller.label, lastName: 'Caller', phone: caller.phone });
+    const metadata = { customerPhone: caller.phone, contact_id: contact.id, type: 'intake' };
+
+    const availability = await vapiHandler.checkCalendarAvailability({ date }, metadata);
+    check('Timezone detected from phone number', availability.timezone === caller.timezone, availability.timezone);
+    check('Slots returned with instants', availability.slotsCount > 0 && availability.slots.every(slot => slot.startTime), availability);
+
+    const slot = availability.slots[availability.slots.length - 1];
+    const booking = await vapiHandler.bookAppointment({ date, time: slot.time }, metadata);
+    const appointment = mock.state.appointments.get(booking.appointmentId);
+    const bookedLocal = appointment && DateTime.fromISO(appointment.startTime).setZone(caller.timezone);
+
+    check('Booked at the offered instant', booking.success && DateTime.fromISO(appointment.startTime).equals(DateTime.fromISO(slot.startTime)), { slot, booking });
+    check(`Caller's local time is ${slot.time}`, bookedLocal?.toFormat('yyyy-MM-dd HH:mm') === `${date} ${slot.time}`, bookedLocal?.toISO());
+
+    const before = mock.getAppointmentsForContact(contact.id).length;
+    const rejected = await vapiHandler.bookAppointment({ date, time: '03:15' }, metadata);
+    check('Time that was not offered is rejected', rejected.success === false && rejected.availableSlots.length > 0, rejected);
+    check('Nothing booked for the rejected time', mock.getAppointmentsForContact(contact.id).length === before);
+    console.log('');
+  }
+}
+
+function testAppointmentTimes(appointmentFormatter) {
+  console.log('🧪 Part 3: Appointment times in the caller\'s timezone');
+
+  for (const [startTime, label, language, text, spoken] of APPOINTMENT_TIMES) {
+    const formatted = appointmentFormatter.format(startTime, { timezone: timezoneOf(label), language });
+    check(`${label}: "${text}"`, formatted.text === text, formatted.text);
+    check(`${label}: spoken "${spoken}"`, formatted.spoken === spoken, formatted.spoken);
+  }
+
+  const dari = appointmentFormatter.format('2026-10-22T21:00:00Z', { timezone: timezoneOf('Kabul'), language: 'Dari' });
+  check('Dari speaker also gets the time in Dari', dari.locale === 'fa-AF' && /[\u0600-\u06FF]/.test(dari.localised), dari.localised);
+  check('No UK time for a London caller', appointmentFormatter.format('2027-03-04T14:30:00Z', { timezone: 'Europe/London' }).ukTime === null);
+  check('Unknown language falls back to English only', appointmentFormatter.format('2027-03-04T14:30:00Z', { language: 'Klingon' }).localised === null);
+
+  for (const [startTime, text] of GHL_TIMES) {
+    const formatted = appointmentFormatter.format(startTime, { timezone: 'Europe/London' });
+    const readAs = text
+      ? formatted.text === text && formatted.date !== null
+      : formatted.text === startTime && formatted.spoken === startTime && formatted.date === null;
+    check(text ? `GHL time "${startTime}" → "${text}"` : `Unreadable time "${startTime}" passed on as sent`, readAs, formatted);
+  }
+  console.log('');
+}
+
+async function testResolution(mock, vapiHandler, timezoneDetector) {
+  console.log('🧪 Part 4: Timezone resolution');
+
+  for (const [phone, options, timezone, confidence, source] of RESOLUTIONS) {
+    const decision = timezoneDetector.resolve(phone, options);
+    const given = options.timezone ? ` + ${options.timezone}` : options.contact ? ' + contact timezone' : '';
+    check(`${phone}${given} → ${timezone} (${confidence}, ${source})`,
+      decision.timezone === timezone && decision.confidence === confidence && decision.source === source && Boolean(decision.reason),
+      decision);
+  }
+
+  const { REGIONS } = require('../src/config/timezone-regions');
+  const zones = Object.values(REGIONS).flatMap(region => [...Object.keys(region.countries), ...Object.keys(region.areas)]);
+  const invalid = zones.filter(zone => !timezoneDetector.isValidTimezone(zone));
+  check(`All ${zones.length} region timezones exist`, invalid.length === 0, invalid);
+
+  const repeated = Object.entries(REGIONS).flatMap(([code, region]) => {
+    const prefixes = [...Object.values(region.countries), ...Object.values(region.areas), region.mobile].flat();
+    return prefixes.filter((prefix, index) => prefixes.indexOf(prefix) !== index).map(prefix => `${code} ${prefix}`);
+  });
+  check('No prefix is mapped twice', repeated.length === 0, repeated);
+
+  // A timezone captured during intake beats the number's
+  const contact = mock.seedContact({ firstName: 'Chicago', lastName: 'Caller', phone: '+12125550299' });
+  const saved = await vapiHandler.updateContact({ timezone: 'America/Chicago' }, { contact_id: contact.id, customerPhone: contact.phone });
+  const stored = mock.state.contacts.get(contact.id);
+  check('update_contact saves the timezone on the contact', saved.success && stored.timezone === 'America/Chicago', stored.timezone);
+  check('Saved timezone preferred over the area code', timezoneDetector.resolve(contact.phone, { contact: stored }).timezone === 'America/Chicago');
+
+  await vapiHandler.updateContact({ timezone: 'Chicago' }, { contact_id: contact.id, customerPhone: contact.phone });
+  check('Unknown timezone not saved', mock.state.contacts.get(contact.id).timezone === 'America/Chicago');
+  console.log('');
+}
+
+// [label, GHL start, GHL end, caller timezone, now (UTC), routed to confirmation]
+const APPOINTMENTS_TODAY = [
+  ['Later today', '2026-06-01 15:00:00', '2026-06-01 15:30:00', 'Europe/London', '2026-06-01T11:00:00Z', true],
+  ['Finished earlier today (office time, BST)', '2026-06-01 13:30:00', '2026-06-01 14:00:00', 'Europe/London', '2026-06-01T13:15:00Z', false],
+  ['Late evening in London is tomorrow in Kabul', '2026-06-01 22:00:00', '2026-06-01 22:30:00', 'Asia/Kabul', '2026-06-01T11:00:00Z', false],
+  ['Tomorrow morning in London is tonight in New York', '2026-06-02 02:00:00', '2026-06-02 02:30:00', 'America/New_York', '2026-06-01T15:00:00Z', true]
+];
+
+async function testAppointmentsToday(mock, assistantRequestHandler) {
+  console.log('🧪 Part 5: Appointment later today (inbound routing)');
+
+  for (const [label, startTime, endTime, timezone, now, expected] of APPOINTMENTS_TODAY) {
+    const contact = mock.seedContact({ firstName: 'Routing', lastName: label, phone: '+447700900250' });
+    mock.seedAppointment({ contactId: contact.id, startTime, endTime, title: 'Initial Consultation' });
+
+    const appointment = await assistantRequestHandler.findAppointmentToday(contact.id, timezone, new Date(now));
+    check(`${label} → ${expected ? 'confirmation' : 'intake'}`, Boolean(appointment) === expected, appointment);
+  }
+  console.log('');
+}
+
+run('TIMEZONE BOOKING TEST - London, Kabul, New York', { dataDir: 'timezones', ghl: true }, async ({ mock }) => {
+  const ghlClient = require('../src/services/ghl-client');
+  const vapiHandler = require('../src/webhooks/vapi-function-handler');
+  const appointmentFormatter = require('../src/services/appointment-formatter');
+  const timezoneDetector = require('../src/services/timezone-detector');
+  const assistantRequestHandler = require('../src/webhooks/assistant-request-handler');
+
+  testConversions(ghlClient);
+  await testBookings(mock, vapiHandler);
+  testAppointmentTimes(appointmentFormatter);
+  await testResolution(mock, vapiHandler, timezoneDetector);
+  await testAppointmentsToday(mock, assistantRequestHandler);
+});
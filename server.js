@@ -14,18 +14,35 @@ const vapiHandler = require('./src/webhooks/vapi-function-handler');
 const ghlTriggerHandler = require('./src/webhooks/ghl-trigger-handler');
 const ghlConfirmationHandler = require('./src/webhooks/ghl-confirmation-handler');
 const endOfCallHandler = require('./src/webhooks/end-of-call-handler');
+const assistantRequestHandler = require('./src/webhooks/assistant-request-handler');
 const stripeHandler = require('./src/webhooks/stripe-webhook-handler');
 
 // Import logging & monitoring
 const { logger, requestLogger, errorHandler, getMetrics } = require('./src/services/logger');
 
+// Import webhook authentication
+const webhookVerifier = require('./src/services/webhook-verifier');
+
+// Import call scheduler
+const callScheduler = require('./src/services/call-scheduler');
+const callHistory = require('./src/services/call-history');
+const confirmationScheduler = require('./src/services/confirmation-scheduler');
+const holidayCalendar = require('./src/services/holiday-calendar');
+const smartRetryCalculator = require('./src/services/smart-retry-calculator');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body so webhook signatures can be verified
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+// Webhook authentication (per-route configuration)
+const verifyVapi = webhookVerifier.middleware({ source: 'vapi' });
+const verifyGHL = webhookVerifier.middleware({ source: 'ghl' });
 
 // Production logging middleware (structured JSON logs)
 if (process.env.NODE_ENV === 'production') {
@@ -60,7 +77,7 @@ app.get('/metrics', (req, res) => {
   const authHeader = req.headers.authorization;
   const expectedAuth = process.env.METRICS_AUTH_TOKEN;
   
-  if (expectedAuth && authHeader !== `Bearer ${expectedAuth}`) {
+  if (expectedAuth && !webhookVerifier.safeEqual(authHeader || '', `Bearer ${expectedAuth}`)) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   
@@ -115,9 +132,15 @@ app.get('/status', async (req, res) => {
 /**
  * Main VAPI function tool handler
  * Handles all tool calls from assistants (calendar, booking, contact updates, etc.)
+ * and assistant-request messages for inbound calls (dynamic assistant selection)
  */
-app.post('/webhook/vapi', async (req, res) => {
+app.post('/webhook/vapi', verifyVapi, async (req, res) => {
   try {
+    if (req.body?.message?.type === 'assistant-request') {
+      const assistant = await assistantRequestHandler.handleAssistantRequest(req.body);
+      return res.json(assistant);
+    }
+
     const result = await vapiHandler.handleFunctionCall(req.body);
     res.json(result);
   } catch (error) {
@@ -130,7 +153,7 @@ app.post('/webhook/vapi', async (req, res) => {
  * VAPI end-of-call webhook
  * Handles smart retry logic and status updates after calls end
  */
-app.post('/webhook/vapi/end-of-call', async (req, res) => {
+app.post('/webhook/vapi/end-of-call', verifyVapi, async (req, res) => {
   try {
     const result = await endOfCallHandler.handleEndOfCall(req.body);
     res.json(result);
@@ -148,7 +171,7 @@ app.post('/webhook/vapi/end-of-call', async (req, res) => {
  * GHL trigger for initial outbound call
  * Called by GHL workflow when new contact is created
  */
-app.post('/webhook/ghl/trigger-call', async (req, res) => {
+app.post('/webhook/ghl/trigger-call', verifyGHL, async (req, res) => {
   try {
     const result = await ghlTriggerHandler.handleInitialCall(req.body);
     res.json(result);
@@ -162,7 +185,7 @@ app.post('/webhook/ghl/trigger-call', async (req, res) => {
  * GHL trigger for confirmation call
  * Called by GHL workflow 1 hour before appointment
  */
-app.post('/webhook/ghl/trigger-confirmation', async (req, res) => {
+app.post('/webhook/ghl/trigger-confirmation', verifyGHL, async (req, res) => {
   try {
     const result = await ghlConfirmationHandler.handleConfirmationCall(req.body);
     res.json(result);
@@ -176,7 +199,7 @@ app.post('/webhook/ghl/trigger-confirmation', async (req, res) => {
  * GHL webhook for form submission
  * Called when someone submits the intake form on the website
  */
-app.post('/webhook/ghl/form-submit', async (req, res) => {
+app.post('/webhook/ghl/form-submit', verifyGHL, async (req, res) => {
   try {
     const result = await ghlTriggerHandler.handleFormSubmit(req.body);
     res.json(result);
@@ -214,6 +237,177 @@ app.post('/webhook/stripe',
   }
 );
 
+// ============================================
+// ADMIN API
+// ============================================
+
+/**
+ * Bearer token protection for admin endpoints
+ * Fails closed in production when ADMIN_API_TOKEN is not set
+ * The token is compared in constant time - these endpoints expose client data
+ */
+function requireAdminAuth(req, res, next) {
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+
+  if (!expectedToken) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn('Admin request rejected - ADMIN_API_TOKEN not set', { path: req.path });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return next();
+  }
+
+  if (!webhookVerifier.safeEqual(req.headers.authorization || '', `Bearer ${expectedToken}`)) {
+    logger.warn('Admin request rejected - invalid token', { path: req.path, ip: req.ip });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * List scheduled calls
+ * Optional query filters: status, contactId, type
+ */
+app.get('/admin/scheduled-calls', requireAdminAuth, (req, res) => {
+  const { status, contactId, type } = req.query;
+  const jobs = callScheduler.list({ status, contactId, type });
+  res.json({ count: jobs.length, jobs });
+});
+
+/**
+ * Get a scheduled call
+ */
+app.get('/admin/scheduled-calls/:id', requireAdminAuth, (req, res) => {
+  const job = callScheduler.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Scheduled call not found' });
+  }
+  res.json(job);
+});
+
+/**
+ * Cancel a pending scheduled call
+ */
+app.delete('/admin/scheduled-calls/:id', requireAdminAuth, (req, res) => {
+  const job = callScheduler.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'No pending scheduled call with that ID' });
+  }
+  res.json({ success: true, job });
+});
+
+/**
+ * Confirmation calls scheduled for booked appointments
+ * Optional query filters: status (default pending), contactId
+ */
+app.get('/admin/confirmations', requireAdminAuth, (req, res) => {
+  const { status, contactId } = req.query;
+  const confirmations = confirmationScheduler.list({ status: status || 'pending', contactId }).map(job => ({
+    jobId: job.id,
+    contactId: job.contactId,
+    customerName: job.call?.customerName,
+    appointmentId: job.details?.appointmentId,
+    appointmentTime: job.details?.appointmentTime,
+    callAt: job.runAt,
+    timezone: job.timezone,
+    status: job.status,
+    callId: job.callId,
+    lastError: job.lastError,
+    fallback: job.fallback
+  }));
+  res.json({ count: confirmations.length, confirmations });
+});
+
+/**
+ * Days nobody is called: bank holidays, closures and (with ?timezone=) the
+ * client's country holidays. Optional query: from, to (default next 90 days)
+ */
+app.get('/admin/holidays', requireAdminAuth, (req, res) => {
+  const { from, to, timezone } = req.query;
+  const holidays = holidayCalendar.list(from, to, timezone);
+  res.json({ count: holidays.length, holidays });
+});
+
+/**
+ * Office closures (from the config file and added here)
+ */
+app.get('/admin/closures', requireAdminAuth, (req, res) => {
+  const closures = holidayCalendar.listClosures();
+  res.json({ count: closures.length, closures });
+});
+
+/**
+ * Close the office - no calls are placed or scheduled on these days
+ * Body: { date } or { from, to }, and a name
+ */
+app.post('/admin/closures', requireAdminAuth, (req, res) => {
+  try {
+    res.status(201).json(holidayCalendar.addClosure(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a closure added through the admin API
+ */
+app.delete('/admin/closures/:id', requireAdminAuth, (req, res) => {
+  if (!holidayCalendar.removeClosure(req.params.id)) {
+    return res.status(404).json({ error: 'No closure with that ID (closures from the config file are removed there)' });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * Retry policies and the VAPI ended reasons each retry reason covers
+ */
+app.get('/admin/retry-policies', requireAdminAuth, (req, res) => {
+  res.json(smartRetryCalculator.getConfiguration());
+});
+
+/**
+ * The retries a policy would schedule if every call ended the same way
+ * Query: assistant, leadSource, endedReason, timezone or phone, from (ISO),
+ * attempts (calls already made, default 1), callWindowStart, callWindowEnd
+ */
+app.get('/admin/retry-policies/dry-run', requireAdminAuth, (req, res) => {
+  const { assistant, leadSource, endedReason, timezone, phone, from, attempts, callWindowStart, callWindowEnd } = req.query;
+  try {
+    res.json(smartRetryCalculator.dryRun({
+      assistantType: assistant,
+      leadSource,
+      endedReason,
+      timezone,
+      phoneNumber: phone,
+      from,
+      currentAttempts: attempts ? parseInt(attempts) : undefined,
+      callWindow: { start: callWindowStart, end: callWindowEnd }
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Call history for a contact (most recent first)
+ */
+app.get('/admin/contacts/:contactId/calls', requireAdminAuth, (req, res) => {
+  const calls = callHistory.getForContact(req.params.contactId);
+  res.json({ contactId: req.params.contactId, count: calls.length, calls });
+});
+
+/**
+ * Get a single call record
+ */
+app.get('/admin/calls/:callId', requireAdminAuth, (req, res) => {
+  const record = callHistory.get(req.params.callId);
+  if (!record) {
+    return res.status(404).json({ error: 'Call not found' });
+  }
+  res.json(record);
+});
+
 // ============================================
 // UTILITY ENDPOINTS
 // ============================================
@@ -233,12 +427,17 @@ app.get('/test/ghl', async (req, res) => {
 
 /**
  * Test endpoint for timezone detection
+ * Shows how the timezone was chosen; ?timezone= tries an explicit one
  */
 app.get('/test/timezone/:phone', (req, res) => {
   try {
     const timezoneDetector = require('./src/services/timezone-detector');
-    const timezone = timezoneDetector.detectTimezone(req.params.phone);
-    res.json({ phone: req.params.phone, timezone });
+    const decision = timezoneDetector.resolve(req.params.phone, { timezone: req.query.timezone });
+    res.json({
+      phone: req.params.phone,
+      normalisedPhone: timezoneDetector.normalise(req.params.phone),
+      ...decision
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -274,31 +473,50 @@ if (process.env.NODE_ENV === 'production') {
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
-  console.log('============================================');
-  console.log('  ASYLUMLAW VOICE ASSISTANT SERVER');
-  console.log('============================================');
-  console.log(`  Status: Running`);
-  console.log(`  Port: ${PORT}`);
-  console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`  Time: ${new Date().toISOString()}`);
-  console.log('============================================');
-  console.log('  Monitoring:');
-  console.log('  - GET  /health        (basic health)');
-  console.log('  - GET  /status        (service checks)');
-  console.log('  - GET  /metrics       (detailed stats)');
-  console.log('');
-  console.log('  Webhooks:');
-  console.log('  - POST /webhook/vapi');
-  console.log('  - POST /webhook/vapi/end-of-call');
-  console.log('  - POST /webhook/ghl/trigger-call');
-  console.log('  - POST /webhook/ghl/trigger-confirmation');
-  console.log('  - POST /webhook/ghl/form-submit');
-  console.log('  - POST /webhook/stripe');
-  console.log('============================================');
+// Only listen when run directly - scripts/simulate-calls.js mounts the app itself
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('============================================');
+    console.log('  ASYLUMLAW VOICE ASSISTANT SERVER');
+    console.log('============================================');
+    console.log(`  Status: Running`);
+    console.log(`  Port: ${PORT}`);
+    console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`  Time: ${new Date().toISOString()}`);
+    console.log('============================================');
+    console.log('  Monitoring:');
+    console.log('  - GET  /health        (basic health)');
+    console.log('  - GET  /status        (service checks)');
+    console.log('  - GET  /metrics       (detailed stats)');
+    console.log('');
+    console.log('  Webhooks:');
+    console.log('  - POST /webhook/vapi');
+    console.log('  - POST /webhook/vapi/end-of-call');
+    console.log('  - POST /webhook/ghl/trigger-call');
+    console.log('  - POST /webhook/ghl/trigger-confirmation');
+    console.log('  - POST /webhook/ghl/form-submit');
+    console.log('  - POST /webhook/stripe');
+    console.log('');
+    console.log('  Admin:');
+    console.log('  - GET    /admin/scheduled-calls');
+    console.log('  - DELETE /admin/scheduled-calls/:id');
+    console.log('  - GET    /admin/confirmations');
+    console.log('  - GET    /admin/holidays');
+    console.log('  - GET    /admin/closures');
+    console.log('  - POST   /admin/closures');
+    console.log('  - DELETE /admin/closures/:id');
+    console.log('  - GET    /admin/retry-policies');
+    console.log('  - GET    /admin/retry-policies/dry-run');
+    console.log('  - GET    /admin/contacts/:contactId/calls');
+    console.log('  - GET    /admin/calls/:callId');
+    console.log('============================================');
   
-  logger.info('Server started', { port: PORT, env: process.env.NODE_ENV || 'development' });
-});
+    logger.info('Server started', { port: PORT, env: process.env.NODE_ENV || 'development' });
+
+    // Start dialing scheduled retries / out-of-hours calls
+    callScheduler.start();
+  });
+}
 
 module.exports = app;
 
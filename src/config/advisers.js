@@ -0,0 +1,65 @@
+/**
+ * Adviser Calendars
+ *
+ * Consultation calendars and what each adviser covers. CalendarRouter
+ * (src/services/calendar-router.js) picks candidate calendars for a contact
+ * from this list:
+ * - languages: languages the adviser consults in without an interpreter
+ * - specialisms: detention, family_reunion, appeals
+ * - triageStatuses: only take these clients (all if omitted)
+ * - userId: GHL user assigned to appointments in this calendar (optional)
+ *
+ * Advisers whose calendar ID is not set are skipped. The consultation team
+ * calendar (GHL_CALENDAR_ID) takes every booking no adviser matches.
+ */
+
+module.exports = [
+  {
+    id: 'detention',
+    name: process.env.ADVISER_DETENTION_NAME || 'Detention Specialist',
+    calendarId: process.env.GHL_CALENDAR_ID_DETENTION,
+    userId: process.env.ADVISER_DETENTION_USER_ID,
+    languages: [],
+    specialisms: ['detention']
+  },
+  {
+    id: 'family-reunion',
+    name: process.env.ADVISER_FAMILY_REUNION_NAME || 'Family Reunion Specialist',
+    calendarId: process.env.GHL_CALENDAR_ID_FAMILY_REUNION,
+    userId: process.env.ADVISER_FAMILY_REUNION_USER_ID,
+    languages: [],
+    specialisms: ['family_reunion']
+  },
+  {
+    id: 'appeals',
+    name: process.env.ADVISER_APPEALS_NAME || 'Appeals Specialist',
+    calendarId: process.env.GHL_CALENDAR_ID_APPEALS,
+    userId: process.env.ADVISER_APPEALS_USER_ID,
+    languages: [],
+    specialisms: ['appeals']
+  },
+  {
+    id: 'dari-pashto',
+    name: process.env.ADVISER_DARI_PASHTO_NAME || 'Dari/Pashto Adviser',
+    calendarId: process.env.GHL_CALENDAR_ID_DARI_PASHTO,
+    userId: process.env.ADVISER_DARI_PASHTO_USER_ID,
+    languages: ['dari', 'pashto', 'farsi', 'persian'],
+    specialisms: []
+  },
+  {
+    id: 'arabic',
+    name: process.env.ADVISER_ARABIC_NAME || 'Arabic Adviser',
+    calendarId: process.env.GHL_CALENDAR_ID_ARABIC,
+    userId: process.env.ADVISER_ARABIC_USER_ID,
+    languages: ['arabic'],
+    specialisms: []
+  },
+  {
+    id: 'consultation-team',
+    name: process.env.ADVISER_DEFAULT_NAME || 'Consultation Team',
+    calendarId: process.env.GHL_CALENDAR_ID,
+    languages: ['english'],
+    specialisms: [],
+    fallback: true
+  }
+];
@@ -11,6 +11,9 @@
  * VAPI API Format with tools
  */
 
+// Tools are generated from the shared definitions in src/config/tools.js
+const toolRegistry = require('../services/tool-registry');
+
 const SYSTEM_PROMPT = `You are Adam, an emergency handler for AsylumLaw.co.uk. You handle urgent and emergency situations with calm professionalism.
 
 ## YOUR ROLE:
@@ -93,6 +96,20 @@ IMMEDIATELY call:
 2. create_urgent_task with title: "EMERGENCY - COURT HEARING [date]", emergencyType: "court_hearing", details: include hearing date
 3. transfer_to_human with reason: "court_hearing", urgency: "immediate"
 
+## TODAY (caller's local time):
+- Date: {{todayLong}} ({{today}})
+- Local time: {{localTime}} ({{timezone}})
+- Office: {{businessHoursStatus}} (hours: {{businessHours}})
+Use this to work out how soon a hearing or removal date is, and include the actual date (not "this Thursday") in urgent tasks.
+
+## VOICEMAIL (calls we place):
+If you reach voicemail or an answering machine:
+1. Leave voicemail today: {{leaveVoicemail}}
+   - If "yes", leave message: "Hello, this is Adam from AsylumLaw returning your urgent call. Please call us back as soon as you can at 020 3006 9533. If you are in immediate danger, call 999."
+   - If "no", we have already left a message today - do NOT leave another
+   - Never mention detention, removal or any details of their case - someone else may hear the message
+2. End the call - there is no one to transfer
+
 ## CRISIS RESOURCES TO PROVIDE:
 - Emergency services: 999
 - AsylumLaw emergency: 020 3006 9533
@@ -113,12 +130,9 @@ Then call transfer_to_human - do NOT end the call yourself.
 ## CRITICAL REMINDERS:
 1. ALWAYS call update_contact FIRST to save emergency info
 2. ALWAYS call create_urgent_task to notify team
-3. ALWAYS call transfer_to_human - never just end the call
+3. ALWAYS call transfer_to_human - never just end the call (unless you reached voicemail)
 4. If any tool fails, try again once, then proceed with transfer anyway`;
 
-// Build the server URL for tools
-const getServerUrl = () => process.env.WEBHOOK_BASE_URL ? `${process.env.WEBHOOK_BASE_URL}/webhook/vapi` : 'https://your-app-url.railway.app/webhook/vapi';
-
 module.exports = {
   name: 'AsylumLaw Emergency Handler',
   
@@ -141,114 +155,7 @@ module.exports = {
         content: SYSTEM_PROMPT
       }
     ],
-    tools: [
-      {
-        type: 'function',
-        function: {
-          name: 'transfer_to_human',
-          description: 'Transfer call to human staff immediately for emergency cases.',
-          parameters: {
-            type: 'object',
-            properties: {
-              reason: {
-                type: 'string',
-                description: 'Emergency type: danger, detained, minor, interpreter, court_hearing'
-              },
-              urgency: {
-                type: 'string',
-                enum: ['immediate'],
-                description: 'Always immediate for emergencies'
-              },
-              details: {
-                type: 'string',
-                description: 'Brief details about the emergency'
-              }
-            },
-            required: ['reason', 'urgency']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'create_urgent_task',
-          description: 'Create high-priority task to notify team about emergency.',
-          parameters: {
-            type: 'object',
-            properties: {
-              title: {
-                type: 'string',
-                description: 'Task title describing the emergency'
-              },
-              details: {
-                type: 'string',
-                description: 'Full details of the situation'
-              },
-              emergencyType: {
-                type: 'string',
-                enum: ['danger', 'detained', 'minor', 'interpreter', 'court_hearing', 'other']
-              }
-            },
-            required: ['title', 'emergencyType']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'update_contact',
-          description: 'Update contact with emergency flag and details. For new contacts, include name if provided.',
-          parameters: {
-            type: 'object',
-            properties: {
-              firstName: {
-                type: 'string',
-                description: 'First name if known'
-              },
-              lastName: {
-                type: 'string',
-                description: 'Last name if known'
-              },
-              emergencyFlag: {
-                type: 'boolean',
-                description: 'Set to true for emergency cases'
-              },
-              emergencyType: {
-                type: 'string',
-                description: 'Type of emergency: danger, detained, minor, interpreter, court_hearing'
-              },
-              interpreterNeeded: {
-                type: 'boolean'
-              },
-              interpreterLanguage: {
-                type: 'string'
-              },
-              detentionCenter: {
-                type: 'string',
-                description: 'Name of detention center if detained'
-              },
-              courtHearingDate: {
-                type: 'string',
-                description: 'Date of court hearing if applicable'
-              }
-            },
-            required: ['emergencyFlag', 'emergencyType']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      }
-    ]
+    tools: toolRegistry.getToolsForAssistant('emergency')
   },
 
   // First message
@@ -0,0 +1,109 @@
+/**
+ * Holidays
+ *
+ * Days nobody is called, on top of BUSINESS_DAYS. HolidayCalendar
+ * (src/services/holiday-calendar.js) combines:
+ * - UK_BANK_HOLIDAYS: England and Wales bank holidays - the office is closed
+ *   (add each new year when gov.uk publishes it)
+ * - COUNTRY_HOLIDAYS: main public holidays in our clients' countries, used
+ *   when CLIENT_COUNTRY_HOLIDAYS=true. A client's country is found from
+ *   their timezone. Eid dates follow the moon sighting and may move a day -
+ *   correct them when they are announced.
+ * - firm closures from src/config/closures.json (or CLOSURES_FILE), and
+ *   those added through POST /admin/closures
+ *
+ * RAMADAN is not a day off: clients who observe it (CLIENT_RAMADAN_AWARE or
+ * their own preference) are only called until RAMADAN_CALL_END.
+ */
+
+const UK_BANK_HOLIDAYS = [
+  ['2025-01-01', 'New Year\'s Day'],
+  ['2025-04-18', 'Good Friday'],
+  ['2025-04-21', 'Easter Monday'],
+  ['2025-05-05', 'Early May bank holiday'],
+  ['2025-05-26', 'Spring bank holiday'],
+  ['2025-08-25', 'Summer bank holiday'],
+  ['2025-12-25', 'Christmas Day'],
+  ['2025-12-26', 'Boxing Day'],
+  ['2026-01-01', 'New Year\'s Day'],
+  ['2026-04-03', 'Good Friday'],
+  ['2026-04-06', 'Easter Monday'],
+  ['2026-05-04', 'Early May bank holiday'],
+  ['2026-05-25', 'Spring bank holiday'],
+  ['2026-08-31', 'Summer bank holiday'],
+  ['2026-12-25', 'Christmas Day'],
+  ['2026-12-28', 'Boxing Day (substitute day)'],
+  ['2027-01-01', 'New Year\'s Day'],
+  ['2027-03-26', 'Good Friday'],
+  ['2027-03-29', 'Easter Monday'],
+  ['2027-05-03', 'Early May bank holiday'],
+  ['2027-05-31', 'Spring bank holiday'],
+  ['2027-08-30', 'Summer bank holiday'],
+  ['2027-12-27', 'Christmas Day (substitute day)'],
+  ['2027-12-28', 'Boxing Day (substitute day)'],
+  ['2028-01-03', 'New Year\'s Day (substitute day)'],
+  ['2028-04-14', 'Good Friday'],
+  ['2028-04-17', 'Easter Monday'],
+  ['2028-05-01', 'Early May bank holiday'],
+  ['2028-05-29', 'Spring bank holiday'],
+  ['2028-08-28', 'Summer bank holiday'],
+  ['2028-12-25', 'Christmas Day'],
+  ['2028-12-26', 'Boxing Day']
+];
+
+// First day of Eid, expected dates
+const EID = [
+  ['2025-03-30', 'Eid al-Fitr'],
+  ['2025-06-06', 'Eid al-Adha'],
+  ['2026-03-20', 'Eid al-Fitr'],
+  ['2026-05-27', 'Eid al-Adha'],
+  ['2027-03-10', 'Eid al-Fitr'],
+  ['2027-05-16', 'Eid al-Adha'],
+  ['2028-02-27', 'Eid al-Fitr'],
+  ['2028-05-05', 'Eid al-Adha']
+];
+
+const NOWRUZ = [
+  ['2025-03-21', 'Nowruz'],
+  ['2026-03-21', 'Nowruz'],
+  ['2027-03-21', 'Nowruz'],
+  ['2028-03-20', 'Nowruz']
+];
+
+// Expected first and last days of Ramadan - like Eid, these may move a day
+const RAMADAN = [
+  ['2025-03-01', '2025-03-29'],
+  ['2026-02-18', '2026-03-19'],
+  ['2027-02-08', '2027-03-09'],
+  ['2028-01-28', '2028-02-26']
+];
+
+const COUNTRY_HOLIDAYS = {
+  AF: { timezones: ['Asia/Kabul'], holidays: EID },
+  IR: { timezones: ['Asia/Tehran'], holidays: [...NOWRUZ, ...EID] },
+  IQ: { timezones: ['Asia/Baghdad'], holidays: EID },
+  SY: { timezones: ['Asia/Damascus'], holidays: EID },
+  YE: { timezones: ['Asia/Aden'], holidays: EID },
+  PS: { timezones: ['Asia/Gaza', 'Asia/Hebron'], holidays: EID },
+  PK: { timezones: ['Asia/Karachi'], holidays: EID },
+  BD: { timezones: ['Asia/Dhaka'], holidays: EID },
+  EG: { timezones: ['Africa/Cairo'], holidays: EID },
+  LY: { timezones: ['Africa/Tripoli'], holidays: EID },
+  SD: { timezones: ['Africa/Khartoum'], holidays: EID },
+  SO: { timezones: ['Africa/Mogadishu'], holidays: EID },
+  ER: {
+    timezones: ['Africa/Asmara'],
+    holidays: [['2025-01-07', 'Genna'], ['2026-01-07', 'Genna'], ['2027-01-07', 'Genna'], ['2028-01-07', 'Genna']]
+  },
+  ET: {
+    timezones: ['Africa/Addis_Ababa'],
+    holidays: [
+      ['2025-01-07', 'Genna'], ['2025-09-11', 'Enkutatash'],
+      ['2026-01-07', 'Genna'], ['2026-09-11', 'Enkutatash'],
+      ['2027-01-07', 'Genna'], ['2027-09-12', 'Enkutatash'],
+      ['2028-01-07', 'Genna'], ['2028-09-11', 'Enkutatash']
+    ]
+  }
+};
+
+module.exports = { UK_BANK_HOLIDAYS, COUNTRY_HOLIDAYS, RAMADAN };
@@ -8,6 +8,9 @@
  * VAPI API Format - Updated with tools
  */
 
+// Tools are generated from the shared definitions in src/config/tools.js
+const toolRegistry = require('../services/tool-registry');
+
 const SYSTEM_PROMPT = `You are Sarah, an intake concierge for AsylumLaw.co.uk. You are trauma-aware, concise, and professional.
 
 ## CRITICAL RULES - NEVER BREAK THESE:
@@ -25,6 +28,21 @@ const SYSTEM_PROMPT = `You are Sarah, an intake concierge for AsylumLaw.co.uk. Y
 4. Book consultation (Private) OR arrange referral (Legal Aid)
 5. Handle emergencies with immediate care
 
+## TODAY (caller's local time):
+- Date: {{todayLong}} ({{today}})
+- Local time: {{localTime}} ({{timezone}})
+- Office: {{businessHoursStatus}} (hours: {{businessHours}})
+Use this for "today", "tomorrow" and "this week". If the office is closed, tell the caller a specialist will follow up on the next working day.
+
+## RETURNING CALLERS:
+If any of these details are filled in, we already hold them. Greet the caller by name, confirm the details briefly instead of asking again, and skip those intake questions:
+- Name: {{customerName}}
+- Nationality: {{nationality}}
+- Current country: {{currentCountry}}
+- Immigration status: {{immigrationStatus}}
+- Preferred channel: {{preferredChannel}}
+- Triage: {{triageStatus}}
+
 ## INTAKE QUESTIONS - ASK IN THIS ORDER:
 1. "May I take your full name, as it appears on your passport or ID?"
 2. "What is your nationality?"
@@ -32,9 +50,11 @@ const SYSTEM_PROMPT = `You are Sarah, an intake concierge for AsylumLaw.co.uk. Y
 4. "And your email address?"
 5. "Which country are you currently in?"
    - If UK: "When did you enter the UK most recently?" and "What is your current immigration or residence status, if you know it?"
+   - If a country with several timezones (USA, Canada, Russia, Australia, Brazil, Mexico, Indonesia): "Which city or state are you in?" and save it as timezone (e.g. "America/Chicago")
 6. "Please briefly explain why you are seeking asylum. Just 1 to 3 sentences is enough."
 7. "Will any family members be included in your claim? If yes, please share their names and dates of birth."
 8. "Do you prefer to receive updates by SMS, WhatsApp, or email?"
+9. "What times of day are best for us to call you?" - save them as callWindowStart and callWindowEnd (their local time). If they ask us not to call during Friday prayers, or to call earlier during Ramadan, save avoidFridayPrayer or observesRamadan as true.
 
 ## TOOL USAGE - CRITICAL INSTRUCTIONS:
 
@@ -56,14 +76,18 @@ After saving contact and client agrees to Private path:
 
 A) First, ask what day works: "What day this week works best for you?"
 
-B) Call check_calendar_availability with the date in YYYY-MM-DD format.
-   Example: For "next Monday" on November 25, 2025, use date: "2025-12-01"
+B) Call check_calendar_availability with the day exactly as they said it.
+   Example: "next Monday" → date: "next Monday"; "tomorrow afternoon" → date: "tomorrow afternoon"
+   Read back the day from the result: "Let me check [day from the result]..."
    
+   If they have no particular day in mind ("whenever", "any morning", "after 3pm"), call find_next_available_slots instead,
+   with timeOfDay and/or earliestTime/latestTime matching what they said. Read out the spoken times it returns.
+
 C) Tell them the available times: "I have slots available at [times]. Which works best?"
 
 D) Once they choose, call book_appointment with:
-   - date: "2025-12-01" (YYYY-MM-DD format)
-   - time: "10:00" (HH:mm 24-hour format, e.g., 2pm = "14:00")
+   - date: the "date" returned by check_calendar_availability
+   - time: the time they chose, as they said it or from availableSlots (e.g., "2pm" or "14:00")
 
 E) Confirm: "I've booked your consultation for [date] at [time]."
 
@@ -77,8 +101,9 @@ B) Then call send_referral_email with their information
 C) Confirm: "I've sent your details to our Legal Aid partner. They'll contact you within 48 hours."
 
 ### HANDLING TOOL RESPONSES:
-- If calendar shows no slots: "I don't have availability on that day. Would another day work?"
+- If calendar shows no slots: "I don't have availability on that day." then call find_next_available_slots from the next day and offer its options
 - If booking succeeds: Confirm the date and time to the customer
+- If booking returns slotTaken: "I'm sorry, that time was just taken. I can offer [alternatives from availableSlots]." - do not retry the same time
 - If any tool fails: "I'm having a small technical issue. Let me try that again..." and retry once
 
 ## EMERGENCY DETECTION - HIGHEST PRIORITY:
@@ -114,6 +139,14 @@ ROUTE TO LEGAL AID if:
 "I understand. Legal Aid is available for some asylum cases, though it typically involves longer waiting times. I'll arrange for your details to be sent to our Legal Aid referral partner. They will contact you within 48 hours. Is that okay with you?"
 Then call send_referral_email.
 
+## VOICEMAIL (calls we place):
+If you reach voicemail or an answering machine:
+1. Leave voicemail today: {{leaveVoicemail}}
+   - If "yes", leave message: "Hello, this is Sarah from AsylumLaw returning your enquiry. Please call us back at 020 3006 9533, or we will try you again soon. Thank you!"
+   - If "no", we have already left a message today - do NOT leave another
+   - Never mention asylum or any details of their case - someone else may hear the message
+2. End the call (we text the customer our number and booking link)
+
 ## BEFORE ENDING:
 Summarize: "Let me confirm what I have: [name, nationality, reason, family]. Is everything correct?"
 
@@ -123,14 +156,10 @@ Summarize: "Let me confirm what I have: [name, nationality, reason, family]. Is
 - Empathetic: "I understand this can be difficult to talk about."
 - Clear and simple language
 
-## DATE/TIME FORMATTING:
-- Always convert dates to YYYY-MM-DD format (e.g., "2025-11-28")
-- Always convert times to HH:mm 24-hour format (e.g., "14:00" for 2pm)
-- If user says "tomorrow", calculate the actual date
-- If user says "2pm", convert to "14:00"`;
-
-// Build the server URL for tools
-const getServerUrl = () => process.env.WEBHOOK_BASE_URL ? `${process.env.WEBHOOK_BASE_URL}/webhook/vapi` : 'https://your-app-url.railway.app/webhook/vapi';
+## DATES AND TIMES:
+- Pass dates and times as the caller said them ("tomorrow", "this Friday", "half past three") - the server works out the actual date in their timezone
+- Never calculate dates yourself
+- Read back the resolved date from the tool result (the "resolved" field or the message) so the caller can correct it`;
 
 module.exports = {
   name: 'AsylumLaw Intake Assistant',
@@ -155,139 +184,7 @@ module.exports = {
       }
     ],
     // Tools are defined inside the model for VAPI
-    tools: [
-      {
-        type: 'function',
-        function: {
-          name: 'check_calendar_availability',
-          description: 'Check available consultation time slots for a given date. Use when customer wants to book an appointment.',
-          parameters: {
-            type: 'object',
-            properties: {
-              date: {
-                type: 'string',
-                description: 'Date to check in YYYY-MM-DD format'
-              }
-            },
-            required: ['date']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'book_appointment',
-          description: 'Book a consultation appointment for the caller after they select a time.',
-          parameters: {
-            type: 'object',
-            properties: {
-              date: {
-                type: 'string',
-                description: 'Appointment date in YYYY-MM-DD format'
-              },
-              time: {
-                type: 'string',
-                description: 'Appointment time in HH:mm format (24-hour)'
-              },
-              notes: {
-                type: 'string',
-                description: 'Brief notes about the case'
-              }
-            },
-            required: ['date', 'time']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'update_contact',
-          description: 'Save or update caller information in the CRM. Call this after collecting intake information.',
-          parameters: {
-            type: 'object',
-            properties: {
-              firstName: { type: 'string', description: 'First name (given name)' },
-              lastName: { type: 'string', description: 'Last name (family name)' },
-              nationality: { type: 'string' },
-              currentCountry: { type: 'string' },
-              ukEntryDate: { type: 'string', description: 'Date of entry to UK' },
-              immigrationStatus: { type: 'string', description: 'Current visa or immigration status' },
-              asylumReason: { type: 'string', description: 'Brief reason for seeking asylum' },
-              familyIncluded: { type: 'string', enum: ['yes', 'no'] },
-              familyDetails: { type: 'string', description: 'Names and DOBs of family members' },
-              preferredChannel: { type: 'string', enum: ['sms', 'whatsapp', 'email'] },
-              triageStatus: { type: 'string', enum: ['private-candidate', 'legalaid'] },
-              interpreterNeeded: { type: 'boolean' },
-              interpreterLanguage: { type: 'string' }
-            },
-            required: ['firstName', 'lastName', 'nationality']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'transfer_to_human',
-          description: 'Transfer call to human handler for emergencies or complex cases.',
-          parameters: {
-            type: 'object',
-            properties: {
-              reason: {
-                type: 'string',
-                description: 'Reason for transfer: emergency, minor, detained, interpreter, complex'
-              },
-              urgency: {
-                type: 'string',
-                enum: ['immediate', 'high', 'normal']
-              }
-            },
-            required: ['reason', 'urgency']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'send_referral_email',
-          description: 'Send Legal Aid referral to partner organization. Use when client chooses Legal Aid path.',
-          parameters: {
-            type: 'object',
-            properties: {
-              firstName: { type: 'string' },
-              lastName: { type: 'string' },
-              nationality: { type: 'string' },
-              currentCountry: { type: 'string' },
-              ukEntryDate: { type: 'string' },
-              immigrationStatus: { type: 'string' },
-              asylumReason: { type: 'string' },
-              familyIncluded: { type: 'string', enum: ['yes', 'no'] },
-              familyDetails: { type: 'string' }
-            },
-            required: ['firstName', 'lastName', 'nationality', 'asylumReason']
-          }
-        },
-        async: true,
-        server: {
-          url: getServerUrl()
-        }
-      }
-    ]
+    tools: toolRegistry.getToolsForAssistant('intake')
   },
 
   // First message when call connects
@@ -0,0 +1,108 @@
+/**
+ * Phone Numbering Plans
+ *
+ * What a valid number looks like in the countries our clients most often
+ * call from. PhoneNumberService (src/services/phone-number.js) uses these to
+ * read national formats ("06 12 34 56 78" with country France) and to reject
+ * numbers that can't exist before they are dialed:
+ * - callingCode: country calling code, without the +
+ * - trunkPrefix: dialed before national numbers, dropped in E.164 (usually 0)
+ * - lengths: allowed lengths of the national number (without trunk prefix)
+ * - valid: pattern the whole national number must match (optional)
+ * - mobile / landline: national number prefixes of each type (others are 'other')
+ * - names: how the country may be written on forms, besides its ISO code
+ *
+ * Numbers from countries not listed here are accepted if their calling code
+ * exists and they have 8-15 digits, with type 'unknown'.
+ *
+ * +1 numbers share the US/Canada plan; their country comes from the area
+ * code (NANP_AREA_CODES), and any area code not listed there is the US.
+ */
+
+const PLANS = {
+  GB: { callingCode: '44', trunkPrefix: '0', lengths: [9, 10], valid: /^(?:[1-3]\d{8,9}|[5789]\d{9})$/, mobile: /^7(?:[1-57-9]|624)/, landline: /^[123]/, names: ['united kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  IE: { callingCode: '353', trunkPrefix: '0', lengths: [7, 8, 9], mobile: /^8[35-9]/, landline: /^[1-79]/, names: ['ireland'] },
+  FR: { callingCode: '33', trunkPrefix: '0', lengths: [9], mobile: /^[67]/, landline: /^[1-59]/, names: ['france'] },
+  DE: { callingCode: '49', trunkPrefix: '0', lengths: [6, 7, 8, 9, 10, 11], mobile: /^1[5-7]/, landline: /^[2-9]/, names: ['germany'] },
+  ES: { callingCode: '34', trunkPrefix: '', lengths: [9], mobile: /^[67]/, landline: /^[89]/, names: ['spain'] },
+  IT: { callingCode: '39', trunkPrefix: '', lengths: [6, 7, 8, 9, 10, 11], mobile: /^3/, landline: /^0/, names: ['italy'] },
+  NL: { callingCode: '31', trunkPrefix: '0', lengths: [9], mobile: /^6/, landline: /^[1-57]/, names: ['netherlands', 'holland'] },
+  BE: { callingCode: '32', trunkPrefix: '0', lengths: [8, 9], mobile: /^4[5-9]/, landline: /^[1-9]/, names: ['belgium'] },
+  US: { callingCode: '1', trunkPrefix: '1', lengths: [10], valid: /^[2-9]\d{2}[2-9]/, names: ['united states', 'usa', 'america'] },
+  CA: { callingCode: '1', trunkPrefix: '1', lengths: [10], valid: /^[2-9]\d{2}[2-9]/, names: ['canada'] },
+  TR: { callingCode: '90', trunkPrefix: '0', lengths: [10], mobile: /^5/, landline: /^[2-4]/, names: ['turkey', 'turkiye'] },
+  AL: { callingCode: '355', trunkPrefix: '0', lengths: [8, 9], mobile: /^6/, landline: /^[2-5]/, names: ['albania'] },
+  UA: { callingCode: '380', trunkPrefix: '0', lengths: [9], mobile: /^(?:39|50|6[36-8]|73|9[1-9])/, landline: /^[3-6]/, names: ['ukraine'] },
+  AF: { callingCode: '93', trunkPrefix: '0', lengths: [9], mobile: /^7/, landline: /^[2-6]/, names: ['afghanistan'] },
+  IR: { callingCode: '98', trunkPrefix: '0', lengths: [10], mobile: /^9/, landline: /^[1-8]/, names: ['iran'] },
+  IQ: { callingCode: '964', trunkPrefix: '0', lengths: [8, 9, 10], mobile: /^7/, landline: /^[1-6]/, names: ['iraq', 'kurdistan'] },
+  SY: { callingCode: '963', trunkPrefix: '0', lengths: [8, 9], mobile: /^9/, landline: /^[1-5]/, names: ['syria'] },
+  YE: { callingCode: '967', trunkPrefix: '0', lengths: [7, 8, 9], mobile: /^7/, landline: /^[1-6]/, names: ['yemen'] },
+  PS: { callingCode: '970', trunkPrefix: '0', lengths: [8, 9], mobile: /^5/, landline: /^[2489]/, names: ['palestine', 'gaza', 'west bank'] },
+  LB: { callingCode: '961', trunkPrefix: '0', lengths: [7, 8], mobile: /^(?:3|7[0-9]|81)/, landline: /^[1-9]/, names: ['lebanon'] },
+  JO: { callingCode: '962', trunkPrefix: '0', lengths: [8, 9], mobile: /^7/, landline: /^[2-6]/, names: ['jordan'] },
+  PK: { callingCode: '92', trunkPrefix: '0', lengths: [9, 10], mobile: /^3/, landline: /^[2-9]/, names: ['pakistan'] },
+  IN: { callingCode: '91', trunkPrefix: '0', lengths: [10], mobile: /^[6-9]/, landline: /^[1-5]/, names: ['india'] },
+  BD: { callingCode: '880', trunkPrefix: '0', lengths: [8, 9, 10], mobile: /^1[3-9]/, landline: /^[2-9]/, names: ['bangladesh'] },
+  VN: { callingCode: '84', trunkPrefix: '0', lengths: [9, 10], mobile: /^[35789]/, landline: /^2/, names: ['vietnam', 'viet nam'] },
+  CN: { callingCode: '86', trunkPrefix: '0', lengths: [9, 10, 11], mobile: /^1/, landline: /^[2-9]/, names: ['china'] },
+  EG: { callingCode: '20', trunkPrefix: '0', lengths: [8, 9, 10], mobile: /^1/, landline: /^[2-9]/, names: ['egypt'] },
+  LY: { callingCode: '218', trunkPrefix: '0', lengths: [8, 9], mobile: /^9/, landline: /^[2-8]/, names: ['libya'] },
+  SD: { callingCode: '249', trunkPrefix: '0', lengths: [9], mobile: /^[19]/, landline: /^[2-8]/, names: ['sudan'] },
+  SS: { callingCode: '211', trunkPrefix: '0', lengths: [9], mobile: /^9/, landline: /^1/, names: ['south sudan'] },
+  ER: { callingCode: '291', trunkPrefix: '0', lengths: [7], mobile: /^7/, landline: /^[1-8]/, names: ['eritrea'] },
+  ET: { callingCode: '251', trunkPrefix: '0', lengths: [9], mobile: /^[79]/, landline: /^[1-5]/, names: ['ethiopia'] },
+  SO: { callingCode: '252', trunkPrefix: '0', lengths: [7, 8, 9], mobile: /^[6-9]/, landline: /^[1-5]/, names: ['somalia'] },
+  NG: { callingCode: '234', trunkPrefix: '0', lengths: [8, 10], mobile: /^[789]\d{9}$/, landline: /^[1-9]/, names: ['nigeria'] }
+};
+
+// North American Numbering Plan area codes outside the United States
+const NANP_AREA_CODES = {
+  CA: [
+    '204', '226', '236', '249', '250', '257', '263', '289', '306', '343', '354', '365', '367', '368',
+    '382', '387', '403', '416', '418', '428', '431', '437', '438', '450', '460', '468', '474', '506',
+    '514', '519', '548', '579', '581', '584', '587', '600', '604', '613', '639', '647', '672', '683',
+    '705', '709', '742', '753', '778', '780', '782', '807', '819', '825', '867', '873', '879', '902',
+    '905', '942'
+  ],
+  AG: ['268'],                // Antigua and Barbuda
+  AI: ['264'],                // Anguilla
+  AS: ['684'],                // American Samoa
+  BB: ['246'],                // Barbados
+  BM: ['441'],                // Bermuda
+  BS: ['242'],                // Bahamas
+  DM: ['767'],                // Dominica
+  DO: ['809', '829', '849'],  // Dominican Republic
+  GD: ['473'],                // Grenada
+  GU: ['671'],                // Guam
+  JM: ['658', '876'],         // Jamaica
+  KN: ['869'],                // St Kitts and Nevis
+  KY: ['345'],                // Cayman Islands
+  LC: ['758'],                // St Lucia
+  MP: ['670'],                // Northern Mariana Islands
+  MS: ['664'],                // Montserrat
+  PR: ['787', '939'],         // Puerto Rico
+  SX: ['721'],                // Sint Maarten
+  TC: ['649'],                // Turks and Caicos
+  TT: ['868'],                // Trinidad and Tobago
+  VC: ['784'],                // St Vincent and the Grenadines
+  VG: ['284'],                // British Virgin Islands
+  VI: ['340']                 // US Virgin Islands
+};
+
+// Every assigned country calling code (ITU-T E.164), as ranges
+const CALLING_CODE_RANGES = [
+  [1, 1], [7, 7], [20, 20], [27, 27], [30, 34], [36, 36], [39, 41], [43, 49], [51, 58],
+  [60, 66], [81, 82], [84, 84], [86, 86], [90, 95], [98, 98],
+  [211, 213], [216, 216], [218, 218], [220, 258], [260, 269], [290, 291], [297, 299],
+  [350, 359], [370, 383], [385, 387], [389, 389], [420, 421], [423, 423],
+  [500, 509], [590, 599], [670, 670], [672, 692],
+  [850, 850], [852, 853], [855, 856], [880, 880], [886, 886],
+  [960, 968], [970, 977], [992, 996], [998, 998]
+];
+
+const CALLING_CODES = new Set(
+  CALLING_CODE_RANGES.flatMap(([from, to]) => Array.from({ length: to - from + 1 }, (_, i) => String(from + i)))
+);
+
+module.exports = { PLANS, CALLING_CODES, NANP_AREA_CODES };
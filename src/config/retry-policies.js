@@ -0,0 +1,98 @@
+/**
+ * Retry Policies
+ *
+ * How unsuccessful calls are retried. SmartRetryCalculator
+ * (src/services/smart-retry-calculator.js) uses the first policy whose
+ * `match` fits the call - keep the catch-all `default` policy last:
+ * - match.assistants: assistant types (intake, confirmation, emergency)
+ * - match.leadSources: GHL lead sources (contact source, case-insensitive)
+ * - maxAttempts: calls in total before the fallback SMS and follow-up task
+ * - maxPerDay: calls a day at most (the client's day); later retries move
+ *   to the next day. Omit for no cap.
+ * - jitterPercent: each delay varies randomly by up to this much either
+ *   way, so retries from one campaign don't all land at once
+ * - delays: per retry reason (see ENDED_REASONS), either minutes for each
+ *   attempt ([30, 120, 240] - the last repeats) or exponential backoff
+ *   ({ initial, multiplier, max } in minutes). `default` covers the rest.
+ *
+ * Set RETRY_POLICIES_FILE to a JSON file with the same shape
+ * ({ "policies": [...] }) to use other policies without a deploy.
+ */
+
+// Retry reasons and the VAPI ended reasons they cover ('*' matches any ending)
+const ENDED_REASONS = {
+  'no-answer': ['customer-did-not-answer'],
+  'voicemail': ['voicemail'],
+  'busy': ['customer-busy'],
+  'hung-up': ['customer-ended-call'],
+  'connection-failed': [
+    'twilio-failed-to-connect-call',
+    'twilio-reported-customer-misdialed',
+    'vonage-failed-to-connect-call',
+    'call.start.error-*'
+  ],
+  'assistant-error': [
+    'assistant-error',
+    'assistant-not-found',
+    'assistant-request-failed',
+    'assistant-request-returned-error',
+    'pipeline-error-*'
+  ]
+};
+
+const POLICIES = [
+  {
+    // Emergency follow-ups: keep trying, quickly
+    name: 'emergency',
+    match: { assistants: ['emergency'] },
+    maxAttempts: 5,
+    maxPerDay: 5,
+    jitterPercent: 0,
+    delays: {
+      'connection-failed': [2, 5, 10],
+      'assistant-error': [2, 5, 10],
+      default: { initial: 10, multiplier: 2, max: 120 }
+    }
+  },
+  {
+    // Confirmation calls from the GHL workflow (server-scheduled ones text instead)
+    name: 'confirmation',
+    match: { assistants: ['confirmation'] },
+    maxAttempts: 2,
+    maxPerDay: 2,
+    jitterPercent: 0,
+    delays: {
+      'assistant-error': [5],
+      default: [30]
+    }
+  },
+  {
+    // Paid campaign leads: back off, and no more than two calls a day
+    name: 'paid-campaign',
+    match: { assistants: ['intake'], leadSources: ['facebook', 'facebook ads', 'google ads', 'instagram'] },
+    maxAttempts: 4,
+    maxPerDay: 2,
+    jitterPercent: 15,
+    delays: {
+      'hung-up': [120, 1440],
+      'connection-failed': [15, 60],
+      'assistant-error': [5, 15, 30],
+      default: { initial: 60, multiplier: 3, max: 1440 }
+    }
+  },
+  {
+    name: 'default',
+    match: {},
+    maxAttempts: 3,
+    jitterPercent: 0,
+    delays: {
+      'no-answer': [30, 120, 240],         // 30 min, 2 hours, 4 hours
+      'hung-up': [120, 360, 1440],         // 2 hours, 6 hours, 24 hours
+      'busy': [60, 240, 720],              // 1 hour, 4 hours, 12 hours
+      'assistant-error': [5, 15, 30],      // 5 min, 15 min, 30 min
+      default: [60, 180, 360]              // 1 hour, 3 hours, 6 hours
+    }
+  }
+];
+
+module.exports = { ENDED_REASONS, POLICIES };
@@ -0,0 +1,194 @@
+/**
+ * Timezone Regions
+ *
+ * Where one country calling code covers more than one timezone, the start
+ * of the national number says which one. TimezoneDetector
+ * (src/services/timezone-detector.js) matches the longest prefix:
+ * - countries: prefixes that identify a whole single-zone country sharing
+ *   the calling code (Caribbean area codes on +1, Kazakhstan on +7)
+ * - areas: geographic area codes, by timezone
+ * - mobile: prefixes of mobile and non-geographic numbers, which say
+ *   nothing about where the caller is - the country default is used
+ *
+ * The country default is the calling code's entry in the detector's
+ * TIMEZONE_MAP. Prefixes are national numbers without the trunk prefix.
+ */
+
+const REGIONS = {
+  // North American Numbering Plan - 3-digit area codes
+  '+1': {
+    name: 'North America',
+    countries: {
+      'America/Santo_Domingo': ['809', '829', '849'],   // Dominican Republic
+      'America/Jamaica': ['658', '876'],
+      'America/Puerto_Rico': ['787', '939'],
+      'America/Port_of_Spain': ['868'],                 // Trinidad and Tobago
+      'America/Barbados': ['246'],
+      'America/Nassau': ['242'],                        // Bahamas
+      'Atlantic/Bermuda': ['441'],
+      'America/Cayman': ['345'],
+      'America/Grand_Turk': ['649'],                    // Turks and Caicos
+      'America/Grenada': ['473'],
+      'America/St_Lucia': ['758'],
+      'America/St_Vincent': ['784'],
+      'America/Dominica': ['767'],
+      'America/Antigua': ['268'],
+      'America/St_Kitts': ['869'],
+      'America/Montserrat': ['664'],
+      'America/Anguilla': ['264'],
+      'America/Tortola': ['284'],                       // British Virgin Islands
+      'America/St_Thomas': ['340'],                     // US Virgin Islands
+      'America/Lower_Princes': ['721'],                 // Sint Maarten
+      'Pacific/Guam': ['671'],
+      'Pacific/Saipan': ['670'],                        // Northern Mariana Islands
+      'Pacific/Pago_Pago': ['684']                      // American Samoa
+    },
+    areas: {
+      'America/New_York': [
+        '201', '202', '203', '207', '212', '215', '216', '220', '223', '229', '231', '234', '239', '240',
+        '248', '252', '260', '267', '269', '272', '276', '301', '302', '304', '305', '313', '315', '317',
+        '321', '330', '332', '336', '339', '347', '351', '352', '380', '386', '401', '404', '407', '410',
+        '412', '413', '419', '423', '434', '440', '443', '445', '463', '470', '475', '478', '484', '502',
+        '508', '513', '516', '517', '518', '540', '551', '561', '567', '570', '571', '574', '585', '586',
+        '603', '607', '609', '610', '614', '616', '617', '631', '640', '646', '656', '678', '680', '681',
+        '689', '703', '704', '706', '716', '717', '718', '724', '727', '732', '734', '740', '743', '754',
+        '757', '762', '765', '770', '772', '774', '781', '786', '802', '803', '804', '810', '812', '813',
+        '814', '828', '835', '839', '843', '845', '848', '854', '856', '857', '859', '860', '862', '863',
+        '864', '865', '878', '904', '908', '910', '914', '917', '919', '929', '930', '934', '937', '941',
+        '947', '954', '959', '973', '978', '980', '984', '989'
+      ],
+      'America/Chicago': [
+        '205', '210', '214', '217', '218', '224', '225', '228', '251', '254', '256', '262', '270', '281',
+        '308', '309', '312', '314', '316', '318', '319', '320', '325', '331', '334', '337', '346', '361',
+        '402', '405', '409', '414', '417', '430', '432', '447', '469', '479', '501', '504', '507', '512',
+        '515', '531', '539', '563', '573', '580', '601', '605', '608', '612', '615', '618', '620', '629',
+        '630', '636', '641', '651', '660', '662', '682', '701', '708', '712', '713', '715', '726', '731',
+        '737', '763', '769', '773', '779', '785', '815', '816', '817', '830', '832', '847', '870', '872',
+        '901', '903', '913', '918', '920', '931', '936', '938', '940', '945', '952', '956', '972', '979',
+        '985'
+      ],
+      'America/Denver': ['303', '307', '385', '406', '435', '505', '575', '719', '720', '801', '915', '970', '983'],
+      'America/Boise': ['208', '986'],
+      'America/Phoenix': ['480', '520', '602', '623', '928'],
+      'America/Los_Angeles': [
+        '206', '209', '213', '253', '279', '310', '323', '341', '350', '360', '408', '415', '424', '425',
+        '442', '458', '503', '509', '510', '530', '541', '559', '562', '564', '619', '626', '628', '650',
+        '657', '661', '669', '702', '707', '714', '725', '747', '760', '775', '805', '818', '820', '831',
+        '840', '858', '909', '916', '925', '949', '951', '971'
+      ],
+      'America/Anchorage': ['907'],
+      'Pacific/Honolulu': ['808'],
+      // Canada
+      'America/Toronto': [
+        '226', '249', '263', '289', '343', '354', '365', '367', '382', '416', '418', '437', '438', '450',
+        '514', '519', '548', '579', '581', '613', '647', '683', '705', '742', '753', '807', '819', '873',
+        '905'
+      ],
+      'America/Halifax': ['782', '902'],
+      'America/Moncton': ['428', '506'],
+      'America/St_Johns': ['709', '879'],
+      'America/Winnipeg': ['204', '431', '584'],
+      'America/Regina': ['306', '474', '639'],
+      'America/Edmonton': ['368', '403', '587', '780', '825'],
+      'America/Vancouver': ['236', '250', '257', '604', '672', '778']
+    },
+    mobile: []
+  },
+
+  // Russia and Kazakhstan
+  '+7': {
+    name: 'Russia',
+    countries: {
+      'Asia/Almaty': ['6', '7']                         // Kazakhstan
+    },
+    areas: {
+      'Europe/Moscow': ['4', '8'],
+      'Europe/Kaliningrad': ['401'],
+      'Europe/Samara': ['341', '846', '848'],
+      'Asia/Yekaterinburg': ['34', '35'],
+      'Asia/Omsk': ['381'],
+      'Asia/Tomsk': ['382'],
+      'Asia/Novosibirsk': ['383'],
+      'Asia/Novokuznetsk': ['384'],
+      'Asia/Barnaul': ['385', '388'],
+      'Asia/Krasnoyarsk': ['390', '391', '394'],
+      'Asia/Irkutsk': ['301', '395'],
+      'Asia/Chita': ['302'],
+      'Asia/Yakutsk': ['411', '416'],
+      'Asia/Vladivostok': ['421', '423'],
+      'Asia/Magadan': ['413'],
+      'Asia/Sakhalin': ['424'],
+      'Asia/Kamchatka': ['415'],
+      'Asia/Anadyr': ['427']
+    },
+    mobile: ['9']
+  },
+
+  // Brazil - 2-digit DDD codes, mobiles included
+  '+55': {
+    name: 'Brazil',
+    countries: {},
+    areas: {
+      'America/Sao_Paulo': ['1', '2', '3', '4', '5', '61', '62', '64'],
+      'America/Bahia': ['71', '73', '74', '75', '77'],
+      'America/Maceio': ['79', '82'],
+      'America/Recife': ['81', '87'],
+      'America/Fortaleza': ['83', '84', '85', '86', '88', '89', '98', '99'],
+      'America/Belem': ['91', '93', '94', '96'],
+      'America/Araguaina': ['63'],
+      'America/Manaus': ['92', '97'],
+      'America/Boa_Vista': ['95'],
+      'America/Cuiaba': ['65', '66'],
+      'America/Campo_Grande': ['67'],
+      'America/Rio_Branco': ['68'],
+      'America/Porto_Velho': ['69']
+    },
+    mobile: []
+  },
+
+  // Mexico - area codes, mobiles included
+  '+52': {
+    name: 'Mexico',
+    countries: {},
+    areas: {
+      'America/Tijuana': ['664', '665', '686'],
+      'America/Hermosillo': ['622', '623', '631', '633', '634', '637', '638', '641', '642', '643', '644', '645', '647', '662'],
+      'America/Mazatlan': ['612', '613', '615', '624', '667', '668', '669', '672', '673', '687', '694', '696', '697', '698'],
+      'America/Chihuahua': ['614', '625', '626', '627', '628', '629', '635', '636', '639', '648', '649'],
+      'America/Ciudad_Juarez': ['656'],
+      'America/Cancun': ['983', '984', '987', '998']
+    },
+    mobile: []
+  },
+
+  // Australia - mobiles (4) and non-geographic numbers (1, 5) use the default
+  '+61': {
+    name: 'Australia',
+    countries: {},
+    areas: {
+      'Australia/Sydney': ['2'],
+      'Australia/Melbourne': ['3'],
+      'Australia/Hobart': ['36'],
+      'Australia/Brisbane': ['7'],
+      'Australia/Adelaide': ['88'],
+      'Australia/Darwin': ['889'],
+      'Australia/Perth': ['89']
+    },
+    mobile: ['1', '4', '5']
+  },
+
+  // Indonesia - Western (WIB), Central (WITA) and Eastern (WIT) time
+  '+62': {
+    name: 'Indonesia',
+    countries: {},
+    areas: {
+      'Asia/Jakarta': ['2', '3', '6', '7'],
+      'Asia/Pontianak': ['53', '56'],
+      'Asia/Makassar': ['36', '37', '38', '4', '51', '54', '55'],
+      'Asia/Jayapura': ['9']
+    },
+    mobile: ['8']
+  }
+};
+
+module.exports = { REGIONS };
@@ -0,0 +1,359 @@
+/**
+ * Tool Definitions
+ *
+ * Single source of truth for every VAPI tool:
+ * - name / description / JSON-schema parameters (validated server-side)
+ * - handler: VapiFunctionHandler method that implements the tool
+ * - resolve: date/time parameters that may be spoken phrases ("next Tuesday",
+ *   "half past three"), resolved server-side by src/services/date-resolver.js
+ * - assistants: which assistants get the tool, with optional per-assistant
+ *   description, property subset, required list and property overrides
+ * - readOnly: the tool only looks things up, so a repeated call runs again
+ *   (fresh availability) instead of replaying the first result
+ *
+ * The assistant configs (src/config/*-assistant.js) and tools/*.json are
+ * generated from these definitions by src/services/tool-registry.js.
+ */
+
+const EMERGENCY_TYPES = ['danger', 'detained', 'minor', 'interpreter', 'court_hearing', 'other'];
+
+module.exports = [
+  {
+    name: 'check_calendar_availability',
+    handler: 'checkCalendarAvailability',
+    readOnly: true,
+    description: 'Checks available time slots in the AsylumLaw consultation calendar for a given date. Use this when the customer wants to book or reschedule an appointment. Returns available times in their local timezone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'Date to check, as the customer said it ("tomorrow afternoon", "this Friday", "23rd October") or YYYY-MM-DD. The resolved date is returned for you to read back.'
+        },
+        timeOfDay: {
+          type: 'string',
+          enum: ['any', 'morning', 'afternoon', 'evening'],
+          description: 'Only return slots in this part of the day. Taken from the date phrase if it says e.g. "afternoon".'
+        }
+      },
+      required: ['date']
+    },
+    resolve: { date: 'date' },
+    assistants: {
+      intake: {
+        description: 'Check available consultation time slots for a given date. Use when customer wants to book an appointment.'
+      },
+      confirmation: {
+        description: 'Check available time slots for rescheduling an appointment.'
+      }
+    }
+  },
+
+  {
+    name: 'find_next_available_slots',
+    handler: 'findNextAvailableSlots',
+    readOnly: true,
+    description: 'Finds the earliest available consultation times across the next few business days, optionally limited to the customer\'s preferred time of day. Use this when the customer has no particular day in mind, or the day they asked for is full. Returns times in their local timezone, ready to read out.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fromDate: {
+          type: 'string',
+          description: 'First date to search, as the customer said it ("next week", "Monday") or YYYY-MM-DD. Defaults to today.'
+        },
+        days: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 14,
+          description: 'Number of business days to search. Defaults to 5.'
+        },
+        timeOfDay: {
+          type: 'string',
+          enum: ['any', 'morning', 'afternoon', 'evening'],
+          description: 'Preferred part of the day: morning (before 12:00), afternoon (12:00-17:00), evening (from 17:00)'
+        },
+        earliestTime: {
+          type: 'string',
+          description: 'Only times at or after this, as said ("3pm", "half past two") or HH:mm. Example: "after 3pm" → 3pm'
+        },
+        latestTime: {
+          type: 'string',
+          description: 'Only times starting before this, as said ("11am") or HH:mm. Example: "before 11am" → 11am'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 6,
+          description: 'How many options to return. Defaults to 3.'
+        }
+      },
+      required: []
+    },
+    resolve: { fromDate: 'date', earliestTime: 'time', latestTime: 'time' },
+    assistants: {
+      intake: {
+        description: 'Find the earliest available consultation times over the next few days, e.g. when the customer says "whenever suits" or "any morning", or their chosen day is full.'
+      },
+      confirmation: {
+        description: 'Find the earliest available times for rescheduling when the customer has no particular day in mind.'
+      }
+    }
+  },
+
+  {
+    name: 'book_appointment',
+    handler: 'bookAppointment',
+    description: 'Books a consultation appointment in the AsylumLaw calendar. Use this after the customer has selected a time slot from check_calendar_availability. The appointment will be for an Initial Consultation regarding their asylum case.',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'Appointment date, as said ("this Friday") or YYYY-MM-DD - the same date the slots were checked for'
+        },
+        time: {
+          type: 'string',
+          description: 'Appointment time in the customer\'s local time, as said ("2pm", "half past ten") or HH:mm (24-hour). Must be one of the availableSlots returned by check_calendar_availability.'
+        },
+        notes: {
+          type: 'string',
+          description: 'Optional brief notes about the case or any special requirements'
+        }
+      },
+      required: ['date', 'time']
+    },
+    resolve: { date: 'date', time: 'time' },
+    assistants: {
+      intake: {
+        description: 'Book a consultation appointment for the caller after they select a time.'
+      }
+    }
+  },
+
+  {
+    name: 'reschedule_appointment',
+    handler: 'rescheduleAppointment',
+    description: 'Moves the customer\'s existing consultation to a new time. The new slot is booked first and the old appointment is only cancelled once the booking succeeds, so the customer always keeps one appointment. Updates the confirmation status and sends the customer an SMS with the new time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'New appointment date, as said ("next Tuesday") or YYYY-MM-DD'
+        },
+        time: {
+          type: 'string',
+          description: 'New appointment time in the customer\'s local time, as said ("3pm") or HH:mm (24-hour). Must be one of the availableSlots returned by check_calendar_availability.'
+        },
+        reason: {
+          type: 'string',
+          description: 'Brief reason for rescheduling'
+        }
+      },
+      required: ['date', 'time']
+    },
+    resolve: { date: 'date', time: 'time' },
+    assistants: {
+      confirmation: {
+        description: 'Move the current appointment to a new time the customer selected. Do not call cancel_appointment or book_appointment for a reschedule.'
+      }
+    }
+  },
+
+  {
+    name: 'cancel_appointment',
+    handler: 'cancelAppointment',
+    description: 'Cancels the customer\'s existing consultation appointment.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Brief reason for cancellation'
+        }
+      },
+      required: []
+    },
+    assistants: {
+      confirmation: {
+        description: 'Cancel the current appointment.'
+      }
+    }
+  },
+
+  {
+    name: 'update_contact',
+    handler: 'updateContact',
+    description: 'Saves or updates the caller\'s information in the CRM system. Use this to record asylum intake information collected during the conversation.',
+    parameters: {
+      type: 'object',
+      properties: {
+        firstName: { type: 'string', description: 'First name (given name)' },
+        lastName: { type: 'string', description: 'Last name (family name)' },
+        nationality: { type: 'string', description: 'Customer\'s nationality/country of origin' },
+        currentCountry: { type: 'string', description: 'Country where customer is currently located' },
+        timezone: { type: 'string', description: 'Customer\'s timezone as an IANA name (e.g. America/Chicago), if they said which city or state they are in' },
+        ukEntryDate: { type: 'string', description: 'Date of entry to UK' },
+        immigrationStatus: { type: 'string', description: 'Current visa or immigration status' },
+        asylumReason: { type: 'string', description: 'Brief reason for seeking asylum' },
+        familyIncluded: { type: 'string', enum: ['yes', 'no'] },
+        familyDetails: { type: 'string', description: 'Names and DOBs of family members' },
+        preferredChannel: { type: 'string', enum: ['sms', 'whatsapp', 'email'] },
+        triageStatus: { type: 'string', enum: ['private-candidate', 'legalaid'] },
+        emergencyFlag: { type: 'boolean', description: 'Set to true for emergency cases' },
+        emergencyType: {
+          type: 'string',
+          description: 'Type of emergency: danger, detained, minor, interpreter, court_hearing'
+        },
+        interpreterNeeded: { type: 'boolean' },
+        interpreterLanguage: { type: 'string' },
+        detentionCenter: { type: 'string', description: 'Name of detention center if detained' },
+        courtHearingDate: { type: 'string', description: 'Date of court hearing if applicable' },
+        callWindowStart: { type: 'string', description: 'Earliest time the customer is happy to be called, in their local time ("10am" or HH:mm)' },
+        callWindowEnd: { type: 'string', description: 'Latest time the customer is happy to be called, in their local time ("6pm" or HH:mm)' },
+        avoidFridayPrayer: { type: 'boolean', description: 'Set to true if the customer asks not to be called during Friday prayers' },
+        observesRamadan: { type: 'boolean', description: 'Set to true if the customer asks for earlier calls during Ramadan' }
+      },
+      // Requirements differ per assistant - see below
+      required: []
+    },
+    resolve: { callWindowStart: 'time', callWindowEnd: 'time' },
+    assistants: {
+      intake: {
+        description: 'Save or update caller information in the CRM. Call this after collecting intake information.',
+        properties: [
+          'firstName', 'lastName', 'nationality', 'currentCountry', 'timezone', 'ukEntryDate',
+          'immigrationStatus', 'asylumReason', 'familyIncluded', 'familyDetails',
+          'preferredChannel', 'triageStatus', 'interpreterNeeded', 'interpreterLanguage',
+          'callWindowStart', 'callWindowEnd', 'avoidFridayPrayer', 'observesRamadan'
+        ],
+        required: ['firstName', 'lastName', 'nationality']
+      },
+      emergency: {
+        description: 'Update contact with emergency flag and details. For new contacts, include name if provided.',
+        properties: [
+          'firstName', 'lastName', 'emergencyFlag', 'emergencyType', 'interpreterNeeded',
+          'interpreterLanguage', 'detentionCenter', 'courtHearingDate'
+        ],
+        required: ['emergencyFlag', 'emergencyType'],
+        propertyOverrides: {
+          firstName: { description: 'First name if known' },
+          lastName: { description: 'Last name if known' }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'update_confirmation_status',
+    handler: 'updateConfirmationStatus',
+    description: 'Updates the appointment confirmation status in the CRM after speaking with the customer.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['confirmed', 'cancelled', 'reschedule', 'no_answer'],
+          description: 'New confirmation status'
+        }
+      },
+      required: ['status']
+    },
+    assistants: {
+      confirmation: {
+        description: 'Update the appointment confirmation status in CRM.'
+      }
+    }
+  },
+
+  {
+    name: 'transfer_to_human',
+    handler: 'transferToHuman',
+    description: 'Transfers the call to a human handler for emergencies or complex cases, and creates an urgent task for the team.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Reason for transfer: emergency, danger, minor, detained, interpreter, court_hearing, complex'
+        },
+        urgency: {
+          type: 'string',
+          enum: ['immediate', 'high', 'normal']
+        },
+        details: {
+          type: 'string',
+          description: 'Brief details about the emergency'
+        }
+      },
+      required: ['reason', 'urgency']
+    },
+    assistants: {
+      intake: {
+        description: 'Transfer call to human handler for emergencies or complex cases.',
+        properties: ['reason', 'urgency'],
+        propertyOverrides: {
+          reason: { description: 'Reason for transfer: emergency, minor, detained, interpreter, complex' }
+        }
+      },
+      emergency: {
+        description: 'Transfer call to human staff immediately for emergency cases.',
+        propertyOverrides: {
+          reason: { description: 'Emergency type: danger, detained, minor, interpreter, court_hearing' },
+          urgency: { enum: ['immediate'], description: 'Always immediate for emergencies' }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'create_urgent_task',
+    handler: 'createUrgentTask',
+    description: 'Create high-priority task to notify team about emergency.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Task title describing the emergency'
+        },
+        details: {
+          type: 'string',
+          description: 'Full details of the situation'
+        },
+        emergencyType: {
+          type: 'string',
+          enum: EMERGENCY_TYPES
+        }
+      },
+      required: ['title', 'emergencyType']
+    },
+    assistants: {
+      emergency: {}
+    }
+  },
+
+  {
+    name: 'send_referral_email',
+    handler: 'sendReferralEmail',
+    description: 'Send Legal Aid referral to partner organization. Use when client chooses Legal Aid path.',
+    parameters: {
+      type: 'object',
+      properties: {
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        nationality: { type: 'string' },
+        currentCountry: { type: 'string' },
+        ukEntryDate: { type: 'string' },
+        immigrationStatus: { type: 'string' },
+        asylumReason: { type: 'string' },
+        familyIncluded: { type: 'string', enum: ['yes', 'no'] },
+        familyDetails: { type: 'string' }
+      },
+      required: ['firstName', 'lastName', 'nationality', 'asylumReason']
+    },
+    assistants: {
+      intake: {}
+    }
+  }
+];
@@ -0,0 +1,230 @@
+/**
+ * Appointment Formatter
+ *
+ * How an appointment time is written and read out, always in the client's
+ * timezone (never the server's):
+ * - text:      "Tuesday 4 March at 2:30pm" - SMS and emails
+ * - spoken:    "Tuesday the 4th of March at half past two" - calls
+ * - UK time alongside, when the client is not on UK time:
+ *              "Tuesday 4 March at 6pm your time (1:30pm UK time)"
+ * - localised: the same date and time in the client's language
+ *              (interpreterLanguage), when that isn't English
+ *
+ * Start times are read from whatever GHL sends (ISO, "YYYY-MM-DD HH:mm:ss",
+ * epoch milliseconds, "Friday, November 28, 2025 2:00 PM"); times without an
+ * offset are the office's. A time that can't be read is passed on as it was
+ * sent, never as "Invalid DateTime".
+ */
+
+const { DateTime } = require('luxon');
+const ghlClient = require('./ghl-client');
+const callingHoursValidator = require('./calling-hours-validator');
+
+const UK_TIMEZONE = 'Europe/London';
+
+// Written-out dates from GHL workflow merge fields
+const GHL_FORMATS = [
+  'cccc, LLLL d, yyyy h:mm a',
+  'cccc, LLLL d, yyyy h:mma',
+  'cccc, LLLL d, yyyy \'at\' h:mm a',
+  'LLLL d, yyyy h:mm a',
+  'cccc d LLLL yyyy h:mm a',
+  'd LLLL yyyy h:mm a'
+];
+
+// interpreterLanguage values (and ISO codes) → Intl locale
+const LOCALES = {
+  arabic: 'ar',
+  dari: 'fa-AF',
+  farsi: 'fa',
+  persian: 'fa',
+  pashto: 'ps',
+  kurdish: 'ckb',
+  sorani: 'ckb',
+  urdu: 'ur',
+  bengali: 'bn',
+  tigrinya: 'ti',
+  amharic: 'am',
+  somali: 'so',
+  turkish: 'tr',
+  albanian: 'sq',
+  vietnamese: 'vi',
+  french: 'fr',
+  spanish: 'es',
+  portuguese: 'pt',
+  russian: 'ru',
+  ukrainian: 'uk'
+};
+
+const HOUR_WORDS = ['twelve', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven'];
+const MINUTE_WORDS = { 5: 'five', 10: 'ten', 15: 'quarter', 20: 'twenty', 25: 'twenty-five', 30: 'half' };
+
+class AppointmentFormatter {
+  /**
+   * Every form of an appointment time
+   * @param {string|Date|DateTime} startTime - Appointment start
+   * @param {Object} options - { timezone, language, withUkTime (default true) }
+   * @returns {Object} { date, time, text, spoken, ukTime, locale, localised, timezone }
+   *   text and spoken include the UK time when the client is on a different clock;
+   *   if startTime can't be read, they are startTime as sent (date and time null)
+   */
+  format(startTime, options = {}) {
+    const timezone = options.timezone || UK_TIMEZONE;
+    const parsed = this.toDateTime(startTime);
+    if (!parsed) {
+      console.warn('[AppointmentFormatter] Could not read appointment time:', startTime);
+      const raw = startTime ? String(startTime) : '';
+      return { date: null, time: null, text: raw, spoken: raw, ukTime: null, locale: null, localised: null, timezone };
+    }
+
+    const local = parsed.setZone(timezone);
+    const uk = local.setZone(UK_TIMEZONE);
+    const showUk = options.withUkTime !== false && local.offset !== uk.offset;
+    const locale = this.getLocale(options.language);
+
+    const date = this.writeDate(local);
+    const time = this.writeTime(local);
+    let text = `${date} at ${time}`;
+    let spoken = this.speak(local);
+    let ukTime = null;
+
+    if (showUk) {
+      // Name the UK day too if it isn't the client's day
+      const sameDay = uk.hasSame(local, 'day');
+      ukTime = sameDay ? this.writeTime(uk) : `${this.writeDate(uk)} at ${this.writeTime(uk)}`;
+      text = `${text} your time (${ukTime} UK time)`;
+      spoken = `${spoken} your time, that's ${sameDay ? this.speakTime(uk) : this.speak(uk)} UK time`;
+    }
+
+    return {
+      date,
+      time,
+      text,
+      spoken,
+      ukTime,
+      locale,
+      localised: locale ? this.writeLocalised(local, locale) : null,
+      timezone
+    };
+  }
+
+  /**
+   * e.g. "Tuesday 4 March"
+   * @param {string|DateTime} date - YYYY-MM-DD or date time (already in the client's timezone)
+   */
+  writeDate(date) {
+    return (typeof date === 'string' ? DateTime.fromISO(date) : date).toFormat('cccc d LLLL');
+  }
+
+  /**
+   * e.g. "2pm", "2:30pm"
+   */
+  writeTime(time) {
+    return time.toFormat(time.minute === 0 ? 'h' : 'h:mm') + (time.hour < 12 ? 'am' : 'pm');
+  }
+
+  /**
+   * e.g. "Tuesday the 4th of March at half past two"
+   */
+  speak(dateTime) {
+    return `${dateTime.toFormat('cccc')} the ${this.ordinal(dateTime.day)} of ${dateTime.toFormat('LLLL')} at ${this.speakTime(dateTime)}`;
+  }
+
+  /**
+   * e.g. "two o'clock", "half past two", "quarter to three", "2:17pm"
+   * Times outside office hours say which part of the day they are in.
+   */
+  speakTime(time) {
+    const { hour, minute } = time;
+    let words;
+
+    if (minute === 0) {
+      words = `${HOUR_WORDS[hour % 12]} o'clock`;
+    } else if (minute % 5 !== 0) {
+      return this.writeTime(time);
+    } else if (minute <= 30) {
+      words = `${MINUTE_WORDS[minute]} past ${HOUR_WORDS[hour % 12]}`;
+    } else {
+      words = `${MINUTE_WORDS[60 - minute]} to ${HOUR_WORDS[(hour + 1) % 12]}`;
+    }
+
+    if (hour === 12 && minute === 0) return 'midday';
+    if (hour < 8) return `${words} in the morning`;
+    if (hour >= 18) return `${words} in the evening`;
+    return words;
+  }
+
+  /**
+   * Date and time in the client's language, e.g. "الثلاثاء، 4 مارس في 2:30 م"
+   */
+  writeLocalised(dateTime, locale) {
+    return dateTime.setLocale(locale).toLocaleString({
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Intl locale for a client's language
+   * @param {string} language - interpreterLanguage value ("Dari") or ISO code ("fa")
+   * @returns {string|null} Locale, or null for English / unknown languages
+   */
+  getLocale(language) {
+    const key = (language || '').trim().toLowerCase();
+    if (!key || key === 'english' || key.startsWith('en')) return null;
+    if (LOCALES[key]) return LOCALES[key];
+    return /^[a-z]{2,3}(-[a-z]{2})?$/i.test(key) && Intl.DateTimeFormat.supportedLocalesOf(key).length > 0 ? key : null;
+  }
+
+  /**
+   * The language a contact's appointments should be written in
+   * @param {Object} contact - GHL contact
+   * @returns {string|null} interpreterLanguage value
+   */
+  getLanguage(contact) {
+    return contact ? ghlClient.getCustomFieldValue(contact, 'interpreterLanguage') || null : null;
+  }
+
+  ordinal(day) {
+    const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+    return `${day}${suffix}`;
+  }
+
+  /**
+   * Read a start time in any of the forms GHL sends
+   * @param {string|number|Date|DateTime} value - Start time
+   * @returns {DateTime|null} Null if it can't be read
+   */
+  toDateTime(value) {
+    if (DateTime.isDateTime(value)) return value.isValid ? value : null;
+    if (value instanceof Date) return this.valid(DateTime.fromJSDate(value));
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = String(value).trim();
+    if (/^\d{12,13}$/.test(text)) return this.valid(DateTime.fromMillis(Number(text)));
+
+    const zone = callingHoursValidator.officeTimezone;
+    const candidates = [
+      () => DateTime.fromISO(text, { zone, setZone: true }),
+      () => DateTime.fromSQL(text, { zone, setZone: true }),
+      ...GHL_FORMATS.map(format => () => DateTime.fromFormat(text, format, { zone, locale: 'en-US' })),
+      // Last resort - the JS parser reads strings without an offset in the server's timezone
+      () => DateTime.fromJSDate(new Date(text))
+    ];
+
+    for (const candidate of candidates) {
+      const dateTime = this.valid(candidate());
+      if (dateTime) return dateTime;
+    }
+    return null;
+  }
+
+  valid(dateTime) {
+    return dateTime.isValid ? dateTime : null;
+  }
+}
+
+module.exports = new AppointmentFormatter();
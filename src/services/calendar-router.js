@@ -0,0 +1,149 @@
+/**
+ * Calendar Router
+ *
+ * Picks the consultation calendars a contact can be booked into, from the
+ * advisers in src/config/advisers.js:
+ * - specialisms from the contact's emergencyType, immigrationStatus and familyIncluded
+ * - language from interpreterLanguage
+ * - triageStatus limits advisers who only take private or Legal Aid clients
+ *
+ * A matching specialist wins over a language match (an interpreter can be
+ * arranged, specialist knowledge can't). With no match, the consultation
+ * team calendar is used - and it is also offered when the matching
+ * advisers have no free slots on the day (see getFallback).
+ */
+
+const advisers = require('../config/advisers');
+const ghlClient = require('./ghl-client');
+
+// Specialisms a contact needs, worked out from their custom fields
+const SPECIALISM_RULES = [
+  { specialism: 'detention', matches: (fields) => fields.emergencyType === 'detained' },
+  {
+    specialism: 'appeals',
+    matches: (fields) => fields.emergencyType === 'court_hearing' || /appeal|refus/i.test(fields.immigrationStatus || '')
+  },
+  { specialism: 'family_reunion', matches: (fields) => String(fields.familyIncluded).toLowerCase() === 'yes' }
+];
+
+class CalendarRouter {
+  constructor() {
+    this.advisers = advisers;
+  }
+
+  /**
+   * What the contact needs from an adviser
+   * @param {Object} contact - GHL contact (customFields as [{ id, value }])
+   * @returns {Object} { specialisms, language, triageStatus }
+   */
+  getNeeds(contact) {
+    const fields = {};
+    for (const name of ['emergencyType', 'immigrationStatus', 'familyIncluded', 'interpreterLanguage', 'triageStatus']) {
+      fields[name] = ghlClient.getCustomFieldValue(contact, name);
+    }
+
+    const language = (fields.interpreterLanguage || '').trim().toLowerCase();
+
+    return {
+      specialisms: SPECIALISM_RULES.filter(rule => rule.matches(fields)).map(rule => rule.specialism),
+      language: language && language !== 'english' ? language : null,
+      triageStatus: fields.triageStatus || null
+    };
+  }
+
+  /**
+   * Candidate calendars for a contact, most suitable first
+   * @param {Object} contact - GHL contact (may be empty for unknown callers)
+   * @returns {Array<Object>} [{ id, name, calendarId, userId, reasons }]
+   */
+  route(contact) {
+    const needs = this.getNeeds(contact || {});
+    const available = this.advisers.filter(adviser =>
+      adviser.calendarId &&
+      !adviser.fallback &&
+      (!adviser.triageStatuses || !needs.triageStatus || adviser.triageStatuses.includes(needs.triageStatus))
+    );
+
+    const speaks = (adviser) => Boolean(needs.language) && adviser.languages.includes(needs.language);
+    const specialists = available.filter(adviser =>
+      adviser.specialisms.some(specialism => needs.specialisms.includes(specialism))
+    );
+
+    let candidates;
+    if (specialists.length > 0) {
+      // Specialists who also speak the language first
+      candidates = [...specialists.filter(speaks), ...specialists.filter(adviser => !speaks(adviser))];
+    } else {
+      candidates = available.filter(speaks);
+    }
+
+    if (candidates.length === 0) {
+      candidates = this.getFallbackAdvisers();
+    }
+
+    const routed = candidates.map(adviser => this.toCandidate(adviser, this.describeMatch(adviser, needs, speaks(adviser))));
+
+    console.log(`[CalendarRouter] Needs ${JSON.stringify(needs)} → ${routed.map(candidate => candidate.id).join(', ') || 'no calendars'}`);
+    return routed;
+  }
+
+  /**
+   * Consultation team calendars to try when the routed calendars have no
+   * free slots
+   * @param {Array<Object>} routed - Calendars already tried (from route)
+   * @returns {Array<Object>} [{ id, name, calendarId, userId, reasons }] - empty if the routed calendars include them
+   */
+  getFallback(routed = []) {
+    const tried = new Set(routed.map(candidate => candidate.calendarId));
+    return this.getFallbackAdvisers()
+      .filter(adviser => !tried.has(adviser.calendarId))
+      .map(adviser => this.toCandidate(adviser, ['fallback']));
+  }
+
+  getFallbackAdvisers() {
+    return this.advisers.filter(adviser => adviser.fallback && adviser.calendarId);
+  }
+
+  toCandidate(adviser, reasons) {
+    return {
+      id: adviser.id,
+      name: adviser.name,
+      calendarId: adviser.calendarId,
+      userId: adviser.userId,
+      reasons
+    };
+  }
+
+  /**
+   * Get an adviser by ID
+   * @param {string} adviserId - Adviser ID from src/config/advisers.js
+   * @returns {Object|undefined} Adviser
+   */
+  getAdviser(adviserId) {
+    return this.advisers.find(adviser => adviser.id === adviserId);
+  }
+
+  describeMatch(adviser, needs, speaksLanguage) {
+    const reasons = adviser.specialisms
+      .filter(specialism => needs.specialisms.includes(specialism))
+      .map(specialism => `specialism:${specialism}`);
+    if (speaksLanguage) reasons.push(`language:${needs.language}`);
+    return reasons.length > 0 ? reasons : ['default'];
+  }
+
+  /**
+   * Merge slots from several calendars - one slot per start instant, taken
+   * from the first calendar (in routing order) that has it
+   * @param {Array} slots - [{ time, startTime, calendarId, ... }] in routing order
+   * @returns {Array} Merged slots in chronological order
+   */
+  mergeSlots(slots) {
+    const byInstant = new Map();
+    for (const slot of slots) {
+      if (!byInstant.has(slot.startTime)) byInstant.set(slot.startTime, slot);
+    }
+    return [...byInstant.values()].sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+}
+
+module.exports = new CalendarRouter();
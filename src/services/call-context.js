@@ -0,0 +1,43 @@
+/**
+ * Call Context
+ *
+ * Variable values every call starts with, so the assistants know what "today"
+ * is for the caller instead of guessing:
+ * - today / weekday / localTime in the caller's timezone
+ * - timezone (from call metadata or detected from the phone number)
+ * - businessHoursStatus (office open/closed) and the office hours, in the
+ *   office's timezone
+ *
+ * Passed as assistantOverrides.variableValues on outbound calls (VapiClient)
+ * and inbound assistant selection, and used in the prompts as {{today}} etc.
+ */
+
+const { DateTime } = require('luxon');
+const timezoneDetector = require('./timezone-detector');
+const callingHoursValidator = require('./calling-hours-validator');
+
+class CallContext {
+  /**
+   * Build the date/time variable values for a call
+   * @param {Object} options - { customerPhone, timezone, now }
+   * @returns {Object} Variable values (all strings)
+   */
+  build(options = {}) {
+    const timezone = timezoneDetector.resolve(options.customerPhone, { timezone: options.timezone }).timezone;
+    const now = (options.now ? DateTime.fromJSDate(new Date(options.now)) : DateTime.now()).setZone(timezone);
+    const hours = callingHoursValidator.getBusinessHoursInfo();
+    const open = callingHoursValidator.isOfficeOpen(now.toJSDate());
+
+    return {
+      today: now.toISODate(),
+      weekday: now.toFormat('cccc'),
+      todayLong: now.toFormat('cccc d LLLL yyyy'),
+      localTime: now.toFormat('HH:mm'),
+      timezone,
+      businessHoursStatus: open ? 'open' : 'closed',
+      businessHours: `${hours.days.join(', ')}, ${hours.start}-${hours.end} (${hours.timezone})`
+    };
+  }
+}
+
+module.exports = new CallContext();
@@ -0,0 +1,235 @@
+/**
+ * Call History
+ *
+ * Stores a record of every call reported by VAPI's end-of-call webhook:
+ * transcript, summary, recording URL, tool-call log and ended reason.
+ * Records are keyed by call ID and persisted to disk so case handlers
+ * can review a contact's full call history.
+ *
+ * Records hold client details, so only what case handlers need is kept
+ * (the contact is linked by ID, not copied) and records are removed after
+ * CALL_HISTORY_RETENTION_DAYS (default 90). The GHL note is the long-term copy.
+ */
+
+const JsonStore = require('./json-store');
+
+// GHL notes are kept readable - the full transcript stays in the local store
+const NOTE_TRANSCRIPT_LIMIT = 5000;
+
+// Old records are removed at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class CallHistory {
+  constructor() {
+    this.store = new JsonStore('call-history');
+    this.retentionDays = parseInt(process.env.CALL_HISTORY_RETENTION_DAYS || '90');
+    this.byContact = null;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Record a call from an end-of-call payload
+   * Repeated reports for the same call replace the earlier record
+   * @param {Object} payload - VAPI end-of-call payload
+   * @returns {Object|null} Stored record, or null if the payload has no call ID
+   */
+  recordCall(payload) {
+    const { call, endedReason } = payload;
+    if (!call?.id) return null;
+
+    const metadata = call.metadata || {};
+    const messages = payload.messages || payload.artifact?.messages || [];
+    const startedAt = payload.startedAt || call.startedAt || null;
+    const endedAt = payload.endedAt || call.endedAt || new Date().toISOString();
+
+    const record = {
+      callId: call.id,
+      contactId: metadata.contact_id || null,
+      assistantType: metadata.type || 'intake',
+      startedAt,
+      endedAt,
+      durationSeconds: payload.durationSeconds ?? this.getDurationSeconds(startedAt, endedAt),
+      endedReason: endedReason || call.endedReason || null,
+      summary: payload.summary || payload.analysis?.summary || null,
+      transcript: payload.transcript || payload.artifact?.transcript || null,
+      recordingUrl: payload.recordingUrl || payload.artifact?.recordingUrl || null,
+      toolCalls: this.extractToolCalls(messages),
+      recordedAt: new Date().toISOString()
+    };
+
+    this.prune();
+    this.store.set(record.callId, record);
+    this.index(record);
+    console.log(`[CallHistory] Recorded call ${record.callId} (${record.toolCalls.length} tool call(s))`);
+
+    return record;
+  }
+
+  /**
+   * Remove records older than the retention period
+   * Runs at most once an hour unless forced
+   * @param {Object} options - { force, now }
+   * @returns {number} Records removed
+   */
+  prune({ force = false, now = Date.now() } = {}) {
+    if (!force && now - this.lastPrunedAt < PRUNE_INTERVAL_MS) return 0;
+    this.lastPrunedAt = now;
+
+    const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+    const removed = this.store.deleteWhere(record => new Date(record.endedAt).getTime() < cutoff);
+
+    if (removed > 0) {
+      this.byContact = null;
+      console.log(`[CallHistory] Removed ${removed} call(s) older than ${this.retentionDays} days`);
+    }
+    return removed;
+  }
+
+  /**
+   * Get a call record
+   * @param {string} callId - VAPI call ID
+   * @returns {Object|undefined} Call record
+   */
+  get(callId) {
+    return this.store.get(callId);
+  }
+
+  /**
+   * Add details to a call record (e.g. its voicemail outcome)
+   * @param {string} callId - VAPI call ID
+   * @param {Object} changes - Fields to set
+   * @returns {Object|undefined} Updated record
+   */
+  update(callId, changes) {
+    return this.store.update(callId, changes);
+  }
+
+  /**
+   * Get a contact's call history, most recent first
+   * @param {string} contactId - GHL contact ID
+   * @returns {Array<Object>} Call records
+   */
+  getForContact(contactId) {
+    const callIds = this.getContactIndex().get(contactId) || new Set();
+    return [...callIds]
+      .map(callId => this.store.get(callId))
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+  }
+
+  /**
+   * Call IDs by contact ID, built from the store once
+   * @returns {Map<string, Set<string>>} Index
+   */
+  getContactIndex() {
+    if (!this.byContact) {
+      this.byContact = new Map();
+      this.store.list().forEach(record => this.index(record));
+    }
+    return this.byContact;
+  }
+
+  index(record) {
+    if (!record.contactId) return;
+    const index = this.getContactIndex();
+    if (!index.has(record.contactId)) index.set(record.contactId, new Set());
+    index.get(record.contactId).add(record.callId);
+  }
+
+  /**
+   * Build the tool-call log from the call's messages
+   * Pairs each tool call with its result by tool call ID
+   * @param {Array<Object>} messages - VAPI call messages
+   * @returns {Array<Object>} [{ toolCallId, name, arguments, result, time }]
+   */
+  extractToolCalls(messages) {
+    const results = new Map();
+    for (const message of messages) {
+      if (message.role === 'tool_call_result' && message.toolCallId) {
+        results.set(message.toolCallId, message.result);
+      }
+    }
+
+    const toolCalls = [];
+    for (const message of messages) {
+      if (message.role !== 'tool_calls') continue;
+
+      for (const toolCall of message.toolCalls || []) {
+        toolCalls.push({
+          toolCallId: toolCall.id,
+          name: toolCall.function?.name,
+          arguments: this.parseArguments(toolCall.function?.arguments),
+          result: results.has(toolCall.id) ? results.get(toolCall.id) : null,
+          time: message.time ? new Date(message.time).toISOString() : null
+        });
+      }
+    }
+
+    return toolCalls;
+  }
+
+  /**
+   * Parse tool call arguments (VAPI sends them as a JSON string)
+   * @param {string|Object} args - Raw arguments
+   * @returns {Object|string} Parsed arguments, or the raw string if not JSON
+   */
+  parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return args;
+    }
+  }
+
+  /**
+   * Call duration from start/end timestamps
+   * @param {string} startedAt - ISO start time
+   * @param {string} endedAt - ISO end time
+   * @returns {number|null} Duration in seconds
+   */
+  getDurationSeconds(startedAt, endedAt) {
+    if (!startedAt || !endedAt) return null;
+    const seconds = Math.round((new Date(endedAt) - new Date(startedAt)) / 1000);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+  }
+
+  /**
+   * Build the GHL contact note for a call
+   * @param {Object} record - Call record
+   * @returns {string} Note body
+   */
+  buildNote(record) {
+    const lines = [
+      `📞 ${record.assistantType} call - ${record.endedReason || 'ended'}`,
+      `Call ID: ${record.callId}`,
+      `Ended: ${record.endedAt}`
+    ];
+
+    if (record.durationSeconds !== null) {
+      lines.push(`Duration: ${Math.floor(record.durationSeconds / 60)}m ${record.durationSeconds % 60}s`);
+    }
+    if (record.voicemail?.detected) {
+      lines.push(`Voicemail: ${record.voicemail.messageLeft ? 'message left' : 'no message left'}`);
+    }
+    if (record.recordingUrl) {
+      lines.push(`Recording: ${record.recordingUrl}`);
+    }
+    if (record.toolCalls.length > 0) {
+      lines.push(`Actions: ${record.toolCalls.map(toolCall => toolCall.name).join(', ')}`);
+    }
+    if (record.summary) {
+      lines.push('', 'Summary:', record.summary);
+    }
+    if (record.transcript) {
+      const transcript = record.transcript.length > NOTE_TRANSCRIPT_LIMIT
+        ? `${record.transcript.slice(0, NOTE_TRANSCRIPT_LIMIT)}\n[transcript truncated]`
+        : record.transcript;
+      lines.push('', 'Transcript:', transcript);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new CallHistory();
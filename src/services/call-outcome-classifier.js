@@ -0,0 +1,158 @@
+/**
+ * Call Outcome Classifier
+ *
+ * Decides how an ended call went, based on:
+ * - Why the call ended (VAPI endedReason)
+ * - How long the conversation lasted
+ * - Which tools were called successfully during the call
+ *
+ * Outcomes:
+ * - completed: the call achieved its goal (booking, referral, transfer, ...)
+ * - partial:   we spoke to the customer but the call did not finish
+ * - failed:    we never had a real conversation (no answer, voicemail, busy, error)
+ *
+ * Only partial and failed calls are retried.
+ */
+
+const OUTCOMES = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  FAILED: 'failed'
+};
+
+// A successful call to any of these tools means the call did its job
+const COMPLETING_TOOLS = {
+  intake: ['book_appointment', 'send_referral_email', 'transfer_to_human'],
+  emergency: ['transfer_to_human', 'create_urgent_task'],
+  confirmation: ['update_confirmation_status', 'reschedule_appointment', 'book_appointment', 'cancel_appointment']
+};
+
+// The call never connected to a person
+const FAILED_REASONS = [
+  'customer-did-not-answer',
+  'customer-busy',
+  'voicemail',
+  'customer-did-not-give-microphone-permission',
+  'twilio-failed-to-connect-call',
+  'vonage-failed-to-connect-call',
+  'assistant-error',
+  'assistant-not-found',
+  'assistant-request-failed'
+];
+
+// The call was handed to a human
+const FORWARDED_REASONS = ['assistant-forwarded-call'];
+
+// The assistant ended the call itself, i.e. the conversation reached its end
+const ASSISTANT_ENDED_REASONS = ['assistant-ended-call', 'assistant-said-end-call-phrase'];
+
+// Conversations shorter than this count as a hang-up rather than a partial intake
+const MIN_CONVERSATION_SECONDS = parseInt(process.env.MIN_CONVERSATION_SECONDS || '20');
+
+class CallOutcomeClassifier {
+  /**
+   * Classify a call
+   * @param {Object} options - Call details
+   * @param {string} options.endedReason - VAPI ended reason
+   * @param {number} options.durationSeconds - Call duration (null if unknown)
+   * @param {Array<Object>} options.toolCalls - Tool-call log (see call-history)
+   * @param {string} options.assistantType - intake, emergency or confirmation
+   * @param {Object} options.voicemail - Voicemail outcome (see voicemail-tracker), optional
+   * @returns {Object} { outcome, reason, completedActions }
+   */
+  classify(options) {
+    const {
+      endedReason = '',
+      durationSeconds = null,
+      toolCalls = [],
+      assistantType = 'intake',
+      voicemail = null
+    } = options;
+
+    const successfulCalls = toolCalls.filter(toolCall => this.isSuccessfulResult(toolCall.result));
+
+    const completingTools = COMPLETING_TOOLS[assistantType] || COMPLETING_TOOLS.intake;
+    const completedActions = [...new Set(
+      successfulCalls
+        // Marking a confirmation as no_answer doesn't mean we reached the customer
+        .filter(toolCall => toolCall.arguments?.status !== 'no_answer')
+        .map(toolCall => toolCall.name)
+        .filter(name => completingTools.includes(name))
+    )];
+
+    if (completedActions.length > 0) {
+      return this.buildResult(OUTCOMES.COMPLETED, 'goal_reached', completedActions);
+    }
+
+    if (FORWARDED_REASONS.includes(endedReason)) {
+      return this.buildResult(OUTCOMES.COMPLETED, 'forwarded_to_human', completedActions);
+    }
+
+    // Includes the assistant leaving a message and ending the call itself
+    if (voicemail?.detected) {
+      return this.buildResult(OUTCOMES.FAILED, 'voicemail', completedActions);
+    }
+
+    if (FAILED_REASONS.includes(endedReason) || endedReason.startsWith('pipeline-error')) {
+      return this.buildResult(OUTCOMES.FAILED, 'not_connected', completedActions);
+    }
+
+    if (ASSISTANT_ENDED_REASONS.includes(endedReason)) {
+      return this.buildResult(OUTCOMES.COMPLETED, 'conversation_finished', completedActions);
+    }
+
+    // Anything saved along the way means we did talk to the customer
+    if (successfulCalls.length > 0) {
+      return this.buildResult(OUTCOMES.PARTIAL, 'unfinished_with_progress', completedActions);
+    }
+
+    if (durationSeconds !== null && durationSeconds < MIN_CONVERSATION_SECONDS) {
+      return this.buildResult(OUTCOMES.FAILED, 'ended_before_conversation', completedActions);
+    }
+
+    return this.buildResult(OUTCOMES.PARTIAL, 'unfinished', completedActions);
+  }
+
+  /**
+   * Whether a tool result reports success
+   * Results arrive as JSON strings from VAPI; errors carry success:false or error
+   * @param {string|Object} result - Tool result
+   * @returns {boolean} True if the tool succeeded
+   */
+  isSuccessfulResult(result) {
+    if (result === null || result === undefined) return false;
+
+    let parsed = result;
+    if (typeof result === 'string') {
+      try {
+        parsed = JSON.parse(result);
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return typeof parsed === 'object' && parsed.success !== false && !parsed.error;
+  }
+
+  /**
+   * Whether an outcome should be retried
+   * @param {string} outcome - Call outcome
+   * @returns {boolean} True for partial and failed calls
+   */
+  shouldRetry(outcome) {
+    return outcome !== OUTCOMES.COMPLETED;
+  }
+
+  /**
+   * Build a classification result
+   * @param {string} outcome - Call outcome
+   * @param {string} reason - Why the outcome was chosen
+   * @param {Array<string>} completedActions - Completing tools that succeeded
+   * @returns {Object} Classification
+   */
+  buildResult(outcome, reason, completedActions) {
+    return { outcome, reason, completedActions };
+  }
+}
+
+module.exports = new CallOutcomeClassifier();
@@ -0,0 +1,372 @@
+/**
+ * Call Scheduler
+ *
+ * Durable in-process scheduler for outbound calls.
+ * - Jobs are persisted to disk so they survive restarts
+ * - Due jobs are dialed via VAPI at their scheduled time
+ * - Calling hours are re-checked right before dialing
+ * - One pending job per contact and job type (newer replaces older)
+ * - Jobs with a notAfter time fail instead of dialing late; failure
+ *   handlers registered per job type (onJobFailed) then take over
+ * - Jobs interrupted while dialing are left for review, never re-dialed
+ * - Contacts whose calling hours never overlap the office's are flagged for
+ *   a manual call (flagForManualCall) instead
+ * - Finished jobs are pruned after SCHEDULER_RETENTION_DAYS (default 30)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const JsonStore = require('./json-store');
+const vapiClient = require('./vapi-client');
+const ghlClient = require('./ghl-client');
+const callingHoursValidator = require('./calling-hours-validator');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  // Dialing was interrupted - the call may or may not have been placed
+  NEEDS_REVIEW: 'needs_review'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED, JOB_STATUS.NEEDS_REVIEW];
+
+class CallScheduler {
+  constructor() {
+    this.store = new JsonStore('scheduled-calls');
+    this.pollIntervalMs = parseInt(process.env.SCHEDULER_POLL_SECONDS || '30') * 1000;
+    this.retentionDays = parseInt(process.env.SCHEDULER_RETENTION_DAYS || '30');
+    this.timer = null;
+    this.processing = false;
+    this.failureHandlers = new Map();
+  }
+
+  /**
+   * Register a handler for failed jobs of a type (dial error or missed notAfter)
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, reason) => result, stored on the job as `fallback`
+   */
+  onJobFailed(type, handler) {
+    this.failureHandlers.set(type, handler);
+  }
+
+  /**
+   * Start polling for due jobs
+   * Jobs left 'running' by a crash may already have been dialed, so they are
+   * marked 'needs_review' rather than dialed again
+   */
+  start() {
+    if (this.timer) return;
+
+    this.recoverInterrupted();
+    this.prune();
+
+    const pending = this.list({ status: JOB_STATUS.PENDING });
+    console.log(`[CallScheduler] Started with ${pending.length} pending job(s)`);
+
+    this.timer = setInterval(() => this.runDueJobs(), this.pollIntervalMs);
+    this.timer.unref();
+
+    // Catch up on anything that became due while we were down
+    this.runDueJobs();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule an outbound call
+   * @param {Object} options - Job options
+   * @param {string} options.type - Job type (e.g. 'retry', 'initial')
+   * @param {string} options.contactId - GHL contact ID
+   * @param {Date|string} options.runAt - When to dial
+   * @param {string} options.timezone - Customer's timezone
+   * @param {Object} options.callWindow - Client's call window preferences (CallingHoursValidator.getClientWindow)
+   * @param {Object} options.call - vapiClient.createCall options
+   * @param {Object} options.updateFields - Custom fields to set on the contact once dialed
+   * @param {Date|string} options.notAfter - Optional time after which the call is pointless
+   * @param {Object} options.details - Optional extra information kept on the job
+   * @returns {Object} Scheduled job
+   */
+  schedule(options) {
+    const {
+      type,
+      contactId,
+      runAt,
+      timezone = 'Europe/London',
+      callWindow = {},
+      call,
+      updateFields = {},
+      notAfter,
+      details
+    } = options;
+
+    // Replace any pending job of the same type for this contact
+    this.cancelForContact(contactId, type);
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      contactId,
+      runAt: new Date(runAt).toISOString(),
+      timezone,
+      callWindow,
+      call,
+      updateFields,
+      notAfter: notAfter ? new Date(notAfter).toISOString() : undefined,
+      details,
+      status: JOB_STATUS.PENDING,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.store.set(job.id, job);
+    console.log(`[CallScheduler] Scheduled ${type} call for ${contactId} at ${job.runAt}`);
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined} Job
+   */
+  get(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * List jobs
+   * @param {Object} filters - Optional { status, contactId, type }
+   * @returns {Array<Object>} Jobs sorted by run time
+   */
+  list(filters = {}) {
+    const { status, contactId, type } = filters;
+
+    return this.store
+      .list(job =>
+        (!status || job.status === status) &&
+        (!contactId || job.contactId === contactId) &&
+        (!type || job.type === type)
+      )
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+  }
+
+  /**
+   * Cancel a pending job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Cancelled job, or null if not pending
+   */
+  cancel(jobId) {
+    const job = this.get(jobId);
+    if (!job || job.status !== JOB_STATUS.PENDING) {
+      return null;
+    }
+
+    console.log(`[CallScheduler] Cancelled job ${jobId}`);
+    return this.store.update(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Cancel all pending jobs for a contact
+   * @param {string} contactId - Contact ID
+   * @param {string} type - Optional job type to limit cancellation
+   * @returns {number} Number of jobs cancelled
+   */
+  cancelForContact(contactId, type) {
+    const pending = this.list({ status: JOB_STATUS.PENDING, contactId, type });
+    pending.forEach(job => this.cancel(job.id));
+    return pending.length;
+  }
+
+  /**
+   * Mark jobs left 'running' (e.g. by a crash) as needing review
+   * @returns {number} Jobs marked
+   */
+  recoverInterrupted() {
+    const interrupted = this.store.list(job => job.status === JOB_STATUS.RUNNING);
+    for (const job of interrupted) {
+      console.warn(`[CallScheduler] Job ${job.id} was interrupted while dialing ${job.contactId} - needs review`);
+      this.store.update(job.id, {
+        status: JOB_STATUS.NEEDS_REVIEW,
+        lastError: 'Interrupted while dialing - check whether the call was placed',
+        updatedAt: new Date().toISOString()
+      });
+    }
+    return interrupted.length;
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   * @returns {number} Jobs removed
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const removed = this.store.deleteWhere(job =>
+      FINISHED_STATUSES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff
+    );
+
+    if (removed > 0) {
+      console.log(`[CallScheduler] Pruned ${removed} job(s) older than ${this.retentionDays} days`);
+    }
+    return removed;
+  }
+
+  /**
+   * Dial every job whose time has come
+   */
+  async runDueJobs() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = new Date();
+      const due = this.list({ status: JOB_STATUS.PENDING })
+        .filter(job => new Date(job.runAt) <= now);
+
+      for (const job of due) {
+        await this.runJob(job.id);
+      }
+
+      this.prune();
+    } catch (error) {
+      console.error('[CallScheduler] Error processing jobs:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Dial a single job
+   * The job is read again first: it may have been cancelled or moved while
+   * earlier jobs were being dialed.
+   * @param {string} jobId - Scheduled job ID
+   */
+  async runJob(jobId) {
+    const now = new Date();
+    const job = this.get(jobId);
+
+    if (!job || job.status !== JOB_STATUS.PENDING || new Date(job.runAt) > now) {
+      return;
+    }
+
+    if (job.notAfter && now > new Date(job.notAfter)) {
+      return this.failJob(job, `Not dialed before ${job.notAfter}`);
+    }
+
+    // Calling hours may have changed since scheduling (e.g. job delayed by downtime)
+    if (!callingHoursValidator.isWithinCallingHours(now, job.timezone, job.callWindow)) {
+      const nextValidTime = callingHoursValidator.getNextValidCallingTime(now, job.timezone, job.callWindow);
+      if (!nextValidTime) {
+        await this.flagForManualCall(job.contactId, { ...job.call, timezone: job.timezone });
+        return this.failJob(job, 'Office and client hours never overlap');
+      }
+      if (job.notAfter && nextValidTime > new Date(job.notAfter)) {
+        return this.failJob(job, `No calling hours before ${job.notAfter}`);
+      }
+      console.log(`[CallScheduler] Job ${job.id} outside calling hours, moving to ${nextValidTime.toISOString()}`);
+      this.store.update(job.id, {
+        runAt: nextValidTime.toISOString(),
+        updatedAt: now.toISOString()
+      });
+      return;
+    }
+
+    this.store.update(job.id, { status: JOB_STATUS.RUNNING, updatedAt: now.toISOString() });
+
+    try {
+      const call = await vapiClient.createCall(job.call);
+
+      this.store.update(job.id, {
+        status: JOB_STATUS.COMPLETED,
+        callId: call.id,
+        dialedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      console.log(`[CallScheduler] Job ${job.id} dialed: ${call.id}`);
+
+      try {
+        await ghlClient.updateCustomFields(job.contactId,
+          ghlClient.buildCustomFields({
+            lastCallTime: new Date().toISOString(),
+            ...job.updateFields
+          })
+        );
+      } catch (error) {
+        console.warn('[CallScheduler] Could not update contact after dialing:', error.message);
+      }
+    } catch (error) {
+      await this.failJob(job, error.message);
+    }
+  }
+
+  /**
+   * Ask the team to call a contact by hand, when no call can be scheduled
+   * because their calling hours never overlap the office's
+   * @param {string} contactId - Contact ID
+   * @param {Object} details - { customerName, customerNumber, timezone }
+   * @returns {Promise<boolean>} True if the follow-up task was created
+   */
+  async flagForManualCall(contactId, { customerName, customerNumber, timezone } = {}) {
+    console.warn(`[CallScheduler] No calling hours for ${contactId} (${timezone}) - flagging for a manual call`);
+
+    try {
+      await ghlClient.addTags(contactId, ['needs-manual-followup']);
+    } catch (error) {
+      console.warn('[CallScheduler] Could not tag contact for a manual call:', error.message);
+    }
+
+    try {
+      await ghlClient.createTask({
+        contactId,
+        title: '📞 Manual call needed - no shared calling hours',
+        description: `${customerName || 'This contact'}'s calling hours in ${timezone} never overlap office hours, so no call was scheduled.
+
+Phone: ${customerNumber}
+
+Please arrange a time to call, or follow up via SMS, WhatsApp, or email.`
+      });
+      return true;
+    } catch (error) {
+      console.error('[CallScheduler] Failed to create manual call task:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Mark a job failed and run the failure handler for its type
+   * @param {Object} job - Scheduled job
+   * @param {string} reason - Why it failed
+   */
+  async failJob(job, reason) {
+    console.error(`[CallScheduler] Job ${job.id} failed:`, reason);
+    this.store.update(job.id, {
+      status: JOB_STATUS.FAILED,
+      lastError: reason,
+      updatedAt: new Date().toISOString()
+    });
+
+    const handler = this.failureHandlers.get(job.type);
+    if (!handler) return;
+
+    try {
+      const fallback = await handler(job, reason);
+      this.store.update(job.id, { fallback, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error(`[CallScheduler] Failure handler for job ${job.id} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = new CallScheduler();
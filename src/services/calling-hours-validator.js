@@ -1,11 +1,32 @@
 /**
  * Calling Hours Validator
- * 
- * Validates if a given time is within business hours for calling.
- * Respects customer's timezone.
+ *
+ * Decides when a client may be called. Two windows must both be open:
+ * - the office window: when our staff are available - BUSINESS_HOURS_START/END
+ *   on BUSINESS_DAYS in OFFICE_TIMEZONE, except bank holidays and office
+ *   closures (see HolidayCalendar)
+ * - the client window: when it is acceptable to ring the client -
+ *   CLIENT_CALL_START/END on CLIENT_CALL_DAYS in the client's timezone,
+ *   except public holidays in their country, optionally around Friday
+ *   prayers and shorter during Ramadan. A client's stated preference
+ *   (GHL call window fields) replaces the defaults.
+ *
+ * Calls are only scheduled where the two overlap. If they never overlap
+ * (a client on the other side of the world), there is no calling time at
+ * all - callers check hasCallingHours and flag the contact for a manual call.
  */
 
 const { DateTime } = require('luxon');
+const holidayCalendar = require('./holiday-calendar');
+const ghlClient = require('./ghl-client');
+
+// Longest run of days off to skip over (e.g. a Christmas closure)
+const MAX_DAYS_OFF = 31;
+
+// Friday midday prayers, client's local time
+const FRIDAY_PRAYER = { start: '12:00', end: '14:00' };
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
 
 class CallingHoursValidator {
   constructor() {
@@ -14,81 +35,120 @@ class CallingHoursValidator {
     this.startMinute = parseInt(process.env.BUSINESS_HOURS_START?.split(':')[1] || '0');
     this.endHour = parseInt(process.env.BUSINESS_HOURS_END?.split(':')[0] || '19');
     this.endMinute = parseInt(process.env.BUSINESS_HOURS_END?.split(':')[1] || '0');
-    
+    this.officeTimezone = process.env.OFFICE_TIMEZONE || 'Europe/London';
+
     // Business days (1=Monday, 7=Sunday)
     const daysString = process.env.BUSINESS_DAYS || '1,2,3,4,5';
     this.businessDays = daysString.split(',').map(d => parseInt(d.trim()));
+
+    // Client window defaults, in the client's timezone
+    this.clientDefaults = {
+      start: (process.env.CLIENT_CALL_START || '09:00').padStart(5, '0'),
+      end: (process.env.CLIENT_CALL_END || '20:00').padStart(5, '0'),
+      days: (process.env.CLIENT_CALL_DAYS || '1,2,3,4,5,6,7').split(',').map(d => parseInt(d.trim())),
+      avoidFridayPrayer: process.env.CLIENT_AVOID_FRIDAY_PRAYER === 'true',
+      observesRamadan: process.env.CLIENT_RAMADAN_AWARE === 'true'
+    };
+    this.ramadanEnd = (process.env.RAMADAN_CALL_END || '16:00').padStart(5, '0');
   }
 
   /**
-   * Check if a time is within calling hours
+   * Check if a time is within calling hours (office and client windows)
    * @param {Date|string} dateTime - Date/time to check
    * @param {string} timezone - Customer's timezone
+   * @param {Object} client - Client's call window preferences (see getClientWindow)
    * @returns {boolean} True if within calling hours
    */
-  isWithinCallingHours(dateTime, timezone = 'Europe/London') {
-    const dt = DateTime.fromJSDate(
-      typeof dateTime === 'string' ? new Date(dateTime) : dateTime
-    ).setZone(timezone);
-
-    // Check if it's a business day
-    if (!this.businessDays.includes(dt.weekday)) {
-      return false;
-    }
+  isWithinCallingHours(dateTime, timezone = 'Europe/London', client = {}) {
+    const dt = this.toDateTime(dateTime);
+    return this.getCallingWindows(dt, dt, timezone, client).some(window => dt >= window.start && dt < window.end);
+  }
+
+  /**
+   * Check if the office and client windows overlap at all
+   * Without an overlap there is no time to call: the contact needs a manual call.
+   * @param {string} timezone - Customer's timezone
+   * @param {Object} client - Client's call window preferences (see getClientWindow)
+   * @param {Date|string} dateTime - Week to check (default now - clocks change through the year)
+   * @returns {boolean} True if a call can be scheduled
+   */
+  hasCallingHours(timezone = 'Europe/London', client = {}, dateTime = new Date()) {
+    return this.sharesHours(this.toDateTime(dateTime), timezone, this.getClientWindow(client));
+  }
 
-    // Check if within hours
-    const startOfDay = dt.set({ hour: this.startHour, minute: this.startMinute, second: 0 });
-    const endOfDay = dt.set({ hour: this.endHour, minute: this.endMinute, second: 0 });
+  /**
+   * Check if the office is open, whatever the client's window
+   * @param {Date|string} dateTime - Date/time to check
+   * @returns {boolean} True if our staff are available
+   */
+  isOfficeOpen(dateTime) {
+    const dt = this.toDateTime(dateTime).setZone(this.officeTimezone);
+    return this.getOfficeIntervals(dt).some(interval => dt >= interval.start && dt < interval.end);
+  }
 
-    return dt >= startOfDay && dt < endOfDay;
+  /**
+   * Check if a date is a business day
+   * @param {DateTime|string} date - Luxon DateTime or YYYY-MM-DD
+   * @returns {boolean} True if the office is open that day
+   */
+  isBusinessDay(date) {
+    const dt = DateTime.isDateTime(date) ? date : DateTime.fromISO(date);
+    return this.businessDays.includes(dt.weekday) && !holidayCalendar.getOfficeHoliday(dt);
   }
 
   /**
    * Get the next valid calling time
    * @param {Date|string} fromDateTime - Starting point
    * @param {string} timezone - Customer's timezone
-   * @returns {Date} Next valid calling time
+   * @param {Object} client - Client's call window preferences (see getClientWindow)
+   * @returns {Date|null} Next valid calling time, or null if the office and client hours never overlap
    */
-  getNextValidCallingTime(fromDateTime, timezone = 'Europe/London') {
-    let dt = DateTime.fromJSDate(
-      typeof fromDateTime === 'string' ? new Date(fromDateTime) : fromDateTime
-    ).setZone(timezone);
-
-    // If current time is within hours, return it
-    if (this.isWithinCallingHours(dt.toJSDate(), timezone)) {
-      return dt.toJSDate();
-    }
+  getNextValidCallingTime(fromDateTime, timezone = 'Europe/London', client = {}) {
+    const dt = this.toDateTime(fromDateTime).setZone(timezone);
+    const last = dt.plus({ days: MAX_DAYS_OFF });
+    if (!this.hasCallingHours(timezone, client, dt)) return null;
 
-    // If before business hours today, return start of today's hours
-    const todayStart = dt.set({ hour: this.startHour, minute: this.startMinute, second: 0 });
-    if (dt < todayStart && this.businessDays.includes(dt.weekday)) {
-      return todayStart.toJSDate();
-    }
+    const next = this.getCallingWindows(dt, last, timezone, client).find(window => window.end > dt);
+    if (!next) return last.toJSDate();
 
-    // Otherwise, find next business day
-    let nextDay = dt.plus({ days: 1 }).set({ hour: this.startHour, minute: this.startMinute, second: 0 });
-    
-    // Keep advancing until we find a business day
-    let maxIterations = 7;
-    while (!this.businessDays.includes(nextDay.weekday) && maxIterations > 0) {
-      nextDay = nextDay.plus({ days: 1 });
-      maxIterations--;
-    }
+    return DateTime.max(next.start, dt).toJSDate();
+  }
+
+  /**
+   * Get the latest valid calling time at or before a given time
+   * @param {Date|string} beforeDateTime - Latest acceptable time
+   * @param {string} timezone - Customer's timezone
+   * @param {number} marginMinutes - How long before closing to call, when moving to an earlier time
+   * @param {Object} client - Client's call window preferences (see getClientWindow)
+   * @returns {Date|null} Latest valid calling time, or null if the office and client hours never overlap
+   */
+  getPreviousValidCallingTime(beforeDateTime, timezone = 'Europe/London', marginMinutes = 1, client = {}) {
+    const dt = this.toDateTime(beforeDateTime).setZone(timezone);
+    const first = dt.minus({ days: MAX_DAYS_OFF });
+    if (!this.hasCallingHours(timezone, client, dt)) return null;
+
+    const previous = this.getCallingWindows(first, dt, timezone, client).filter(window => window.start <= dt).pop();
+    if (!previous) return first.toJSDate();
 
-    return nextDay.toJSDate();
+    // Within the window, or just before it closes
+    if (dt < previous.end) return dt.toJSDate();
+    const closing = previous.end.minus({ minutes: Math.max(marginMinutes, 1) });
+    return DateTime.max(closing, previous.start).toJSDate();
   }
 
   /**
    * Calculate if a delay will land within business hours
    * @param {number} delayMinutes - Delay in minutes
    * @param {string} timezone - Customer's timezone
-   * @returns {Object} { withinHours: boolean, adjustedTime: Date }
+   * @param {Object} client - Client's call window preferences (see getClientWindow)
+   * @param {Date} from - Time the delay starts from (default now)
+   * @returns {Object} { withinHours: boolean, adjustedTime: Date } - adjustedTime is null if there are no calling hours
    */
-  calculateDelayWithinHours(delayMinutes, timezone = 'Europe/London') {
-    const now = DateTime.now().setZone(timezone);
+  calculateDelayWithinHours(delayMinutes, timezone = 'Europe/London', client = {}, from = new Date()) {
+    const now = this.toDateTime(from).setZone(timezone);
     const targetTime = now.plus({ minutes: delayMinutes });
 
-    if (this.isWithinCallingHours(targetTime.toJSDate(), timezone)) {
+    if (this.isWithinCallingHours(targetTime.toJSDate(), timezone, client)) {
       return {
         withinHours: true,
         adjustedTime: targetTime.toJSDate(),
@@ -98,8 +158,8 @@ class CallingHoursValidator {
     }
 
     // Find next valid time
-    const nextValidTime = this.getNextValidCallingTime(targetTime.toJSDate(), timezone);
-    const adjustedDelay = Math.round((new Date(nextValidTime) - now.toJSDate()) / 60000);
+    const nextValidTime = this.getNextValidCallingTime(targetTime.toJSDate(), timezone, client);
+    const adjustedDelay = nextValidTime ? Math.round((nextValidTime - now.toJSDate()) / 60000) : null;
 
     return {
       withinHours: false,
@@ -109,6 +169,143 @@ class CallingHoursValidator {
     };
   }
 
+  /**
+   * Times both the office and the client can take a call
+   * None when the two never overlap.
+   * @param {DateTime} from - Start of the range
+   * @param {DateTime} to - End of the range
+   * @param {string} timezone - Customer's timezone
+   * @param {Object} client - Client's call window preferences
+   * @returns {Array<Object>} { start, end } DateTimes, in time order
+   */
+  getCallingWindows(from, to, timezone, client = {}) {
+    const window = this.getClientWindow(client);
+    if (!this.sharesHours(from, timezone, window)) {
+      console.warn(`[CallingHours] Office and client hours never overlap in ${timezone} - no calling time`);
+      return [];
+    }
+
+    const clientIntervals = this.collectIntervals(from, to, timezone, day => this.getClientIntervals(day, window));
+
+    const officeIntervals = this.collectIntervals(from, to, this.officeTimezone, day => this.getOfficeIntervals(day));
+    const windows = [];
+    for (const office of officeIntervals) {
+      for (const clientInterval of clientIntervals) {
+        const start = DateTime.max(office.start, clientInterval.start);
+        const end = DateTime.min(office.end, clientInterval.end);
+        if (start < end) windows.push({ start, end });
+      }
+    }
+    return windows.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Whether the office and client windows overlap in the week of a date,
+   * ignoring holidays (clocks change, so this can differ through the year)
+   */
+  sharesHours(date, timezone, window) {
+    const monday = date.setZone(this.officeTimezone).startOf('week');
+    const sunday = monday.plus({ days: 6 });
+    const office = this.collectIntervals(monday, sunday, this.officeTimezone, day => this.getOfficeIntervals(day, false));
+    const client = this.collectIntervals(monday, sunday, timezone, day => this.getClientIntervals(day, window, false));
+
+    return office.some(a => client.some(b => a.start < b.end && b.start < a.end));
+  }
+
+  /**
+   * Office opening hours on a day
+   * @param {DateTime} day - Day in the office's timezone
+   * @param {boolean} holidays - Whether bank holidays and closures apply
+   * @returns {Array<Object>} { start, end } DateTimes
+   */
+  getOfficeIntervals(day, holidays = true) {
+    const open = holidays ? this.isBusinessDay(day) : this.businessDays.includes(day.weekday);
+    if (!open) return [];
+
+    return [{
+      start: day.set({ hour: this.startHour, minute: this.startMinute, second: 0, millisecond: 0 }),
+      end: day.set({ hour: this.endHour, minute: this.endMinute, second: 0, millisecond: 0 })
+    }];
+  }
+
+  /**
+   * Times it is acceptable to ring the client on a day
+   * @param {DateTime} day - Day in the client's timezone
+   * @param {Object} window - Client window (see getClientWindow)
+   * @param {boolean} holidays - Whether country holidays and Ramadan apply
+   * @returns {Array<Object>} { start, end } DateTimes
+   */
+  getClientIntervals(day, window, holidays = true) {
+    if (!window.days.includes(day.weekday)) return [];
+    if (holidays && holidayCalendar.getCountryHoliday(day)) return [];
+
+    const end = holidays && window.observesRamadan && holidayCalendar.isRamadan(day) && this.ramadanEnd < window.end
+      ? this.ramadanEnd
+      : window.end;
+    let intervals = [{ start: this.atTime(day, window.start), end: this.atTime(day, end) }];
+
+    if (window.avoidFridayPrayer && day.weekday === 5) {
+      const prayerStart = this.atTime(day, FRIDAY_PRAYER.start);
+      const prayerEnd = this.atTime(day, FRIDAY_PRAYER.end);
+      intervals = intervals.flatMap(({ start, end }) => [
+        { start, end: DateTime.min(end, prayerStart) },
+        { start: DateTime.max(start, prayerEnd), end }
+      ]);
+    }
+
+    return intervals.filter(interval => interval.start < interval.end);
+  }
+
+  /**
+   * A client's call window: their preferences over the CLIENT_* defaults
+   * @param {Object} client - { start, end, avoidFridayPrayer, observesRamadan } (all optional)
+   * @returns {Object} { start, end, days, avoidFridayPrayer, observesRamadan }
+   */
+  getClientWindow(client = {}) {
+    const window = { ...this.clientDefaults };
+    if (this.isValidTime(client.start)) window.start = client.start.padStart(5, '0');
+    if (this.isValidTime(client.end)) window.end = client.end.padStart(5, '0');
+    if (typeof client.avoidFridayPrayer === 'boolean') window.avoidFridayPrayer = client.avoidFridayPrayer;
+    if (typeof client.observesRamadan === 'boolean') window.observesRamadan = client.observesRamadan;
+
+    // A window that ends before it starts is ignored
+    if (window.end <= window.start) {
+      window.start = this.clientDefaults.start;
+      window.end = this.clientDefaults.end;
+    }
+    return window;
+  }
+
+  /**
+   * A contact's call window preferences, from their GHL custom fields
+   * @param {Object} contact - GHL contact
+   * @returns {Object} { start, end, avoidFridayPrayer, observesRamadan } - only those set
+   */
+  getClientPreferences(contact) {
+    if (!contact) return {};
+
+    const flag = (name) => {
+      const value = ghlClient.getCustomFieldValue(contact, name);
+      return value === undefined || value === '' ? undefined : String(value) === 'true';
+    };
+    const preferences = {
+      start: ghlClient.getCustomFieldValue(contact, 'callWindowStart'),
+      end: ghlClient.getCustomFieldValue(contact, 'callWindowEnd'),
+      avoidFridayPrayer: flag('avoidFridayPrayer'),
+      observesRamadan: flag('observesRamadan')
+    };
+    return Object.fromEntries(Object.entries(preferences).filter(([, value]) => value !== undefined && value !== ''));
+  }
+
+  /**
+   * Whether a value is a 24-hour time (HH:mm)
+   * @param {string} value - Time to check
+   * @returns {boolean} True if valid
+   */
+  isValidTime(value) {
+    return typeof value === 'string' && TIME_PATTERN.test(value);
+  }
+
   /**
    * Get business hours info
    * @returns {Object} Business hours configuration
@@ -118,9 +315,36 @@ class CallingHoursValidator {
     return {
       start: `${this.startHour.toString().padStart(2, '0')}:${this.startMinute.toString().padStart(2, '0')}`,
       end: `${this.endHour.toString().padStart(2, '0')}:${this.endMinute.toString().padStart(2, '0')}`,
-      days: this.businessDays.map(d => dayNames[d])
+      days: this.businessDays.map(d => dayNames[d]),
+      timezone: this.officeTimezone,
+      client: {
+        start: this.clientDefaults.start,
+        end: this.clientDefaults.end,
+        days: this.clientDefaults.days.map(d => dayNames[d]),
+        avoidFridayPrayer: this.clientDefaults.avoidFridayPrayer,
+        observesRamadan: this.clientDefaults.observesRamadan
+      }
     };
   }
+
+  collectIntervals(from, to, timezone, intervalsFor) {
+    const intervals = [];
+    const last = to.setZone(timezone).endOf('day');
+    for (let day = from.setZone(timezone).startOf('day').minus({ days: 1 }); day <= last; day = day.plus({ days: 1 })) {
+      intervals.push(...intervalsFor(day));
+    }
+    return intervals;
+  }
+
+  atTime(day, time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return day.set({ hour, minute, second: 0, millisecond: 0 });
+  }
+
+  toDateTime(value) {
+    if (DateTime.isDateTime(value)) return value;
+    return DateTime.fromJSDate(typeof value === 'string' ? new Date(value) : value);
+  }
 }
 
 module.exports = new CallingHoursValidator();
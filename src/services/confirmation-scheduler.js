@@ -0,0 +1,180 @@
+/**
+ * Confirmation Scheduler
+ *
+ * Schedules the confirmation call for an appointment as soon as it is
+ * booked, instead of relying on a GHL workflow to trigger it:
+ * - the call is placed CONFIRMATION_LEAD_MINUTES (default 60) before the appointment
+ * - if that is outside calling hours, it moves earlier to the last calling
+ *   time before it (never later - the call must happen before the appointment)
+ * - rescheduling replaces the call, cancelling removes it
+ * - if the call can't be placed in time, or isn't answered, the customer is
+ *   sent a reminder SMS instead
+ * - if the client's calling hours never overlap the office's, the team is
+ *   asked to confirm by hand
+ *
+ * Jobs run on the durable CallScheduler as type 'confirmation'.
+ */
+
+const { DateTime } = require('luxon');
+const callScheduler = require('./call-scheduler');
+const callingHoursValidator = require('./calling-hours-validator');
+const vapiClient = require('./vapi-client');
+const ghlClient = require('./ghl-client');
+const smsClient = require('./sms-client');
+const appointmentFormatter = require('./appointment-formatter');
+
+const JOB_TYPE = 'confirmation';
+
+// Moved to an earlier day: call this long before closing time
+const CLOSING_MARGIN_MINUTES = 30;
+
+class ConfirmationScheduler {
+  constructor() {
+    this.enabled = process.env.AUTO_CONFIRMATION_CALLS !== 'false';
+    this.leadMinutes = parseInt(process.env.CONFIRMATION_LEAD_MINUTES || '60');
+
+    callScheduler.onJobFailed(JOB_TYPE, (job, reason) => this.sendReminder(job.call.metadata, reason));
+  }
+
+  /**
+   * Schedule the confirmation call for a booked appointment
+   * Replaces any pending confirmation call for the contact.
+   * @param {Object} options - { contactId, appointmentId, startTime, timezone, customerPhone, customerName }
+   * @returns {Promise<Object|null>} Scheduled job, or null if no call is scheduled
+   */
+  async scheduleForAppointment(options) {
+    const { contactId, appointmentId, startTime, timezone } = options;
+    if (!this.enabled) return null;
+
+    // The contact's language decides how the reminder SMS shows the time,
+    // their call window when they can be rung
+    const contact = await ghlClient.getContact(contactId);
+    const customerPhone = options.customerPhone || contact.phone;
+    const customerName = options.customerName || [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+    const language = appointmentFormatter.getLanguage(contact);
+    const callWindow = callingHoursValidator.getClientPreferences(contact);
+
+    const runAt = this.planCallTime(startTime, timezone, new Date(), callWindow);
+    if (!runAt) {
+      // Booked too close to the appointment - nothing to confirm ahead of time
+      console.log(`[ConfirmationScheduler] No calling time before ${startTime} for ${contactId} - not scheduling`);
+      this.cancelForContact(contactId);
+
+      // Or never a time to call them - the team confirms by hand
+      if (!callingHoursValidator.hasCallingHours(timezone, callWindow)) {
+        await callScheduler.flagForManualCall(contactId, { customerName, customerNumber: customerPhone, timezone });
+      }
+      return null;
+    }
+
+    const appointment = appointmentFormatter.format(startTime, { timezone, language });
+    const metadata = {
+      type: JOB_TYPE,
+      contact_id: contactId,
+      appointment_id: appointmentId,
+      appointment_time: startTime,
+      timezone,
+      customerPhone,
+      customerName,
+      language,
+      appointmentTime: appointment.text,
+      scheduledConfirmation: true
+    };
+
+    return callScheduler.schedule({
+      type: JOB_TYPE,
+      contactId,
+      runAt,
+      timezone,
+      callWindow,
+      notAfter: startTime,
+      details: { appointmentId, appointmentTime: startTime },
+      call: {
+        ...vapiClient.getOutboundConfig(JOB_TYPE),
+        customerNumber: customerPhone,
+        customerName,
+        metadata,
+        variableValues: { customerName, appointmentTime: appointment.spoken }
+      }
+    });
+  }
+
+  /**
+   * When to place the confirmation call
+   * @param {string} startTime - Appointment start (ISO)
+   * @param {string} timezone - Customer's timezone
+   * @param {Date} now - Current time
+   * @param {Object} callWindow - Client's call window preferences
+   * @returns {Date|null} Call time, or null if there is none before the appointment
+   */
+  planCallTime(startTime, timezone, now = new Date(), callWindow = {}) {
+    const target = DateTime.fromISO(startTime).minus({ minutes: this.leadMinutes }).toJSDate();
+    const runAt = callingHoursValidator.getPreviousValidCallingTime(target, timezone, CLOSING_MARGIN_MINUTES, callWindow);
+
+    return runAt > now ? runAt : null;
+  }
+
+  /**
+   * Cancel the pending confirmation call for a contact
+   * @param {string} contactId - Contact ID
+   * @returns {number} Calls cancelled
+   */
+  cancelForContact(contactId) {
+    return callScheduler.cancelForContact(contactId, JOB_TYPE);
+  }
+
+  /**
+   * Scheduled confirmation calls
+   * @param {Object} filters - Optional { status, contactId } (default: pending)
+   * @returns {Array<Object>} Jobs in call order
+   */
+  list(filters = {}) {
+    return callScheduler.list({ status: 'pending', ...filters, type: JOB_TYPE });
+  }
+
+  /**
+   * The server's confirmation call for an appointment, unless cancelled, or
+   * failed without the reminder SMS going out
+   * @param {string} appointmentId - GHL appointment ID
+   * @returns {Object|undefined} Job
+   */
+  findForAppointment(appointmentId) {
+    return callScheduler.list({ type: JOB_TYPE }).find(job =>
+      job.details?.appointmentId === appointmentId && (
+        ['pending', 'running', 'completed', 'needs_review'].includes(job.status) ||
+        (job.status === 'failed' && job.fallback?.smsSent === true)
+      )
+    );
+  }
+
+  /**
+   * Text the customer a reminder when the confirmation call didn't happen
+   * The time is formatted again from appointment_time, so jobs scheduled
+   * before a formatting change still get the current wording.
+   * @param {Object} metadata - Confirmation call metadata
+   * @param {string} reason - Why the call didn't happen
+   * @returns {Promise<Object>} { smsSent, reason }
+   */
+  async sendReminder(metadata, reason) {
+    console.log(`[ConfirmationScheduler] Sending reminder SMS to ${metadata.contact_id} (${reason})`);
+
+    try {
+      const appointment = appointmentFormatter.format(metadata.appointment_time, {
+        timezone: metadata.timezone,
+        language: metadata.language
+      });
+      await smsClient.sendReminderSMS({
+        to: metadata.customerPhone,
+        firstName: metadata.customerName?.split(' ')[0] || 'there',
+        appointmentTime: appointment.text,
+        localisedTime: appointment.localised
+      });
+      return { smsSent: true, reason };
+    } catch (error) {
+      console.error('[ConfirmationScheduler] Failed to send reminder SMS:', error.message);
+      return { smsSent: false, reason, error: error.message };
+    }
+  }
+}
+
+module.exports = new ConfirmationScheduler();
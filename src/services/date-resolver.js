@@ -0,0 +1,266 @@
+/**
+ * Date Resolver
+ *
+ * Turns what the caller said ("next Tuesday", "tomorrow afternoon",
+ * "half past three") into the YYYY-MM-DD / HH:mm values the calendar tools
+ * work with, in the caller's timezone and relative to when the call started.
+ * YYYY-MM-DD dates and HH:mm times pass through unchanged.
+ *
+ * Conventions:
+ * - "Friday" / "this Friday" - the coming Friday (never today)
+ * - "next Friday" - Friday of next week
+ * - dates without a year - the next time that date comes round
+ * - numeric dates are day first (23/10)
+ * - times without am/pm - 1 to 7 o'clock are afternoon times (office hours)
+ */
+
+const { DateTime } = require('luxon');
+const appointmentFormatter = require('./appointment-formatter');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty five': 45, 'forty-five': 45
+};
+
+// Part of the day mentioned alongside a date ("tomorrow afternoon")
+const PARTS_OF_DAY = { morning: 'morning', afternoon: 'afternoon', evening: 'evening', tonight: 'evening' };
+
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+const MONTH = `(${MONTHS.map(month => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join('|')}|sept)`;
+
+class DateResolver {
+  /**
+   * Resolve a spoken date
+   * @param {string} phrase - e.g. "this Friday", "tomorrow afternoon", "23rd October", "2026-10-23"
+   * @param {Object} context - { timezone, reference } reference is the call's start time (ISO, default now)
+   * @returns {Object|null} { date: 'YYYY-MM-DD', timeOfDay } or null if not understood
+   */
+  resolveDate(phrase, context = {}) {
+    const today = this.getReference(context).startOf('day');
+    let text = this.normalise(phrase).replace(/^(on|for) /, '').replace(/^the /, '');
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      const date = DateTime.fromISO(text);
+      return date.isValid ? { date: text, timeOfDay: null } : null;
+    }
+
+    let timeOfDay = null;
+    text = text.replace(/\b(?:in the )?(morning|afternoon|evening|tonight)\b/, (match, part) => {
+      timeOfDay = PARTS_OF_DAY[part];
+      return part === 'tonight' ? 'today' : '';
+    }).replace(/\s+/g, ' ').trim();
+
+    const day = this.resolveDay(text, today);
+    if (!day || !day.isValid) return null;
+
+    return { date: day.toISODate(), timeOfDay };
+  }
+
+  resolveDay(text, today) {
+    // "this afternoon" / "tonight" - the part of day has already been taken off
+    if (text === 'today' || text === 'this' || text === '') return today;
+    if (text === 'tomorrow') return today.plus({ days: 1 });
+    if (text === 'day after tomorrow' || text === 'the day after tomorrow') return today.plus({ days: 2 });
+    if (text === 'next week') return today.startOf('week').plus({ weeks: 1 });
+
+    const offset = text.match(/^in (\d+|[a-z]+) (day|week)s?(?: time)?$/);
+    if (offset) {
+      const amount = this.toNumber(offset[1]);
+      return amount === null ? null : today.plus({ [`${offset[2]}s`]: amount });
+    }
+
+    const weekday = text.match(new RegExp(`^(this |this coming |coming |next )?(${WEEKDAYS.join('|')})( next week| this week)?$`));
+    if (weekday) {
+      const target = WEEKDAYS.indexOf(weekday[2]) + 1;
+      if (weekday[1] === 'next ' || weekday[3] === ' next week') {
+        return today.startOf('week').plus({ weeks: 1, days: target - 1 });
+      }
+      return today.plus({ days: ((target - today.weekday + 7) % 7) || 7 });
+    }
+
+    return this.resolveCalendarDate(text, today);
+  }
+
+  /**
+   * "23rd October", "October 23", "Friday the 23rd", "23/10/2026"
+   * A weekday given with the date must match it.
+   */
+  resolveCalendarDate(text, today) {
+    let weekday = null;
+    text = text.replace(new RegExp(`^(${WEEKDAYS.join('|')}) (?:the )?`), (match, name) => {
+      weekday = WEEKDAYS.indexOf(name) + 1;
+      return '';
+    });
+
+    let day;
+    let month;
+    let year;
+    let match;
+
+    if ((match = text.match(new RegExp(`^${ORDINAL}(?: of)? ${MONTH}(?: (\\d{4}))?$`)))) {
+      [, day, month, year] = match;
+    } else if ((match = text.match(new RegExp(`^${MONTH} (?:the )?${ORDINAL}(?: (\\d{4}))?$`)))) {
+      [, month, day, year] = match;
+    } else if ((match = text.match(/^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/))) {
+      [, day, month, year] = match;
+    } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)$/))) {
+      day = match[1];
+    } else {
+      return null;
+    }
+
+    const monthNumber = month === undefined
+      ? today.month
+      : /^\d+$/.test(month) ? Number(month) : MONTHS.findIndex(name => name.startsWith(month.slice(0, 3))) + 1;
+    const fields = { day: Number(day), month: monthNumber };
+
+    let date;
+    if (year) {
+      date = DateTime.fromObject({ ...fields, year: Number(year.length === 2 ? `20${year}` : year) }, { zone: today.zone });
+    } else {
+      // Without a year (or month), the next time that date comes round
+      date = DateTime.fromObject({ ...fields, year: today.year }, { zone: today.zone });
+      if (date.isValid && date < today) {
+        date = month === undefined ? date.plus({ months: 1 }) : date.plus({ years: 1 });
+      }
+    }
+
+    if (!date.isValid || (weekday && date.weekday !== weekday)) return null;
+    return date;
+  }
+
+  /**
+   * Resolve a spoken time
+   * @param {string} phrase - e.g. "2pm", "half past three", "quarter to four", "14:00"
+   * @returns {string|null} 'HH:mm' or null if not understood
+   */
+  resolveTime(phrase) {
+    let text = this.normalise(phrase)
+      .replace(/\b([ap])\.?m\.?/g, '$1m')
+      .replace(/o'?clock/g, '')
+      .replace(/^at /, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (/^([01]\d|2[0-3]):[0-5]\d$/.test(text)) return text;
+    if (/^(noon|midday|12 noon)$/.test(text)) return '12:00';
+
+    let meridiem = null;
+    text = text.replace(/\s*(am|pm|in the morning|in the afternoon|in the evening|at night)$/, (match, suffix) => {
+      meridiem = suffix === 'am' || suffix === 'in the morning' ? 'am' : 'pm';
+      return '';
+    }).trim();
+
+    const parsed = this.parseClock(text);
+    if (!parsed) return null;
+
+    let { hour } = parsed;
+    const { minute } = parsed;
+    if (hour > 23 || minute > 59) return null;
+
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    else if (meridiem === 'am' && hour === 12) hour = 0;
+    else if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+
+  /**
+   * Hour and minute from "half past three", "quarter to 4", "3:30", "three thirty", "3"
+   */
+  parseClock(text) {
+    let match;
+
+    if ((match = text.match(/^half (?:past )?(.+)$/))) {
+      const hour = this.toNumber(match[1]);
+      return hour === null ? null : { hour, minute: 30 };
+    }
+    if ((match = text.match(/^quarter (past|to) (.+)$/))) {
+      const hour = this.toNumber(match[2]);
+      if (hour === null) return null;
+      return match[1] === 'past' ? { hour, minute: 15 } : { hour: hour === 1 ? 12 : hour - 1, minute: 45 };
+    }
+    if ((match = text.match(/^(\d{1,2})(?:[:.](\d{2}))?$/))) {
+      return { hour: Number(match[1]), minute: Number(match[2] || 0) };
+    }
+    if ((match = text.match(/^([a-z]+)(?: (.+))?$/))) {
+      const hour = this.toNumber(match[1]);
+      const minute = match[2] === undefined ? 0 : this.toNumber(match[2]);
+      return hour === null || minute === null ? null : { hour, minute };
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the date and time parameters of a tool call
+   * @param {Object} fields - { parameterName: 'date' | 'time' } (the tool's `resolve` map)
+   * @param {Object} parameters - Validated tool parameters
+   * @param {Object} context - { timezone, reference }
+   * @returns {Object} { parameters, resolved, errors } - errors in the tool registry's validation error shape
+   */
+  resolveParameters(fields = {}, parameters, context) {
+    const result = { ...parameters };
+    const resolved = {};
+    const errors = [];
+
+    for (const [field, kind] of Object.entries(fields)) {
+      const value = parameters[field];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (kind === 'date') {
+        const date = this.resolveDate(String(value), context);
+        if (!date) {
+          errors.push({ field, message: `"${field}" could not be understood as a date ("${value}") - use YYYY-MM-DD or a phrase like "next Tuesday"` });
+          continue;
+        }
+        result[field] = date.date;
+        // "tomorrow afternoon" narrows the times offered unless the call says otherwise
+        if (date.timeOfDay && result.timeOfDay === undefined) result.timeOfDay = date.timeOfDay;
+        resolved[field] = { from: value, value: date.date, spoken: this.speakDate(date.date) };
+      } else {
+        const time = this.resolveTime(String(value));
+        if (!time) {
+          errors.push({ field, message: `"${field}" could not be understood as a time ("${value}") - use HH:mm or a phrase like "2pm"` });
+          continue;
+        }
+        result[field] = time;
+        resolved[field] = { from: value, value: time };
+      }
+    }
+
+    return { parameters: result, resolved, errors };
+  }
+
+  /**
+   * Date as it should be read back, e.g. "Friday 23 October"
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} Spoken date
+   */
+  speakDate(date) {
+    return appointmentFormatter.writeDate(date);
+  }
+
+  getReference(context) {
+    const timezone = context.timezone || 'Europe/London';
+    const reference = context.reference ? DateTime.fromISO(context.reference) : DateTime.now();
+    return (reference.isValid ? reference : DateTime.now()).setZone(timezone);
+  }
+
+  normalise(phrase) {
+    return String(phrase)
+      .toLowerCase()
+      .replace(/[!?,]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  toNumber(word) {
+    if (/^\d+$/.test(word)) return Number(word);
+    return NUMBER_WORDS[word] ?? null;
+  }
+}
+
+module.exports = new DateResolver();
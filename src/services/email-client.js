@@ -11,7 +11,8 @@ class EmailClient {
   constructor() {
     this.ghlApiKey = process.env.GHL_API_KEY;
     this.ghlLocationId = process.env.GHL_LOCATION_ID;
-    this.baseUrl = 'https://services.leadconnectorhq.com';
+    // GHL_API_BASE_URL points at a stand-in API (e.g. scripts/mocks/ghl-mock-server.js)
+    this.baseUrl = process.env.GHL_API_BASE_URL || 'https://services.leadconnectorhq.com';
   }
 
   /**
@@ -6,13 +6,15 @@
  */
 
 const axios = require('axios');
+const { DateTime } = require('luxon');
 
 class GHLClient {
   constructor() {
     this.apiKey = process.env.GHL_API_KEY;
     this.locationId = process.env.GHL_LOCATION_ID;
     this.calendarId = process.env.GHL_CALENDAR_ID;
-    this.baseUrl = 'https://services.leadconnectorhq.com';
+    // GHL_API_BASE_URL points at a stand-in API (e.g. scripts/mocks/ghl-mock-server.js)
+    this.baseUrl = process.env.GHL_API_BASE_URL || 'https://services.leadconnectorhq.com';
     
     if (!this.apiKey) {
       console.warn('[GHLClient] Warning: GHL_API_KEY not set');
@@ -50,6 +52,7 @@ class GHLClient {
         lastName: contactData.lastName,
         email: contactData.email,
         phone: contactData.phone,
+        ...(contactData.timezone && { timezone: contactData.timezone }),
         tags: contactData.tags || ['asylum-intake'],
         customFields: contactData.customFields || []
       };
@@ -158,23 +161,34 @@ class GHLClient {
   // ============================================
 
   /**
-   * Get available time slots
+   * Get available time slots as the caller's local times
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} timezone - Timezone (e.g., 'Europe/London')
-   * @returns {Promise<Array>} Available slots
+   * @returns {Promise<Array>} Available slots (e.g., ["09:00", "09:30"])
    */
   async getAvailableSlots(date, timezone = 'Europe/London') {
+    const slots = await this.getSlots(date, timezone);
+    return slots.map(slot => slot.time);
+  }
+
+  /**
+   * Get available slots with their exact start instants
+   * @param {string} date - Date in YYYY-MM-DD format, in the caller's timezone
+   * @param {string} timezone - Caller's timezone (e.g., 'Asia/Kabul')
+   * @param {string} calendarId - Calendar to check (defaults to GHL_CALENDAR_ID)
+   * @returns {Promise<Array>} [{ time: 'HH:mm' local to the caller, startTime: ISO instant in UTC }]
+   */
+  async getSlots(date, timezone = 'Europe/London', calendarId = this.calendarId) {
     try {
-      // GHL Calendar API requires Unix timestamps in MILLISECONDS
-      const startOfDay = new Date(`${date}T00:00:00`);
-      const endOfDay = new Date(`${date}T23:59:59`);
+      // GHL Calendar API requires Unix timestamps in MILLISECONDS.
+      // The day runs midnight to midnight in the caller's timezone, not the server's.
+      const day = DateTime.fromISO(date, { zone: timezone });
+      const startDate = day.startOf('day').toMillis();
+      const endDate = day.endOf('day').toMillis();
       
-      const startDate = startOfDay.getTime(); // Unix timestamp in ms
-      const endDate = endOfDay.getTime();     // Unix timestamp in ms
+      console.log(`[GHLClient] Checking slots in ${calendarId} for ${date} ${timezone} (${startDate} to ${endDate})`);
       
-      console.log(`[GHLClient] Checking slots for ${date} (${startDate} to ${endDate})`);
-      
-      const response = await this.getClient().get(`/calendars/${this.calendarId}/free-slots`, {
+      const response = await this.getClient().get(`/calendars/${calendarId}/free-slots`, {
         params: {
           startDate,
           endDate,
@@ -201,34 +215,11 @@ class GHLClient {
       
       console.log(`[GHLClient] Found ${rawSlots.length} raw slots for ${date}`);
       
-      // Format slots as readable times (HH:mm) in UK timezone
-      const formattedSlots = rawSlots.map(slot => {
-        if (typeof slot === 'string' && slot.includes('T')) {
-          // ISO string like "2025-11-28T09:00:00Z"
-          const time = new Date(slot);
-          // Get hours and minutes in London timezone
-          return time.toLocaleTimeString('en-GB', { 
-            hour: '2-digit', 
-            minute: '2-digit', 
-            hour12: false,
-            timeZone: timezone
-          });
-        } else if (slot.startTime) {
-          // Object with startTime property
-          const time = new Date(slot.startTime);
-          return time.toLocaleTimeString('en-GB', { 
-            hour: '2-digit', 
-            minute: '2-digit', 
-            hour12: false,
-            timeZone: timezone
-          });
-        }
-        return slot;
-      });
+      const slots = this.toLocalSlots(rawSlots, date, timezone);
       
-      console.log(`[GHLClient] Formatted slots:`, formattedSlots.slice(0, 5).join(', ') + '...');
+      console.log(`[GHLClient] Formatted slots:`, slots.slice(0, 5).map(slot => slot.time).join(', ') + '...');
       
-      return formattedSlots;
+      return slots;
     } catch (error) {
       console.error('[GHLClient] Error getting available slots:', error.response?.data || error.message);
       
@@ -241,9 +232,57 @@ class GHLClient {
     }
   }
 
+  /**
+   * Convert raw GHL slots to the caller's local times, keeping the exact instant
+   * @param {Array} rawSlots - ISO strings or objects with startTime
+   * @param {string} date - Requested date (YYYY-MM-DD) in the caller's timezone
+   * @param {string} timezone - Caller's timezone
+   * @returns {Array} [{ time, startTime }] in chronological order
+   */
+  toLocalSlots(rawSlots, date, timezone) {
+    const seen = new Set();
+
+    return rawSlots
+      .map(slot => {
+        const value = typeof slot === 'string' ? slot : slot?.startTime;
+        // Slots without an offset are read as the caller's local time
+        return typeof value === 'string' ? DateTime.fromISO(value, { zone: timezone }) : null;
+      })
+      .filter(local => local?.isValid && local.toISODate() === date)
+      .sort((a, b) => a.toMillis() - b.toMillis())
+      .map(local => ({
+        time: local.toFormat('HH:mm'),
+        startTime: local.toUTC().toISO({ suppressMilliseconds: true })
+      }))
+      .filter(slot => !seen.has(slot.startTime) && seen.add(slot.startTime));
+  }
+
+  /**
+   * Convert a caller's wall-clock date and time to a DateTime in their timezone
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:mm (24-hour)
+   * @param {string} timezone - Caller's timezone
+   * @returns {DateTime|null} Null if the time does not exist (e.g., skipped by a DST change)
+   */
+  toZonedDateTime(date, time, timezone) {
+    const local = DateTime.fromISO(`${date}T${time}`, { zone: timezone });
+
+    // Luxon moves times inside a DST gap forward, so check the wall clock survived
+    if (!local.isValid || local.toFormat('yyyy-MM-dd HH:mm') !== `${date} ${time}`) {
+      return null;
+    }
+    return local;
+  }
+
   /**
    * Book an appointment
    * @param {Object} appointmentData - Appointment details
+   * @param {string} appointmentData.startTime - Exact slot instant from getSlots (preferred)
+   * @param {string} appointmentData.date - Caller's local date, used with time when startTime is not given
+   * @param {string} appointmentData.time - Caller's local time (HH:mm)
+   * @param {string} appointmentData.timezone - Caller's timezone
+   * @param {string} appointmentData.calendarId - Calendar owning the slot (defaults to GHL_CALENDAR_ID)
+   * @param {string} appointmentData.assignedUserId - GHL user (adviser) the appointment is assigned to
    * @returns {Promise<Object>} Created appointment
    */
   async bookAppointment(appointmentData) {
@@ -252,23 +291,29 @@ class GHLClient {
       date,
       time,
       timezone = 'Europe/London',
+      calendarId = this.calendarId,
+      assignedUserId,
       title = 'Initial Consultation',
       notes = ''
     } = appointmentData;
 
+    const start = appointmentData.startTime
+      ? DateTime.fromISO(appointmentData.startTime, { zone: timezone })
+      : this.toZonedDateTime(date, time, timezone);
+
+    if (!start?.isValid) {
+      throw new Error(`Invalid appointment time: ${appointmentData.startTime || `${date} ${time}`} (${timezone})`);
+    }
+
     try {
-      // Combine date and time into ISO format
-      // IMPORTANT: Append 'Z' to treat as UTC (GHL calendar slots are in UTC)
-      // Without 'Z', JavaScript interprets as local time which causes timezone bugs
-      const startTime = `${date}T${time}:00Z`;
+      // Send exact instants in UTC - the caller's "14:00" in Kabul is 09:30Z, not 14:00Z
+      const startTime = start.toUTC().toISO({ suppressMilliseconds: true });
       
       // Default 30-minute appointment
-      const endTimeDate = new Date(startTime);
-      endTimeDate.setMinutes(endTimeDate.getMinutes() + 30);
-      const endTime = endTimeDate.toISOString();
+      const endTime = start.plus({ minutes: 30 }).toUTC().toISO({ suppressMilliseconds: true });
 
       const payload = {
-        calendarId: this.calendarId,
+        calendarId,
         locationId: this.locationId,
         contactId,
         startTime,
@@ -277,9 +322,10 @@ class GHLClient {
         appointmentStatus: 'confirmed',
         notes
       };
+      if (assignedUserId) payload.assignedUserId = assignedUserId;
 
       const response = await this.getClient().post('/calendars/events/appointments', payload);
-      console.log(`[GHLClient] Appointment booked: ${response.data.id}`);
+      console.log(`[GHLClient] Appointment booked: ${response.data.id} at ${startTime} (${start.toFormat('yyyy-MM-dd HH:mm')} ${timezone})`);
       return response.data;
     } catch (error) {
       console.error('[GHLClient] Error booking appointment:', error.response?.data || error.message);
@@ -328,6 +374,21 @@ class GHLClient {
     }
   }
 
+  /**
+   * Get a contact's appointments
+   * @param {string} contactId - Contact ID
+   * @returns {Promise<Array>} Appointments (events)
+   */
+  async getContactAppointments(contactId) {
+    try {
+      const response = await this.getClient().get(`/contacts/${contactId}/appointments`);
+      return response.data.events || [];
+    } catch (error) {
+      console.error('[GHLClient] Error getting contact appointments:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   // ============================================
   // WORKFLOW METHODS
   // ============================================
@@ -396,6 +457,23 @@ class GHLClient {
     }
   }
 
+  /**
+   * Add a note to a contact
+   * @param {string} contactId - Contact ID
+   * @param {string} body - Note text
+   * @returns {Promise<Object>} Created note
+   */
+  async addNote(contactId, body) {
+    try {
+      const response = await this.getClient().post(`/contacts/${contactId}/notes`, { body });
+      console.log(`[GHLClient] Note added to contact: ${contactId}`);
+      return response.data.note || response.data;
+    } catch (error) {
+      console.error('[GHLClient] Error adding note:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   // ============================================
   // UTILITY METHODS
   // ============================================
@@ -418,11 +496,10 @@ class GHLClient {
   }
 
   /**
-   * Build custom fields array for updates
-   * @param {Object} fields - Key-value pairs of field names to values
-   * @returns {Array} Formatted custom fields array
+   * Get mapping from our internal field names to GHL custom field IDs
+   * @returns {Object} Internal name -> GHL field ID
    */
-  buildCustomFields(fields) {
+  getFieldMapping() {
     // Mapping from our internal names to GHL custom field IDs
     // EXISTING FIELDS (already in GHL):
     // - asylum_nationality, current_residence, uk_entry_date
@@ -432,7 +509,10 @@ class GHLClient {
     // NEW FIELDS (need to be created):
     // - asylum_immigration_status, call_attempts, confirmation_status
     // - emergency_flag, emergency_type, interpreter_needed, interpreter_language
-    // - last_call_time, next_call_scheduled, call_end_reason
+    // - last_call_time, next_call_scheduled, call_end_reason, call_outcome
+    // - appointment_id, assigned_adviser
+    // - call_window_start, call_window_end, avoid_friday_prayer, observes_ramadan
+    // - voicemail_left
     
     const fieldMapping = {
       // Existing asylum fields
@@ -456,9 +536,28 @@ class GHLClient {
       interpreterLanguage: process.env.GHL_FIELD_INTERPRETER_LANGUAGE,
       lastCallTime: process.env.GHL_FIELD_LAST_CALL_TIME,
       nextCallScheduled: process.env.GHL_FIELD_NEXT_CALL_SCHEDULED,
-      endedReason: process.env.GHL_FIELD_ENDED_REASON
+      endedReason: process.env.GHL_FIELD_ENDED_REASON,
+      callOutcome: process.env.GHL_FIELD_CALL_OUTCOME,
+      appointmentId: process.env.GHL_FIELD_APPOINTMENT_ID,
+      assignedAdviser: process.env.GHL_FIELD_ASSIGNED_ADVISER,
+      callWindowStart: process.env.GHL_FIELD_CALL_WINDOW_START,
+      callWindowEnd: process.env.GHL_FIELD_CALL_WINDOW_END,
+      avoidFridayPrayer: process.env.GHL_FIELD_AVOID_FRIDAY_PRAYER,
+      observesRamadan: process.env.GHL_FIELD_OBSERVES_RAMADAN,
+      voicemailLeft: process.env.GHL_FIELD_VOICEMAIL_LEFT
     };
 
+    return fieldMapping;
+  }
+
+  /**
+   * Build custom fields array for updates
+   * @param {Object} fields - Key-value pairs of field names to values
+   * @returns {Array} Formatted custom fields array
+   */
+  buildCustomFields(fields) {
+    const fieldMapping = this.getFieldMapping();
+
     const customFields = [];
     for (const [key, value] of Object.entries(fields)) {
       if (fieldMapping[key] && value !== undefined) {
@@ -470,6 +569,27 @@ class GHLClient {
     }
     return customFields;
   }
+
+  /**
+   * Read a custom field value from a contact by internal name
+   * GHL returns customFields as [{ id, value }]; plain objects are also accepted
+   * @param {Object} contact - GHL contact
+   * @param {string} fieldName - Internal field name (e.g. 'triageStatus')
+   * @returns {string|undefined} Field value
+   */
+  getCustomFieldValue(contact, fieldName) {
+    const fieldId = this.getFieldMapping()[fieldName];
+    const customFields = contact?.customFields;
+    if (!customFields) return undefined;
+
+    if (Array.isArray(customFields)) {
+      if (!fieldId) return undefined;
+      const field = customFields.find(f => f.id === fieldId || f.key === fieldId);
+      return field?.value ?? field?.fieldValue;
+    }
+
+    return customFields[fieldName] ?? (fieldId ? customFields[fieldId] : undefined);
+  }
 }
 
 module.exports = new GHLClient();
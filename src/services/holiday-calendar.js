@@ -0,0 +1,192 @@
+/**
+ * Holiday Calendar
+ *
+ * Days nobody is called, beyond weekends:
+ * - office holidays, when our staff are not available:
+ *   - UK bank holidays (UK_BANK_HOLIDAYS=false to ignore them)
+ *   - firm closures: src/config/closures.json (or CLOSURES_FILE), plus
+ *     closures added through the admin API (persisted in DATA_DIR)
+ * - public holidays in the client's country, found from their timezone
+ *   (CLIENT_COUNTRY_HOLIDAYS=true) - these close the client's window only
+ *
+ * Holidays come from src/config/holidays.js. CallingHoursValidator consults
+ * this for every office and client window, so retries, initial calls and
+ * confirmation calls all skip these days.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { v4: uuidv4 } = require('uuid');
+const JsonStore = require('./json-store');
+const { UK_BANK_HOLIDAYS, COUNTRY_HOLIDAYS, RAMADAN } = require('../config/holidays');
+
+class HolidayCalendar {
+  constructor() {
+    this.bankHolidays = process.env.UK_BANK_HOLIDAYS !== 'false';
+    this.countryHolidays = process.env.CLIENT_COUNTRY_HOLIDAYS === 'true';
+    this.closuresFile = process.env.CLOSURES_FILE || path.join(__dirname, '../config/closures.json');
+    this.store = new JsonStore('admin-closures');
+    this.fileClosures = null;
+  }
+
+  /**
+   * Why nobody is called on a date
+   * @param {DateTime|string} date - Date in the client's timezone, or YYYY-MM-DD
+   * @param {string} timezone - Client's timezone, for their country's holidays
+   *   (defaults to the DateTime's zone)
+   * @returns {Object|null} { date, name, type: bank-holiday|closure|country-holiday }
+   */
+  getHoliday(date, timezone) {
+    return this.getOfficeHoliday(date) || this.getCountryHoliday(date, timezone);
+  }
+
+  /**
+   * Why the office is closed on a date
+   * @param {DateTime|string} date - Luxon DateTime or YYYY-MM-DD
+   * @returns {Object|null} { date, name, type: bank-holiday|closure }
+   */
+  getOfficeHoliday(date) {
+    const day = this.toDay(date);
+
+    if (this.bankHolidays) {
+      const bankHoliday = UK_BANK_HOLIDAYS.find(([holiday]) => holiday === day);
+      if (bankHoliday) return { date: day, name: bankHoliday[1], type: 'bank-holiday' };
+    }
+
+    const closure = this.listClosures().find(({ from, to }) => day >= from && day <= to);
+    if (closure) return { date: day, name: closure.name, type: 'closure' };
+
+    return null;
+  }
+
+  /**
+   * Public holiday in the client's country on a date (CLIENT_COUNTRY_HOLIDAYS=true)
+   * @param {DateTime|string} date - Date in the client's timezone, or YYYY-MM-DD
+   * @param {string} timezone - Client's timezone (defaults to the DateTime's zone)
+   * @returns {Object|null} { date, name, type: country-holiday, country }
+   */
+  getCountryHoliday(date, timezone) {
+    const zone = timezone || (DateTime.isDateTime(date) ? date.zoneName : null);
+    if (!this.countryHolidays || !zone) return null;
+
+    const day = this.toDay(date);
+    const country = this.getCountry(zone);
+    const holiday = country && COUNTRY_HOLIDAYS[country].holidays.find(([holidayDate]) => holidayDate === day);
+    return holiday ? { date: day, name: holiday[1], type: 'country-holiday', country } : null;
+  }
+
+  /**
+   * Whether a date falls in Ramadan
+   * @param {DateTime|string} date - Date in the client's timezone, or YYYY-MM-DD
+   * @returns {boolean} True during Ramadan
+   */
+  isRamadan(date) {
+    const day = this.toDay(date);
+    return RAMADAN.some(([from, to]) => day >= from && day <= to);
+  }
+
+  /**
+   * Holidays and closures in a date range
+   * @param {string} from - First date (YYYY-MM-DD, default today)
+   * @param {string} to - Last date (YYYY-MM-DD, default 90 days after from)
+   * @param {string} timezone - Client's timezone, for their country's holidays (optional)
+   * @returns {Array<Object>} Holidays in date order
+   */
+  list(from, to, timezone) {
+    const holidays = [];
+    let day = from ? DateTime.fromISO(from) : DateTime.now().startOf('day');
+    const last = to ? DateTime.fromISO(to) : day.plus({ days: 90 });
+
+    for (let checked = 0; day <= last && checked < 366; checked++, day = day.plus({ days: 1 })) {
+      const holiday = this.getHoliday(day.toISODate(), timezone);
+      if (holiday) holidays.push(holiday);
+    }
+    return holidays;
+  }
+
+  /**
+   * Firm closures, from the config file and the admin API
+   * @returns {Array<Object>} { id, from, to, name, source: config|admin }
+   */
+  listClosures() {
+    const added = this.store.list().map(closure => ({ ...closure, source: 'admin' }));
+    return [...this.loadFileClosures(), ...added].sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  /**
+   * Close the office for a day or a range of days
+   * @param {Object} closure - { date } or { from, to }, and a name
+   * @returns {Object} Stored closure
+   * @throws {Error} If the dates are not valid
+   */
+  addClosure(closure) {
+    const { from, to, name } = this.normaliseClosure(closure);
+    if (!from || !to) throw new Error('A closure needs a date, or from and to dates (YYYY-MM-DD)');
+    if (to < from) throw new Error('Closure ends before it starts');
+
+    const id = uuidv4();
+    const stored = this.store.set(id, { id, from, to, name, createdAt: new Date().toISOString() });
+
+    console.log(`[HolidayCalendar] Closure added: ${name} (${from} to ${to})`);
+    return { ...stored, source: 'admin' };
+  }
+
+  /**
+   * Remove a closure added through the admin API
+   * Closures from the config file are changed in the file.
+   * @param {string} id - Closure ID
+   * @returns {boolean} True if a closure was removed
+   */
+  removeClosure(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * Country whose public holidays apply to a timezone
+   * @param {string} timezone - IANA timezone
+   * @returns {string|null} ISO country code
+   */
+  getCountry(timezone) {
+    return Object.keys(COUNTRY_HOLIDAYS).find(code => COUNTRY_HOLIDAYS[code].timezones.includes(timezone)) || null;
+  }
+
+  loadFileClosures() {
+    if (this.fileClosures) return this.fileClosures;
+
+    try {
+      const entries = fs.existsSync(this.closuresFile) ? JSON.parse(fs.readFileSync(this.closuresFile, 'utf8')) : [];
+      this.fileClosures = entries
+        .map((entry, index) => ({ id: `config-${index + 1}`, ...this.normaliseClosure(entry), source: 'config' }))
+        .filter(closure => {
+          if (closure.from && closure.to && closure.to >= closure.from) return true;
+          console.warn(`[HolidayCalendar] Ignoring invalid closure in ${this.closuresFile}:`, closure);
+          return false;
+        });
+    } catch (error) {
+      console.error(`[HolidayCalendar] Could not read ${this.closuresFile}:`, error.message);
+      this.fileClosures = [];
+    }
+
+    return this.fileClosures;
+  }
+
+  toDay(date) {
+    return DateTime.isDateTime(date) ? date.toISODate() : date;
+  }
+
+  normaliseClosure(entry) {
+    const toDate = (value) => {
+      const date = value ? DateTime.fromISO(String(value)) : null;
+      return date?.isValid ? date.toISODate() : null;
+    };
+    const from = toDate(entry.from || entry.date);
+    return {
+      from,
+      to: entry.to ? toDate(entry.to) : from,
+      name: entry.name || 'Office closed'
+    };
+  }
+}
+
+module.exports = new HolidayCalendar();
@@ -0,0 +1,168 @@
+/**
+ * Idempotency Store
+ *
+ * Deduplicates repeated webhook deliveries (VAPI retries, GHL workflows
+ * firing twice) by caching each handler's result under an idempotency key.
+ * - Repeated deliveries within the TTL get the cached result
+ * - Concurrent deliveries share the in-flight execution
+ * - Failures (thrown errors, or results with success: false / error) are
+ *   not cached so a retry can succeed
+ *
+ * Backend is selected with IDEMPOTENCY_STORE: 'memory' (default) or 'file'.
+ */
+
+const crypto = require('crypto');
+const JsonStore = require('./json-store');
+
+class IdempotencyStore {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400');
+    this.fingerprintTtlSeconds = parseInt(process.env.IDEMPOTENCY_FINGERPRINT_TTL_SECONDS || '900');
+    this.backend = process.env.IDEMPOTENCY_STORE === 'file'
+      ? new JsonStore('idempotency')
+      : new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Run a handler once per idempotency key
+   * @param {string|null} key - Idempotency key (null disables deduplication)
+   * @param {Function} fn - Async handler to execute
+   * @param {Object} options - { ttlSeconds }
+   * @returns {Promise<*>} Handler result (cached on repeat deliveries)
+   */
+  async run(key, fn, options = {}) {
+    if (!key) {
+      return fn();
+    }
+
+    const cached = this.getCached(key);
+    if (cached) {
+      console.log(`[Idempotency] Duplicate delivery, returning cached result: ${key}`);
+      return cached.result;
+    }
+
+    if (this.inFlight.has(key)) {
+      console.log(`[Idempotency] Duplicate delivery while in flight: ${key}`);
+      return this.inFlight.get(key);
+    }
+
+    const execution = (async () => {
+      try {
+        const result = await fn();
+        if (!this.isErrorResult(result)) {
+          this.setCached(key, result, options.ttlSeconds || this.ttlSeconds);
+        }
+        return result;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, execution);
+    return execution;
+  }
+
+  /**
+   * Whether a handler result reports a failure (e.g. a transient GHL error)
+   * @param {*} result - Handler result
+   * @returns {boolean} True for { success: false } or { error }
+   */
+  isErrorResult(result) {
+    return Boolean(result) && typeof result === 'object' && (result.success === false || Boolean(result.error));
+  }
+
+  /**
+   * Run a webhook handler once per event
+   * Uses the event ID when the sender provides one, otherwise a
+   * fingerprint of the payload with the shorter fingerprint TTL
+   * @param {string} scope - Handler scope
+   * @param {string|undefined} eventId - Sender-provided event/delivery ID
+   * @param {Object} payload - Webhook payload
+   * @param {Function} fn - Async handler to execute
+   * @returns {Promise<*>} Handler result
+   */
+  async runForEvent(scope, eventId, payload, fn) {
+    if (eventId) {
+      return this.run(this.buildKey(scope, eventId), fn);
+    }
+    return this.run(this.buildFingerprintKey(scope, payload), fn, {
+      ttlSeconds: this.fingerprintTtlSeconds
+    });
+  }
+
+  /**
+   * Build a key from delivery identifiers
+   * @param {string} scope - Handler scope (e.g. 'vapi-tool', 'end-of-call')
+   * @param {...string} parts - Identifiers (call ID, tool call ID, event ID)
+   * @returns {string|null} Key, or null if any identifier is missing
+   */
+  buildKey(scope, ...parts) {
+    if (parts.some(part => part === undefined || part === null || part === '')) {
+      return null;
+    }
+    return [scope, ...parts].join(':');
+  }
+
+  /**
+   * Build a key from the payload content when no delivery ID is available
+   * @param {string} scope - Handler scope
+   * @param {Object} payload - Payload to fingerprint
+   * @returns {string} Key
+   */
+  buildFingerprintKey(scope, payload) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(payload || {}))
+      .digest('hex');
+    return `${scope}:fp:${hash}`;
+  }
+
+  /**
+   * Get a non-expired cached entry
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} { result, expiresAt }
+   */
+  getCached(key) {
+    const entry = this.backend.get(key);
+    if (!entry) return null;
+
+    if (new Date(entry.expiresAt) <= new Date()) {
+      this.backend.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Cache a result
+   * @param {string} key - Idempotency key
+   * @param {*} result - Handler result
+   * @param {number} ttlSeconds - Time to live
+   */
+  setCached(key, result, ttlSeconds) {
+    this.purgeExpired();
+    this.backend.set(key, {
+      result,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+  }
+
+  /**
+   * Remove expired entries
+   */
+  purgeExpired() {
+    const now = new Date();
+    const entries = this.backend instanceof Map
+      ? [...this.backend.entries()]
+      : Object.entries(this.backend.load());
+
+    for (const [key, entry] of entries) {
+      if (new Date(entry.expiresAt) <= now) {
+        this.backend.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new IdempotencyStore();
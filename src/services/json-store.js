@@ -0,0 +1,128 @@
+/**
+ * JSON File Store
+ *
+ * Minimal file-backed key/value store for state that must survive restarts
+ * (scheduled calls, call history, etc.). Each store is a single JSON file
+ * under DATA_DIR, rewritten atomically on every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+  /**
+   * @param {string} name - Store name (used as the file name)
+   */
+  constructor(name) {
+    this.name = name;
+    this.dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    this.filePath = path.join(this.dataDir, `${name}.json`);
+    this.records = null;
+  }
+
+  /**
+   * Load records from disk (once)
+   * @returns {Object} Records keyed by ID
+   */
+  load() {
+    if (this.records) return this.records;
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } else {
+        this.records = {};
+      }
+    } catch (error) {
+      console.error(`[JsonStore] Could not read ${this.filePath}:`, error.message);
+      this.records = {};
+    }
+
+    return this.records;
+  }
+
+  /**
+   * Persist records to disk
+   * Writes to a temp file first so a crash never leaves a half-written store
+   */
+  save() {
+    if (!this.records) return;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Object|undefined} Record
+   */
+  get(id) {
+    return this.load()[id];
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} id - Record ID
+   * @param {Object} record - Record data
+   * @returns {Object} Stored record
+   */
+  set(id, record) {
+    this.load()[id] = record;
+    this.save();
+    return record;
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @param {string} id - Record ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|undefined} Updated record
+   */
+  update(id, changes) {
+    const existing = this.get(id);
+    if (!existing) return undefined;
+    return this.set(id, { ...existing, ...changes });
+  }
+
+  /**
+   * Delete a record
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was removed
+   */
+  delete(id) {
+    const records = this.load();
+    if (!(id in records)) return false;
+    delete records[id];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Delete every record matching a filter (one write)
+   * @param {Function} predicate - Filter
+   * @returns {number} Records removed
+   */
+  deleteWhere(predicate) {
+    const records = this.load();
+    const ids = Object.keys(records).filter(id => predicate(records[id]));
+    if (ids.length === 0) return 0;
+
+    ids.forEach(id => delete records[id]);
+    this.save();
+    return ids.length;
+  }
+
+  /**
+   * List records, optionally filtered
+   * @param {Function} predicate - Optional filter
+   * @returns {Array<Object>} Matching records
+   */
+  list(predicate = () => true) {
+    return Object.values(this.load()).filter(predicate);
+  }
+}
+
+module.exports = JsonStore;
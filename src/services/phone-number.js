@@ -0,0 +1,183 @@
+/**
+ * Phone Number Service
+ *
+ * Turns phone numbers as they arrive from forms, GHL and the assistants into
+ * E.164 (+447700900123), and rejects numbers that can't exist before we
+ * dial or text them. Numbering plans live in src/config/phone-numbering.js.
+ *
+ * Accepted input:
+ * - international: "+963 944 123 456", "00963944123456"
+ * - national, read in the country hint (the form's `country`) or
+ *   DEFAULT_PHONE_COUNTRY (GB): "06 12 34 56 78" + France, "07700 900123"
+ * - the digits of an international number without + ("447700900123")
+ */
+
+const { PLANS, CALLING_CODES, NANP_AREA_CODES } = require('../config/phone-numbering');
+
+// Area code → country for +1 numbers outside the US
+const NANP_COUNTRIES = new Map(
+  Object.entries(NANP_AREA_CODES).flatMap(([country, areaCodes]) => areaCodes.map(areaCode => [areaCode, country]))
+);
+
+class PhoneNumberService {
+  constructor() {
+    this.defaultCountry = (process.env.DEFAULT_PHONE_COUNTRY || 'GB').toUpperCase();
+  }
+
+  /**
+   * Parse and validate a phone number
+   * @param {string} input - Phone number in any common format
+   * @param {Object} options - { country } ISO code or country name the number is from
+   * @returns {Object} { valid, e164, callingCode, country, nationalNumber, type, error }
+   *   type is mobile, landline, other, or unknown (country without a numbering plan)
+   */
+  parse(input, options = {}) {
+    const raw = String(input || '').trim();
+    if (!raw) return this.invalid(raw, 'No phone number');
+
+    // Keep digits and a leading +, drop extensions ("ext 12", "x12")
+    const withoutExtension = raw.replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+    if (/[a-z]/i.test(withoutExtension)) return this.invalid(raw, 'Phone number contains letters');
+
+    let digits = withoutExtension.replace(/[^\d+]/g, '');
+    // A country without a numbering plan can't be read nationally - only internationally
+    const hint = options.country ? this.getCountry(options.country) : this.defaultCountry;
+
+    if (digits.startsWith('+')) return this.parseInternational(raw, digits.slice(1).replace(/\+/g, ''));
+    digits = digits.replace(/\+/g, '');
+
+    // International dialing prefix: 00 everywhere we operate, 011 from North America
+    if (digits.startsWith('00')) return this.parseInternational(raw, digits.slice(2));
+    if (digits.startsWith('011') && hint && PLANS[hint].callingCode === '1') return this.parseInternational(raw, digits.slice(3));
+
+    const national = this.parseNational(raw, digits, hint);
+    if (national.valid) return national;
+
+    // "447700900123" - an international number without the +
+    const international = this.parseInternational(raw, digits);
+    return international.valid ? international : national;
+  }
+
+  /**
+   * E.164 form of a number
+   * @param {string} input - Phone number
+   * @param {Object} options - { country }
+   * @returns {string|null} E.164, or null if the number is not valid
+   */
+  format(input, options = {}) {
+    return this.parse(input, options).e164;
+  }
+
+  /**
+   * Whether a number can receive SMS
+   * Countries without a numbering plan are given the benefit of the doubt.
+   */
+  canReceiveSms(input, options = {}) {
+    const parsed = this.parse(input, options);
+    return parsed.valid && parsed.type !== 'landline';
+  }
+
+  /**
+   * ISO code for a country hint
+   * @param {string} country - ISO code ("FR") or name ("France") as written on a form
+   * @returns {string|null} ISO code with a numbering plan, or null
+   */
+  getCountry(country) {
+    const key = String(country || '').trim().toLowerCase();
+    if (!key) return null;
+    if (PLANS[key.toUpperCase()]) return key.toUpperCase();
+    return Object.keys(PLANS).find(code => PLANS[code].names.includes(key)) || null;
+  }
+
+  parseNational(raw, digits, country) {
+    const plan = PLANS[country];
+    if (!plan) return this.invalid(raw, 'Number must be in international format (+country code)');
+
+    let nationalNumber = digits;
+    if (plan.trunkPrefix && nationalNumber.startsWith(plan.trunkPrefix)) {
+      nationalNumber = nationalNumber.slice(plan.trunkPrefix.length);
+    }
+    return this.validate(raw, plan.callingCode, nationalNumber, country);
+  }
+
+  parseInternational(raw, digits) {
+    const callingCode = [1, 2, 3].map(length => digits.slice(0, length)).find(code => CALLING_CODES.has(code));
+    if (!callingCode) return this.invalid(raw, 'Unknown country calling code');
+
+    let nationalNumber = digits.slice(callingCode.length);
+    const countries = Object.keys(PLANS).filter(code => PLANS[code].callingCode === callingCode);
+
+    // "+44 (0)7700 900123" - trunk prefix written after the country code
+    const trunkPrefix = countries.length > 0 ? PLANS[countries[0]].trunkPrefix : '';
+    if (trunkPrefix === '0' && nationalNumber.startsWith('0') && callingCode !== '39') {
+      nationalNumber = nationalNumber.slice(1);
+    }
+
+    if (countries.length === 0) {
+      const length = callingCode.length + nationalNumber.length;
+      if (length < 8 || length > 15) return this.invalid(raw, 'Wrong number of digits');
+      return this.valid(raw, callingCode, nationalNumber, null, 'unknown');
+    }
+
+    // Shared calling codes - the first plan that accepts the number
+    const results = countries.map(country => this.validate(raw, callingCode, nationalNumber, country));
+    return results.find(result => result.valid) || results[0];
+  }
+
+  /**
+   * Country of a +1 number, from its area code
+   * @param {string} nationalNumber - 10-digit national number
+   * @returns {string} ISO code (US unless the area code is listed in NANP_AREA_CODES)
+   */
+  getNanpCountry(nationalNumber) {
+    return NANP_COUNTRIES.get(nationalNumber.slice(0, 3)) || 'US';
+  }
+
+  validate(raw, callingCode, nationalNumber, country) {
+    const plan = PLANS[country];
+
+    if (!plan.lengths.includes(nationalNumber.length)) {
+      return this.invalid(raw, `Wrong number of digits for ${country}`, { callingCode: `+${callingCode}`, country });
+    }
+    if (plan.valid && !plan.valid.test(nationalNumber)) {
+      return this.invalid(raw, `Not a valid ${country} number`, { callingCode: `+${callingCode}`, country });
+    }
+
+    let type = 'unknown';
+    if (plan.mobile && plan.mobile.test(nationalNumber)) type = 'mobile';
+    else if (plan.landline && plan.landline.test(nationalNumber)) type = 'landline';
+    else if (plan.mobile || plan.landline) type = 'other';
+
+    // One plan for the whole of +1 - the area code says which country
+    const numberCountry = callingCode === '1' ? this.getNanpCountry(nationalNumber) : country;
+    return this.valid(raw, callingCode, nationalNumber, numberCountry, type);
+  }
+
+  valid(raw, callingCode, nationalNumber, country, type) {
+    return {
+      input: raw,
+      valid: true,
+      e164: `+${callingCode}${nationalNumber}`,
+      callingCode: `+${callingCode}`,
+      country,
+      nationalNumber,
+      type,
+      error: null
+    };
+  }
+
+  invalid(raw, error, details = {}) {
+    return {
+      input: raw,
+      valid: false,
+      e164: null,
+      callingCode: details.callingCode || null,
+      country: details.country || null,
+      nationalNumber: null,
+      type: null,
+      error
+    };
+  }
+}
+
+module.exports = new PhoneNumberService();
@@ -0,0 +1,164 @@
+/**
+ * Slot Holds
+ *
+ * Reserves the slots offered to a caller for a few minutes, so two people on
+ * the phone at the same time aren't offered the same time:
+ * - check_calendar_availability holds the slots it reads out for the call
+ * - other calls are offered the remaining slots
+ * - a call holds at most SLOT_HOLD_MAX_PER_CALL slots, and is only offered
+ *   the slots it holds; a new offer replaces the call's oldest holds
+ * - holds are released when the call books or ends, or when they expire
+ *
+ * Holds are keyed by calendar and the slot's exact start instant, and kept
+ * in memory - they only matter while a call is live.
+ */
+
+class SlotHolds {
+  constructor() {
+    this.holdMinutes = parseInt(process.env.SLOT_HOLD_MINUTES || '5');
+    // Matches the number of slots read out by check_calendar_availability
+    this.maxHeldPerCall = parseInt(process.env.SLOT_HOLD_MAX_PER_CALL || '8');
+    this.holds = new Map();
+  }
+
+  /**
+   * Hold slots for a call (refreshes holds the call already has)
+   * Slots held by another call are skipped. The call's earlier holds count
+   * towards maxHeldPerCall: the oldest are released to make room.
+   * @param {string} callId - VAPI call ID
+   * @param {Array} slots - [{ time, startTime, calendarId }]
+   * @param {Object} details - { date, timezone } the slots were offered for
+   * @returns {Array} Slots now held for the call - the ones to offer (all slots if there's no call)
+   */
+  hold(callId, slots, details = {}) {
+    if (!callId) return slots;
+
+    const expiresAt = Date.now() + this.holdMinutes * 60 * 1000;
+    const held = this.filterAvailable(slots, callId).slice(0, this.maxHeldPerCall);
+
+    // Oldest first (Map insertion order); holds being refreshed don't count twice
+    const keys = new Set(held.map(slot => this.buildKey(slot)));
+    const earlier = this.getHolds(callId).filter(hold => !keys.has(this.buildKey(hold)));
+    const excess = earlier.length + held.length - this.maxHeldPerCall;
+    for (const hold of earlier.slice(0, Math.max(excess, 0))) {
+      this.holds.delete(this.buildKey(hold));
+    }
+
+    for (const slot of held) {
+      this.holds.set(this.buildKey(slot), {
+        callId,
+        calendarId: slot.calendarId,
+        startTime: slot.startTime,
+        time: slot.time,
+        date: details.date,
+        timezone: details.timezone,
+        expiresAt
+      });
+    }
+
+    if (held.length > 0) {
+      console.log(`[SlotHolds] Holding ${held.length} slots for call ${callId} until ${new Date(expiresAt).toISOString()}`);
+    }
+    return held;
+  }
+
+  /**
+   * Slots not held by another call
+   * @param {Array} slots - [{ time, startTime, calendarId }]
+   * @param {string} callId - Current call ID (its own holds count as available)
+   * @returns {Array} Available slots
+   */
+  filterAvailable(slots, callId) {
+    return slots.filter(slot => !this.isHeldByOther(slot, callId));
+  }
+
+  /**
+   * Check whether a slot is held by a different call
+   * @param {Object} slot - { startTime, calendarId }
+   * @param {string} callId - Current call ID
+   * @returns {boolean} True if another live call holds the slot
+   */
+  isHeldByOther(slot, callId) {
+    const hold = this.getHold(this.buildKey(slot));
+    return Boolean(hold && hold.callId !== callId);
+  }
+
+  /**
+   * Find a slot this call was offered by its local date and time
+   * @param {string} callId - VAPI call ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:mm
+   * @returns {Object|undefined} Hold
+   */
+  findHold(callId, date, time) {
+    if (!callId) return undefined;
+    return this.getHolds(callId).find(hold => hold.date === date && hold.time === time);
+  }
+
+  /**
+   * Live holds for a call
+   * @param {string} callId - VAPI call ID
+   * @returns {Array<Object>} Holds
+   */
+  getHolds(callId) {
+    this.purgeExpired();
+    return [...this.holds.values()].filter(hold => hold.callId === callId);
+  }
+
+  /**
+   * Release every hold a call has (on booking or end of call)
+   * @param {string} callId - VAPI call ID
+   * @returns {number} Holds released
+   */
+  release(callId) {
+    if (!callId) return 0;
+
+    let released = 0;
+    for (const [key, hold] of this.holds) {
+      if (hold.callId === callId) {
+        this.holds.delete(key);
+        released++;
+      }
+    }
+
+    if (released > 0) {
+      console.log(`[SlotHolds] Released ${released} slots held for call ${callId}`);
+    }
+    return released;
+  }
+
+  /**
+   * Get a live hold by key
+   * @param {string} key - Hold key (see buildKey)
+   * @returns {Object|undefined} Hold
+   */
+  getHold(key) {
+    const hold = this.holds.get(key);
+    if (hold && hold.expiresAt <= Date.now()) {
+      this.holds.delete(key);
+      return undefined;
+    }
+    return hold;
+  }
+
+  /**
+   * Hold key - the same instant can be free in several advisers' calendars
+   * @param {Object} slot - { startTime, calendarId }
+   * @returns {string} Key
+   */
+  buildKey(slot) {
+    return `${slot.calendarId || 'default'}|${slot.startTime}`;
+  }
+
+  /**
+   * Drop expired holds
+   */
+  purgeExpired() {
+    const now = Date.now();
+    for (const [key, hold] of this.holds) {
+      if (hold.expiresAt <= now) this.holds.delete(key);
+    }
+  }
+}
+
+module.exports = new SlotHolds();
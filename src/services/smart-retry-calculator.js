@@ -1,41 +1,43 @@
 /**
  * Smart Retry Calculator
- * 
+ *
  * Calculates intelligent retry delays based on:
- * - Why the call ended (no answer, hung up, busy, error)
- * - Current attempt number
+ * - The retry policy for the call (assistant type and lead source,
+ *   see src/config/retry-policies.js or RETRY_POLICIES_FILE)
+ * - Why the call ended (no answer, voicemail, hung up, busy, error)
+ * - Current attempt number, and calls already made that day
  * - Customer's timezone
- * - Business hours
+ * - Office hours and the client's call window
  */
 
+const fs = require('fs');
+const { DateTime } = require('luxon');
 const timezoneDetector = require('./timezone-detector');
 const callingHoursValidator = require('./calling-hours-validator');
+const { ENDED_REASONS, POLICIES } = require('../config/retry-policies');
 
-// Retry delays in minutes based on end reason
-const RETRY_DELAYS = {
-  // Customer didn't answer (voicemail, no pickup)
-  'customer-did-not-answer': [30, 120, 240],     // 30 min, 2 hours, 4 hours
-  
-  // Customer hung up mid-conversation
-  'customer-ended-call': [120, 360, 1440],        // 2 hours, 6 hours, 24 hours
-  
-  // Customer said they're busy
-  'customer-busy': [60, 240, 720],                // 1 hour, 4 hours, 12 hours
-  
-  // Technical/assistant error
-  'assistant-error': [5, 15, 30],                 // 5 min, 15 min, 30 min
-  
-  // Default fallback
-  'default': [60, 180, 360]                       // 1 hour, 3 hours, 6 hours
-};
-
-// Maximum retry attempts
-const MAX_ATTEMPTS = 3;
+// Longest schedule a dry run will show
+const MAX_DRY_RUN_ATTEMPTS = 20;
 
 class SmartRetryCalculator {
+  constructor() {
+    this.policiesFile = process.env.RETRY_POLICIES_FILE;
+    this.policies = null;
+  }
+
   /**
    * Calculate retry information
    * @param {Object} options - Calculation options
+   * @param {string} options.endedReason - VAPI ended reason
+   * @param {number} options.currentAttempts - Calls made so far
+   * @param {string} options.phoneNumber - Customer's phone number
+   * @param {string} options.timezone - Customer's timezone (detected from the phone if not given)
+   * @param {Object} options.callWindow - Client's call window preferences
+   * @param {string} options.assistantType - intake, confirmation or emergency
+   * @param {string} options.leadSource - GHL lead source (optional)
+   * @param {Array<string>} options.callTimes - When earlier calls were made, for the daily cap
+   * @param {Date} options.now - Time the delay starts from (default now)
+   * @param {Function} options.random - Random number source for jitter (default Math.random)
    * @returns {Object} Retry information
    */
   calculateRetry(options) {
@@ -43,52 +45,275 @@ class SmartRetryCalculator {
       endedReason,
       currentAttempts = 0,
       phoneNumber,
-      timezone: providedTimezone
+      timezone: providedTimezone,
+      callWindow = {},
+      assistantType = 'intake',
+      leadSource,
+      callTimes = [],
+      now = new Date(),
+      random = Math.random
     } = options;
 
     // Detect timezone from phone if not provided
-    const timezone = providedTimezone || timezoneDetector.detectTimezone(phoneNumber);
-    
+    const timezone = timezoneDetector.resolve(phoneNumber, { timezone: providedTimezone }).timezone;
+    const policy = this.getPolicy({ assistantType, leadSource });
+    const retryReason = this.getRetryReason(endedReason);
+
     // Check if we've exceeded max attempts
-    if (currentAttempts >= MAX_ATTEMPTS) {
+    if (currentAttempts >= policy.maxAttempts) {
       return {
         shouldRetry: false,
         reason: 'max_attempts_reached',
         attempts: currentAttempts,
-        maxAttempts: MAX_ATTEMPTS,
+        maxAttempts: policy.maxAttempts,
+        policy: policy.name,
         action: 'send_sms_fallback'
       };
     }
 
-    // Get delay configuration for this end reason
-    const delays = RETRY_DELAYS[endedReason] || RETRY_DELAYS['default'];
-    const delayMinutes = delays[currentAttempts] || delays[delays.length - 1];
+    // Office and client hours never overlap - nothing to schedule, the team calls by hand
+    if (!callingHoursValidator.hasCallingHours(timezone, callWindow, now)) {
+      return {
+        shouldRetry: false,
+        reason: 'no_calling_hours',
+        attempts: currentAttempts,
+        maxAttempts: policy.maxAttempts,
+        policy: policy.name,
+        timezone,
+        action: 'manual_call'
+      };
+    }
+
+    // Delay for this end reason and attempt, then jitter
+    const delayMinutes = this.getDelayMinutes(policy, retryReason, currentAttempts);
+    const jitteredMinutes = this.applyJitter(delayMinutes, policy.jitterPercent, random);
 
-    // Calculate next call time respecting business hours
-    const { adjustedTime, adjustedDelay, withinHours } = 
-      callingHoursValidator.calculateDelayWithinHours(delayMinutes, timezone);
+    // Calculate next call time respecting office hours and the client's window
+    const calculated = callingHoursValidator.calculateDelayWithinHours(jitteredMinutes, timezone, callWindow, now);
+    const { adjustedTime, deferredForDailyCap } = this.applyDailyCap(calculated.adjustedTime, policy, timezone, callWindow, callTimes);
 
     return {
       shouldRetry: true,
       attempts: currentAttempts + 1,
-      maxAttempts: MAX_ATTEMPTS,
+      maxAttempts: policy.maxAttempts,
+      policy: policy.name,
+      retryReason,
       originalDelayMinutes: delayMinutes,
-      adjustedDelayMinutes: adjustedDelay,
+      jitteredDelayMinutes: jitteredMinutes,
+      adjustedDelayMinutes: Math.round((adjustedTime - new Date(now)) / 60000),
       nextCallTime: adjustedTime,
       nextCallTimeISO: adjustedTime.toISOString(),
       timezone,
-      wasAdjustedForBusinessHours: !withinHours,
+      wasAdjustedForBusinessHours: !calculated.withinHours,
+      deferredForDailyCap,
       endedReason
     };
   }
 
+  /**
+   * The schedule a policy would produce if every call ended the same way
+   * Jitter is left out; the range it adds is reported per attempt.
+   * @param {Object} options - { assistantType, leadSource, endedReason, timezone, phoneNumber, callWindow, from, currentAttempts }
+   * @returns {Object} { policy, retryReason, timezone, attempts: [...], then }
+   */
+  dryRun(options = {}) {
+    const {
+      assistantType = 'intake',
+      leadSource,
+      endedReason = 'customer-did-not-answer',
+      phoneNumber,
+      timezone: providedTimezone,
+      callWindow = {},
+      currentAttempts = 1
+    } = options;
+
+    const timezone = timezoneDetector.resolve(phoneNumber, { timezone: providedTimezone }).timezone;
+    const policy = this.getPolicy({ assistantType, leadSource });
+    let now = options.from ? new Date(options.from) : new Date();
+    if (isNaN(now)) throw new Error(`Invalid from time: ${options.from}`);
+    if (!Number.isInteger(currentAttempts) || currentAttempts < 0) throw new Error('attempts must be a whole number');
+
+    // The first call was placed at "from"
+    const callTimes = [now.toISOString()];
+    const attempts = [];
+    let then = 'send_sms_fallback';
+
+    for (let attempt = currentAttempts; attempts.length < MAX_DRY_RUN_ATTEMPTS; attempt++) {
+      const retry = this.calculateRetry({
+        endedReason, currentAttempts: attempt, timezone, callWindow, assistantType, leadSource, callTimes, now,
+        random: () => 0.5
+      });
+      if (!retry.shouldRetry) {
+        then = retry.action;
+        break;
+      }
+
+      const jitterMinutes = Math.round(retry.originalDelayMinutes * (policy.jitterPercent || 0) / 100);
+      attempts.push({
+        attempt: retry.attempts,
+        delayMinutes: retry.originalDelayMinutes,
+        jitterMinutes,
+        callAt: retry.nextCallTimeISO,
+        localTime: DateTime.fromJSDate(retry.nextCallTime).setZone(timezone).toFormat('cccc d LLLL HH:mm'),
+        adjustedForCallingHours: retry.wasAdjustedForBusinessHours,
+        deferredForDailyCap: retry.deferredForDailyCap
+      });
+
+      now = retry.nextCallTime;
+      callTimes.push(retry.nextCallTimeISO);
+    }
+
+    return {
+      policy: policy.name,
+      assistantType,
+      leadSource: leadSource || null,
+      endedReason,
+      retryReason: this.getRetryReason(endedReason),
+      timezone,
+      maxAttempts: policy.maxAttempts,
+      maxPerDay: policy.maxPerDay || null,
+      attempts,
+      then
+    };
+  }
+
+  /**
+   * The policy for a call - the first whose match fits
+   * @param {Object} call - { assistantType, leadSource }
+   * @returns {Object} Retry policy
+   */
+  getPolicy({ assistantType = 'intake', leadSource } = {}) {
+    const source = (leadSource || '').trim().toLowerCase();
+    const policies = this.loadPolicies();
+
+    return policies.find(({ match = {} }) =>
+      (!match.assistants || match.assistants.includes(assistantType)) &&
+      (!match.leadSources || match.leadSources.some(s => s.toLowerCase() === source))
+    ) || policies[policies.length - 1];
+  }
+
+  /**
+   * Retry reason for a VAPI ended reason (see ENDED_REASONS)
+   * @param {string} endedReason - VAPI ended reason
+   * @returns {string} Retry reason, or 'default'
+   */
+  getRetryReason(endedReason = '') {
+    const matches = (pattern) => pattern.endsWith('*')
+      ? endedReason.startsWith(pattern.slice(0, -1))
+      : endedReason === pattern;
+
+    return Object.keys(ENDED_REASONS).find(reason => ENDED_REASONS[reason].some(matches)) || 'default';
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {Object} policy - Retry policy
+   * @param {string} retryReason - Retry reason
+   * @param {number} currentAttempts - Calls made so far
+   * @returns {number} Delay in minutes
+   */
+  getDelayMinutes(policy, retryReason, currentAttempts) {
+    const delays = policy.delays[retryReason] || policy.delays.default;
+
+    if (Array.isArray(delays)) {
+      return delays[Math.min(currentAttempts, delays.length - 1)];
+    }
+
+    // Exponential backoff
+    const { initial, multiplier = 2, max = Infinity } = delays;
+    return Math.round(Math.min(initial * Math.pow(multiplier, currentAttempts), max));
+  }
+
+  applyJitter(minutes, jitterPercent, random) {
+    if (!jitterPercent) return minutes;
+    const spread = minutes * jitterPercent / 100;
+    return Math.max(1, Math.round(minutes + (random() * 2 - 1) * spread));
+  }
+
+  /**
+   * Move a retry to the next day when the day already has maxPerDay calls
+   * @returns {Object} { adjustedTime, deferredForDailyCap }
+   */
+  applyDailyCap(time, policy, timezone, callWindow, callTimes) {
+    let adjustedTime = time;
+    let deferredForDailyCap = false;
+    if (!policy.maxPerDay) return { adjustedTime, deferredForDailyCap };
+
+    const callsOn = (day) => callTimes.filter(callTime =>
+      DateTime.fromJSDate(new Date(callTime)).setZone(timezone).hasSame(day, 'day')
+    ).length;
+
+    for (let days = 0; days < 7; days++) {
+      const day = DateTime.fromJSDate(adjustedTime).setZone(timezone);
+      if (callsOn(day) < policy.maxPerDay) break;
+
+      const next = callingHoursValidator.getNextValidCallingTime(day.plus({ days: 1 }).startOf('day').toJSDate(), timezone, callWindow);
+      if (!next) break;
+      adjustedTime = next;
+      deferredForDailyCap = true;
+    }
+
+    return { adjustedTime, deferredForDailyCap };
+  }
+
+  /**
+   * Retry policies, from RETRY_POLICIES_FILE if set, else src/config/retry-policies.js
+   * @returns {Array<Object>} Policies in match order
+   */
+  loadPolicies() {
+    if (this.policies) return this.policies;
+    this.policies = POLICIES;
+    if (!this.policiesFile) return this.policies;
+
+    try {
+      const { policies = [] } = JSON.parse(fs.readFileSync(this.policiesFile, 'utf8'));
+      const valid = policies.filter(policy => {
+        const error = this.validatePolicy(policy);
+        if (error) console.warn(`[SmartRetry] Ignoring retry policy "${policy?.name}" in ${this.policiesFile}: ${error}`);
+        return !error;
+      });
+
+      if (valid.length > 0) {
+        this.policies = valid;
+      } else {
+        console.warn(`[SmartRetry] No valid retry policies in ${this.policiesFile} - using the defaults`);
+      }
+    } catch (error) {
+      console.error(`[SmartRetry] Could not read ${this.policiesFile}:`, error.message);
+    }
+
+    return this.policies;
+  }
+
+  /**
+   * Why a policy can't be used
+   * @param {Object} policy - Retry policy
+   * @returns {string|null} Problem, or null if the policy is valid
+   */
+  validatePolicy(policy) {
+    if (!policy?.name) return 'no name';
+    if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) return 'maxAttempts must be a whole number of at least 1';
+    if (policy.maxPerDay !== undefined && (!Number.isInteger(policy.maxPerDay) || policy.maxPerDay < 1)) return 'maxPerDay must be a whole number of at least 1';
+    if (!policy.delays?.default) return 'delays need a default';
+
+    for (const [reason, delays] of Object.entries(policy.delays)) {
+      if (reason !== 'default' && !ENDED_REASONS[reason]) return `unknown retry reason "${reason}"`;
+      const valid = Array.isArray(delays)
+        ? delays.length > 0 && delays.every(minutes => minutes > 0)
+        : delays?.initial > 0;
+      if (!valid) return `delays for "${reason}" must be a list of minutes or { initial, multiplier, max }`;
+    }
+    return null;
+  }
+
   /**
    * Determine if SMS fallback should be triggered
    * @param {number} attempts - Current attempt count
+   * @param {Object} call - { assistantType, leadSource } to pick the policy
    * @returns {boolean} True if should send SMS
    */
-  shouldSendSMSFallback(attempts) {
-    return attempts >= MAX_ATTEMPTS;
+  shouldSendSMSFallback(attempts, call = {}) {
+    return attempts >= this.getPolicy(call).maxAttempts;
   }
 
   /**
@@ -116,15 +341,18 @@ class SmartRetryCalculator {
     if (retryInfo.shouldRetry) {
       console.log('[SmartRetry] Scheduling retry:', {
         attempt: `${retryInfo.attempts}/${retryInfo.maxAttempts}`,
+        policy: retryInfo.policy,
         reason: retryInfo.endedReason,
         nextCall: retryInfo.nextCallTimeISO,
         delay: this.getDelayDescription(retryInfo.adjustedDelayMinutes),
         timezone: retryInfo.timezone,
-        adjusted: retryInfo.wasAdjustedForBusinessHours
+        adjusted: retryInfo.wasAdjustedForBusinessHours,
+        deferredForDailyCap: retryInfo.deferredForDailyCap
       });
     } else {
       console.log('[SmartRetry] Max attempts reached:', {
         attempts: retryInfo.attempts,
+        policy: retryInfo.policy,
         action: retryInfo.action
       });
     }
@@ -136,12 +364,12 @@ class SmartRetryCalculator {
    */
   getConfiguration() {
     return {
-      maxAttempts: MAX_ATTEMPTS,
-      delays: RETRY_DELAYS,
+      source: this.policiesFile || 'src/config/retry-policies.js',
+      policies: this.loadPolicies(),
+      endedReasons: ENDED_REASONS,
       businessHours: callingHoursValidator.getBusinessHoursInfo()
     };
   }
 }
 
 module.exports = new SmartRetryCalculator();
-
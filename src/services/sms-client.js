@@ -3,11 +3,13 @@
  * 
  * Handles sending SMS messages for:
  * - Fallback after failed call attempts
+ * - Follow-up after a voicemail
  * - Appointment reminders
  * - Confirmation messages
  */
 
 const twilio = require('twilio');
+const phoneNumber = require('./phone-number');
 
 class SMSClient {
   constructor() {
@@ -19,6 +21,11 @@ class SMSClient {
     
     if (this.accountSid && this.authToken) {
       this.client = twilio(this.accountSid, this.authToken);
+
+      // TWILIO_API_BASE_URL points at a stand-in API (e.g. scripts/mocks/twilio-mock-server.js)
+      if (process.env.TWILIO_API_BASE_URL) {
+        this.client.api.baseUrl = process.env.TWILIO_API_BASE_URL;
+      }
     } else {
       console.warn('[SMSClient] Warning: Twilio credentials not set');
     }
@@ -26,6 +33,7 @@ class SMSClient {
 
   /**
    * Send an SMS message
+   * Invalid numbers and landlines are rejected before Twilio is called.
    * @param {string} to - Recipient phone number
    * @param {string} message - Message body
    * @returns {Promise<Object>} Send result
@@ -36,6 +44,15 @@ class SMSClient {
       throw new Error('SMS client not configured');
     }
 
+    const recipient = phoneNumber.parse(to);
+    if (!recipient.valid) {
+      throw new Error(`Cannot send SMS to ${to}: ${recipient.error}`);
+    }
+    if (recipient.type === 'landline') {
+      throw new Error(`Cannot send SMS to ${to}: landline number`);
+    }
+    to = recipient.e164;
+
     try {
       const result = await this.client.messages.create({
         body: message,
@@ -75,6 +92,34 @@ We tried calling you ${attempts} times about your consultation with ${process.en
 📅 Book your appointment: ${process.env.BOOKING_LINK}
 📞 Call us: ${process.env.COMPANY_PHONE}
 
+- ${process.env.COMPANY_NAME} Team`;
+
+    return this.sendSMS(to, message);
+  }
+
+  /**
+   * Send the follow-up SMS after a call reached voicemail
+   * @param {Object} options - Message options ({ to, firstName, messageLeft })
+   * @returns {Promise<Object>} Send result
+   */
+  async sendVoicemailFollowUpSMS(options) {
+    const {
+      to,
+      firstName,
+      messageLeft = false
+    } = options;
+
+    const opening = messageLeft
+      ? `We've just left you a voicemail`
+      : `We just tried to call you`;
+
+    const message = `Hi ${firstName},
+
+${opening} about your consultation with ${process.env.COMPANY_NAME}.
+
+📞 Call us back: ${process.env.COMPANY_PHONE}
+📅 Or book a time that suits you: ${process.env.BOOKING_LINK}
+
 - ${process.env.COMPANY_NAME} Team`;
 
     return this.sendSMS(to, message);
@@ -82,6 +127,8 @@ We tried calling you ${attempts} times about your consultation with ${process.en
 
   /**
    * Send appointment confirmation SMS
+   * Appointment times come from AppointmentFormatter: appointmentTime is its
+   * text form, localisedTime (optional) the time in the client's language.
    * @param {Object} options - Message options
    * @returns {Promise<Object>} Send result
    */
@@ -89,18 +136,44 @@ We tried calling you ${attempts} times about your consultation with ${process.en
     const {
       to,
       firstName,
-      appointmentDate,
-      appointmentTime
+      appointmentTime,
+      localisedTime
     } = options;
 
     const message = `Hi ${firstName},
 
-Your consultation with ${process.env.COMPANY_NAME} is confirmed for ${appointmentDate} at ${appointmentTime}.
+Your consultation with ${process.env.COMPANY_NAME} is confirmed for ${appointmentTime}.${this.formatLocalisedTime(localisedTime)}
 
 We look forward to speaking with you!
 
 📞 Need to reschedule? Call ${process.env.COMPANY_PHONE}
 
+- ${process.env.COMPANY_NAME} Team`;
+
+    return this.sendSMS(to, message);
+  }
+
+  /**
+   * Send rescheduled appointment SMS
+   * @param {Object} options - Message options
+   * @returns {Promise<Object>} Send result
+   */
+  async sendRescheduleSMS(options) {
+    const {
+      to,
+      firstName,
+      appointmentTime,
+      localisedTime
+    } = options;
+
+    const message = `Hi ${firstName},
+
+Your consultation with ${process.env.COMPANY_NAME} has been moved to ${appointmentTime}.${this.formatLocalisedTime(localisedTime)}
+
+Your previous appointment has been cancelled.
+
+📞 Questions? Call ${process.env.COMPANY_PHONE}
+
 - ${process.env.COMPANY_NAME} Team`;
 
     return this.sendSMS(to, message);
@@ -115,20 +188,28 @@ We look forward to speaking with you!
     const {
       to,
       firstName,
-      appointmentTime
+      appointmentTime,
+      localisedTime
     } = options;
 
     const message = `Hi ${firstName},
 
-Reminder: Your consultation with ${process.env.COMPANY_NAME} is in 1 hour at ${appointmentTime}.
+Reminder: Your consultation with ${process.env.COMPANY_NAME} is on ${appointmentTime}.${this.formatLocalisedTime(localisedTime)}
 
-We'll call you shortly. Reply RESCHEDULE if you need to change the time.
+We couldn't reach you by phone to confirm. Reply RESCHEDULE if you need to change the time.
 
 - ${process.env.COMPANY_NAME} Team`;
 
     return this.sendSMS(to, message);
   }
 
+  /**
+   * Appointment time in the client's language, on its own line
+   */
+  formatLocalisedTime(localisedTime) {
+    return localisedTime ? `\n${localisedTime}` : '';
+  }
+
   /**
    * Send Legal Aid referral confirmation SMS
    * @param {Object} options - Message options
@@ -1,10 +1,17 @@
 /**
  * Timezone Detector
  * 
- * Detects timezone from phone number country code.
+ * Detects timezone from phone number country code, and from the area code
+ * in countries that span several timezones (+1, +7, +55, +61...).
  * Used for scheduling calls during appropriate business hours.
+ * Numbers are normalised to E.164 by PhoneNumberService first, so
+ * "00963..." and national UK formats are detected too.
  */
 
+const { IANAZone } = require('luxon');
+const phoneNumber = require('./phone-number');
+const { REGIONS } = require('../config/timezone-regions');
+
 // Mapping of country codes to timezones
 // Comprehensive list covering common asylum-seeker source countries
 const TIMEZONE_MAP = {
@@ -77,12 +84,11 @@ const TIMEZONE_MAP = {
   '+95': 'Asia/Yangon',        // Myanmar (Burma)
   '+977': 'Asia/Kathmandu',    // Nepal
   '+975': 'Asia/Thimphu',      // Bhutan
-  '+93': 'Asia/Kabul',         // Afghanistan
   '+992': 'Asia/Dushanbe',     // Tajikistan
   '+998': 'Asia/Tashkent',     // Uzbekistan
   '+996': 'Asia/Bishkek',      // Kyrgyzstan
   '+993': 'Asia/Ashgabat',     // Turkmenistan
-  '+7': 'Asia/Almaty',         // Kazakhstan (also Russia)
+  '+7': 'Europe/Moscow',       // Russia (Kazakhstan by area code)
   
   // ============================================
   // EAST ASIA
@@ -138,7 +144,7 @@ const TIMEZONE_MAP = {
   // ============================================
   // AMERICAS
   // ============================================
-  '+1': 'America/New_York',    // USA/Canada (default Eastern)
+  '+1': 'America/New_York',    // USA/Canada (default Eastern), Caribbean by area code
   '+52': 'America/Mexico_City', // Mexico
   '+55': 'America/Sao_Paulo',  // Brazil
   '+54': 'America/Buenos_Aires', // Argentina
@@ -152,7 +158,6 @@ const TIMEZONE_MAP = {
   '+598': 'America/Montevideo', // Uruguay
   '+53': 'America/Havana',     // Cuba
   '+509': 'America/Port-au-Prince', // Haiti
-  '+1809': 'America/Santo_Domingo', // Dominican Republic
   '+502': 'America/Guatemala', // Guatemala
   '+503': 'America/El_Salvador', // El Salvador
   '+504': 'America/Tegucigalpa', // Honduras
@@ -175,27 +180,102 @@ class TimezoneDetector {
    * @returns {string} Timezone identifier
    */
   detectTimezone(phoneNumber) {
+    return this.resolve(phoneNumber).timezone;
+  }
+
+  /**
+   * Work out a client's timezone, and how sure we are of it
+   * A timezone captured during intake or saved on the GHL contact beats the
+   * phone number; within countries spanning several timezones the area code
+   * decides (see src/config/timezone-regions.js).
+   * @param {string} phoneNumber - Phone number in any common format
+   * @param {Object} options - { timezone: explicit IANA timezone, contact: GHL contact }
+   * @returns {Object} { timezone, confidence: high|medium|low, source, reason }
+   *   source is explicit, contact, country, area-code or default
+   */
+  resolve(phoneNumber, options = {}) {
+    const decision = this.decide(phoneNumber, options);
+    console.log(`[TimezoneDetector] ${decision.timezone} (${decision.confidence}): ${decision.reason}`);
+    return decision;
+  }
+
+  decide(phoneNumber, options) {
+    if (this.isValidTimezone(options.timezone)) {
+      return this.decision(options.timezone, 'high', 'explicit', 'Timezone given with the request');
+    }
+    const contactTimezone = options.contact?.timezone;
+    if (this.isValidTimezone(contactTimezone)) {
+      return this.decision(contactTimezone, 'high', 'contact', 'Timezone saved on the contact');
+    }
+
+    // Say so when a timezone was given but isn't one
+    const ignored = options.timezone || contactTimezone
+      ? `Ignored unknown timezone "${options.timezone || contactTimezone}". `
+      : '';
+
     if (!phoneNumber) {
-      console.log('[TimezoneDetector] No phone number provided, using default');
-      return process.env.DEFAULT_TIMEZONE || 'Europe/London';
+      return this.decision(this.getDefaultTimezone(), 'low', 'default', `${ignored}No phone number`);
     }
 
-    // Clean the phone number
-    const cleaned = phoneNumber.replace(/[\s\-\(\)]/g, '');
-    
-    // Try to match country codes (longest first)
-    const sortedCodes = Object.keys(TIMEZONE_MAP).sort((a, b) => b.length - a.length);
-    
-    for (const code of sortedCodes) {
-      if (cleaned.startsWith(code)) {
-        const timezone = TIMEZONE_MAP[code];
-        console.log(`[TimezoneDetector] Detected ${timezone} from ${code}`);
-        return timezone;
+    const cleaned = this.normalise(phoneNumber);
+    const code = this.getCountryCode(cleaned);
+    if (!code) {
+      return this.decision(this.getDefaultTimezone(), 'low', 'default', `${ignored}No timezone known for ${cleaned}`);
+    }
+
+    const region = REGIONS[code];
+    if (!region) {
+      return this.decision(TIMEZONE_MAP[code], 'high', 'country', `${ignored}Country code ${code}`);
+    }
+
+    const nationalNumber = cleaned.slice(code.length);
+    const match = this.matchRegion(region, nationalNumber);
+    if (match?.kind === 'countries') {
+      return this.decision(match.timezone, 'high', 'country', `${ignored}Country code ${code} ${match.prefix}`);
+    }
+    if (match?.kind === 'areas') {
+      return this.decision(match.timezone, 'medium', 'area-code', `${ignored}${region.name} area code ${match.prefix}`);
+    }
+
+    const why = match?.kind === 'mobile'
+      ? `${region.name} mobile numbers (${code} ${match.prefix}) don't show the region`
+      : `${region.name} area code not recognised`;
+    return this.decision(TIMEZONE_MAP[code], 'low', 'country', `${ignored}${why} - using the country default`);
+  }
+
+  /**
+   * Longest prefix of a national number in a multi-timezone country
+   * @returns {Object|null} { kind: countries|areas|mobile, prefix, timezone }
+   */
+  matchRegion(region, nationalNumber) {
+    let best = null;
+    const consider = (kind, prefix, timezone) => {
+      if (nationalNumber.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+        best = { kind, prefix, timezone };
+      }
+    };
+
+    for (const kind of ['countries', 'areas']) {
+      for (const [timezone, prefixes] of Object.entries(region[kind])) {
+        prefixes.forEach(prefix => consider(kind, prefix, timezone));
       }
     }
+    region.mobile.forEach(prefix => consider('mobile', prefix, null));
+    return best;
+  }
 
-    // Default timezone if no match
-    console.log(`[TimezoneDetector] No match for ${phoneNumber}, using default`);
+  decision(timezone, confidence, source, reason) {
+    return { timezone, confidence, source, reason };
+  }
+
+  /**
+   * Whether a value is an IANA timezone ("Asia/Kabul")
+   */
+  isValidTimezone(timezone) {
+    return typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+  }
+
+  getDefaultTimezone() {
     return process.env.DEFAULT_TIMEZONE || 'Europe/London';
   }
 
@@ -207,7 +287,7 @@ class TimezoneDetector {
   getCountryCode(phoneNumber) {
     if (!phoneNumber) return null;
     
-    const cleaned = phoneNumber.replace(/[\s\-\(\)]/g, '');
+    const cleaned = this.normalise(phoneNumber);
     const sortedCodes = Object.keys(TIMEZONE_MAP).sort((a, b) => b.length - a.length);
     
     for (const code of sortedCodes) {
@@ -218,6 +298,13 @@ class TimezoneDetector {
     return null;
   }
 
+  /**
+   * E.164 form of a number, or the number with spacing removed if it isn't valid
+   */
+  normalise(number) {
+    return phoneNumber.format(number) || String(number).replace(/[\s\-\(\)]/g, '');
+  }
+
   /**
    * Check if phone number is from UK
    * @param {string} phoneNumber - Phone number
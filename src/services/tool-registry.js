@@ -0,0 +1,243 @@
+/**
+ * Tool Registry
+ *
+ * Serves the tool definitions in src/config/tools.js:
+ * - Looks up a tool's handler for VapiFunctionHandler
+ * - Validates incoming tool parameters against the calling assistant's schema
+ * - Builds the VAPI `tools` array for each assistant
+ * - Builds the tools/*.json templates
+ */
+
+const toolDefinitions = require('../config/tools');
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    toolDefinitions.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Register a tool definition
+   * @param {Object} definition - { name, handler, description, parameters, resolve, assistants }
+   */
+  register(definition) {
+    if (!definition.name || !definition.handler || !definition.parameters) {
+      throw new Error(`Invalid tool definition: ${definition.name || 'unnamed'}`);
+    }
+    this.tools.set(definition.name, definition);
+  }
+
+  /**
+   * Get a tool definition
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} Tool definition
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Whether a tool only looks things up (safe to run again)
+   * @param {string} name - Tool name
+   * @returns {boolean} True for read-only tools
+   */
+  isReadOnly(name) {
+    return this.get(name)?.readOnly === true;
+  }
+
+  /**
+   * List all tool definitions
+   * @returns {Array<Object>} Tool definitions
+   */
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * Build the VAPI tools array for an assistant
+   * @param {string} assistantType - intake, emergency or confirmation
+   * @returns {Array<Object>} VAPI tool definitions
+   */
+  getToolsForAssistant(assistantType) {
+    const serverUrl = process.env.WEBHOOK_BASE_URL
+      ? `${process.env.WEBHOOK_BASE_URL}/webhook/vapi`
+      : 'https://your-app-url.railway.app/webhook/vapi';
+
+    return this.list()
+      .filter(tool => tool.assistants?.[assistantType])
+      .map(tool => ({
+        type: 'function',
+        function: this.buildFunction(tool, tool.assistants[assistantType]),
+        async: true,
+        server: {
+          url: serverUrl,
+          secret: process.env.VAPI_SERVER_SECRET
+        }
+      }));
+  }
+
+  /**
+   * Build the tools/*.json template for a tool
+   * Server values are left as {{PLACEHOLDERS}} for the VAPI dashboard
+   * @param {string} name - Tool name
+   * @returns {Object} Tool JSON
+   */
+  buildToolJson(name) {
+    const tool = this.get(name);
+
+    return {
+      type: 'function',
+      function: this.buildFunction(tool),
+      server: {
+        url: '{{WEBHOOK_BASE_URL}}/webhook/vapi',
+        secret: '{{VAPI_SERVER_SECRET}}',
+        method: 'POST',
+        timeout: 20
+      },
+      async: true
+    };
+  }
+
+  /**
+   * Build the `function` block, applying per-assistant overrides
+   * @param {Object} tool - Tool definition
+   * @param {Object} overrides - { description, properties, required, propertyOverrides }
+   * @returns {Object} { name, description, parameters }
+   */
+  buildFunction(tool, overrides = {}) {
+    const propertyNames = overrides.properties || Object.keys(tool.parameters.properties);
+
+    const properties = {};
+    for (const propertyName of propertyNames) {
+      properties[propertyName] = {
+        ...tool.parameters.properties[propertyName],
+        ...overrides.propertyOverrides?.[propertyName]
+      };
+    }
+
+    return {
+      name: tool.name,
+      description: overrides.description || tool.description,
+      parameters: {
+        type: 'object',
+        properties,
+        required: overrides.required || tool.parameters.required || []
+      }
+    };
+  }
+
+  /**
+   * Validate tool parameters against the schema the assistant was given
+   * (its required list and property overrides), else the tool's own schema
+   * Coerces "true"/"false" and numeric strings where the schema expects them
+   * @param {string} name - Tool name
+   * @param {Object} params - Incoming parameters
+   * @param {string} assistantType - Calling assistant (call metadata.type), if known
+   * @returns {Object} { valid, errors, parameters }
+   */
+  validate(name, params = {}, assistantType) {
+    const schema = this.getSchema(name, assistantType);
+    const errors = [];
+    const parameters = { ...params };
+
+    for (const field of schema.required || []) {
+      if (parameters[field] === undefined || parameters[field] === null || parameters[field] === '') {
+        errors.push({ field, message: `"${field}" is required` });
+      }
+    }
+
+    for (const [field, value] of Object.entries(parameters)) {
+      const propertySchema = schema.properties[field] || this.get(name).parameters.properties[field];
+      if (!propertySchema || value === undefined || value === null) continue;
+
+      const coerced = this.coerce(value, propertySchema.type);
+      const error = this.validateValue(field, coerced, propertySchema);
+      if (error) {
+        errors.push({ field, message: error });
+      } else {
+        parameters[field] = coerced;
+      }
+    }
+
+    return { valid: errors.length === 0, errors, parameters };
+  }
+
+  /**
+   * The parameters schema a tool has for an assistant
+   * @param {string} name - Tool name
+   * @param {string} assistantType - intake, emergency or confirmation
+   * @returns {Object} JSON schema - the tool's own when the assistant has no overrides
+   */
+  getSchema(name, assistantType) {
+    const tool = this.get(name);
+    const overrides = tool.assistants?.[assistantType];
+    return overrides ? this.buildFunction(tool, overrides).parameters : tool.parameters;
+  }
+
+  /**
+   * Validate a single value against a property schema
+   * @param {string} field - Property name
+   * @param {*} value - Value
+   * @param {Object} schema - Property schema
+   * @returns {string|null} Error message or null
+   */
+  validateValue(field, value, schema) {
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+
+    if (schema.type === 'integer' && !Number.isInteger(value)) {
+      return `"${field}" must be a whole number`;
+    }
+    if (schema.type && schema.type !== 'integer' && schema.type !== actualType) {
+      return `"${field}" must be a ${schema.type}`;
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      return `"${field}" must be at least ${schema.minimum}`;
+    }
+    if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+      return `"${field}" must be at most ${schema.maximum}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `"${field}" must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `"${field}" has the wrong format (${schema.description || schema.pattern})`;
+    }
+    return null;
+  }
+
+  /**
+   * Coerce string values the model commonly sends for non-string types
+   * @param {*} value - Incoming value
+   * @param {string} type - Expected JSON-schema type
+   * @returns {*} Coerced value
+   */
+  coerce(value, type) {
+    if (typeof value !== 'string') return value;
+
+    if (type === 'boolean' && ['true', 'false'].includes(value.toLowerCase())) {
+      return value.toLowerCase() === 'true';
+    }
+    if ((type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * Build a tool result the assistant can recover from
+   * @param {string} name - Tool name
+   * @param {Array<Object>} errors - Validation errors
+   * @returns {Object} Tool result
+   */
+  buildValidationError(name, errors) {
+    const details = errors.map(e => e.message).join('; ');
+    return {
+      success: false,
+      error: `Invalid parameters for ${name}: ${details}`,
+      invalidParameters: errors.map(e => e.field),
+      message: `The ${name} call was not made because ${details}. Ask the caller for the missing or corrected details if needed, then call ${name} again with corrected parameters.`
+    };
+  }
+}
+
+module.exports = new ToolRegistry();
@@ -5,11 +5,14 @@
  */
 
 const axios = require('axios');
+const callContext = require('./call-context');
+const voicemailTracker = require('./voicemail-tracker');
 
 class VapiClient {
   constructor() {
     this.apiKey = process.env.VAPI_API_KEY;
-    this.baseUrl = 'https://api.vapi.ai';
+    // VAPI_API_BASE_URL points at a stand-in API (e.g. scripts/mocks/vapi-mock-server.js)
+    this.baseUrl = process.env.VAPI_API_BASE_URL || 'https://api.vapi.ai';
     
     if (!this.apiKey) {
       console.warn('[VapiClient] Warning: VAPI_API_KEY not set');
@@ -93,7 +96,11 @@ class VapiClient {
 
   /**
    * Initiate an outbound call
+   * The caller's current date, local time and business-hours status are
+   * added to the variable values when the call is placed, with
+   * leaveVoicemail (yes/no) - one voicemail message a day per contact.
    * @param {Object} options - Call options
+   * @param {Object} [options.variableValues] - Extra prompt variables (override the call context)
    * @returns {Promise<Object>} Call details
    */
   async createCall(options) {
@@ -102,10 +109,14 @@ class VapiClient {
       phoneNumberId,
       customerNumber,
       customerName,
-      metadata = {}
+      metadata = {},
+      variableValues = {}
     } = options;
 
     try {
+      const context = callContext.build({ customerPhone: customerNumber, timezone: metadata.timezone });
+      const leaveVoicemail = voicemailTracker.canLeaveMessage(metadata.contact_id, context.timezone);
+
       const payload = {
         assistantId,
         phoneNumberId,
@@ -113,6 +124,13 @@ class VapiClient {
           number: customerNumber,
           name: customerName
         },
+        assistantOverrides: {
+          variableValues: {
+            ...context,
+            leaveVoicemail: leaveVoicemail ? 'yes' : 'no',
+            ...variableValues
+          }
+        },
         metadata
       };
 
@@ -125,6 +143,33 @@ class VapiClient {
     }
   }
 
+  /**
+   * Get the assistant and outbound phone number used for an assistant type
+   * @param {string} type - Assistant type (intake, confirmation, emergency)
+   * @returns {Object} { assistantId, phoneNumberId }
+   */
+  getOutboundConfig(type = 'intake') {
+    switch (type) {
+      case 'confirmation':
+        return {
+          assistantId: process.env.VAPI_CONFIRMATION_ASSISTANT_ID,
+          phoneNumberId: process.env.VAPI_CONFIRMATION_PHONE_ID
+        };
+
+      case 'emergency':
+        return {
+          assistantId: process.env.VAPI_EMERGENCY_ASSISTANT_ID,
+          phoneNumberId: process.env.VAPI_OUTBOUND_PHONE_ID
+        };
+
+      default:
+        return {
+          assistantId: process.env.VAPI_INTAKE_ASSISTANT_ID,
+          phoneNumberId: process.env.VAPI_OUTBOUND_PHONE_ID
+        };
+    }
+  }
+
   /**
    * Get call details
    * @param {string} callId - Call ID
@@ -0,0 +1,97 @@
+/**
+ * Voicemail Tracker
+ *
+ * Voicemail outcomes of ended calls, kept on the call history records:
+ * - detect: whether a call reached voicemail (VAPI's voicemail detection, or
+ *   the assistant marking the call no_answer) and whether a message was left
+ * - at most one voicemail message a day per contact (the client's day):
+ *   outbound calls get {{leaveVoicemail}} = yes/no when they are placed
+ * - one follow-up SMS a day after a voicemail, with our callback number and
+ *   booking link (VOICEMAIL_FOLLOW_UP_SMS=false to turn it off)
+ */
+
+const { DateTime } = require('luxon');
+const callHistory = require('./call-history');
+
+// How an answering machine's greeting reads in the transcript
+const VOICEMAIL_GREETING = /voice ?mail|mailbox|leave (?:a|your) (?:message|name)|after the (?:tone|beep)|(?:not|isn't|is not) available|(?:can't|cannot|unable to) (?:take|answer) (?:your|the|my) (?:call|phone)/i;
+
+class VoicemailTracker {
+  constructor() {
+    this.followUpSMS = process.env.VOICEMAIL_FOLLOW_UP_SMS !== 'false';
+  }
+
+  /**
+   * Whether a call reached voicemail, and whether a message was left
+   * A message counts as left when the assistant spoke after the voicemail
+   * greeting in the transcript. If no greeting was transcribed, after the
+   * assistant's opening line (the machine picked up before anything else).
+   * @param {Object} options - { endedReason, toolCalls, messages }
+   * @returns {Object} { detected, messageLeft }
+   */
+  detect({ endedReason, toolCalls = [], messages = [] }) {
+    const markedNoAnswer = toolCalls.some(toolCall =>
+      toolCall.name === 'update_confirmation_status' && toolCall.arguments?.status === 'no_answer'
+    );
+    const detected = endedReason === 'voicemail' || markedNoAnswer;
+    if (!detected) return { detected, messageLeft: false };
+
+    const spoken = (message) => message.role === 'bot' && Boolean(message.message?.trim());
+    const greeting = messages.findIndex(message => message.role === 'user' && VOICEMAIL_GREETING.test(message.message || ''));
+    const reachedAt = greeting >= 0 ? greeting : messages.findIndex(spoken);
+
+    return { detected, messageLeft: reachedAt >= 0 && messages.slice(reachedAt + 1).some(spoken) };
+  }
+
+  /**
+   * A contact's voicemail calls today
+   * @param {string} contactId - GHL contact ID
+   * @param {string} timezone - Client's timezone (their day)
+   * @param {Date} now - Current time (default now)
+   * @returns {Array<Object>} Call records, most recent first
+   */
+  getToday(contactId, timezone = 'Europe/London', now = new Date()) {
+    const today = DateTime.fromJSDate(new Date(now)).setZone(timezone).toISODate();
+
+    return callHistory.getForContact(contactId).filter(record =>
+      record.voicemail?.detected &&
+      DateTime.fromISO(record.endedAt).setZone(timezone).toISODate() === today
+    );
+  }
+
+  /**
+   * Whether a call placed now may leave a voicemail message
+   * @param {string} contactId - GHL contact ID (no ID: always yes)
+   * @param {string} timezone - Client's timezone
+   * @param {Date} now - Current time (default now)
+   * @returns {boolean} False if a message was already left today
+   */
+  canLeaveMessage(contactId, timezone, now = new Date()) {
+    if (!contactId) return true;
+    return !this.getToday(contactId, timezone, now).some(record => record.voicemail.messageLeft);
+  }
+
+  /**
+   * Whether to text the contact after a voicemail
+   * @param {string} contactId - GHL contact ID
+   * @param {string} callId - The voicemail call (not counted)
+   * @param {string} timezone - Client's timezone
+   * @returns {boolean} True unless turned off or already texted today
+   */
+  shouldSendFollowUp(contactId, callId, timezone) {
+    if (!this.followUpSMS) return false;
+    return !this.getToday(contactId, timezone).some(record => record.callId !== callId && record.voicemail.smsSent);
+  }
+
+  /**
+   * Keep the voicemail outcome on the call's history record
+   * @param {string} callId - VAPI call ID
+   * @param {Object} voicemail - { detected, messageLeft, smsSent }
+   * @returns {Object|undefined} Updated record
+   */
+  record(callId, voicemail) {
+    return callId ? callHistory.update(callId, { voicemail }) : undefined;
+  }
+}
+
+module.exports = new VoicemailTracker();
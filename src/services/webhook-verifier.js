@@ -0,0 +1,252 @@
+/**
+ * Webhook Verifier
+ *
+ * Authenticates inbound webhook requests before they reach the handlers.
+ * - VAPI: compares the x-vapi-secret header with VAPI_SERVER_SECRET
+ * - GHL: accepts a shared secret header or an HMAC-SHA256 signature
+ *   over "<timestamp>.<raw body>" signed with WEBHOOK_SECRET
+ * - Rejects VAPI and signed GHL requests whose timestamp falls outside the
+ *   replay window
+ *
+ * Only signed GHL requests are protected against replays: the shared secret
+ * is static and a timestamp sent next to it is not signed, so anyone holding
+ * one request can resend it with a fresh timestamp. WEBHOOK_REQUIRE_SIGNATURE
+ * turns the shared secret off for deployments that need replay protection.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Header names expected from each source
+const HEADERS = {
+  vapiSecret: 'x-vapi-secret',
+  sharedSecret: 'x-webhook-secret',
+  signature: 'x-webhook-signature',
+  timestamp: 'x-webhook-timestamp'
+};
+
+class WebhookVerifier {
+  constructor() {
+    this.vapiSecret = process.env.VAPI_SERVER_SECRET;
+    this.webhookSecret = process.env.WEBHOOK_SECRET;
+    this.toleranceSeconds = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300');
+    this.requireSignature = process.env.WEBHOOK_REQUIRE_SIGNATURE === 'true';
+
+    // Signatures already accepted inside the replay window
+    this.seenSignatures = new Map();
+
+    if (!this.vapiSecret) {
+      console.warn('[WebhookVerifier] Warning: VAPI_SERVER_SECRET not set');
+    }
+    if (!this.webhookSecret) {
+      console.warn('[WebhookVerifier] Warning: WEBHOOK_SECRET not set');
+    }
+  }
+
+  /**
+   * Build Express middleware for a route
+   * @param {Object} options - Route configuration
+   * @param {string} options.source - 'vapi' or 'ghl'
+   * @param {boolean} options.requireTimestamp - Reject requests without a timestamp (GHL: signed requests only)
+   * @param {boolean} options.requireSignature - GHL: reject the shared secret (default WEBHOOK_REQUIRE_SIGNATURE)
+   * @returns {Function} Express middleware
+   */
+  middleware(options = {}) {
+    const { source, requireTimestamp = false, requireSignature = this.requireSignature } = options;
+
+    return (req, res, next) => {
+      const result = source === 'vapi'
+        ? this.verifyVapiRequest(req, { requireTimestamp })
+        : this.verifyGHLRequest(req, { requireTimestamp, requireSignature });
+
+      if (!result.valid) {
+        logger.warn('Webhook verification failed', {
+          source,
+          path: req.path,
+          reason: result.reason,
+          ip: req.ip
+        });
+        return res.status(401).json({ error: 'Unauthorized', reason: result.reason });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Verify a request sent by VAPI
+   * @param {Object} req - Express request
+   * @param {Object} options - Verification options
+   * @returns {Object} { valid: boolean, reason?: string }
+   */
+  verifyVapiRequest(req, options = {}) {
+    if (!this.vapiSecret) {
+      return this.handleMissingSecret('VAPI_SERVER_SECRET');
+    }
+
+    const provided = req.get(HEADERS.vapiSecret);
+    if (!provided) {
+      return { valid: false, reason: `Missing ${HEADERS.vapiSecret} header` };
+    }
+    if (!this.safeEqual(provided, this.vapiSecret)) {
+      return { valid: false, reason: 'Invalid VAPI server secret' };
+    }
+
+    // VAPI stamps every server message with a millisecond timestamp
+    const timestamp = req.body?.message?.timestamp;
+    return this.checkTimestamp(timestamp, options.requireTimestamp);
+  }
+
+  /**
+   * Verify a request sent by a GHL workflow
+   * A timestamp is only trusted when it is signed, so requiring one (or
+   * requiring a signature) rules out the shared secret.
+   * @param {Object} req - Express request
+   * @param {Object} options - Verification options { requireTimestamp, requireSignature }
+   * @returns {Object} { valid: boolean, reason?: string }
+   */
+  verifyGHLRequest(req, options = {}) {
+    if (!this.webhookSecret) {
+      return this.handleMissingSecret('WEBHOOK_SECRET');
+    }
+
+    const signature = req.get(HEADERS.signature)?.replace(/^sha256=/, '');
+    const sharedSecret = req.get(HEADERS.sharedSecret);
+    const timestamp = req.get(HEADERS.timestamp);
+
+    if (signature) {
+      if (!timestamp) {
+        return { valid: false, reason: `Signed requests require ${HEADERS.timestamp} header` };
+      }
+
+      const timestampCheck = this.checkTimestamp(timestamp, true);
+      if (!timestampCheck.valid) return timestampCheck;
+
+      const expected = this.sign(timestamp, req.rawBody || '');
+      if (!this.safeEqual(signature, expected)) {
+        return { valid: false, reason: 'Invalid webhook signature' };
+      }
+
+      if (this.isReplay(signature)) {
+        return { valid: false, reason: 'Webhook signature already used' };
+      }
+
+      return { valid: true };
+    }
+
+    if (sharedSecret) {
+      if (options.requireSignature || options.requireTimestamp) {
+        return { valid: false, reason: `Shared secret not accepted - sign the request with ${HEADERS.signature}` };
+      }
+      if (!this.safeEqual(sharedSecret, this.webhookSecret)) {
+        return { valid: false, reason: 'Invalid webhook secret' };
+      }
+      return { valid: true };
+    }
+
+    return { valid: false, reason: `Missing ${HEADERS.signature} or ${HEADERS.sharedSecret} header` };
+  }
+
+  /**
+   * Compute the HMAC signature for a payload
+   * @param {string|number} timestamp - Unix timestamp (seconds or ms)
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {string} Hex-encoded HMAC-SHA256
+   */
+  sign(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  /**
+   * Check a timestamp is within the replay window
+   * @param {string|number} timestamp - Unix timestamp (seconds or ms) or ISO string
+   * @param {boolean} required - Fail if no timestamp is present
+   * @returns {Object} { valid: boolean, reason?: string }
+   */
+  checkTimestamp(timestamp, required = false) {
+    if (timestamp === undefined || timestamp === null || timestamp === '') {
+      return required
+        ? { valid: false, reason: 'Missing request timestamp' }
+        : { valid: true };
+    }
+
+    const time = this.parseTimestamp(timestamp);
+    if (isNaN(time)) {
+      return { valid: false, reason: 'Invalid request timestamp' };
+    }
+
+    const skewSeconds = Math.abs(Date.now() - time) / 1000;
+    if (skewSeconds > this.toleranceSeconds) {
+      return { valid: false, reason: 'Request timestamp outside allowed window' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Parse a timestamp into milliseconds
+   * @param {string|number} timestamp - Seconds, milliseconds or ISO string
+   * @returns {number} Milliseconds since epoch (NaN if unparseable)
+   */
+  parseTimestamp(timestamp) {
+    if (/^\d+$/.test(String(timestamp))) {
+      const value = Number(timestamp);
+      // Anything below 1e12 is a seconds-based Unix timestamp
+      return value < 1e12 ? value * 1000 : value;
+    }
+    return new Date(timestamp).getTime();
+  }
+
+  /**
+   * Track signatures so an identical signed request cannot be replayed
+   * @param {string} signature - Request signature
+   * @returns {boolean} True if the signature was already seen
+   */
+  isReplay(signature) {
+    const now = Date.now();
+
+    for (const [seen, expiresAt] of this.seenSignatures) {
+      if (expiresAt <= now) this.seenSignatures.delete(seen);
+    }
+
+    if (this.seenSignatures.has(signature)) {
+      return true;
+    }
+
+    this.seenSignatures.set(signature, now + this.toleranceSeconds * 1000);
+    return false;
+  }
+
+  /**
+   * Decide what to do when a secret has not been configured
+   * Fails closed in production, allows the request elsewhere
+   * @param {string} variable - Missing environment variable
+   * @returns {Object} { valid: boolean, reason?: string }
+   */
+  handleMissingSecret(variable) {
+    if (process.env.NODE_ENV === 'production') {
+      return { valid: false, reason: `${variable} not configured` };
+    }
+    console.warn(`[WebhookVerifier] ${variable} not set - skipping verification (non-production)`);
+    return { valid: true };
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} True if equal
+   */
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    if (bufA.length !== bufB.length) return false;
+    return crypto.timingSafeEqual(bufA, bufB);
+  }
+}
+
+module.exports = new WebhookVerifier();
@@ -0,0 +1,206 @@
+/**
+ * Assistant Request Handler
+ *
+ * Handles VAPI's `assistant-request` server message for inbound calls.
+ * Looks up the caller in GHL and chooses the assistant:
+ * - Emergency assistant if the contact has emergencyFlag set
+ * - Confirmation assistant if they have an appointment later today
+ * - Intake assistant otherwise
+ * Known contact details are passed as variable values and metadata
+ * so the assistant does not ask for information we already hold, along
+ * with the caller's current date and local time (CallContext).
+ */
+
+const { DateTime } = require('luxon');
+const ghlClient = require('../services/ghl-client');
+const timezoneDetector = require('../services/timezone-detector');
+const callContext = require('../services/call-context');
+const appointmentFormatter = require('../services/appointment-formatter');
+const callingHoursValidator = require('../services/calling-hours-validator');
+
+// Contact fields passed to the assistant as variable values
+const KNOWN_FIELDS = [
+  'nationality',
+  'currentCountry',
+  'immigrationStatus',
+  'triageStatus',
+  'preferredChannel',
+  'emergencyType',
+  'interpreterLanguage'
+];
+
+class AssistantRequestHandler {
+  /**
+   * Handle assistant-request message from VAPI
+   * @param {Object} payload - VAPI webhook payload
+   * @returns {Object} { assistantId, assistantOverrides }
+   */
+  async handleAssistantRequest(payload) {
+    const call = payload.message?.call || payload.call;
+    const customerPhone = call?.customer?.number;
+
+    console.log('[AssistantRequest] Inbound call from:', customerPhone);
+
+    let contact = null;
+    if (customerPhone) {
+      try {
+        contact = await ghlClient.findContactByPhone(customerPhone);
+      } catch (error) {
+        // Never block an inbound call on a CRM lookup
+        console.warn('[AssistantRequest] Contact lookup failed:', error.message);
+      }
+    }
+
+    // A timezone saved on the contact beats the one their number suggests
+    const timezone = timezoneDetector.resolve(customerPhone, { contact }).timezone;
+
+    if (!contact) {
+      console.log('[AssistantRequest] Unknown caller - using intake assistant');
+      return this.buildResponse('intake', {
+        metadata: { customerPhone, timezone }
+      });
+    }
+
+    const knownDetails = this.getKnownDetails(contact);
+    const metadata = {
+      contact_id: contact.id,
+      customerPhone,
+      customerName: knownDetails.customerName,
+      timezone
+    };
+
+    // Emergency cases go straight to the emergency handler
+    if (ghlClient.getCustomFieldValue(contact, 'emergencyFlag') === 'true') {
+      console.log('[AssistantRequest] Emergency contact - using emergency assistant');
+      return this.buildResponse('emergency', { metadata, variableValues: knownDetails });
+    }
+
+    const appointment = await this.findAppointmentToday(contact.id, timezone);
+    if (appointment) {
+      const appointmentTime = appointmentFormatter.format(this.parseAppointmentTime(appointment.startTime), {
+        timezone,
+        language: appointmentFormatter.getLanguage(contact)
+      });
+      console.log('[AssistantRequest] Appointment today - using confirmation assistant');
+      return this.buildResponse('confirmation', {
+        metadata: {
+          ...metadata,
+          appointment_id: appointment.id,
+          appointment_time: appointment.startTime
+        },
+        variableValues: {
+          ...knownDetails,
+          appointmentTime: appointmentTime.spoken
+        }
+      });
+    }
+
+    console.log('[AssistantRequest] Known contact - using intake assistant');
+    return this.buildResponse('intake', { metadata, variableValues: knownDetails });
+  }
+
+  /**
+   * Build the assistant-request response
+   * @param {string} type - Assistant type
+   * @param {Object} options - { metadata, variableValues }
+   * @returns {Object} VAPI response
+   */
+  buildResponse(type, options = {}) {
+    const { metadata = {}, variableValues = {} } = options;
+
+    return {
+      assistantId: this.getAssistantId(type),
+      assistantOverrides: {
+        variableValues: {
+          ...callContext.build({ customerPhone: metadata.customerPhone, timezone: metadata.timezone }),
+          ...variableValues
+        },
+        metadata: { ...metadata, type }
+      }
+    };
+  }
+
+  /**
+   * Get the inbound assistant ID for a type
+   * @param {string} type - intake, emergency or confirmation
+   * @returns {string} Assistant ID
+   */
+  getAssistantId(type) {
+    switch (type) {
+      case 'emergency':
+        return process.env.VAPI_EMERGENCY_ASSISTANT_ID;
+      case 'confirmation':
+        return process.env.VAPI_CONFIRMATION_ASSISTANT_ID;
+      default:
+        return process.env.VAPI_INTAKE_ASSISTANT_ID;
+    }
+  }
+
+  /**
+   * Extract the details we already hold for a contact
+   * @param {Object} contact - GHL contact
+   * @returns {Object} Variable values (only fields with values)
+   */
+  getKnownDetails(contact) {
+    const details = {
+      firstName: contact.firstName,
+      lastName: contact.lastName,
+      customerName: [contact.firstName, contact.lastName].filter(Boolean).join(' '),
+      email: contact.email
+    };
+
+    for (const field of KNOWN_FIELDS) {
+      details[field] = ghlClient.getCustomFieldValue(contact, field);
+    }
+
+    // Drop empty values so the prompt templates render blank
+    return Object.fromEntries(
+      Object.entries(details).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+
+  /**
+   * Find a non-cancelled appointment today in the caller's timezone that
+   * hasn't finished yet (a morning appointment is over by the afternoon)
+   * @param {string} contactId - Contact ID
+   * @param {string} timezone - Caller's timezone
+   * @param {Date} now - Current time (default now)
+   * @returns {Promise<Object|null>} Appointment or null
+   */
+  async findAppointmentToday(contactId, timezone, now = new Date()) {
+    let appointments = [];
+    try {
+      appointments = await ghlClient.getContactAppointments(contactId);
+    } catch (error) {
+      console.warn('[AssistantRequest] Could not fetch appointments:', error.message);
+      return null;
+    }
+
+    const current = DateTime.fromJSDate(new Date(now)).setZone(timezone);
+
+    return appointments.find(appointment => {
+      const status = appointment.appointmentStatus || appointment.status;
+      if (status === 'cancelled') return false;
+
+      const start = this.parseAppointmentTime(appointment.startTime).setZone(timezone);
+      if (!start.isValid || !start.hasSame(current, 'day')) return false;
+
+      const end = this.parseAppointmentTime(appointment.endTime);
+      return (end.isValid ? end : start) > current;
+    }) || null;
+  }
+
+  /**
+   * Parse a GHL appointment time (ISO or "YYYY-MM-DD HH:mm:ss")
+   * Times without an offset are GHL local times, i.e. the office's timezone.
+   * @param {string} value - Start time
+   * @returns {DateTime} Luxon DateTime (may be invalid)
+   */
+  parseAppointmentTime(value) {
+    const zone = callingHoursValidator.officeTimezone;
+    const iso = DateTime.fromISO(value || '', { zone });
+    return iso.isValid ? iso : DateTime.fromSQL(value || '', { zone });
+  }
+}
+
+module.exports = new AssistantRequestHandler();
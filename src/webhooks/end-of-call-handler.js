@@ -2,30 +2,52 @@
  * End of Call Handler
  * 
  * Handles post-call processing including:
- * - Smart retry logic based on call end reason
+ * - Call history (transcript, summary, recording, tool calls) + GHL note
+ * - Releasing slots held for the call
+ * - Outcome classification (completed / partial / failed)
+ * - Voicemail outcomes, and a follow-up SMS after a voicemail
+ * - Smart retry logic for unfinished calls
+ * - Scheduling the retry call itself (see call-scheduler)
  * - Status updates in GHL
  * - SMS fallback after max attempts
+ * - Reminder SMS when a scheduled confirmation call isn't answered
  * - Team notifications
  */
 
 const ghlClient = require('../services/ghl-client');
 const smsClient = require('../services/sms-client');
 const smartRetryCalculator = require('../services/smart-retry-calculator');
+const callScheduler = require('../services/call-scheduler');
+const vapiClient = require('../services/vapi-client');
 const timezoneDetector = require('../services/timezone-detector');
+const callingHoursValidator = require('../services/calling-hours-validator');
+const idempotencyStore = require('../services/idempotency-store');
+const callHistory = require('../services/call-history');
+const callOutcomeClassifier = require('../services/call-outcome-classifier');
+const slotHolds = require('../services/slot-holds');
+const confirmationScheduler = require('../services/confirmation-scheduler');
+const voicemailTracker = require('../services/voicemail-tracker');
 
 class EndOfCallHandler {
   /**
    * Handle end of call webhook from VAPI
+   * Repeated reports for the same call return the first result
    * @param {Object} payload - VAPI end-of-call payload
    */
   async handleEndOfCall(payload) {
-    const {
-      call,
-      endedReason,
-      transcript,
-      summary,
-      messages
-    } = payload;
+    // VAPI server messages wrap the report in `message`; older payloads are flat
+    const report = payload?.message?.type === 'end-of-call-report' ? payload.message : payload;
+
+    const key = idempotencyStore.buildKey('end-of-call', report?.call?.id);
+    return idempotencyStore.run(key, () => this.processEndOfCall(report));
+  }
+
+  /**
+   * Process an end-of-call report (retry decision, GHL updates)
+   * @param {Object} payload - VAPI end-of-call payload
+   */
+  async processEndOfCall(payload) {
+    const { call, endedReason } = payload;
 
     const metadata = call?.metadata || {};
     const contactId = metadata.contact_id;
@@ -39,30 +61,76 @@ class EndOfCallHandler {
       contactId
     });
 
+    // Slots offered during the call are free for other callers again
+    slotHolds.release(call?.id);
+
+    // Keep the call record even when we can't tie it to a contact
+    const record = this.recordCallHistory(payload);
+    const toolCalls = record?.toolCalls || callHistory.extractToolCalls(payload.messages || []);
+
+    const voicemail = voicemailTracker.detect({
+      endedReason,
+      toolCalls,
+      messages: payload.messages || payload.artifact?.messages || []
+    });
+    if (voicemail.detected) {
+      voicemailTracker.record(record?.callId, voicemail);
+    }
+
     // If no contact ID, we can't do much
     if (!contactId) {
       console.warn('[EndOfCall] No contact ID in metadata');
       return { success: false, error: 'No contact ID' };
     }
 
+    if (record) {
+      await this.postCallNote(contactId, { ...record, voicemail });
+    }
+
+    const classification = callOutcomeClassifier.classify({
+      endedReason,
+      assistantType,
+      durationSeconds: record?.durationSeconds ?? null,
+      toolCalls,
+      voicemail
+    });
+
+    console.log('[EndOfCall] Outcome:', classification);
+
+    if (!callOutcomeClassifier.shouldRetry(classification.outcome)) {
+      return this.handleSuccessfulCall(payload, classification);
+    }
+
+    // Scheduled confirmation calls are placed shortly before the appointment - too late to retry
+    if (metadata.scheduledConfirmation) {
+      return this.handleUnansweredConfirmation(contactId, metadata, endedReason, classification, voicemail);
+    }
+
     // Get current contact data
     let currentAttempts = 0;
+    let contact = null;
     try {
-      const contact = await ghlClient.getContact(contactId);
-      currentAttempts = parseInt(contact.customFields?.call_attempts || '0');
+      contact = await ghlClient.getContact(contactId);
+      currentAttempts = parseInt(ghlClient.getCustomFieldValue(contact, 'callAttempts') || '0');
     } catch (error) {
       console.warn('[EndOfCall] Could not fetch contact:', error.message);
     }
 
-    // Detect timezone
-    const timezone = metadata.timezone || timezoneDetector.detectTimezone(customerPhone);
+    // Detect timezone, and when the client is happy to be called
+    const timezone = timezoneDetector.resolve(customerPhone, { timezone: metadata.timezone, contact }).timezone;
+    const callWindow = callingHoursValidator.getClientPreferences(contact);
 
-    // Calculate retry information
+    // Calculate retry information - the policy depends on the assistant and lead source,
+    // and the calls already made count towards its daily cap
     const retryInfo = smartRetryCalculator.calculateRetry({
       endedReason,
       currentAttempts,
       phoneNumber: customerPhone,
-      timezone
+      timezone,
+      callWindow,
+      assistantType,
+      leadSource: metadata.lead_source,
+      callTimes: callHistory.getForContact(contactId).map(record => record.startedAt || record.endedAt)
     });
 
     smartRetryCalculator.logRetryInfo(retryInfo);
@@ -72,46 +140,155 @@ class EndOfCallHandler {
       lastCallTime: new Date().toISOString(),
       callAttempts: String(retryInfo.attempts),
       endedReason,
+      callOutcome: classification.outcome,
       timezone
     };
 
     if (retryInfo.shouldRetry) {
       customFieldsUpdate.nextCallScheduled = retryInfo.nextCallTimeISO;
     }
+    if (voicemail.detected) {
+      customFieldsUpdate.voicemailLeft = String(voicemail.messageLeft);
+    }
 
     await ghlClient.updateCustomFields(contactId, 
       ghlClient.buildCustomFields(customFieldsUpdate)
     );
 
     // Handle based on retry decision
+    if (!retryInfo.shouldRetry && retryInfo.reason === 'no_calling_hours') {
+      // No time both the office and the client can take a call - the team rings them
+      const taskCreated = await callScheduler.flagForManualCall(contactId, {
+        customerName: metadata.customerName,
+        customerNumber: customerPhone,
+        timezone
+      });
+      return {
+        success: true,
+        retry: false,
+        outcome: classification.outcome,
+        noCallingHours: true,
+        attempts: retryInfo.attempts,
+        taskCreated,
+        message: `No calling hours shared with the office - ${taskCreated ? 'task created' : 'task not created'} for a manual call.`
+      };
+    }
+
     if (!retryInfo.shouldRetry) {
       // Max attempts reached - trigger fallback
-      return this.handleMaxAttemptsReached(contactId, customerPhone, metadata);
+      const fallback = await this.handleMaxAttemptsReached(contactId, customerPhone, metadata, retryInfo.attempts);
+      return { ...fallback, outcome: classification.outcome, ...(voicemail.detected && { voicemail }) };
     }
 
-    // Schedule retry (GHL workflow will handle the actual scheduling)
-    // We just update the fields and let GHL workflow trigger at the scheduled time
-    
+    // Schedule the retry call - the scheduler re-dials at nextCallTimeISO
+    const job = callScheduler.schedule({
+      type: 'retry',
+      contactId,
+      runAt: retryInfo.nextCallTimeISO,
+      timezone,
+      callWindow,
+      call: {
+        ...vapiClient.getOutboundConfig(assistantType),
+        customerNumber: customerPhone,
+        customerName: metadata.customerName || call?.customer?.name,
+        metadata
+      }
+    });
+
+    // The fallback SMS covers the last attempt; until then a voicemail is followed by a text
+    const voicemailOutcome = voicemail.detected
+      ? await this.sendVoicemailFollowUp(record?.callId, contactId, customerPhone, metadata, voicemail, timezone)
+      : null;
+
     return {
       success: true,
       retry: true,
+      outcome: classification.outcome,
+      ...(voicemailOutcome && { voicemail: voicemailOutcome }),
+      jobId: job.id,
       attempts: retryInfo.attempts,
       maxAttempts: retryInfo.maxAttempts,
+      policy: retryInfo.policy,
       nextCallTime: retryInfo.nextCallTimeISO,
       delayMinutes: retryInfo.adjustedDelayMinutes,
       message: `Retry scheduled for ${retryInfo.nextCallTimeISO}`
     };
   }
 
+  /**
+   * Store the call's transcript, summary, recording and tool calls
+   * @param {Object} payload - VAPI end-of-call payload
+   * @returns {Object|null} Call record
+   */
+  recordCallHistory(payload) {
+    try {
+      return callHistory.recordCall(payload);
+    } catch (error) {
+      console.error('[EndOfCall] Failed to record call history:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Post the call record to the contact as a GHL note
+   * @param {string} contactId - Contact ID
+   * @param {Object} record - Call record
+   */
+  async postCallNote(contactId, record) {
+    try {
+      await ghlClient.addNote(contactId, callHistory.buildNote(record));
+    } catch (error) {
+      console.error('[EndOfCall] Failed to add call note:', error.message);
+    }
+  }
+
+  /**
+   * Text our callback number and booking link after a voicemail
+   * Once a day per contact - later voicemails that day are only recorded
+   * @param {string} callId - VAPI call ID
+   * @param {string} contactId - Contact ID
+   * @param {string} customerPhone - Customer phone number
+   * @param {Object} metadata - Call metadata
+   * @param {Object} voicemail - { detected, messageLeft } (see voicemail-tracker)
+   * @param {string} timezone - Client's timezone
+   * @returns {Promise<Object>} { detected, messageLeft, smsSent }
+   */
+  async sendVoicemailFollowUp(callId, contactId, customerPhone, metadata, voicemail, timezone) {
+    let smsSent = false;
+
+    if (voicemailTracker.shouldSendFollowUp(contactId, callId, timezone)) {
+      try {
+        await smsClient.sendVoicemailFollowUpSMS({
+          to: customerPhone,
+          firstName: metadata.customerName?.split(' ')[0] || 'there',
+          messageLeft: voicemail.messageLeft
+        });
+        smsSent = true;
+        console.log('[EndOfCall] Voicemail follow-up SMS sent');
+      } catch (error) {
+        console.error('[EndOfCall] Failed to send voicemail follow-up SMS:', error.message);
+      }
+    }
+
+    const outcome = { ...voicemail, smsSent };
+    voicemailTracker.record(callId, outcome);
+    return outcome;
+  }
+
   /**
    * Handle when max call attempts have been reached
    * @param {string} contactId - Contact ID
    * @param {string} customerPhone - Customer phone number
    * @param {Object} metadata - Call metadata
+   * @param {number} attempts - Calls made
    */
-  async handleMaxAttemptsReached(contactId, customerPhone, metadata) {
+  async handleMaxAttemptsReached(contactId, customerPhone, metadata, attempts) {
     console.log('[EndOfCall] Max attempts reached for:', contactId);
 
+    // No further retry or initial calls - a booked appointment keeps its confirmation call
+    callScheduler.cancelForContact(contactId, 'retry');
+    callScheduler.cancelForContact(contactId, 'initial');
+
     // Update confirmation status to no_answer
     await ghlClient.updateCustomFields(contactId,
       ghlClient.buildCustomFields({
@@ -123,23 +300,26 @@ class EndOfCallHandler {
     await ghlClient.addTags(contactId, ['unreachable', 'needs-manual-followup']);
 
     // Send SMS fallback
+    let smsSent = false;
     try {
       await smsClient.sendFallbackSMS({
         to: customerPhone,
         firstName: metadata.customerName?.split(' ')[0] || 'there',
-        attempts: 3
+        attempts
       });
+      smsSent = true;
       console.log('[EndOfCall] Fallback SMS sent');
     } catch (error) {
       console.error('[EndOfCall] Failed to send SMS:', error.message);
     }
 
     // Create task for manual follow-up
+    let taskCreated = false;
     try {
       await ghlClient.createTask({
         contactId,
         title: `📞 Unable to reach - Manual follow-up needed`,
-        description: `Attempted to call ${metadata.customerName || 'contact'} 3 times without success.
+        description: `Attempted to call ${metadata.customerName || 'contact'} ${attempts} times without success.
         
 Phone: ${customerPhone}
 Last attempt: ${new Date().toISOString()}
@@ -147,6 +327,7 @@ Last attempt: ${new Date().toISOString()}
 Please follow up manually via SMS, WhatsApp, or email.`,
         dueDate: new Date().toISOString()
       });
+      taskCreated = true;
       console.log('[EndOfCall] Follow-up task created');
     } catch (error) {
       console.error('[EndOfCall] Failed to create task:', error.message);
@@ -156,30 +337,86 @@ Please follow up manually via SMS, WhatsApp, or email.`,
       success: true,
       retry: false,
       maxAttemptsReached: true,
-      smsSent: true,
-      taskCreated: true,
-      message: 'Max attempts reached. SMS sent and task created for manual follow-up.'
+      attempts,
+      smsSent,
+      taskCreated,
+      message: `Max attempts reached. ${smsSent ? 'SMS sent' : 'SMS failed'}, ${taskCreated ? 'task created' : 'task not created'} for manual follow-up.`
+    };
+  }
+
+  /**
+   * Text a reminder instead of retrying an unanswered confirmation call
+   * @param {string} contactId - Contact ID
+   * @param {Object} metadata - Call metadata (see confirmation-scheduler)
+   * @param {string} endedReason - VAPI ended reason
+   * @param {Object} classification - Call outcome classification
+   * @param {Object} voicemail - Voicemail outcome (see voicemail-tracker)
+   */
+  async handleUnansweredConfirmation(contactId, metadata, endedReason, classification, voicemail) {
+    console.log('[EndOfCall] Confirmation call not completed - sending reminder SMS:', contactId);
+
+    try {
+      await ghlClient.updateCustomFields(contactId,
+        ghlClient.buildCustomFields({
+          lastCallTime: new Date().toISOString(),
+          endedReason,
+          callOutcome: classification.outcome,
+          confirmationStatus: 'no_answer',
+          ...(voicemail.detected && { voicemailLeft: String(voicemail.messageLeft) })
+        })
+      );
+    } catch (error) {
+      console.error('[EndOfCall] Failed to update contact:', error.message);
+    }
+
+    const reminder = await confirmationScheduler.sendReminder(metadata, endedReason);
+
+    return {
+      success: true,
+      retry: false,
+      outcome: classification.outcome,
+      smsSent: reminder.smsSent,
+      message: 'Confirmation call not completed. Reminder SMS sent instead of a retry.'
     };
   }
 
   /**
    * Handle successful call completion
+   * No retry is scheduled and any pending retry/initial call for the contact is cancelled
    * @param {Object} payload - Call payload
+   * @param {Object} classification - Call outcome classification
    */
-  async handleSuccessfulCall(payload) {
-    const { call, transcript, summary } = payload;
+  async handleSuccessfulCall(payload, classification) {
+    const { call, endedReason } = payload;
     const contactId = call?.metadata?.contact_id;
 
     if (!contactId) return;
 
-    // Store transcript summary (if available)
-    // This can be used for quality review later
+    // Transcript and summary are stored by processEndOfCall (see call-history)
 
     console.log('[EndOfCall] Successful call completed:', call?.id);
 
+    callScheduler.cancelForContact(contactId, 'retry');
+    callScheduler.cancelForContact(contactId, 'initial');
+
+    try {
+      await ghlClient.updateCustomFields(contactId,
+        ghlClient.buildCustomFields({
+          lastCallTime: new Date().toISOString(),
+          endedReason,
+          callOutcome: classification.outcome
+        })
+      );
+    } catch (error) {
+      console.error('[EndOfCall] Failed to update contact:', error.message);
+    }
+
     return {
       success: true,
+      retry: false,
       callCompleted: true,
+      outcome: classification.outcome,
+      completedActions: classification.completedActions,
       message: 'Call completed successfully'
     };
   }
@@ -2,19 +2,36 @@
  * GHL Confirmation Handler
  * 
  * Handles confirmation call triggers from GHL.
- * Called by GHL workflow 1 hour before appointment.
+ * Called by GHL workflow 1 hour before appointment. Appointments booked
+ * through the assistants already have a confirmation call scheduled by the
+ * server (see confirmation-scheduler), so the trigger is skipped for those.
  */
 
 const vapiClient = require('../services/vapi-client');
 const ghlClient = require('../services/ghl-client');
 const timezoneDetector = require('../services/timezone-detector');
+const idempotencyStore = require('../services/idempotency-store');
+const confirmationScheduler = require('../services/confirmation-scheduler');
+const appointmentFormatter = require('../services/appointment-formatter');
+const phoneNumber = require('../services/phone-number');
 
 class GHLConfirmationHandler {
   /**
    * Handle confirmation call trigger
+   * Duplicate workflow deliveries return the first result
    * @param {Object} payload - GHL webhook payload
    */
   async handleConfirmationCall(payload) {
+    return idempotencyStore.runForEvent('ghl-confirmation', payload?.event_id, payload,
+      () => this.processConfirmationCall(payload)
+    );
+  }
+
+  /**
+   * Place the confirmation call
+   * @param {Object} payload - GHL webhook payload
+   */
+  async processConfirmationCall(payload) {
     const {
       contact_id,
       appointment_id,
@@ -22,7 +39,9 @@ class GHLConfirmationHandler {
       customer_phone,
       appointment_time,
       appointment_type,
-      timezone: providedTimezone
+      timezone: providedTimezone,
+      language,
+      country
     } = payload;
 
     console.log('[Confirmation] Call request:', { contact_id, appointment_id, appointment_time });
@@ -36,22 +55,35 @@ class GHLConfirmationHandler {
       };
     }
 
-    // Format phone and detect timezone
-    const formattedPhone = this.formatPhoneNumber(customer_phone);
-    const timezone = providedTimezone || timezoneDetector.detectTimezone(formattedPhone);
-
-    // Format appointment time for voice
-    const appointmentDate = new Date(appointment_time);
-    const formattedTime = appointmentDate.toLocaleTimeString('en-GB', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    });
-    const formattedDate = appointmentDate.toLocaleDateString('en-GB', {
-      weekday: 'long',
-      day: 'numeric',
-      month: 'long'
-    });
+    const scheduled = confirmationScheduler.findForAppointment(appointment_id);
+    if (scheduled) {
+      console.log(`[Confirmation] Server already confirms ${appointment_id} (job ${scheduled.id}) - skipping`);
+      return {
+        success: true,
+        skipped: true,
+        jobId: scheduled.id,
+        appointmentId: appointment_id,
+        message: scheduled.status === 'failed'
+          ? 'Confirmation call failed - reminder SMS already sent by the server'
+          : 'Confirmation call already scheduled by the server'
+      };
+    }
+
+    // Never dial a number that can't exist
+    const phone = phoneNumber.parse(customer_phone, { country });
+    if (!phone.valid) {
+      console.error(`[Confirmation] Invalid phone number ${customer_phone}: ${phone.error}`);
+      return {
+        success: false,
+        invalidPhone: true,
+        error: `Invalid phone number: ${phone.error}`
+      };
+    }
+    const formattedPhone = phone.e164;
+    const timezone = timezoneDetector.resolve(formattedPhone, { timezone: providedTimezone }).timezone;
+
+    // Appointment time in the customer's timezone, as read out on the call
+    const appointment = appointmentFormatter.format(appointment_time, { timezone, language });
 
     try {
       // Initiate confirmation call
@@ -61,6 +93,7 @@ class GHLConfirmationHandler {
         customerNumber: formattedPhone,
         customerName: customer_name,
         metadata: {
+          type: 'confirmation',
           contact_id,
           appointment_id,
           appointment_time,
@@ -68,10 +101,15 @@ class GHLConfirmationHandler {
           timezone,
           customerPhone: formattedPhone,
           customerName: customer_name,
-          formattedTime,
-          formattedDate,
-          // These will be interpolated in the assistant's first message
-          appointmentTime: `${formattedDate} at ${formattedTime}`
+          language,
+          formattedTime: appointment.time,
+          formattedDate: appointment.date,
+          appointmentTime: appointment.text
+        },
+        // Interpolated in the confirmation prompt
+        variableValues: {
+          customerName: customer_name,
+          appointmentTime: appointment.spoken
         }
       });
 
@@ -102,29 +140,6 @@ class GHLConfirmationHandler {
     }
   }
 
-  /**
-   * Format phone number to E.164
-   * @param {string} phone - Phone number
-   * @returns {string} Formatted phone number
-   */
-  formatPhoneNumber(phone) {
-    if (!phone) return null;
-
-    // Remove all non-numeric characters except +
-    let cleaned = phone.replace(/[^\d+]/g, '');
-
-    // If starts with 0 and looks like UK number, add +44
-    if (cleaned.startsWith('0') && cleaned.length === 11) {
-      cleaned = '+44' + cleaned.substring(1);
-    }
-
-    // If doesn't start with +, assume UK and add +44
-    if (!cleaned.startsWith('+')) {
-      cleaned = '+44' + cleaned;
-    }
-
-    return cleaned;
-  }
 }
 
 module.exports = new GHLConfirmationHandler();
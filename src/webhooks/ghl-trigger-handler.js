@@ -10,20 +10,40 @@ const vapiClient = require('../services/vapi-client');
 const ghlClient = require('../services/ghl-client');
 const timezoneDetector = require('../services/timezone-detector');
 const callingHoursValidator = require('../services/calling-hours-validator');
+const callScheduler = require('../services/call-scheduler');
+const idempotencyStore = require('../services/idempotency-store');
+const phoneNumber = require('../services/phone-number');
 
 class GHLTriggerHandler {
   /**
    * Handle initial outbound call trigger
-   * Called by GHL workflow when contact is created
+   * Duplicate workflow deliveries return the first result
    * @param {Object} payload - GHL webhook payload
    */
   async handleInitialCall(payload) {
+    return idempotencyStore.runForEvent('ghl-trigger-call', payload?.event_id, payload,
+      () => this.processInitialCall(payload)
+    );
+  }
+
+  /**
+   * Place the initial outbound call (or schedule it if outside calling hours)
+   * Called by GHL workflow when contact is created
+   * @param {Object} payload - GHL webhook payload
+   */
+  async processInitialCall(payload) {
     const {
       contact_id,
       customer_name,
       customer_phone,
       customer_email,
       lead_source,
+      country,
+      timezone: providedTimezone,
+      call_window_start,
+      call_window_end,
+      avoid_friday_prayer,
+      observes_ramadan,
       custom_fields = {}
     } = payload;
 
@@ -38,17 +58,74 @@ class GHLTriggerHandler {
       };
     }
 
-    // Format phone number
-    const formattedPhone = this.formatPhoneNumber(customer_phone);
-    
-    // Detect timezone
-    const timezone = timezoneDetector.detectTimezone(formattedPhone);
+    // Never dial a number that can't exist
+    const phone = phoneNumber.parse(customer_phone, { country });
+    if (!phone.valid) {
+      console.error(`[GHL Trigger] Invalid phone number ${customer_phone}: ${phone.error}`);
+      return {
+        success: false,
+        invalidPhone: true,
+        error: `Invalid phone number: ${phone.error}`
+      };
+    }
+    const formattedPhone = phone.e164;
+
+    // Timezone from GHL if given, else detected from the number
+    const timezone = timezoneDetector.resolve(formattedPhone, { timezone: providedTimezone }).timezone;
+
+    // When the client is happy to be called, if the contact says
+    const callWindow = {
+      start: call_window_start,
+      end: call_window_end,
+      ...(avoid_friday_prayer && { avoidFridayPrayer: String(avoid_friday_prayer) === 'true' }),
+      ...(observes_ramadan && { observesRamadan: String(observes_ramadan) === 'true' })
+    };
 
     // Check if within calling hours
     const now = new Date();
-    if (!callingHoursValidator.isWithinCallingHours(now, timezone)) {
-      const nextValidTime = callingHoursValidator.getNextValidCallingTime(now, timezone);
+    if (!callingHoursValidator.isWithinCallingHours(now, timezone, callWindow)) {
+      const nextValidTime = callingHoursValidator.getNextValidCallingTime(now, timezone, callWindow);
+
+      // Office and client hours never overlap - the team rings them instead
+      if (!nextValidTime) {
+        const taskCreated = await callScheduler.flagForManualCall(contact_id, {
+          customerName: customer_name,
+          customerNumber: formattedPhone,
+          timezone
+        });
+        return {
+          success: true,
+          scheduled: false,
+          manualCall: true,
+          taskCreated,
+          message: 'No calling hours shared with the office - flagged for a manual call'
+        };
+      }
+
       console.log('[GHL Trigger] Outside calling hours, scheduling for:', nextValidTime);
+
+      const job = callScheduler.schedule({
+        type: 'initial',
+        contactId: contact_id,
+        runAt: nextValidTime,
+        timezone,
+        callWindow,
+        call: {
+          ...vapiClient.getOutboundConfig('intake'),
+          customerNumber: formattedPhone,
+          customerName: customer_name,
+          metadata: {
+            contact_id,
+            customer_email,
+            lead_source,
+            timezone,
+            customerPhone: formattedPhone,
+            ...custom_fields,
+            type: 'intake'
+          }
+        },
+        updateFields: { callAttempts: '1', timezone }
+      });
       
       // Update contact with scheduled time
       await ghlClient.updateCustomFields(contact_id, 
@@ -61,6 +138,7 @@ class GHLTriggerHandler {
       return {
         success: true,
         scheduled: true,
+        jobId: job.id,
         scheduledTime: nextValidTime.toISOString(),
         message: 'Call scheduled for next business hours'
       };
@@ -79,7 +157,8 @@ class GHLTriggerHandler {
           lead_source,
           timezone,
           customerPhone: formattedPhone,
-          ...custom_fields
+          ...custom_fields,
+          type: 'intake'
         }
       });
 
@@ -119,25 +198,41 @@ class GHLTriggerHandler {
 
   /**
    * Handle form submission
-   * Called when someone submits the intake form on website
+   * Duplicate deliveries return the first result
    * @param {Object} payload - Form submission data
    */
   async handleFormSubmit(payload) {
+    return idempotencyStore.runForEvent('ghl-form-submit', payload?.event_id, payload,
+      () => this.processFormSubmit(payload)
+    );
+  }
+
+  /**
+   * Process a form submission
+   * Called when someone submits the intake form on website
+   * @param {Object} payload - Form submission data
+   */
+  async processFormSubmit(payload) {
     const {
       first_name,
       last_name,
       email,
       phone,
       country,
+      timezone: providedTimezone,
       message,
       preferred_contact
     } = payload;
 
     console.log('[GHL Trigger] Form submission:', { email, phone });
 
-    // Format phone
-    const formattedPhone = phone ? this.formatPhoneNumber(phone) : null;
-    const timezone = formattedPhone ? timezoneDetector.detectTimezone(formattedPhone) : 'Europe/London';
+    // Format phone - an invalid number is left off the contact
+    const parsedPhone = phoneNumber.parse(phone, { country });
+    if (phone && !parsedPhone.valid) {
+      console.warn(`[GHL Trigger] Invalid phone number on form ${phone}: ${parsedPhone.error}`);
+    }
+    const formattedPhone = parsedPhone.e164;
+    const timezone = timezoneDetector.resolve(formattedPhone, { timezone: providedTimezone }).timezone;
 
     // Create or find contact
     let contact;
@@ -152,6 +247,8 @@ class GHLTriggerHandler {
         lastName: last_name,
         email,
         phone: formattedPhone,
+        // Only a timezone the client gave is saved - the number's is a guess
+        ...(timezoneDetector.isValidTimezone(providedTimezone) && { timezone: providedTimezone }),
         tags: ['asylum-intake', 'web-form'],
         customFields: ghlClient.buildCustomFields({
           currentCountry: country,
@@ -171,7 +268,9 @@ class GHLTriggerHandler {
         contact_id: contact.id,
         customer_name: `${first_name} ${last_name}`,
         customer_phone: formattedPhone,
-        customer_email: email
+        customer_email: email,
+        country,
+        timezone: providedTimezone
       });
     }
 
@@ -180,33 +279,10 @@ class GHLTriggerHandler {
       success: true,
       contactId: contact.id,
       preferredContact: preferredMethod,
+      ...(phone && !parsedPhone.valid && { phoneError: parsedPhone.error }),
       message: `Contact created. Will follow up via ${preferredMethod}.`
     };
   }
-
-  /**
-   * Format phone number to E.164
-   * @param {string} phone - Phone number
-   * @returns {string} Formatted phone number
-   */
-  formatPhoneNumber(phone) {
-    if (!phone) return null;
-    
-    // Remove all non-numeric characters except +
-    let cleaned = phone.replace(/[^\d+]/g, '');
-    
-    // If starts with 0 and looks like UK number, add +44
-    if (cleaned.startsWith('0') && cleaned.length === 11) {
-      cleaned = '+44' + cleaned.substring(1);
-    }
-    
-    // If doesn't start with +, assume UK and add +44
-    if (!cleaned.startsWith('+')) {
-      cleaned = '+44' + cleaned;
-    }
-    
-    return cleaned;
-  }
 }
 
 module.exports = new GHLTriggerHandler();
@@ -10,6 +10,7 @@
 const stripeClient = require('../services/stripe-client');
 const ghlClient = require('../services/ghl-client');
 const smsClient = require('../services/sms-client');
+const idempotencyStore = require('../services/idempotency-store');
 
 class StripeWebhookHandler {
   /**
@@ -31,6 +32,19 @@ class StripeWebhookHandler {
 
     console.log(`[StripeHandler] Event received: ${event.type}`);
 
+    // Stripe redelivers events - process each event ID once
+    return idempotencyStore.run(
+      idempotencyStore.buildKey('stripe', event.id),
+      () => this.handleEvent(event)
+    );
+  }
+
+  /**
+   * Route a verified event to its handler
+   * @param {Object} event - Stripe event
+   * @returns {Object} Handler result
+   */
+  async handleEvent(event) {
     // Handle different event types
     switch (event.type) {
       case 'checkout.session.completed':
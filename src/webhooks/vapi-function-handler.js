@@ -2,63 +2,178 @@
  * VAPI Function Handler
  * 
  * Handles all tool/function calls from VAPI assistants.
- * Routes to appropriate service based on function name.
+ * Tools are looked up in the tool registry (src/config/tools.js),
+ * validated, then routed to the matching handler method.
  */
 
 const ghlClient = require('../services/ghl-client');
 const timezoneDetector = require('../services/timezone-detector');
 const emailClient = require('../services/email-client');
+const idempotencyStore = require('../services/idempotency-store');
+const toolRegistry = require('../services/tool-registry');
+const smsClient = require('../services/sms-client');
+const slotHolds = require('../services/slot-holds');
+const calendarRouter = require('../services/calendar-router');
+const callingHoursValidator = require('../services/calling-hours-validator');
+const dateResolver = require('../services/date-resolver');
+const confirmationScheduler = require('../services/confirmation-scheduler');
+const appointmentFormatter = require('../services/appointment-formatter');
+const phoneNumber = require('../services/phone-number');
+const { DateTime } = require('luxon');
+
+// Tools that change contact or appointment state. When several arrive in one
+// tool-calls message they run one after another, in the order VAPI sent them.
+const ORDERED_TOOLS = new Set([
+  'update_contact',
+  'cancel_appointment',
+  'book_appointment',
+  'reschedule_appointment'
+]);
+
+// find_next_available_slots: business days searched by default / at most
+const DEFAULT_SEARCH_DAYS = 5;
+const MAX_SEARCH_DAYS = 14;
+
+// Caller's preferred part of the day, in their local time ('HH:mm', until is exclusive)
+const TIME_OF_DAY_WINDOWS = {
+  any: {},
+  morning: { until: '12:00' },
+  afternoon: { from: '12:00', until: '17:00' },
+  evening: { from: '17:00' }
+};
 
 class VapiFunctionHandler {
   /**
    * Main handler for function calls from VAPI
+   * Supports the legacy 'function-call' message (single functionCall)
+   * and the 'tool-calls' message (toolCallList, answered with results[])
    * @param {Object} payload - VAPI webhook payload
    * @returns {Object} Function result
    */
   async handleFunctionCall(payload) {
     const { message } = payload;
-    
+    const call = payload.call || message?.call;
+    const metadata = call?.metadata || {};
+
+    if (message?.type === 'tool-calls') {
+      return this.handleToolCalls(message, call);
+    }
+
     // Check if this is a function call
     if (message?.type !== 'function-call') {
       return { error: 'Not a function call' };
     }
 
-    const functionName = message.functionCall?.name;
-    const parameters = message.functionCall?.parameters || {};
-    const metadata = payload.call?.metadata || {};
+    return this.runFunction({
+      functionName: message.functionCall?.name,
+      parameters: message.functionCall?.parameters || {},
+      toolCallId: message.functionCall?.id || message.toolCallId,
+      callId: call?.id,
+      callStartedAt: call?.startedAt || call?.createdAt,
+      metadata
+    });
+  }
+
+  /**
+   * Handle a 'tool-calls' message with one or more tool calls
+   * @param {Object} message - VAPI tool-calls message
+   * @param {Object} call - VAPI call object
+   * @returns {Object} { results: [{ name, toolCallId, result }] }
+   */
+  async handleToolCalls(message, call) {
+    const toolCalls = message.toolCallList || message.toolCalls || [];
+    const metadata = call?.metadata || {};
+
+    console.log(`[VapiHandler] Tool calls: ${toolCalls.map(t => t.function?.name).join(', ')}`);
+
+    const execute = async (toolCall) => {
+      const functionName = toolCall.function?.name;
+      let parameters;
+
+      try {
+        parameters = this.parseArguments(toolCall.function?.arguments);
+      } catch (error) {
+        return {
+          name: functionName,
+          toolCallId: toolCall.id,
+          result: JSON.stringify({ success: false, error: `Invalid arguments for ${functionName}` })
+        };
+      }
+
+      const result = await this.runFunction({
+        functionName,
+        parameters,
+        toolCallId: toolCall.id,
+        callId: call?.id,
+        callStartedAt: call?.startedAt || call?.createdAt,
+        metadata
+      });
+
+      return {
+        name: functionName,
+        toolCallId: toolCall.id,
+        result: typeof result === 'string' ? result : JSON.stringify(result)
+      };
+    };
+
+    // State-changing tools run sequentially, independent tools run in parallel
+    const ordered = toolCalls.filter(t => ORDERED_TOOLS.has(t.function?.name));
+    const independent = toolCalls.filter(t => !ORDERED_TOOLS.has(t.function?.name));
+
+    const runOrdered = async () => {
+      const results = [];
+      for (const toolCall of ordered) {
+        results.push(await execute(toolCall));
+      }
+      return results;
+    };
+
+    const [orderedResults, independentResults] = await Promise.all([
+      runOrdered(),
+      Promise.all(independent.map(execute))
+    ]);
+
+    // Answer in the same order VAPI sent the tool calls
+    const byId = new Map([...orderedResults, ...independentResults].map(r => [r.toolCallId, r]));
+    return {
+      results: toolCalls.map(t => byId.get(t.id))
+    };
+  }
+
+  /**
+   * Parse tool call arguments (VAPI sends an object or a JSON string)
+   * @param {Object|string} args - Tool call arguments
+   * @returns {Object} Parameters
+   */
+  parseArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'string') return JSON.parse(args);
+    return args;
+  }
+
+  /**
+   * Execute a single function call with logging, deduplication and error handling
+   * @param {Object} options - { functionName, parameters, toolCallId, callId, callStartedAt, metadata }
+   * @returns {Promise<Object>} Function result
+   */
+  async runFunction(options) {
+    const { functionName, parameters, toolCallId, callId, callStartedAt, metadata } = options;
 
     console.log(`[VapiHandler] Function call: ${functionName}`, { parameters, metadata });
 
+    // VAPI retries tool calls - dedupe tools that change something on call ID + tool call ID.
+    // Read-only tools run again so the caller hears current availability.
+    const deduplicate = !toolRegistry.isReadOnly(functionName);
+    const idempotencyKey = !deduplicate ? null : toolCallId
+      ? idempotencyStore.buildKey('vapi-tool', callId, toolCallId)
+      : callId && idempotencyStore.buildFingerprintKey('vapi-tool', { callId, functionName, parameters });
+
     try {
-      switch (functionName) {
-        case 'check_calendar_availability':
-          return await this.checkCalendarAvailability(parameters, metadata);
-        
-        case 'book_appointment':
-          return await this.bookAppointment(parameters, metadata);
-        
-        case 'cancel_appointment':
-          return await this.cancelAppointment(parameters, metadata);
-        
-        case 'update_contact':
-          return await this.updateContact(parameters, metadata);
-        
-        case 'update_confirmation_status':
-          return await this.updateConfirmationStatus(parameters, metadata);
-        
-        case 'transfer_to_human':
-          return await this.transferToHuman(parameters, metadata);
-        
-        case 'create_urgent_task':
-          return await this.createUrgentTask(parameters, metadata);
-        
-        case 'send_referral_email':
-          return await this.sendReferralEmail(parameters, metadata);
-        
-        default:
-          console.warn(`[VapiHandler] Unknown function: ${functionName}`);
-          return { error: `Unknown function: ${functionName}` };
-      }
+      return await idempotencyStore.run(
+        idempotencyKey,
+        () => this.executeFunction(functionName, parameters, metadata, callId, callStartedAt),
+        { ttlSeconds: toolCallId ? undefined : idempotencyStore.fingerprintTtlSeconds }
+      );
     } catch (error) {
       console.error(`[VapiHandler] Error in ${functionName}:`, error);
       return { 
@@ -68,38 +183,262 @@ class VapiFunctionHandler {
     }
   }
 
+  /**
+   * Route a function call to its implementation
+   * Parameters are validated against the tool's schema first, then spoken
+   * dates and times are resolved in the caller's timezone, relative to the
+   * start of the call
+   * @param {string} functionName - Tool name
+   * @param {Object} parameters - Tool parameters
+   * @param {Object} metadata - Call metadata
+   * @param {string} callId - VAPI call ID (used for slot holds)
+   * @param {string} [callStartedAt] - ISO start of the call ("tomorrow" is relative to this)
+   * @returns {Promise<Object>} Function result
+   */
+  async executeFunction(functionName, parameters, metadata, callId, callStartedAt) {
+    const tool = toolRegistry.get(functionName);
+
+    if (!tool) {
+      console.warn(`[VapiHandler] Unknown function: ${functionName}`);
+      return { error: `Unknown function: ${functionName}` };
+    }
+
+    const validation = toolRegistry.validate(functionName, parameters, metadata.type);
+    if (!validation.valid) {
+      console.warn(`[VapiHandler] Invalid parameters for ${functionName}:`, validation.errors);
+      return toolRegistry.buildValidationError(functionName, validation.errors);
+    }
+
+    const resolution = dateResolver.resolveParameters(tool.resolve, validation.parameters, {
+      timezone: this.getCallerTimezone(metadata),
+      reference: callStartedAt
+    });
+    if (resolution.errors.length > 0) {
+      console.warn(`[VapiHandler] Unresolved dates/times for ${functionName}:`, resolution.errors);
+      return toolRegistry.buildValidationError(functionName, resolution.errors);
+    }
+
+    const result = await this[tool.handler](resolution.parameters, metadata, callId);
+
+    // Echo what was understood so the assistant can read it back
+    if (Object.keys(resolution.resolved).length > 0 && result && typeof result === 'object') {
+      return { ...result, resolved: resolution.resolved };
+    }
+    return result;
+  }
+
+  /**
+   * Caller's timezone - from call metadata, else detected from their phone number
+   */
+  getCallerTimezone(metadata) {
+    return timezoneDetector.resolve(metadata.customerPhone, { timezone: metadata.timezone }).timezone;
+  }
+
+  /**
+   * Calendars the caller's contact is routed to (see CalendarRouter)
+   * @returns {Promise<Array>} Candidate calendars, most suitable first
+   */
+  async getRoutedCalendars(metadata) {
+    let contact = null;
+    if (metadata.contact_id) {
+      contact = await ghlClient.getContact(metadata.contact_id).catch(error => {
+        console.warn('[VapiHandler] Could not fetch contact for calendar routing:', error.message);
+        return null;
+      });
+    }
+
+    return calendarRouter.route(contact);
+  }
+
+  /**
+   * Free slots across the calendars the contact is routed to
+   * Each slot carries the calendar (and adviser) that owns it. If none of
+   * the routed calendars has a slot to offer, the consultation team calendar
+   * (GHL_CALENDAR_ID) is used instead.
+   * @param {Array} [calendars] - Already routed calendars (saves a contact lookup per date)
+   * @returns {Promise<Object>} { slots: every free slot, available: merged slots not held by other calls }
+   */
+  async getRoutedSlots(date, timezone, metadata, callId, calendars = null) {
+    calendars = calendars || await this.getRoutedCalendars(metadata);
+    const routed = await this.getCalendarSlots(date, timezone, callId, calendars);
+    if (routed.available.length > 0) return routed;
+
+    const fallback = calendarRouter.getFallback(calendars);
+    if (fallback.length === 0) return routed;
+
+    console.log(`[VapiHandler] No slots in ${calendars.map(calendar => calendar.id).join(', ')} on ${date} - falling back to ${fallback.map(calendar => calendar.id).join(', ')}`);
+    const team = await this.getCalendarSlots(date, timezone, callId, fallback);
+    return {
+      slots: [...routed.slots, ...team.slots],
+      available: team.available
+    };
+  }
+
+  /**
+   * Free slots in the given calendars
+   * @returns {Promise<Object>} { slots, available } - see getRoutedSlots
+   */
+  async getCalendarSlots(date, timezone, callId, calendars) {
+    const results = await Promise.allSettled(
+      calendars.map(calendar => ghlClient.getSlots(date, timezone, calendar.calendarId))
+    );
+
+    // One adviser's calendar being down shouldn't stop the others being offered
+    const failures = results.filter(result => result.status === 'rejected');
+    if (results.length > 0 && failures.length === results.length) {
+      throw failures[0].reason;
+    }
+
+    const slots = results.flatMap((result, index) => result.status !== 'fulfilled' ? [] : result.value.map(slot => ({
+      ...slot,
+      calendarId: calendars[index].calendarId,
+      adviserId: calendars[index].id,
+      adviser: calendars[index].name
+    })));
+
+    return {
+      slots,
+      available: calendarRouter.mergeSlots(slotHolds.filterAvailable(slots, callId))
+    };
+  }
+
   /**
    * Check calendar availability
+   * Slots from every calendar the contact is routed to are merged. Slots held
+   * for other live calls are left out, and the slots read out to this caller
+   * are held for them for a few minutes. A timeOfDay ("tomorrow afternoon")
+   * narrows the slots offered.
    */
-  async checkCalendarAvailability(params, metadata) {
-    const { date } = params;
-    const timezone = metadata.timezone || timezoneDetector.detectTimezone(metadata.customerPhone) || 'Europe/London';
+  async checkCalendarAvailability(params, metadata, callId) {
+    const { date, timeOfDay = 'any' } = params;
+    const timezone = this.getCallerTimezone(metadata);
+    const day = dateResolver.speakDate(date);
+    const part = timeOfDay !== 'any' ? ` ${timeOfDay}` : '';
 
-    // ghlClient.getAvailableSlots now returns formatted time strings like ["09:00", "09:30", ...]
-    const slots = await ghlClient.getAvailableSlots(date, timezone);
+    // Slots are the caller's local times, each with its exact start instant
+    const { available } = await this.getRoutedSlots(date, timezone, metadata, callId);
+    const slots = slotHolds.hold(callId, available.filter(this.getTimeWindow(timeOfDay).matches), { date, timezone });
+    const times = slots.map(slot => slot.time);
     
-    console.log(`[VapiHandler] Calendar slots for ${date}:`, slots);
+    console.log(`[VapiHandler] Calendar slots for ${date}${part} (${timezone}):`, times);
 
     return {
       success: true,
       date,
-      availableSlots: slots,
+      timezone,
+      availableSlots: times,
+      slots,
       slotsCount: slots.length,
       message: slots.length > 0 
-        ? `Found ${slots.length} available slots: ${slots.slice(0, 8).join(', ')}${slots.length > 8 ? ' and more' : ''}`
-        : `No available slots on ${date}. Please try another date.`
+        ? `Found ${slots.length} available slots on ${day}${part}: ${times.slice(0, 8).join(', ')}${times.length > 8 ? ' and more' : ''}`
+        : `No available slots on ${day}${part}. Please try another ${part ? 'time' : 'date'}.`
+    };
+  }
+
+  /**
+   * Find the earliest available slots over the next few business days
+   * Searches day by day from fromDate (today by default), skipping days the
+   * office is closed, until enough slots matching the caller's preferred
+   * time of day are found. The slots returned are held for the caller and
+   * can be booked with book_appointment.
+   */
+  async findNextAvailableSlots(params, metadata, callId) {
+    const { fromDate, timeOfDay = 'any', earliestTime, latestTime } = params;
+    const days = Math.min(Math.max(params.days || DEFAULT_SEARCH_DAYS, 1), MAX_SEARCH_DAYS);
+    const limit = Math.min(Math.max(params.limit || 3, 1), 6);
+    const timezone = this.getCallerTimezone(metadata);
+
+    const now = DateTime.now().setZone(timezone);
+    let day = fromDate ? DateTime.fromISO(fromDate, { zone: timezone }) : now.startOf('day');
+    if (day < now.startOf('day')) day = now.startOf('day');
+
+    const { from, until, matches: matchesPreference } = this.getTimeWindow(timeOfDay, earliestTime, latestTime);
+
+    const calendars = await this.getRoutedCalendars(metadata);
+    const options = [];
+    let searched = 0;
+
+    // Weekends and closures don't count towards the days searched
+    for (let checked = 0; searched < days && options.length < limit && checked < days * 3; checked++, day = day.plus({ days: 1 })) {
+      const date = day.toISODate();
+      if (!callingHoursValidator.isBusinessDay(day)) continue;
+      searched++;
+
+      const { available } = await this.getRoutedSlots(date, timezone, metadata, callId, calendars);
+      const matching = available
+        .filter(slot => DateTime.fromISO(slot.startTime) > now && matchesPreference(slot))
+        .slice(0, limit - options.length);
+
+      // Held per date so book_appointment can find them by date and time - only held slots are offered
+      const held = slotHolds.hold(callId, matching, { date, timezone });
+      options.push(...held.map(slot => ({
+        date,
+        time: slot.time,
+        startTime: slot.startTime,
+        adviser: slot.adviser,
+        spoken: this.formatSlotForSpeech(DateTime.fromISO(slot.startTime, { zone: timezone }), now)
+      })));
+    }
+
+    console.log(`[VapiHandler] Next available slots (${timezone}, ${timeOfDay}${from ? ` from ${from}` : ''}${until ? ` until ${until}` : ''}):`, options.map(option => `${option.date} ${option.time}`));
+
+    return {
+      success: true,
+      timezone,
+      searchedDays: searched,
+      options,
+      message: options.length > 0
+        ? `The earliest available times are ${this.joinForSpeech(options.map(option => option.spoken))}.`
+        : `No available times${timeOfDay !== 'any' ? ` in the ${timeOfDay}` : ''} in the next ${searched} working days. Ask if another time of day would work.`
+    };
+  }
+
+  /**
+   * Local time window for a caller's preference
+   * @param {string} timeOfDay - any, morning, afternoon or evening
+   * @param {string} [earliestTime] - HH:mm, inclusive
+   * @param {string} [latestTime] - HH:mm, exclusive
+   * @returns {Object} { from, until, matches(slot) }
+   */
+  getTimeWindow(timeOfDay, earliestTime, latestTime) {
+    const window = TIME_OF_DAY_WINDOWS[timeOfDay] || TIME_OF_DAY_WINDOWS.any;
+    const from = [window.from, earliestTime].filter(Boolean).sort().pop();
+    const until = [window.until, latestTime].filter(Boolean).sort()[0];
+
+    return {
+      from,
+      until,
+      matches: (slot) => (!from || slot.time >= from) && (!until || slot.time < until)
     };
   }
 
+  /**
+   * Slot time as it should be read out, e.g. "tomorrow at 2pm" or "Tuesday 21 October at 10:30am"
+   */
+  formatSlotForSpeech(slotTime, now) {
+    const time = slotTime.toFormat(slotTime.minute === 0 ? 'h' : 'h:mm') + (slotTime.hour < 12 ? 'am' : 'pm');
+    const dayDiff = slotTime.startOf('day').diff(now.startOf('day'), 'days').days;
+
+    if (dayDiff === 0) return `today at ${time}`;
+    if (dayDiff === 1) return `tomorrow at ${time}`;
+    return `${slotTime.toFormat('cccc d LLLL')} at ${time}`;
+  }
+
+  joinForSpeech(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+  }
+
   /**
    * Book an appointment
+   * Only times offered by check_calendar_availability can be booked; the
+   * appointment is made at that slot's exact instant.
    */
-  async bookAppointment(params, metadata) {
+  async bookAppointment(params, metadata, callId) {
     const { date, time, notes } = params;
     const contactId = metadata.contact_id;
-    const timezone = metadata.timezone || 'Europe/London';
+    const timezone = this.getCallerTimezone(metadata);
 
-    console.log('[BookAppointment] Params:', { date, time, notes });
+    console.log('[BookAppointment] Params:', { date, time, notes, timezone });
     console.log('[BookAppointment] Metadata:', metadata);
     console.log('[BookAppointment] ContactId:', contactId);
 
@@ -110,57 +449,152 @@ class VapiFunctionHandler {
       };
     }
 
+    const { slot, times, taken } = await this.findOfferedSlot(date, time, timezone, metadata, callId);
+    if (!slot) {
+      console.warn(`[BookAppointment] ${date} ${time} (${timezone}) is not an available slot`);
+      return taken ? this.buildSlotTaken(date, time, times) : this.buildSlotUnavailable(date, time, times);
+    }
+
     try {
       const appointment = await ghlClient.bookAppointment({
         contactId,
-        date,
-        time,
+        startTime: slot.startTime,
         timezone,
+        calendarId: slot.calendarId,
+        assignedUserId: calendarRouter.getAdviser(slot.adviserId)?.userId,
         title: 'Initial Consultation - Asylum Case',
         notes: notes || 'Booked via AI assistant'
       });
-      console.log('[BookAppointment] Success:', appointment.id);
+      console.log('[BookAppointment] Success:', appointment.id, `(${slot.adviser})`);
+      slotHolds.release(callId);
 
-      // Update contact with appointment info
-      await ghlClient.updateCustomFields(contactId, 
-        ghlClient.buildCustomFields({ appointmentId: appointment.id })
-      );
+      // Update contact with appointment info - the booking stands even if this fails
+      try {
+        await ghlClient.updateCustomFields(contactId,
+          ghlClient.buildCustomFields({ appointmentId: appointment.id, assignedAdviser: slot.adviser })
+        );
+      } catch (error) {
+        console.error(`[BookAppointment] Booked ${appointment.id} but could not update the contact's fields:`, error.message);
+      }
+
+      const confirmationCallAt = await this.scheduleConfirmationCall(contactId, appointment.id, slot, timezone, metadata);
 
       return {
         success: true,
         appointmentId: appointment.id,
         date,
         time,
+        timezone,
+        startTime: slot.startTime,
+        adviser: slot.adviser,
+        confirmationCallAt,
         message: `Appointment booked successfully for ${date} at ${time}`
       };
     } catch (bookingError) {
       console.error('[BookAppointment] Error:', bookingError.response?.data || bookingError.message);
+      if (this.isSlotConflict(bookingError)) {
+        return this.buildSlotTakenWithAlternatives(date, time, timezone, metadata, callId);
+      }
       throw bookingError;
     }
   }
 
+  /**
+   * Find a requested time among the slots currently offered for a date
+   * A slot held for another live call counts as taken, as does a slot this
+   * call was offered that has since been booked elsewhere.
+   * @returns {Promise<Object>} { slot, times, taken } - slot is undefined if the time can't be booked
+   */
+  async findOfferedSlot(date, time, timezone, metadata, callId) {
+    const { slots, available } = await this.getRoutedSlots(date, timezone, metadata, callId);
+    const slot = available.find(offered => offered.time === time);
+    const taken = !slot && (
+      slots.some(offered => offered.time === time) ||
+      Boolean(slotHolds.findHold(callId, date, time))
+    );
+
+    return {
+      slot,
+      times: available.map(offered => offered.time),
+      taken
+    };
+  }
+
+  /**
+   * GHL rejected a booking because the slot is no longer free
+   */
+  isSlotConflict(error) {
+    const status = error.response?.status;
+    const message = JSON.stringify(error.response?.data || '');
+    return status === 409 || ([400, 422].includes(status) && /no longer available|already booked/i.test(message));
+  }
+
+  /**
+   * Tool result for a slot another caller has just taken
+   */
+  buildSlotTaken(date, time, times) {
+    return {
+      success: false,
+      slotTaken: true,
+      error: 'That slot was just taken',
+      date,
+      availableSlots: times,
+      message: times.length > 0
+        ? `Sorry, ${time} on ${date} was just taken. Available times: ${times.slice(0, 8).join(', ')}`
+        : `Sorry, ${time} on ${date} was just taken and there are no other times that day. Please choose another date.`
+    };
+  }
+
+  /**
+   * Slot-taken result with freshly fetched alternatives
+   */
+  async buildSlotTakenWithAlternatives(date, time, timezone, metadata, callId) {
+    const { times } = await this.findOfferedSlot(date, time, timezone, metadata, callId);
+    return this.buildSlotTaken(date, time, times.filter(offered => offered !== time));
+  }
+
+  /**
+   * Tool result for a time that is not one of the offered slots
+   */
+  buildSlotUnavailable(date, time, times) {
+    return {
+      success: false,
+      error: 'Requested time is not available',
+      date,
+      availableSlots: times,
+      message: times.length > 0
+        ? `${time} on ${date} is not available. Available times: ${times.slice(0, 8).join(', ')}`
+        : `There are no available times on ${date}. Please choose another date.`
+    };
+  }
+
+  /**
+   * Find the appointment this call is about
+   * Confirmation calls carry appointment_id in metadata; otherwise the
+   * appointment ID stored on the contact is used.
+   * @returns {Promise<string|undefined>} Appointment ID
+   */
+  async findAppointmentId(metadata) {
+    if (metadata.appointment_id) return metadata.appointment_id;
+    if (!metadata.contact_id) return undefined;
+
+    try {
+      const contact = await ghlClient.getContact(metadata.contact_id);
+      const appointmentId = ghlClient.getCustomFieldValue(contact, 'appointmentId');
+      console.log('[VapiHandler] Retrieved appointment ID from contact:', appointmentId);
+      return appointmentId;
+    } catch (error) {
+      console.warn('[VapiHandler] Could not fetch contact:', error.message);
+      return undefined;
+    }
+  }
+
   /**
    * Cancel an appointment
    */
   async cancelAppointment(params, metadata) {
     const { reason } = params;
-    let appointmentId = metadata.appointment_id;
-
-    // If no appointment_id in metadata, try to get from contact's custom fields
-    if (!appointmentId && metadata.contact_id) {
-      try {
-        const contact = await ghlClient.getContact(metadata.contact_id);
-        // Look for appointment ID in custom fields
-        if (contact.customFields) {
-          appointmentId = contact.customFields.appointmentId || 
-                          contact.customFields.appointment_id ||
-                          contact.customFields.lastAppointmentId;
-        }
-        console.log('[CancelAppointment] Retrieved appointment ID from contact:', appointmentId);
-      } catch (error) {
-        console.warn('[CancelAppointment] Could not fetch contact:', error.message);
-      }
-    }
+    const appointmentId = await this.findAppointmentId(metadata);
 
     if (!appointmentId) {
       return { 
@@ -171,6 +605,11 @@ class VapiFunctionHandler {
 
     await ghlClient.cancelAppointment(appointmentId, reason || 'Cancelled by customer');
 
+    // Nothing left to confirm
+    if (metadata.contact_id) {
+      confirmationScheduler.cancelForContact(metadata.contact_id);
+    }
+
     return {
       success: true,
       appointmentId,
@@ -178,12 +617,193 @@ class VapiFunctionHandler {
     };
   }
 
+  /**
+   * Reschedule an appointment
+   * Books the new slot first and only then cancels the old appointment. If the
+   * cancellation fails, the new booking is cancelled again so the customer
+   * keeps their original appointment.
+   */
+  async rescheduleAppointment(params, metadata, callId) {
+    const { date, time, reason } = params;
+    const contactId = metadata.contact_id;
+    const timezone = this.getCallerTimezone(metadata);
+
+    console.log('[RescheduleAppointment] Params:', { date, time, reason, timezone });
+
+    if (!contactId) {
+      return { success: false, error: 'Contact ID not found' };
+    }
+
+    const notFound = {
+      success: false,
+      error: 'Could not find the appointment to reschedule. Please contact us directly at 020 3006 9533.'
+    };
+
+    const previousAppointmentId = await this.findAppointmentId(metadata);
+    if (!previousAppointmentId) {
+      return notFound;
+    }
+
+    // Deleted in GHL or not readable - nothing to move
+    let previous;
+    try {
+      previous = await ghlClient.getAppointment(previousAppointmentId);
+    } catch (error) {
+      console.warn(`[RescheduleAppointment] Could not load appointment ${previousAppointmentId}:`, error.message);
+      return notFound;
+    }
+
+    // 1. The new time must be one of the free slots
+    const { slot, times, taken } = await this.findOfferedSlot(date, time, timezone, metadata, callId);
+    if (!slot) {
+      console.warn(`[RescheduleAppointment] ${date} ${time} (${timezone}) is not an available slot`);
+      return taken ? this.buildSlotTaken(date, time, times) : this.buildSlotUnavailable(date, time, times);
+    }
+
+    // 2. Book the new slot - if this fails the old appointment is untouched
+    let appointment;
+    try {
+      appointment = await ghlClient.bookAppointment({
+        contactId,
+        startTime: slot.startTime,
+        timezone,
+        calendarId: slot.calendarId,
+        assignedUserId: calendarRouter.getAdviser(slot.adviserId)?.userId,
+        title: previous?.title || 'Initial Consultation - Asylum Case',
+        notes: `Rescheduled from appointment ${previousAppointmentId}${reason ? `: ${reason}` : ''}`
+      });
+    } catch (bookingError) {
+      if (this.isSlotConflict(bookingError)) {
+        return this.buildSlotTakenWithAlternatives(date, time, timezone, metadata, callId);
+      }
+      throw bookingError;
+    }
+    slotHolds.release(callId);
+    console.log(`[RescheduleAppointment] Booked ${appointment.id}, cancelling ${previousAppointmentId}`);
+
+    // 3. Cancel the old appointment, rolling back the new booking on failure
+    if (previous?.appointmentStatus !== 'cancelled') {
+      try {
+        await ghlClient.cancelAppointment(previousAppointmentId, `Rescheduled to ${date} ${time}${reason ? ` - ${reason}` : ''}`);
+      } catch (cancelError) {
+        console.error('[RescheduleAppointment] Cancelling old appointment failed, rolling back:', cancelError.message);
+        await this.rollBackReschedule(contactId, appointment.id, previousAppointmentId);
+
+        return {
+          success: false,
+          error: 'Could not reschedule the appointment. The original appointment is unchanged.',
+          appointmentId: previousAppointmentId
+        };
+      }
+    }
+
+    // 4. Record the new appointment on the contact - the reschedule stands even if this fails
+    try {
+      await ghlClient.updateCustomFields(contactId, ghlClient.buildCustomFields({
+        confirmationStatus: 'reschedule',
+        appointmentId: appointment.id,
+        assignedAdviser: slot.adviser
+      }));
+    } catch (error) {
+      console.error(`[RescheduleAppointment] Booked ${appointment.id} but could not update the contact's fields:`, error.message);
+    }
+
+    // 5. Let the customer know - the reschedule stands even if the SMS fails
+    const start = DateTime.fromISO(slot.startTime).setZone(timezone);
+    const smsSent = await this.sendRescheduleSMS(contactId, metadata, start);
+
+    // 6. Confirm the new time instead of the old one
+    const confirmationCallAt = await this.scheduleConfirmationCall(contactId, appointment.id, slot, timezone, metadata);
+
+    return {
+      success: true,
+      appointmentId: appointment.id,
+      previousAppointmentId,
+      date,
+      time,
+      timezone,
+      startTime: slot.startTime,
+      adviser: slot.adviser,
+      smsSent,
+      confirmationCallAt,
+      message: `Appointment rescheduled to ${date} at ${time}`
+    };
+  }
+
+  /**
+   * Schedule the confirmation call for a new appointment
+   * The booking stands even if scheduling fails.
+   * @returns {Promise<string|null>} When the confirmation call will be placed
+   */
+  async scheduleConfirmationCall(contactId, appointmentId, slot, timezone, metadata) {
+    try {
+      const job = await confirmationScheduler.scheduleForAppointment({
+        contactId,
+        appointmentId,
+        startTime: slot.startTime,
+        timezone,
+        customerPhone: metadata.customerPhone,
+        customerName: metadata.customerName
+      });
+      return job?.runAt || null;
+    } catch (error) {
+      console.warn('[VapiHandler] Could not schedule confirmation call:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel a new booking after a failed reschedule
+   * If that also fails the customer has two appointments - flag it for the team
+   */
+  async rollBackReschedule(contactId, newAppointmentId, previousAppointmentId) {
+    try {
+      await ghlClient.cancelAppointment(newAppointmentId, 'Reschedule rolled back');
+    } catch (rollbackError) {
+      console.error('[RescheduleAppointment] Rollback failed:', rollbackError.message);
+      await ghlClient.createTask({
+        contactId,
+        title: 'Reschedule failed - duplicate appointments',
+        description: `Rescheduling left two active appointments.\nKeep: ${previousAppointmentId}\nCancel: ${newAppointmentId}`,
+        dueDate: new Date().toISOString()
+      }).catch(taskError => console.error('[RescheduleAppointment] Could not create task:', taskError.message));
+    }
+  }
+
+  /**
+   * Send the rescheduled time by SMS
+   * @returns {Promise<boolean>} True if sent
+   */
+  async sendRescheduleSMS(contactId, metadata, start) {
+    try {
+      const contact = await ghlClient.getContact(contactId);
+      const to = contact?.phone || metadata.customerPhone;
+      if (!to) return false;
+
+      const appointment = appointmentFormatter.format(start, {
+        timezone: start.zoneName,
+        language: appointmentFormatter.getLanguage(contact)
+      });
+      await smsClient.sendRescheduleSMS({
+        to,
+        firstName: contact?.firstName || metadata.customerName?.split(' ')[0] || 'there',
+        appointmentTime: appointment.text,
+        localisedTime: appointment.localised
+      });
+      return true;
+    } catch (error) {
+      console.warn('[RescheduleAppointment] Could not send SMS:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Update contact information
    */
   async updateContact(params, metadata) {
     let contactId = metadata.contact_id;
-    const customerPhone = metadata.customerPhone || metadata.customer?.number || params.phone;
+    const customerPhone = metadata.customerPhone || metadata.customer?.number ||
+      phoneNumber.format(params.phone, { country: params.currentCountry });
 
     console.log('[UpdateContact] Starting with:', { contactId, customerPhone, paramsKeys: Object.keys(params) });
 
@@ -206,7 +826,26 @@ class VapiFunctionHandler {
     if (params.firstName) updateData.firstName = params.firstName;
     if (params.lastName) updateData.lastName = params.lastName;
     if (params.email) updateData.email = params.email;
-    if (params.phone) updateData.phone = params.phone;
+
+    // A number the caller gave that can't exist is not saved - the assistant asks again
+    let phoneError = null;
+    if (params.phone) {
+      const phone = phoneNumber.parse(params.phone, { country: params.currentCountry });
+      if (phone.valid) {
+        updateData.phone = phone.e164;
+      } else {
+        phoneError = `The phone number "${params.phone}" is not valid (${phone.error}). Please ask for it again, with the country code.`;
+      }
+    }
+
+    // GHL's own contact timezone - preferred over the one the number suggests
+    if (params.timezone) {
+      if (timezoneDetector.isValidTimezone(params.timezone)) {
+        updateData.timezone = params.timezone;
+      } else {
+        console.warn(`[UpdateContact] Ignoring unknown timezone: ${params.timezone}`);
+      }
+    }
 
     // Build custom fields
     const customFieldsToUpdate = {};
@@ -226,6 +865,12 @@ class VapiFunctionHandler {
     if (params.detentionCenter) customFieldsToUpdate.detentionCenter = params.detentionCenter;
     if (params.courtHearingDate) customFieldsToUpdate.courtHearingDate = params.courtHearingDate;
 
+    // When the caller is happy to be called back, in their own timezone
+    if (params.callWindowStart) customFieldsToUpdate.callWindowStart = params.callWindowStart;
+    if (params.callWindowEnd) customFieldsToUpdate.callWindowEnd = params.callWindowEnd;
+    if (params.avoidFridayPrayer !== undefined) customFieldsToUpdate.avoidFridayPrayer = params.avoidFridayPrayer ? 'true' : 'false';
+    if (params.observesRamadan !== undefined) customFieldsToUpdate.observesRamadan = params.observesRamadan ? 'true' : 'false';
+
     if (Object.keys(customFieldsToUpdate).length > 0) {
       updateData.customFields = ghlClient.buildCustomFields(customFieldsToUpdate);
     }
@@ -255,7 +900,8 @@ class VapiFunctionHandler {
     return {
       success: true,
       contactId,
-      message: 'Contact information saved successfully'
+      ...(phoneError && { phoneError }),
+      message: phoneError ? `Contact information saved, except the phone number. ${phoneError}` : 'Contact information saved successfully'
     };
   }
 
@@ -393,7 +1039,7 @@ class VapiFunctionHandler {
     // Update contact status (if contact exists)
     if (contactId) {
       try {
-        await ghlClient.updateCustomFields(contactId, 
+        await ghlClient.updateCustomFields(contactId,
           ghlClient.buildCustomFields({ triageStatus: 'legalaid' })
         );
         await ghlClient.addTags(contactId, ['legalaid', 'referred']);